@@ -12,7 +12,7 @@
 
 import base from '../templates/base';
 import Vent from '@adobe/vent';
-import {validate, transform, commons} from '../../../coral-utils';
+import {validate, transform, commons, events} from '../../../coral-utils';
 import {trapFocus, returnFocus, focusOnShow, scrollOnFocus, FADETIME} from './enums';
 
 const CLASSNAME = '_coral-BaseOverlay';
@@ -99,6 +99,33 @@ function hideEverythingBut(instance) {
   instance.setAttribute('aria-hidden', 'false');
 }
 
+/**
+ Whether the overlay traps the focus. Registered third-party overlays store it on the stack entry.
+ */
+function isTrappingFocus(overlay) {
+  return overlay.external ? overlay.trapFocus : overlay.instance.trapFocus === trapFocus.ON;
+}
+
+/**
+ Whether the overlay is modal.
+ */
+function hasRequestedBackdrop(overlay) {
+  return overlay.external ? !!overlay.backdrop : !!overlay.instance._requestedBackdrop;
+}
+
+/**
+ Informs listeners that an overlay was added to, moved in or removed from the stack.
+ */
+function triggerStackChange(added, removed) {
+  events.dispatch('coral-overlay:stackchange', {
+    detail: {
+      overlays: overlayStack.map((overlay) => overlay.instance),
+      added: added || null,
+      removed: removed || null
+    }
+  });
+}
+
 /**
  Actually reposition the backdrop to be under the topmost overlay.
  */
@@ -121,7 +148,7 @@ function doRepositionBackdrop() {
 }
 
 OverlayManager = {
-  pop(instance) {
+  remove(instance) {
     // Get overlay index
     const index = this.indexOf(instance);
 
@@ -139,9 +166,20 @@ OverlayManager = {
     return overlay;
   },
 
+  pop(instance) {
+    const overlay = this.remove(instance);
+
+    if (overlay) {
+      triggerStackChange(null, instance);
+    }
+
+    return overlay;
+  },
+
   push(instance) {
-    // Pop overlay
-    const overlay = this.pop(instance) || {instance};
+    // Remove the overlay without notifying as it's moved to the top
+    const movedOverlay = this.remove(instance);
+    const overlay = movedOverlay || {instance};
 
     // Get the new highest zIndex
     const zIndex = this.getHighestZIndex() + 10;
@@ -161,6 +199,9 @@ OverlayManager = {
       doRepositionBackdrop();
     }
 
+    // Moving an overlay to the top doesn't add it
+    triggerStackChange(movedOverlay ? null : instance, null);
+
     return overlay;
   },
 
@@ -215,7 +256,7 @@ function createDocumentTabCaptureEls() {
     document.body.insertBefore(topTabCaptureEl, document.body.firstChild);
     topTabCaptureEl.addEventListener('focus', () => {
       const top = OverlayManager.top();
-      if (top && top.instance.trapFocus === trapFocus.ON) {
+      if (top && isTrappingFocus(top)) {
         // Focus on the first tabbable element of the top overlay
         Array.prototype.some.call(top.instance.querySelectorAll(commons.TABBABLE_ELEMENT_SELECTOR), (item) => {
           if (item.offsetParent !== null && !item.hasAttribute('coral-tabcapture')) {
@@ -235,7 +276,7 @@ function createDocumentTabCaptureEls() {
     document.body.appendChild(bottomTabCaptureEl);
     bottomTabCaptureEl.addEventListener('focus', () => {
       const top = OverlayManager.top();
-      if (top && top.instance.trapFocus === trapFocus.ON) {
+      if (top && isTrappingFocus(top)) {
         const tabbableElement = Array.prototype.filter.call(top.instance.querySelectorAll(commons.TABBABLE_ELEMENT_SELECTOR), (item) => item.offsetParent !== null && !item.hasAttribute('coral-tabcapture')).pop();
 
         // Focus on the last tabbable element of the top overlay
@@ -333,9 +374,9 @@ function hideOrRepositionBackdrop() {
   // Hide/create the document-level tab capture element as necessary
   // This only applies to modal overlays (those that have backdrops)
   const top = OverlayManager.top();
-  if (!top || !(top.instance.trapFocus === trapFocus.ON && top.instance._requestedBackdrop)) {
+  if (!top || !(isTrappingFocus(top) && hasRequestedBackdrop(top))) {
     hideDocumentTabCaptureEls();
-  } else if (top && top.instance.trapFocus === trapFocus.ON && top.instance._requestedBackdrop) {
+  } else {
     createDocumentTabCaptureEls();
   }
 }
@@ -385,6 +426,166 @@ function doBackdropShow(zIndex, instance) {
   hideEverythingBut(instance);
 }
 
+/**
+ Closes an overlay of the stack and returns whether it was closed.
+ */
+function closeOverlay(overlay) {
+  const instance = overlay.instance;
+
+  if (overlay.external) {
+    // Third-party overlays are closed by their own library
+    if (typeof overlay.close !== 'function') {
+      return false;
+    }
+
+    overlay.close(instance);
+    OverlayStack.unregister(instance);
+    return true;
+  }
+
+  // Elements like the shell header are stacked without being overlays
+  if (!instance.open) {
+    return false;
+  }
+
+  instance.open = false;
+
+  // Closing can be prevented
+  return !instance.open;
+}
+
+/**
+ @class OverlayStack
+ @classdesc The stack of open overlays, from the lowest to the topmost one. Every opened overlay gets a z-index above
+ the previous one, the backdrop is positioned under the topmost modal overlay and focus is trapped within it. Overlays
+ of other libraries can be registered to share this behavior with Coral overlays.
+ Changes are notified with <code>coral-overlay:stackchange</code> events dispatched on <code>window</code>.
+ */
+const OverlayStack = {
+  /**
+   The open overlays, from the lowest to the topmost one.
+
+   @type {Array.<HTMLElement>}
+   @readonly
+   */
+  get overlays() {
+    return overlayStack.map((overlay) => overlay.instance);
+  },
+
+  /**
+   Returns the topmost overlay.
+
+   @returns {?HTMLElement} the topmost overlay or <code>null</code> if the stack is empty.
+   */
+  top() {
+    const overlay = OverlayManager.top();
+    return overlay ? overlay.instance : null;
+  },
+
+  /**
+   Whether the element is part of the stack.
+
+   @param {HTMLElement} element
+   The overlay.
+
+   @returns {Boolean}
+   */
+  contains(element) {
+    return OverlayManager.indexOf(element) !== -1;
+  },
+
+  /**
+   Closes all overlays above the given overlay, starting with the topmost one. Overlays that prevent closing and
+   registered overlays without <code>close</code> callback are left open.
+
+   @param {HTMLElement} element
+   The overlay to keep open with the overlays under it.
+
+   @returns {Array.<HTMLElement>} the closed overlays.
+   */
+  closeAbove(element) {
+    const index = OverlayManager.indexOf(element);
+    return index === -1 ? [] : this._closeFrom(index + 1);
+  },
+
+  /**
+   Closes all overlays, starting with the topmost one.
+
+   @returns {Array.<HTMLElement>} the closed overlays.
+   */
+  closeAll() {
+    return this._closeFrom(0);
+  },
+
+  /**
+   Registers an overlay of another library, e.g. when it's shown. It gets a z-index above the open overlays and
+   overlays opened later on are shown above it. If modal, the backdrop is shown under it and the rest of the page is
+   hidden from assistive technologies. Registering an overlay again moves it to the top of the stack. Like Coral
+   overlays, a <code>backdropClickedCallback</code> method of the element is called when the backdrop is clicked.
+
+   @param {HTMLElement} element
+   The overlay. It has to be a child of the <code>body</code> to be positioned above the backdrop.
+   @param {OverlayStackRegisterOptions} [options]
+   The overlay options.
+
+   @returns {Number} the z-index of the overlay.
+   */
+  register(element, options) {
+    options = options || {};
+
+    const overlay = OverlayManager.push(element);
+    const wasModal = !!overlay.backdrop;
+
+    overlay.external = true;
+    overlay.trapFocus = transform.boolean(options.trapFocus);
+    overlay.close = options.close;
+    overlay.backdrop = transform.boolean(options.backdrop);
+
+    if (overlay.backdrop) {
+      doBackdropShow(overlay.zIndex, element);
+
+      if (overlay.trapFocus) {
+        createDocumentTabCaptureEls();
+      }
+    } else if (wasModal) {
+      // The overlay was registered again as non modal
+      hideOrRepositionBackdrop();
+    }
+
+    return overlay.zIndex;
+  },
+
+  /**
+   Removes a registered overlay from the stack, e.g. when it's hidden. The backdrop is hidden or moved under the next
+   modal overlay.
+
+   @param {HTMLElement} element
+   The registered overlay.
+   */
+  unregister(element) {
+    const overlay = OverlayManager.get(element);
+
+    // Coral overlays manage their own position in the stack
+    if (overlay && overlay.external) {
+      OverlayManager.pop(element);
+      hideOrRepositionBackdrop();
+    }
+  },
+
+  /** @private */
+  _closeFrom(index) {
+    const closed = [];
+
+    overlayStack.slice(index).reverse().forEach((overlay) => {
+      if (closeOverlay(overlay)) {
+        closed.push(overlay.instance);
+      }
+    });
+
+    return closed;
+  }
+};
+
 /**
  @base BaseOverlay
  @classdesc The base element for Overlay components
@@ -951,6 +1152,15 @@ const BaseOverlay = (superClass) => class extends superClass {
     return OverlayManager;
   }
 
+  /**
+   Returns the stack of open overlays, shared by all overlays. See {@link OverlayStack}.
+
+   @return {OverlayStack}
+   */
+  static get stack() {
+    return OverlayStack;
+  }
+
   /**
    Returns {@link BaseOverlay} trap focus options.
 
@@ -1106,6 +1316,33 @@ const BaseOverlay = (superClass) => class extends superClass {
 
    @typedef {CustomEvent} coral-overlay:close
    */
+
+  /**
+   Triggered on <code>window</code> when an overlay is added to, moved to the top of or removed from the
+   {@link OverlayStack}.
+
+   @typedef {CustomEvent} coral-overlay:stackchange
+
+   @property {Array.<HTMLElement>} detail.overlays
+   The open overlays, from the lowest to the topmost one.
+   @property {?HTMLElement} detail.added
+   The overlay added to the top of the stack, <code>null</code> if an overlay of the stack was moved to the top.
+   @property {?HTMLElement} detail.removed
+   The overlay removed from the stack.
+   */
 };
 
+/**
+ Options of an overlay registered with {@link OverlayStack#register}.
+
+ @typedef {Object} OverlayStackRegisterOptions
+
+ @property {Boolean} [backdrop=false]
+ Whether the overlay is modal and the backdrop is shown under it.
+ @property {Boolean} [trapFocus=false]
+ Whether tabbing out of a modal overlay moves the focus back into it.
+ @property {function} [close]
+ Called with the overlay to close it when the overlays above another one are closed.
+ */
+
 export default BaseOverlay;
@@ -496,6 +496,180 @@ describe('BaseOverlay', function () {
       });
     });
 
+    describe('#stack', function () {
+      var stack;
+      var external;
+
+      beforeEach(function () {
+        stack = OverlayDummy1.stack;
+        external = document.createElement('div');
+        document.body.appendChild(external);
+      });
+
+      afterEach(function () {
+        stack.unregister(external);
+        external.remove();
+      });
+
+      it('should be shared by all overlays', function () {
+        expect(stack).to.exist;
+        expect(OverlayDummy2.stack).to.equal(stack);
+      });
+
+      it('should list the open overlays from the lowest to the topmost', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        overlay2 = new OverlayDummy2();
+        helpers.target.appendChild(overlay2);
+        overlay2.open = true;
+
+        var overlays = stack.overlays;
+        expect(overlays.indexOf(overlay1)).to.equal(overlays.length - 2);
+        expect(overlays.indexOf(overlay2)).to.equal(overlays.length - 1);
+        expect(stack.top()).to.equal(overlay2);
+        expect(stack.contains(overlay1)).to.be.true;
+
+        overlay2.open = false;
+
+        expect(stack.contains(overlay2)).to.be.false;
+        expect(stack.top()).to.equal(overlay1);
+      });
+
+      it('should close all overlays above an overlay', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        overlay2 = new OverlayDummy1();
+        helpers.target.appendChild(overlay2);
+        overlay2.open = true;
+
+        overlay3 = new OverlayDummy2();
+        helpers.target.appendChild(overlay3);
+        overlay3.open = true;
+
+        var closed = stack.closeAbove(overlay1);
+
+        expect(closed).to.deep.equal([overlay3, overlay2], 'the topmost overlay is closed first');
+        expect(overlay1.open).to.be.true;
+        expect(overlay2.open).to.be.false;
+        expect(overlay3.open).to.be.false;
+        expect(stack.top()).to.equal(overlay1);
+      });
+
+      it('should not close overlays that prevent closing', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        overlay2 = new OverlayDummy1();
+        helpers.target.appendChild(overlay2);
+        overlay2.open = true;
+        overlay2.on('coral-overlay:beforeclose', function (event) {
+          event.preventDefault();
+        });
+
+        expect(stack.closeAbove(overlay1)).to.deep.equal([]);
+        expect(overlay2.open).to.be.true;
+        expect(stack.top()).to.equal(overlay2);
+      });
+
+      it('should not close anything above an overlay that is not open', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        expect(stack.closeAbove(overlay)).to.deep.equal([]);
+        expect(overlay1.open).to.be.true;
+      });
+
+      it('should close all overlays', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        overlay2 = new OverlayDummy2();
+        helpers.target.appendChild(overlay2);
+        overlay2.open = true;
+
+        stack.closeAll();
+
+        expect(overlay1.open).to.be.false;
+        expect(overlay2.open).to.be.false;
+      });
+
+      it('should stack registered overlays with the other overlays', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        var externalZIndex = stack.register(external);
+
+        expect(zIndex(external)).to.equal(externalZIndex);
+        expect(externalZIndex).to.be.greaterThan(zIndex(overlay1));
+        expect(stack.top()).to.equal(external);
+
+        overlay2 = new OverlayDummy1();
+        helpers.target.appendChild(overlay2);
+        overlay2.open = true;
+
+        expect(zIndex(overlay2)).to.be.greaterThan(externalZIndex);
+
+        overlay2.open = false;
+        stack.unregister(external);
+
+        expect(stack.contains(external)).to.be.false;
+        expect(stack.top()).to.equal(overlay1);
+      });
+
+      it('should show the backdrop under modal registered overlays', function () {
+        stack.register(external, {backdrop: true});
+
+        var backdrop = document.querySelector('._coral-Underlay');
+        expect(backdropOpen(backdrop)).to.be.true;
+        expect(zIndex(backdrop)).to.be.lessThan(zIndex(external));
+
+        stack.unregister(external);
+
+        expect(backdropOpen(backdrop)).to.be.false;
+      });
+
+      it('should not unregister Coral overlays', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        stack.unregister(overlay1);
+
+        expect(stack.contains(overlay1)).to.be.true;
+      });
+
+      it('should close registered overlays with their close callback', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        var close = sinon.spy();
+        stack.register(external, {close: close});
+
+        var other = document.createElement('div');
+        helpers.target.appendChild(other);
+        stack.register(other);
+
+        var closed = stack.closeAbove(overlay1);
+
+        expect(close.calledOnce).to.be.true;
+        expect(close.calledWith(external)).to.be.true;
+        expect(closed).to.deep.equal([external], 'overlays without close callback are left open');
+        expect(stack.contains(external)).to.be.false;
+        expect(stack.top()).to.equal(other);
+
+        stack.unregister(other);
+      });
+    });
+
     describe('Testing getters', function () {
       it('should return element to focus when accessed using getters', function () {
         var button1 = document.createElement('button');
@@ -535,6 +709,60 @@ describe('BaseOverlay', function () {
       });
     });
 
+    describe('#coral-overlay:stackchange', function () {
+      var stackChangeSpy;
+
+      beforeEach(function () {
+        stackChangeSpy = sinon.spy();
+        window.addEventListener('coral-overlay:stackchange', stackChangeSpy);
+      });
+
+      afterEach(function () {
+        window.removeEventListener('coral-overlay:stackchange', stackChangeSpy);
+      });
+
+      it('should trigger when an overlay is opened and closed', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+
+        overlay1.open = true;
+
+        expect(stackChangeSpy.callCount).to.equal(1);
+        var detail = stackChangeSpy.args[0][0].detail;
+        expect(detail.added).to.equal(overlay1);
+        expect(detail.removed).to.be.null;
+        expect(detail.overlays[detail.overlays.length - 1]).to.equal(overlay1);
+
+        overlay1.open = false;
+
+        expect(stackChangeSpy.callCount).to.equal(2);
+        detail = stackChangeSpy.args[1][0].detail;
+        expect(detail.added).to.be.null;
+        expect(detail.removed).to.equal(overlay1);
+        expect(detail.overlays.indexOf(overlay1)).to.equal(-1);
+      });
+
+      it('should not report an addition when an overlay of the stack is moved to the top', function () {
+        overlay1 = new OverlayDummy1();
+        helpers.target.appendChild(overlay1);
+        overlay1.open = true;
+
+        overlay1._pushOverlay();
+
+        expect(stackChangeSpy.callCount).to.equal(2);
+        var detail = stackChangeSpy.args[1][0].detail;
+        expect(detail.added).to.be.null;
+        expect(detail.removed).to.be.null;
+        expect(detail.overlays[detail.overlays.length - 1]).to.equal(overlay1);
+      });
+
+      it('should not trigger when closing an overlay that is not open', function () {
+        overlay.open = false;
+
+        expect(stackChangeSpy.callCount).to.equal(0);
+      });
+    });
+
     describe('#coral-overlay:open', function () {
       it('should trigger "coral-overlay:open" event only after the transition is finished', function (done) {
         overlay1 = new OverlayDummy2();
@@ -15,114 +15,133 @@ export default {
     "No matching results&period;": "No matching results.",
     "Show suggestion": "Show suggestion",
     "Show {0} suggestions": "Show {0} suggestions",
-    "Show suggestions": "Show suggestions"
+    "Show suggestions": "Show suggestions",
+    "Unable to load suggestions&period;": "Unable to load suggestions."
   },
   "de-DE": {
     "No matching results&period;": "Keine passenden Ergebnisse.",
     "Show suggestion": "Vorschlag anzeigen",
     "Show {0} suggestions": "{0} Vorschläge anzeigen",
-    "Show suggestions": "Vorschläge anzeigen"
+    "Show suggestions": "Vorschläge anzeigen",
+    "Unable to load suggestions&period;": "Vorschläge konnten nicht geladen werden."
   },
   "es-ES": {
     "No matching results&period;": "No hay resultados coincidentes.",
     "Show suggestion": "Mostrar sugerencia",
     "Show {0} suggestions": "Mostrar {0} sugerencias",
-    "Show suggestions": "Mostrar sugerencias"
+    "Show suggestions": "Mostrar sugerencias",
+    "Unable to load suggestions&period;": "No se pueden cargar las sugerencias."
   },
   "ko-KR": {
     "No matching results&period;": "일치하는 결과가 없습니다.",
     "Show suggestion": "제안 사항 표시",
     "Show {0} suggestions": "{0}제안 사항 표시",
-    "Show suggestions": "제안 사항 표시"
+    "Show suggestions": "제안 사항 표시",
+    "Unable to load suggestions&period;": "제안을 로드할 수 없습니다."
   },
   "fr-FR": {
     "No matching results&period;": "Aucun résultat correspondant.",
     "Show suggestion": "Afficher la suggestion",
     "Show {0} suggestions": "Afficher {0} suggestions",
-    "Show suggestions": "Afficher les suggestions"
+    "Show suggestions": "Afficher les suggestions",
+    "Unable to load suggestions&period;": "Impossible de charger les suggestions."
   },
   "ja-JP": {
     "No matching results&period;": "一致する結果がありません。",
     "Show suggestion": "入力候補を表示",
     "Show {0} suggestions": "{0}入力候補を表示",
-    "Show suggestions": "入力候補を表示"
+    "Show suggestions": "入力候補を表示",
+    "Unable to load suggestions&period;": "候補を読み込めません。"
   },
   "zh-CN": {
     "No matching results&period;": "无匹配的结果。",
     "Show suggestion": "显示建议",
     "Show {0} suggestions": "显示 {0} 个建议",
-    "Show suggestions": "显示建议"
+    "Show suggestions": "显示建议",
+    "Unable to load suggestions&period;": "无法加载建议。"
   },
   "zh-TW": {
     "No matching results&period;": "沒有相符的結果。",
     "Show suggestion": "顯示建議",
     "Show {0} suggestions": "顯示 {0} 個建議",
-    "Show suggestions": "顯示建議"
+    "Show suggestions": "顯示建議",
+    "Unable to load suggestions&period;": "無法載入建議。"
   },
   "pt-BR": {
     "No matching results&period;": "Nenhum resultado correspondente.",
     "Show suggestion": "Mostrar sugestão",
     "Show {0} suggestions": "Mostrar {0} sugestões",
-    "Show suggestions": "Mostrar sugestões"
+    "Show suggestions": "Mostrar sugestões",
+    "Unable to load suggestions&period;": "Não foi possível carregar as sugestões."
   },
   "it-IT": {
     "No matching results&period;": "Nessun risultato corrispondente.",
     "Show suggestion": "Mostra suggerimento",
     "Show {0} suggestions": "Mostra {0} suggerimenti",
-    "Show suggestions": "Mostra suggerimenti"
+    "Show suggestions": "Mostra suggerimenti",
+    "Unable to load suggestions&period;": "Impossibile caricare i suggerimenti."
   },
   "nl-NL": {
     "No matching results&period;": "Geen overeenkomende resultaten.",
     "Show suggestion": "Voorstel tonen",
     "Show {0} suggestions": "{0} voorstellen tonen",
-    "Show suggestions": "Voorstellen tonen"
+    "Show suggestions": "Voorstellen tonen",
+    "Unable to load suggestions&period;": "Kan suggesties niet laden."
   },
   "da-DK": {
     "No matching results&period;": "Ingen matchende resultater.",
     "Show suggestion": "Vis forslag",
     "Show {0} suggestions": "Vis  {0} forslag",
-    "Show suggestions": "Vis forslag"
+    "Show suggestions": "Vis forslag",
+    "Unable to load suggestions&period;": "Forslag kan ikke indlæses."
   },
   "fi-FI": {
     "No matching results&period;": "Vastaavia tuloksia ei ole.",
     "Show suggestion": "Näytä ehdotus",
     "Show {0} suggestions": "Näytä {0} ehdotusta",
-    "Show suggestions": "Näytä ehdotukset"
+    "Show suggestions": "Näytä ehdotukset",
+    "Unable to load suggestions&period;": "Ehdotuksia ei voi ladata."
   },
   "nb-NO": {
     "No matching results&period;": "Ingen tilsvarende resultater.",
     "Show suggestion": "Vis forslag",
     "Show {0} suggestions": "Vis {0} forslag",
-    "Show suggestions": "Vis forslag"
+    "Show suggestions": "Vis forslag",
+    "Unable to load suggestions&period;": "Kan ikke laste inn forslag."
   },
   "sv-SE": {
     "No matching results&period;": "Inga matchande resultat.",
     "Show suggestion": "Visa förslag",
     "Show {0} suggestions": "Visa {0} förslag",
-    "Show suggestions": "Visa förslag"
+    "Show suggestions": "Visa förslag",
+    "Unable to load suggestions&period;": "Det gick inte att läsa in förslag."
   },
   "cs-CZ": {
     "No matching results&period;": "Neodpovídají žádné výsledky.",
     "Show suggestion": "Zobrazit doporučení",
     "Show {0} suggestions": "Zobrazit následující počet návrhů: {0}",
-    "Show suggestions": "Zobrazit doporučení"
+    "Show suggestions": "Zobrazit doporučení",
+    "Unable to load suggestions&period;": "Návrhy nelze načíst."
   },
   "pl-PL": {
     "No matching results&period;": "Brak pasujących wyników.",
     "Show suggestion": "Pokaż sugestię",
     "Show {0} suggestions": "Wyświetl {0} sugestii",
-    "Show suggestions": "Pokaż sugestie"
+    "Show suggestions": "Pokaż sugestie",
+    "Unable to load suggestions&period;": "Nie można wczytać sugestii."
   },
   "ru-RU": {
     "No matching results&period;": "Нет соответствующих результатов.",
     "Show suggestion": "Показать предложение",
     "Show {0} suggestions": "Показать предложения ({0})",
-    "Show suggestions": "Показать предложения"
+    "Show suggestions": "Показать предложения",
+    "Unable to load suggestions&period;": "Не удалось загрузить предложения."
   },
   "tr-TR": {
     "No matching results&period;": "Eşleşen sonuç yok.",
     "Show suggestion": "Öneriyi göster",
     "Show {0} suggestions": "{0} önerilerini göster",
-    "Show suggestions": "Önerileri göster"
+    "Show suggestions": "Önerileri göster",
+    "Unable to load suggestions&period;": "Öneriler yüklenemiyor."
   }
 };
@@ -42,6 +42,76 @@ const SCROLL_BOTTOM_THRESHOLD = 50;
  */
 const SCROLL_DEBOUNCE = 100;
 
+/**
+ The number of queries of which the suggestions provided by {@link Autocomplete#source} are kept.
+ @type {Number}
+ @ignore
+ */
+const SOURCE_CACHE_SIZE = 20;
+
+/**
+ Combining diacritical marks, removed from decomposed characters to match regardless of accents.
+ @type {RegExp}
+ @ignore
+ */
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/** @ignore */
+const escapeHTML = (text) => {
+  const element = document.createElement('div');
+  element.textContent = text;
+  return element.innerHTML;
+};
+
+/** @ignore */
+const getTextContent = (html) => {
+  // Template content is inert
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.content.textContent;
+};
+
+/**
+ Normalizes a suggestion provided by {@link Autocomplete#source}. Strings are used as value and text content.
+
+ @ignore
+ */
+const normalizeSuggestion = (suggestion) => {
+  if (suggestion !== null && typeof suggestion === 'object') {
+    const value = transform.string(suggestion.value);
+
+    const content = typeof suggestion.content === 'string' ? suggestion.content : escapeHTML(value);
+
+    return commons.extend({}, suggestion, {
+      value: value,
+      content: content,
+      text: getTextContent(content)
+    });
+  }
+
+  const value = transform.string(suggestion);
+  return {
+    value: value,
+    content: escapeHTML(value),
+    text: value
+  };
+};
+
+/**
+ Normalizes the result of {@link Autocomplete#source}, either an Array of suggestions or an Object with the
+ <code>items</code> and the <code>total</code> amount of suggestions.
+
+ @ignore
+ */
+const normalizeSourceResult = (result) => {
+  const items = Array.isArray(result) ? result : result && result.items || [];
+
+  return {
+    suggestions: items.map(normalizeSuggestion),
+    total: result && typeof result.total === 'number' ? result.total : null
+  };
+};
+
 /**
  Enumeration for {@link Autocomplete} variants.
 
@@ -66,15 +136,219 @@ const variant = {
  Include only matches that start with the user provided value.
  @property {String} CONTAINS
  Include only matches that contain the user provided value.
+ @property {String} FUZZY
+ Include matches that contain the characters of the user provided value in order, or that contain the user provided
+ value with a few typos.
  */
 const match = {
   STARTSWITH: 'startswith',
-  CONTAINS: 'contains'
+  CONTAINS: 'contains',
+  FUZZY: 'fuzzy'
+};
+
+/**
+ Lowercases the given text and removes the accents if required. The index of the original character is kept for each
+ character of the folded text.
+
+ @ignore
+ */
+const foldText = (text, ignoreAccents) => {
+  let folded = '';
+  const indexes = [];
+
+  for (let i = 0 ; i < text.length ; i++) {
+    let char = text[i].toLowerCase();
+
+    if (ignoreAccents && char.normalize) {
+      char = char.normalize('NFD').replace(COMBINING_MARKS, '');
+    }
+
+    for (let j = 0 ; j < char.length ; j++) {
+      folded += char[j];
+      indexes.push(i);
+    }
+  }
+
+  return {
+    text: folded,
+    indexes: indexes
+  };
 };
 
+/** @ignore */
+const isWordStart = (text, index) => index === 0 || /[\s\-_.,/()]/.test(text[index - 1]);
+
+/**
+ Matches the characters of the value in order, e.g "chr" in "Google Chrome". Consecutive characters and characters
+ starting a word score higher.
+
+ @ignore
+ */
+const getSubsequenceMatch = (text, value) => {
+  const ranges = [];
+  let score = 0;
+  let previous = -2;
+  let j = 0;
+
+  for (let i = 0 ; i < text.length && j < value.length ; i++) {
+    if (text[i] === value[j]) {
+      const consecutive = i === previous + 1;
+      score += 1 + (consecutive ? 1 : 0) + (isWordStart(text, i) ? 1 : 0);
+
+      if (consecutive) {
+        ranges[ranges.length - 1][1] = i + 1;
+      } else {
+        ranges.push([i, i + 1]);
+      }
+
+      previous = i;
+      j++;
+    }
+  }
+
+  return j === value.length ? {score: score / (value.length * 3), ranges: ranges} : null;
+};
+
+/**
+ Finds the part of the text closest to the value, allowing one typo (a missing, extra, wrong or swapped character)
+ per 4 characters of the value.
+
+ @ignore
+ */
+const getApproximateMatch = (text, value) => {
+  const maxDistance = Math.floor(value.length / 4);
+  if (!maxDistance) {
+    return null;
+  }
+
+  // Edit distances between the value and the parts of the text, a part of the text may start anywhere
+  let beforePrevious = null;
+  let beforePreviousStart = null;
+  let previous = [];
+  let previousStart = [];
+
+  for (let j = 0 ; j <= text.length ; j++) {
+    previous[j] = 0;
+    previousStart[j] = j;
+  }
+
+  for (let i = 1 ; i <= value.length ; i++) {
+    const current = [i];
+    const currentStart = [0];
+
+    for (let j = 1 ; j <= text.length ; j++) {
+      let distance = previous[j - 1] + (value[i - 1] === text[j - 1] ? 0 : 1);
+      let start = previousStart[j - 1];
+
+      if (previous[j] + 1 < distance) {
+        distance = previous[j] + 1;
+        start = previousStart[j];
+      }
+
+      if (current[j - 1] + 1 < distance) {
+        distance = current[j - 1] + 1;
+        start = currentStart[j - 1];
+      }
+
+      // Swapped characters
+      if (beforePrevious && j > 1 && value[i - 1] === text[j - 2] && value[i - 2] === text[j - 1] &&
+        beforePrevious[j - 2] + 1 < distance) {
+        distance = beforePrevious[j - 2] + 1;
+        start = beforePreviousStart[j - 2];
+      }
+
+      current[j] = distance;
+      currentStart[j] = start;
+    }
+
+    beforePrevious = previous;
+    beforePreviousStart = previousStart;
+    previous = current;
+    previousStart = currentStart;
+  }
+
+  let end = 1;
+  for (let j = 2 ; j <= text.length ; j++) {
+    if (previous[j] < previous[end]) {
+      end = j;
+    }
+  }
+
+  if (text.length && previous[end] <= maxDistance) {
+    return {
+      score: (1 - previous[end] / value.length) / 2,
+      ranges: [[previousStart[end], end]]
+    };
+  }
+
+  return null;
+};
+
+/**
+ Matches the text with the value according to the given match mode.
+
+ @returns {?Object} the <code>score</code> of the match and the matched <code>ranges</code> of the text, or
+ <code>null</code> if the text doesn't match.
+
+ @ignore
+ */
+const getMatchResult = (text, value, mode, ignoreAccents) => {
+  const foldedText = foldText(text, ignoreAccents);
+  const foldedValue = foldText(value, ignoreAccents).text;
+
+  // Everything matches an empty value
+  if (!foldedValue) {
+    return {score: 0, ranges: []};
+  }
+
+  const index = foldedText.text.indexOf(foldedValue);
+  let result = null;
+
+  if (index !== -1 && (index === 0 || mode !== match.STARTSWITH)) {
+    // Matches at the start of the text then at the start of a word rank first, followed by the most complete ones
+    result = {
+      score: (index === 0 ? 3 : isWordStart(foldedText.text, index) ? 2 : 1) + foldedValue.length / foldedText.text.length,
+      ranges: [[index, index + foldedValue.length]]
+    };
+  } else if (mode === match.FUZZY) {
+    result = getSubsequenceMatch(foldedText.text, foldedValue) || getApproximateMatch(foldedText.text, foldedValue);
+  }
+
+  if (result) {
+    // Map the ranges of the folded text to the original text
+    result.ranges = result.ranges.map(range => [
+      foldedText.indexes[range[0]],
+      foldedText.indexes[range[1] - 1] + 1
+    ]);
+  }
+
+  return result;
+};
+
+/**
+ Splits the given text at the given delimiters, line breaks and tabs.
+
+ @ignore
+ */
+const splitTags = (text, delimiters) => {
+  const escapedDelimiters = delimiters.replace(/[\\\]^-]/g, '\\$&');
+  return text.split(new RegExp(`[${escapedDelimiters}\\r\\n\\t]`));
+};
+
+/**
+ Returns the content of a suggestion without the highlighting marks.
+
+ @ignore
+ */
+const getSuggestionContent = item => item._content || item.content.innerHTML;
+
 /**
  @class Coral.Autocomplete
  @classdesc An Autocomplete component that allows users to search and select from a list of options.
+ Suggestions can be provided by the <code>coral-autocomplete-item</code> children, by handling the
+ {@link coral-autocomplete:showsuggestions} event or by a {@link Autocomplete#source}.
+ In {@link Autocomplete#multiple} mode, typing or pasting text containing {@link Autocomplete#delimiters} creates a
+ tag per entry.
  @htmltag coral-autocomplete
  @extends {HTMLElement}
  @extends {BaseComponent}
@@ -108,6 +382,7 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       'key:shift+tab [handle="input"]': '_handleListFocusShift',
       'capture:change [handle="input"]': '_handleInput',
       'input [handle="input"]': '_handleInputEvent',
+      'paste [handle="input"]': '_handleInputPaste',
 
       // Manually listen to keydown event due to CUI-3973
       'keydown': '_handleInputKeypressEnter',
@@ -169,6 +444,11 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     // Bind the debounced scroll method
     this._handleScrollBottom = this._handleScrollBottom.bind(this);
 
+    // Suggestions of the source by query and index of the pending source request
+    this._sourceCache = {};
+    this._sourceCacheKeys = [];
+    this._sourceRequestId = 0;
+
     // Listen for mutations
     this._observer = new MutationObserver(this._handleMutation.bind(this));
     this._startObserving();
@@ -231,6 +511,57 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     this.labelledBy = this.labelledBy;
   }
 
+  /**
+   The characters separating the entries of the user input, e.g <code>",;"</code>. In {@link Autocomplete#multiple}
+   mode without {@link Autocomplete#forceSelection}, a tag is created for each entry as soon as a delimiter is typed.
+   Pasted text is split at the delimiters, line breaks and tabs. Entries matching an item add the item value.
+
+   @type {String}
+   @default ""
+   @htmlattribute delimiters
+   @htmlattributereflected
+   */
+  get delimiters() {
+    return this._delimiters || '';
+  }
+
+  set delimiters(value) {
+    this._delimiters = transform.string(value);
+    this._reflectAttribute('delimiters', this._delimiters);
+  }
+
+  /**
+   Callback validating the tags created from the user input in {@link Autocomplete#multiple} mode. Returning
+   <code>false</code> marks the autocomplete invalid and keeps the entry in the input.
+
+   @type {?AutocompleteTagValidator}
+   @default null
+   */
+  get tagValidator() {
+    return typeof this._tagValidator === 'function' ? this._tagValidator : null;
+  }
+
+  set tagValidator(value) {
+    this._tagValidator = typeof value === 'function' ? value : null;
+  }
+
+  /**
+   The maximum amount of tags the user can add in {@link Autocomplete#multiple} mode. The value <code>null</code>
+   means there is no limit.
+
+   @type {?Number}
+   @default null
+   @htmlattribute maxtags
+   */
+  get maxTags() {
+    return typeof this._maxTags === 'number' ? this._maxTags : null;
+  }
+
+  set maxTags(value) {
+    value = transform.number(value);
+    this._maxTags = typeof value === 'number' && value >= 0 ? Math.floor(value) : null;
+  }
+
   /**
    Amount of time, in milliseconds, to wait after typing a character before the suggestion is shown.
 
@@ -333,7 +664,9 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
   }
 
   /**
-   The match mode. See {@link AutocompleteMatchEnum}.
+   The match mode. See {@link AutocompleteMatchEnum}. The matched parts of the suggestions are highlighted. The
+   suggestions keep their order, unless the match mode is <code>FUZZY</code> or {@link Autocomplete#ignoreAccents} is
+   set: they are then ranked by relevance, the ones matching at the start of their text come first.
 
    @type {String}
    @default AutocompleteMatchEnum.CONTAINS
@@ -355,10 +688,73 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
         this._matchFunction = this._optionStartsWithValue;
       } else if (this._match === match.CONTAINS) {
         this._matchFunction = this._optionContainsValue;
+      } else if (this._match === match.FUZZY) {
+        this._matchFunction = this._optionFuzzyMatchesValue;
       }
     }
   }
 
+  /**
+   Whether accents are ignored when matching the suggestions with the user input, e.g "Zurich" matches "Zürich".
+
+   @type {Boolean}
+   @default false
+   @htmlattribute ignoreaccents
+   @htmlattributereflected
+   */
+  get ignoreAccents() {
+    return this._ignoreAccents || false;
+  }
+
+  set ignoreAccents(value) {
+    this._ignoreAccents = transform.booleanAttr(value);
+    this._reflectAttribute('ignoreaccents', this._ignoreAccents);
+  }
+
+  /**
+   A callback scoring how well a suggestion matches the user input. If set, it is used instead of
+   {@link Autocomplete#match} to filter and rank the suggestions, and the suggestions are not highlighted.
+
+   @type {?AutocompleteMatchScore}
+   @default null
+   */
+  get matchScore() {
+    return this._matchScore || null;
+  }
+
+  set matchScore(value) {
+    this._matchScore = typeof value === 'function' ? value : null;
+  }
+
+  /**
+   The source providing the suggestions matching the user input. It can be
+   - an Array of {@link AutocompleteSuggestion} or Strings which are filtered according to {@link Autocomplete#match}.
+   - a URL template requested with <code>fetch</code>, in which <code>{value}</code> is replaced by the encoded user
+   input and <code>{start}</code> by the index of the first requested suggestion. The response is parsed as JSON.
+   - an {@link AutocompleteSource} callback.
+
+   Remote sources are requested once the user stops typing for {@link Autocomplete#delay} milliseconds. Pending
+   requests are cancelled when the user input changes or the suggestions are hidden, and the suggestions of recent
+   queries are cached. The next suggestions are requested when the user scrolls to the bottom of the list.
+   A source isn't requested if {@link coral-autocomplete:showsuggestions} is prevented.
+
+   @type {?Array|String|AutocompleteSource}
+   @default null
+   @htmlattribute source
+   */
+  get source() {
+    return this._source || null;
+  }
+
+  set source(value) {
+    this._source = Array.isArray(value) || typeof value === 'function' ? value : transform.string(value) || null;
+
+    // Cached suggestions belong to the previous source
+    this._sourceCache = {};
+    this._sourceCacheKeys = [];
+    this._cancelSourceRequest();
+  }
+
   /**
    Indicates that the component is currently loading remote data. This will set the wait indicator inside the list.
 
@@ -1086,9 +1482,18 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
 
       // Show the menu
       this.showSuggestions();
+    } else if (this.source) {
+      // Request the first suggestions of the source
+      this._loadSuggestions(inputValue, 0);
+      this.showSuggestions();
     } else {
       // Show suggestions that match in the DOM
-      this.addSuggestions(this._getMatches(inputValue, this._optionContainsValue));
+      const suggestions = this._isRankingOptions() ?
+        this._rankOptions(this._options, inputValue) :
+        this._getMatches(inputValue, this._optionContainsValue);
+
+      this.addSuggestions(suggestions);
+      this._highlightSuggestions(inputValue);
       this.showSuggestions();
     }
   }
@@ -1154,10 +1559,154 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       if (event.defaultPrevented) {
         // Set loading mode
         this.loading = true;
+      } else if (this.source && !this.loading && !this._sourceComplete) {
+        // Request the next suggestions of the source
+        this._loadSuggestions(this._sourceValue, this._sourceStart);
       }
     }
   }
 
+  /**
+   Requests the suggestions of the {@link Autocomplete#source} matching the given value, starting at the given index.
+
+   @returns {Promise} resolved once the suggestions are added.
+
+   @private
+   */
+  _loadSuggestions(value, start) {
+    const source = this.source;
+
+    // Responses of previous requests are stale
+    this._cancelSourceRequest();
+    this._sourceValue = value;
+
+    if (Array.isArray(source)) {
+      const options = source.map(normalizeSuggestion);
+      const matchFunction = this._matchFunction || this._optionContainsValue;
+      const suggestions = this._isRankingOptions() ?
+        this._rankOptions(options, value) :
+        options.filter(option => matchFunction.call(this, option, value));
+
+      this._addSourceSuggestions({suggestions: suggestions, total: suggestions.length}, start);
+      return Promise.resolve();
+    }
+
+    const cacheKey = `${start}:${value}`;
+    const cachedResult = this._sourceCache[cacheKey];
+    if (cachedResult) {
+      this._addSourceSuggestions(cachedResult, start);
+      return Promise.resolve();
+    }
+
+    const requestId = this._sourceRequestId;
+    const controller = window.AbortController ? new window.AbortController() : null;
+    const request = {
+      value: value,
+      start: start,
+      signal: controller ? controller.signal : null
+    };
+
+    this._sourceController = controller;
+    this.loading = true;
+
+    return new Promise((resolve) => {
+      resolve(typeof source === 'function' ? source(request) : this._fetchSuggestions(source, request));
+    }).then((result) => {
+      // A newer request is pending or the suggestions were hidden
+      if (requestId !== this._sourceRequestId) {
+        return;
+      }
+
+      this._sourceController = null;
+
+      result = normalizeSourceResult(result);
+      this._cacheSuggestions(cacheKey, result);
+      this._addSourceSuggestions(result, start);
+    }, (error) => {
+      if (requestId !== this._sourceRequestId) {
+        return;
+      }
+
+      this._sourceController = null;
+      this._showSourceError(value, start, error);
+    });
+  }
+
+  /** @private */
+  _fetchSuggestions(url, request) {
+    url = url
+      .replace(/{value}/g, encodeURIComponent(request.value))
+      .replace(/{start}/g, request.start);
+
+    return window.fetch(url, {signal: request.signal}).then((response) => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      return response.json();
+    });
+  }
+
+  /** @private */
+  _cacheSuggestions(key, result) {
+    if (this._sourceCacheKeys.indexOf(key) === -1) {
+      this._sourceCacheKeys.push(key);
+
+      // Drop the oldest query
+      if (this._sourceCacheKeys.length > SOURCE_CACHE_SIZE) {
+        delete this._sourceCache[this._sourceCacheKeys.shift()];
+      }
+    }
+
+    this._sourceCache[key] = result;
+  }
+
+  /** @private */
+  _addSourceSuggestions(result, start) {
+    this._sourceStart = start + result.suggestions.length;
+    // Stop paging once all suggestions are loaded or if the total is unknown, once no suggestions are returned
+    this._sourceComplete = !result.suggestions.length ||
+      result.total !== null && this._sourceStart >= result.total;
+
+    this.addSuggestions(result.suggestions);
+    this._highlightSuggestions(this._sourceValue);
+  }
+
+  /** @private */
+  _showSourceError(value, start, error) {
+    this.loading = false;
+    this._sourceComplete = true;
+
+    this._elements.selectList.items.add({
+      type: 'button',
+      content: {
+        innerHTML: `<em>${i18n.get('Unable to load suggestions.')}</em>`
+      },
+      disabled: true
+    });
+    this._elements.selectList.items.last().setAttribute('role', 'status');
+    this._elements.selectList.items.last().setAttribute('aria-live', 'polite');
+    this._elements.input.removeAttribute('aria-activedescendant');
+
+    this.trigger('coral-autocomplete:loaderror', {
+      value: value,
+      start: start,
+      error: error
+    });
+  }
+
+  /** @private */
+  _cancelSourceRequest() {
+    this._sourceRequestId++;
+
+    if (this._sourceController) {
+      this._sourceController.abort();
+      this._sourceController = null;
+    }
+
+    this.loading = false;
+  }
+
   /** @private */
   _handleFocusOut(event) {
     const selectList = this._elements.selectList;
@@ -1260,7 +1809,7 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     const matches = [];
 
     for (let i = 0 ; i < this._options.length ; i++) {
-      if (optionMatchesValue(this._options[i], value)) {
+      if (optionMatchesValue.call(this, this._options[i], value)) {
         matches.push(this._options[i]);
       }
     }
@@ -1274,7 +1823,7 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
           value: buttons[i].value,
           content: buttons[i].textContent.trim()
         };
-        if (optionMatchesValue(option, value)) {
+        if (optionMatchesValue.call(this, option, value)) {
           matches.push(option);
         }
       }
@@ -1283,6 +1832,71 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     return matches;
   }
 
+  /**
+   Whether the suggestions are ordered by relevance rather than kept in their order.
+
+   @private
+   */
+  _isRankingOptions() {
+    return Boolean(this.matchScore || this.ignoreAccents || this.match === match.FUZZY);
+  }
+
+  /**
+   Returns the options matching the value, ordered by relevance.
+
+   @private
+   */
+  _rankOptions(options, value) {
+    return options
+      .map((option, index) => ({
+        option: option,
+        index: index,
+        result: this._scoreOption(option, value)
+      }))
+      .filter(entry => entry.result !== null)
+      // Keep the order of equally relevant options
+      .sort((a, b) => b.result.score - a.result.score || a.index - b.index)
+      .map(entry => entry.option);
+  }
+
+  /** @private */
+  _scoreOption(option, value) {
+    if (this.matchScore) {
+      const score = this.matchScore(option, value);
+      return typeof score === 'number' && !isNaN(score) ? {score: score, ranges: []} : null;
+    }
+
+    // Custom match function
+    if (typeof this.match === 'function') {
+      return this.match(option, value) ? {score: 0, ranges: []} : null;
+    }
+
+    return getMatchResult(option.text || option.content, value, this.match, this.ignoreAccents);
+  }
+
+  /** @private */
+  _highlightSuggestions(value) {
+    // Custom matching doesn't tell which parts of the suggestions matched
+    if (!value || this.matchScore || typeof this.match === 'function') {
+      return;
+    }
+
+    this._elements.selectList.items.getAll().forEach((item) => {
+      // Skip status items and suggestions which are already highlighted
+      if (item._highlighted || item.getAttribute('role') !== 'option') {
+        return;
+      }
+
+      item._highlighted = true;
+
+      const result = getMatchResult(item.content.textContent, value, this.match, this.ignoreAccents);
+      if (result && result.ranges.length) {
+        item._content = item.content.innerHTML;
+        commons.highlightRanges(item.content, result.ranges, '_coral-Autocomplete-highlight');
+      }
+    });
+  }
+
   /** @private */
   _handleInputKeypressEnter(event) {
     // Sigh, CUI-3973 Hitting enter quickly after typing causes form to submit
@@ -1296,6 +1910,16 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     // Any input makes this valid again
     this.invalid = false;
 
+    if (this._isCreatingTags()) {
+      const entries = splitTags(this._elements.input.value, this.delimiters);
+
+      // Create the tags of the delimited entries, the last entry is still being typed
+      if (entries.length > 1) {
+        const remainder = entries.pop();
+        this._createTagsFromInput(entries, remainder);
+      }
+    }
+
     if (this.delay) {
       // Wait until the use has stopped typing for delay milliseconds before getting suggestions
       window.clearTimeout(this._timeout);
@@ -1306,6 +1930,124 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     }
   }
 
+  /** @private */
+  _handleInputPaste(event) {
+    if (!this._isCreatingTags()) {
+      return;
+    }
+
+    const clipboardData = event.clipboardData || window.clipboardData;
+    const text = clipboardData ? clipboardData.getData('text') : '';
+    const entries = splitTags(text, this.delimiters);
+
+    // Pasting a single entry works as usual
+    if (entries.length > 1) {
+      event.preventDefault();
+
+      const input = this._elements.input;
+      const inputValue = input.value;
+      entries[0] = inputValue.slice(0, input.selectionStart) + entries[0];
+      entries[entries.length - 1] += inputValue.slice(input.selectionEnd);
+
+      this._createTagsFromInput(entries, '');
+      this.hideSuggestions();
+    }
+  }
+
+  /** @private */
+  _isCreatingTags() {
+    return this.multiple && !this.forceSelection && this.delimiters !== '';
+  }
+
+  /**
+   Whether the given value is already a tag or can be added without exceeding {@link Autocomplete#maxTags}.
+
+   @private
+   */
+  _canAddTag(value) {
+    return this.values.indexOf(value) !== -1 || this.maxTags === null || this.values.length < this.maxTags;
+  }
+
+  /**
+   Creates a tag for each entry. Entries matching an item add the item value, the other ones are validated by
+   {@link Autocomplete#tagValidator} and can be cancelled with {@link coral-autocomplete:tagcreate}.
+
+   @returns {Object} whether tags were <code>created</code> and the <code>rejected</code> entries.
+
+   @private
+   */
+  _createTags(entries) {
+    const rejected = [];
+    let created = false;
+
+    entries.forEach((entry) => {
+      entry = entry.trim();
+      if (!entry) {
+        return;
+      }
+
+      const exactMatches = this._getMatches(entry, this._optionEqualsValue);
+      const exactMatch = exactMatches.filter(option => option.content === entry)[0] || exactMatches[0];
+      const value = exactMatch ? exactMatch.value : entry;
+
+      // Duplicates are dropped
+      if (this.values.indexOf(value) !== -1) {
+        return;
+      }
+
+      if (!this._canAddTag(value)) {
+        rejected.push(entry);
+        return;
+      }
+
+      if (exactMatch) {
+        this._selectItem(exactMatch.value, exactMatch.content, false);
+        this._addValue(exactMatch.value, exactMatch.content, false);
+        created = true;
+        return;
+      }
+
+      if (this.tagValidator && this.tagValidator(entry) === false) {
+        this.invalid = true;
+        rejected.push(entry);
+        return;
+      }
+
+      const event = this.trigger('coral-autocomplete:tagcreate', {value: entry});
+      if (event.defaultPrevented) {
+        rejected.push(entry);
+        return;
+      }
+
+      this._addValue(entry, null, false);
+      created = true;
+    });
+
+    return {
+      created: created,
+      rejected: rejected
+    };
+  }
+
+  /** @private */
+  _createTagsFromInput(entries, remainder) {
+    const result = this._createTags(entries);
+
+    // Rejected entries are kept in the input to be corrected
+    const inputEntries = result.rejected.slice();
+    // Drop the whitespace following the delimiter
+    remainder = remainder.replace(/^\s+/, '');
+    if (remainder) {
+      inputEntries.push(remainder);
+    }
+    this._elements.input.value = inputEntries.join(`${this.delimiters[0]} `);
+
+    if (result.created) {
+      this._updateButtonAccessibilityLabel();
+      this.trigger('change');
+    }
+  }
+
   /** @private */
   _handleInput(event) {
     // Don't set value and hide suggestions while scrolling overlay
@@ -1346,9 +2088,11 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       this._selectItem(exactMatch.value, exactMatch.content, false);
 
       if (this.multiple) {
-        if (value.trim()) {
+        if (value.trim() && this._canAddTag(exactMatch.value)) {
           // Add tag for non-empty values
           this._addValue(exactMatch.value, exactMatch.content, false);
+        } else {
+          isChange = false;
         }
       } else {
         // Set value
@@ -1383,10 +2127,9 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       isChange = this.value !== value;
 
       if (this.multiple) {
-        if (value.trim()) {
-          // Add tag for non-empty values
-          this._addValue(value, null, false);
-        }
+        // Add tag for non-empty, valid values
+        const result = this._createTags([value]);
+        isChange = result.created;
       } else {
         // Set value
         this.value = value;
@@ -1492,8 +2235,15 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       return;
     }
 
+    // The maximum amount of tags is reached
+    if (this.multiple && !this._canAddTag(selectListItem.value)) {
+      this.hideSuggestions();
+      return;
+    }
+
     // Select the corresponding item, or add one if it doesn't exist
-    this._selectItem(selectListItem.value, selectListItem.content.innerHTML, true);
+    const content = getSuggestionContent(selectListItem);
+    this._selectItem(selectListItem.value, content, true);
 
     if (!this.multiple) {
       this.value = selectListItem.value;
@@ -1504,7 +2254,7 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       this._setInputValues(this.value, selectListItem.content.textContent, false);
     } else {
       // Add to values
-      this._addValue(selectListItem.value, selectListItem.content.innerHTML, true);
+      this._addValue(selectListItem.value, content, true);
     }
 
     // Focus on the input element
@@ -1660,7 +2410,7 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
    */
   _optionStartsWithValue(option, value) {
     value = (typeof value === 'string' ? value : '').toLowerCase();
-    return option.content.toLowerCase().trim().indexOf(value) === 0;
+    return (option.text || option.content).toLowerCase().trim().indexOf(value) === 0;
   }
 
   /**
@@ -1677,7 +2427,30 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
    */
   _optionEqualsValue(option, value) {
     value = (typeof value === 'string' ? value : '').toLowerCase();
-    return option.content.toLowerCase().trim() === value;
+
+    // Matches "Zürich" if the user typed "Zurich"
+    if (this && this.ignoreAccents) {
+      return foldText((option.text || option.content).trim(), true).text === foldText(value, true).text;
+    }
+
+    return (option.text || option.content).toLowerCase().trim() === value;
+  }
+
+  /**
+   Check if the given option fuzzy matches the given value.
+
+   @param {HTMLElement} option
+   The option to test
+   @param {String} value
+   The value to test
+
+   @returns {Boolean} true if the value matches, false if not.
+
+   @protected
+   */
+  _optionFuzzyMatchesValue(option, value) {
+    value = typeof value === 'string' ? value : '';
+    return getMatchResult(option.text || option.content, value, match.FUZZY, this && this.ignoreAccents) !== null;
   }
 
   /**
@@ -1826,6 +2599,9 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
     // Don't let the suggestions show
     window.clearTimeout(this._timeout);
 
+    // The suggestions of a pending source request won't be shown
+    this._cancelSourceRequest();
+
     // Trigger an event
     this.trigger('coral-autocomplete:hidesuggestions');
   }
@@ -1875,7 +2651,9 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
   static get _attributePropertyMap() {
     return commons.extend(super._attributePropertyMap, {
       forceselection: 'forceSelection',
-      maxlength: 'maxLength'
+      maxlength: 'maxLength',
+      ignoreaccents: 'ignoreAccents',
+      maxtags: 'maxTags'
     });
   }
 
@@ -1890,7 +2668,11 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
       'icon',
       'match',
       'loading',
-      'variant'
+      'variant',
+      'source',
+      'ignoreaccents',
+      'delimiters',
+      'maxtags'
     ]);
   }
 
@@ -1989,6 +2771,76 @@ class Autocomplete extends BaseFormField(BaseComponent(HTMLElement)) {
    The user input.
    */
 
+  /**
+   Triggered when the {@link Autocomplete#source} failed to provide suggestions. An error message is displayed in the
+   list of suggestions.
+
+   @typedef {CustomEvent} coral-autocomplete:loaderror
+
+   @property {String} detail.value
+   The user input.
+   @property {Number} detail.start
+   The index of the first requested suggestion.
+   @property {*} detail.error
+   The error of the request.
+   */
+
+  /**
+   Triggered before a tag is created from the user input in {@link Autocomplete#multiple} mode. Can be prevented to
+   keep the entry in the input.
+
+   @typedef {CustomEvent} coral-autocomplete:tagcreate
+
+   @property {String} detail.value
+   The value of the tag.
+   */
+
+  /**
+   Callback validating a tag created from the user input, see {@link Autocomplete#tagValidator}.
+
+   @typedef {function} AutocompleteTagValidator
+
+   @param {String} value
+   The value of the tag.
+
+   @returns {Boolean} Whether the value is valid.
+   */
+
+  /**
+   Signature of the callback used as {@link Autocomplete#matchScore} to score how well a suggestion matches the user
+   input.
+
+   @typedef {function} AutocompleteMatchScore
+
+   @param {AutocompleteSuggestion} suggestion
+   The suggestion to score.
+   @param {String} value
+   The user input.
+
+   @returns {?Number} the score of the suggestion, suggestions with a higher score are listed first. <code>null</code>
+   if the suggestion doesn't match.
+   */
+
+  /**
+   Signature of the callback used as {@link Autocomplete#source} to provide the suggestions matching the user input.
+
+   @typedef {function} AutocompleteSource
+
+   @param {Object} request
+   The requested suggestions.
+   @param {String} request.value
+   The user input.
+   @param {Number} request.start
+   The index of the first requested suggestion, greater than <code>0</code> when the user scrolled to the bottom of
+   the list.
+   @param {?AbortSignal} request.signal
+   Aborted when the request is cancelled, can be passed to <code>fetch</code>.
+
+   @returns {Promise|Object|Array} the suggestions as an Array of {@link AutocompleteSuggestion} or Strings, an Object
+   with the suggestion <code>items</code> and the <code>total</code> amount of suggestions, or a Promise resolved with
+   either of them.
+   */
+
   /**
    Triggered when the {@link Autocomplete} hides the suggestions.
    This is typically used to cancel a load request because the suggestions will not be shown anymore.
@@ -230,6 +230,510 @@ describe('Autocomplete', function () {
       });
     });
 
+    describe('#match', function () {
+      var typeValue = function (autocomplete, value) {
+        autocomplete._elements.input.value = value;
+        helpers.event('input', autocomplete._elements.input);
+      };
+
+      var getSuggestions = function (autocomplete) {
+        return autocomplete._elements.selectList.items.getAll().map(function (item) {
+          return item.value;
+        });
+      };
+
+      it('should default to CONTAINS', function () {
+        expect(el.match).to.equal(Autocomplete.match.CONTAINS);
+      });
+
+      it('should keep the order of the suggestions with CONTAINS', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        typeValue(el, 'l');
+
+        expect(getSuggestions(el)).to.deep.equal(['bs', 'lu']);
+      });
+
+      it('should keep the order and filtering of the DOM suggestions with STARTSWITH', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.match = Autocomplete.match.STARTSWITH;
+        typeValue(el, 'e');
+
+        expect(getSuggestions(el)).to.deep.equal(['bs', 'be', 'ge', 'lu']);
+      });
+
+      it('should only show the source suggestions starting with the user input with STARTSWITH', function () {
+        el.source = ['Zürich', 'Lucerne', 'Zug'];
+        el.match = Autocomplete.match.STARTSWITH;
+        typeValue(el, 'z');
+
+        expect(getSuggestions(el)).to.deep.equal(['Zürich', 'Zug']);
+      });
+
+      it('should rank the suggestions starting with the user input first with FUZZY', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.match = Autocomplete.match.FUZZY;
+        typeValue(el, 'l');
+
+        expect(getSuggestions(el)).to.deep.equal(['lu', 'bs']);
+      });
+
+      it('should match the characters in order with FUZZY', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.match = Autocomplete.match.FUZZY;
+        typeValue(el, 'lcn');
+
+        expect(getSuggestions(el)).to.deep.equal(['lu']);
+      });
+
+      it('should tolerate typos with FUZZY', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.match = Autocomplete.match.FUZZY;
+        typeValue(el, 'lucrene');
+
+        expect(getSuggestions(el)).to.deep.equal(['lu']);
+      });
+
+      it('should highlight the matched parts of the suggestions', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        typeValue(el, 'ern');
+
+        var item = el._elements.selectList.items.first();
+        expect(item.value).to.equal('be');
+        expect(item.content.innerHTML).to.equal('B<mark class="_coral-Autocomplete-highlight">ern</mark>');
+      });
+
+      it('should highlight the matched characters with FUZZY', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.match = Autocomplete.match.FUZZY;
+        typeValue(el, 'lcn');
+
+        var marks = el._elements.selectList.items.first().content.querySelectorAll('mark');
+        expect(Array.prototype.map.call(marks, mark => mark.textContent)).to.deep.equal(['L', 'c', 'n']);
+      });
+
+      it('should select the suggestion without highlighting', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.multiple = true;
+        typeValue(el, 'ern');
+
+        el._elements.selectList.items.first().trigger('mousedown');
+
+        expect(el.values).to.deep.equal(['be']);
+        expect(el._elements.tagList.items.first().label.innerHTML).to.equal('Bern');
+      });
+
+      it('should filter the source suggestions with a custom match function', function () {
+        el.source = ['Bern', 'Zug'];
+        el.match = function (option) {
+          return option.value === 'Zug';
+        };
+        typeValue(el, 'bern');
+
+        expect(getSuggestions(el)).to.deep.equal(['Zug']);
+        expect(el._elements.selectList.items.first().content.querySelector('mark')).to.equal(null);
+      });
+    });
+
+    describe('#ignoreAccents', function () {
+      it('should default to false', function () {
+        expect(el.ignoreAccents).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        el.ignoreAccents = true;
+        expect(el.getAttribute('ignoreaccents')).to.equal('');
+      });
+
+      it('should match regardless of accents', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+
+        el._elements.input.value = 'zuri';
+        helpers.event('input', el._elements.input);
+        expect(el._elements.selectList.items.first().disabled).to.be.true;
+
+        el.ignoreAccents = true;
+        helpers.event('input', el._elements.input);
+
+        var item = el._elements.selectList.items.first();
+        expect(item.value).to.equal('zh');
+        expect(item.content.innerHTML).to.equal('<mark class="_coral-Autocomplete-highlight">Züri</mark>ch');
+      });
+
+      it('should select the exact match regardless of accents', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.ignoreAccents = true;
+
+        el._elements.input.value = 'Geneve';
+        el._handleInput(new Event('change'));
+
+        expect(el.value).to.equal('ge');
+      });
+    });
+
+    describe('#matchScore', function () {
+      it('should default to null', function () {
+        expect(el.matchScore).to.equal(null);
+      });
+
+      it('should filter and rank the suggestions', function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.matchScore = function (option, value) {
+          // Shortest names first
+          return option.content.toLowerCase().indexOf(value) === -1 ? null : -option.content.length;
+        };
+
+        el._elements.input.value = 'r';
+        helpers.event('input', el._elements.input);
+
+        var suggestions = el._elements.selectList.items.getAll();
+        expect(suggestions.map(item => item.value)).to.deep.equal(['be', 'zh', 'lu']);
+        expect(suggestions[0].content.querySelector('mark')).to.equal(null);
+      });
+    });
+
+    describe('#delimiters', function () {
+      var pasteText = function (text) {
+        var clipboardData = new DataTransfer();
+        clipboardData.setData('text', text);
+        var event = new ClipboardEvent('paste', {bubbles: true, cancelable: true, clipboardData: clipboardData});
+        el._elements.input.dispatchEvent(event);
+        return event;
+      };
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Autocomplete.cities.html']);
+        el.multiple = true;
+        el.delimiters = ',;';
+      });
+
+      it('should default to empty string', function () {
+        expect(new Autocomplete().delimiters).to.equal('');
+      });
+
+      it('should be reflected', function () {
+        expect(el.getAttribute('delimiters')).to.equal(',;');
+      });
+
+      it('should create a tag for each delimited entry while typing', function () {
+        var changeSpy = sinon.spy();
+        el.on('change', changeSpy);
+
+        el._elements.input.value = 'foo, Bern;ba';
+        helpers.event('input', el._elements.input);
+
+        expect(el.values).to.deep.equal(['foo', 'be']);
+        expect(el._elements.input.value).to.equal('ba');
+        expect(el._elements.tagList.items.length).to.equal(2);
+        expect(changeSpy.callCount).to.equal(1);
+      });
+
+      it('should split pasted text at delimiters and line breaks', function () {
+        el._elements.input.value = 'foo';
+        el._elements.input.setSelectionRange(3, 3);
+
+        var event = pasteText('bar\nZug;baz,');
+
+        expect(event.defaultPrevented).to.be.true;
+        expect(el.values).to.deep.equal(['foobar', 'zg', 'baz']);
+        expect(el._elements.input.value).to.equal('');
+      });
+
+      it('should not split pasted text without delimiters', function () {
+        var event = pasteText('foo bar');
+
+        expect(event.defaultPrevented).to.be.false;
+        expect(el.values).to.deep.equal([]);
+      });
+
+      it('should ignore duplicates and empty entries', function () {
+        el.values = ['foo'];
+        pasteText('foo,, bar ,bar');
+
+        expect(el.values).to.deep.equal(['foo', 'bar']);
+        expect(el._elements.tagList.items.length).to.equal(2);
+      });
+
+      it('should not create tags if selection is forced', function () {
+        el.forceSelection = true;
+        var event = pasteText('foo,bar');
+
+        expect(event.defaultPrevented).to.be.false;
+        expect(el.values).to.deep.equal([]);
+      });
+    });
+
+    describe('#tagValidator', function () {
+      beforeEach(function () {
+        el.multiple = true;
+        el.delimiters = ',';
+      });
+
+      it('should default to null', function () {
+        expect(el.tagValidator).to.equal(null);
+      });
+
+      it('should keep invalid entries in the input', function () {
+        el.tagValidator = function (value) {
+          return value.indexOf('@') !== -1;
+        };
+
+        el._elements.input.value = 'foo,a@b.com,bar@c.com,';
+        helpers.event('input', el._elements.input);
+
+        expect(el.values).to.deep.equal(['a@b.com', 'bar@c.com']);
+        expect(el._elements.input.value).to.equal('foo');
+        expect(el.invalid).to.be.true;
+      });
+
+      it('should validate entries committed with enter', function () {
+        el.tagValidator = function () {
+          return false;
+        };
+
+        el._elements.input.value = 'foo';
+        helpers.keypress('enter', el._elements.input);
+
+        expect(el.values).to.deep.equal([]);
+        expect(el._elements.input.value).to.equal('foo');
+        expect(el.invalid).to.be.true;
+      });
+    });
+
+    describe('#maxTags', function () {
+      beforeEach(function () {
+        el.multiple = true;
+        el.delimiters = ',';
+      });
+
+      it('should default to null', function () {
+        expect(el.maxTags).to.equal(null);
+      });
+
+      it('should be settable with the attribute', function () {
+        el.setAttribute('maxtags', '2');
+        expect(el.maxTags).to.equal(2);
+      });
+
+      it('should limit the amount of tags created', function () {
+        el.maxTags = 2;
+
+        el._elements.input.value = 'foo,bar,baz,';
+        helpers.event('input', el._elements.input);
+
+        expect(el.values).to.deep.equal(['foo', 'bar']);
+        expect(el._elements.input.value).to.equal('baz');
+      });
+    });
+
+    describe('#source', function () {
+      var typeValue = function (value) {
+        el._elements.input.value = value;
+        helpers.event('input', el._elements.input);
+      };
+
+      var getSuggestions = function () {
+        return el._elements.selectList.items.getAll().map(function (item) {
+          return item.value;
+        });
+      };
+
+      it('should default to null', function () {
+        expect(el.source).to.equal(null);
+      });
+
+      it('should be settable using the attribute', function () {
+        el.setAttribute('source', '/suggestions?q={value}');
+        expect(el.source).to.equal('/suggestions?q={value}');
+      });
+
+      it('should filter an Array of suggestions', function () {
+        el.source = ['Chrome', 'Firefox', {value: 'sa', content: 'Safari'}];
+        typeValue('fi');
+
+        expect(getSuggestions()).to.deep.equal(['Firefox']);
+        expect(el._elements.overlay.open).to.be.true;
+      });
+
+      it('should respect the match mode', function () {
+        el.source = ['Chrome', 'Firefox', 'Safari'];
+        el.match = Autocomplete.match.STARTSWITH;
+        typeValue('f');
+
+        expect(getSuggestions()).to.deep.equal(['Firefox']);
+      });
+
+      it('should escape String suggestions', function () {
+        el.source = ['<b>bold</b>'];
+        typeValue('bold');
+
+        var content = el._elements.selectList.items.first().content;
+        expect(content.querySelector('b')).to.equal(null);
+        expect(content.textContent).to.equal('<b>bold</b>');
+      });
+
+      it('should match String suggestions on their text rather than their escaped content', function () {
+        el.source = ['Tom & Jerry', 'Tommy'];
+        typeValue('tom & j');
+
+        expect(getSuggestions()).to.deep.equal(['Tom & Jerry']);
+
+        el.match = Autocomplete.match.STARTSWITH;
+        typeValue('tom & j');
+
+        expect(getSuggestions()).to.deep.equal(['Tom & Jerry']);
+      });
+
+      it('should reset the loading indicator when the suggestions are hidden', function () {
+        el.source = ['Chrome'];
+        el.loading = true;
+        el.hideSuggestions();
+
+        expect(el.loading).to.be.false;
+      });
+
+      it('should call a function with the user input and show the loading indicator', function (done) {
+        var source = sinon.spy(function () {
+          return Promise.resolve([{value: 'sa', content: 'Safari'}]);
+        });
+
+        el.source = source;
+        typeValue('sa');
+
+        expect(source.callCount).to.equal(1);
+        expect(source.getCall(0).args[0].value).to.equal('sa');
+        expect(source.getCall(0).args[0].start).to.equal(0);
+        expect(el.loading).to.be.true;
+
+        window.setTimeout(function () {
+          expect(el.loading).to.be.false;
+          expect(getSuggestions()).to.deep.equal(['sa']);
+          done();
+        }, 0);
+      });
+
+      it('should discard the suggestions of stale requests', function (done) {
+        var resolves = [];
+        el.source = function () {
+          return new Promise(function (resolve) {
+            resolves.push(resolve);
+          });
+        };
+
+        typeValue('f');
+        typeValue('fi');
+
+        // The first request resolves after the second one
+        resolves[1](['Firefox']);
+        resolves[0](['Flock']);
+
+        window.setTimeout(function () {
+          expect(getSuggestions()).to.deep.equal(['Firefox']);
+          done();
+        }, 0);
+      });
+
+      it('should abort pending requests when the suggestions are hidden', function () {
+        var signal;
+        el.source = function (request) {
+          signal = request.signal;
+          return new Promise(function () {});
+        };
+
+        typeValue('fi');
+        el.hideSuggestions();
+
+        expect(signal.aborted).to.be.true;
+        expect(el.loading).to.be.false;
+      });
+
+      it('should cache the suggestions of recent queries', function (done) {
+        var source = sinon.spy(function () {
+          return ['Firefox'];
+        });
+
+        el.source = source;
+        typeValue('fi');
+
+        window.setTimeout(function () {
+          typeValue('fi');
+
+          expect(source.callCount).to.equal(1);
+          expect(getSuggestions()).to.deep.equal(['Firefox']);
+          done();
+        }, 0);
+      });
+
+      it('should request a URL template', function (done) {
+        var fetch = sinon.stub(window, 'fetch').returns(Promise.resolve(new Response(JSON.stringify(['Firefox']))));
+
+        el.source = '/suggestions?q={value}&start={start}';
+        typeValue('f f');
+        fetch.restore();
+
+        expect(fetch.getCall(0).args[0]).to.equal('/suggestions?q=f%20f&start=0');
+
+        window.setTimeout(function () {
+          expect(getSuggestions()).to.deep.equal(['Firefox']);
+          done();
+        }, 50);
+      });
+
+      it('should request the next suggestions when scrolling to the bottom', function (done) {
+        var source = sinon.spy(function (request) {
+          return {
+            items: request.start ? ['Flock'] : ['Firefox'],
+            total: 2
+          };
+        });
+
+        el.source = source;
+        typeValue('f');
+
+        window.setTimeout(function () {
+          el._handleScrollBottom();
+
+          window.setTimeout(function () {
+            expect(source.getCall(1).args[0].start).to.equal(1);
+            expect(getSuggestions()).to.deep.equal(['Firefox', 'Flock']);
+
+            // All suggestions are loaded
+            el._handleScrollBottom();
+            expect(source.callCount).to.equal(2);
+            done();
+          }, 0);
+        }, 0);
+      });
+
+      it('should display an error if the suggestions could not be loaded', function (done) {
+        el.source = function () {
+          return Promise.reject(new Error('Network error'));
+        };
+
+        typeValue('fi');
+
+        window.setTimeout(function () {
+          var item = el._elements.selectList.items.first();
+          expect(el.loading).to.be.false;
+          expect(item.disabled).to.be.true;
+          expect(item.getAttribute('role')).to.equal('status');
+          expect(item.textContent).to.equal(i18n.get('Unable to load suggestions.'));
+          done();
+        }, 0);
+      });
+
+      it('should not be requested if coral-autocomplete:showsuggestions is prevented', function () {
+        var source = sinon.spy();
+
+        el.source = source;
+        el.on('coral-autocomplete:showsuggestions', function (event) {
+          event.preventDefault();
+        });
+        typeValue('fi');
+
+        expect(source.callCount).to.equal(0);
+      });
+    });
+
     it('#clear() should clear the value', function () {
       el.value = 'Hello!';
 
@@ -466,6 +970,64 @@ describe('Autocomplete', function () {
       });
     });
 
+    describe('#coral-autocomplete:loaderror', function () {
+      it('should trigger if the source failed to provide suggestions', function (done) {
+        var error = new Error('Network error');
+        var spy = sinon.spy();
+
+        el.on('coral-autocomplete:loaderror', spy);
+        el.source = function () {
+          return Promise.reject(error);
+        };
+
+        el._elements.input.value = 'fi';
+        helpers.event('input', el._elements.input);
+
+        window.setTimeout(function () {
+          expect(spy.callCount).to.equal(1);
+          expect(spy.getCall(0).args[0].detail).to.deep.equal({
+            value: 'fi',
+            start: 0,
+            error: error
+          });
+          done();
+        }, 0);
+      });
+    });
+
+    describe('#coral-autocomplete:tagcreate', function () {
+      beforeEach(function () {
+        el.multiple = true;
+        el.delimiters = ',';
+      });
+
+      it('should trigger when a tag is created from the user input', function () {
+        var spy = sinon.spy();
+        el.on('coral-autocomplete:tagcreate', spy);
+
+        el._elements.input.value = 'foo,bar,';
+        helpers.event('input', el._elements.input);
+
+        expect(spy.callCount).to.equal(2);
+        expect(spy.getCall(0).args[0].detail.value).to.equal('foo');
+        expect(spy.getCall(1).args[0].detail.value).to.equal('bar');
+      });
+
+      it('should keep the entry in the input if prevented', function () {
+        el.on('coral-autocomplete:tagcreate', function (event) {
+          if (event.detail.value === 'foo') {
+            event.preventDefault();
+          }
+        });
+
+        el._elements.input.value = 'foo,bar,';
+        helpers.event('input', el._elements.input);
+
+        expect(el.values).to.deep.equal(['bar']);
+        expect(el._elements.input.value).to.equal('foo');
+      });
+    });
+
     describe('#change', function () {
       it('should trigger change events when an item is selected inside of the SelectList', function (done) {
         var spy = sinon.spy();
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export default {
+  "en-US": {
+    "Back": "Back",
+    "Next": "Next",
+    "Done": "Done",
+    "Skip tour": "Skip tour",
+    "Step {0} of {1}": "Step {0} of {1}"
+  },
+  "de-DE": {
+    "Back": "Zurück",
+    "Next": "Weiter",
+    "Done": "Fertig",
+    "Skip tour": "Tour überspringen",
+    "Step {0} of {1}": "Schritt {0} von {1}"
+  },
+  "fr-FR": {
+    "Back": "Précédent",
+    "Next": "Suivant",
+    "Done": "Terminé",
+    "Skip tour": "Ignorer la visite",
+    "Step {0} of {1}": "Étape {0} sur {1}"
+  },
+  "it-IT": {
+    "Back": "Indietro",
+    "Next": "Successivo",
+    "Done": "Fine",
+    "Skip tour": "Salta tour",
+    "Step {0} of {1}": "Passaggio {0} di {1}"
+  },
+  "ja-JP": {
+    "Back": "戻る",
+    "Next": "次へ",
+    "Done": "完了",
+    "Skip tour": "ツアーをスキップ",
+    "Step {0} of {1}": "ステップ {0}/{1}"
+  },
+  "es-ES": {
+    "Back": "Atrás",
+    "Next": "Siguiente",
+    "Done": "Listo",
+    "Skip tour": "Omitir recorrido",
+    "Step {0} of {1}": "Paso {0} de {1}"
+  },
+  "ko-KR": {
+    "Back": "뒤로",
+    "Next": "다음",
+    "Done": "완료",
+    "Skip tour": "둘러보기 건너뛰기",
+    "Step {0} of {1}": "{1}단계 중 {0}단계"
+  },
+  "zh-CN": {
+    "Back": "返回",
+    "Next": "下一步",
+    "Done": "完成",
+    "Skip tour": "跳过教程",
+    "Step {0} of {1}": "第 {0} 步，共 {1} 步"
+  },
+  "zh-TW": {
+    "Back": "返回",
+    "Next": "下一步",
+    "Done": "完成",
+    "Skip tour": "略過導覽",
+    "Step {0} of {1}": "第 {0} 步，共 {1} 步"
+  },
+  "pt-BR": {
+    "Back": "Voltar",
+    "Next": "Próximo",
+    "Done": "Concluído",
+    "Skip tour": "Ignorar tour",
+    "Step {0} of {1}": "Etapa {0} de {1}"
+  },
+  "nl-NL": {
+    "Back": "Terug",
+    "Next": "Volgende",
+    "Done": "Gereed",
+    "Skip tour": "Rondleiding overslaan",
+    "Step {0} of {1}": "Stap {0} van {1}"
+  },
+  "da-DK": {
+    "Back": "Tilbage",
+    "Next": "Næste",
+    "Done": "Udført",
+    "Skip tour": "Spring rundvisning over",
+    "Step {0} of {1}": "Trin {0} af {1}"
+  },
+  "fi-FI": {
+    "Back": "Takaisin",
+    "Next": "Seuraava",
+    "Done": "Valmis",
+    "Skip tour": "Ohita esittely",
+    "Step {0} of {1}": "Vaihe {0}/{1}"
+  },
+  "nb-NO": {
+    "Back": "Tilbake",
+    "Next": "Neste",
+    "Done": "Ferdig",
+    "Skip tour": "Hopp over omvisning",
+    "Step {0} of {1}": "Trinn {0} av {1}"
+  },
+  "sv-SE": {
+    "Back": "Tillbaka",
+    "Next": "Nästa",
+    "Done": "Klar",
+    "Skip tour": "Hoppa över rundturen",
+    "Step {0} of {1}": "Steg {0} av {1}"
+  },
+  "cs-CZ": {
+    "Back": "Zpět",
+    "Next": "Další",
+    "Done": "Hotovo",
+    "Skip tour": "Přeskočit prohlídku",
+    "Step {0} of {1}": "Krok {0} z {1}"
+  },
+  "pl-PL": {
+    "Back": "Wstecz",
+    "Next": "Dalej",
+    "Done": "Gotowe",
+    "Skip tour": "Pomiń przewodnik",
+    "Step {0} of {1}": "Krok {0} z {1}"
+  },
+  "ru-RU": {
+    "Back": "Назад",
+    "Next": "Далее",
+    "Done": "Готово",
+    "Skip tour": "Пропустить тур",
+    "Step {0} of {1}": "Шаг {0} из {1}"
+  },
+  "tr-TR": {
+    "Back": "Geri",
+    "Next": "İleri",
+    "Done": "Bitti",
+    "Skip tour": "Turu atla",
+    "Step {0} of {1}": "Adım {0}/{1}"
+  }
+};
@@ -15,13 +15,21 @@ import '../coral-theme-spectrum';
 import '../coral-externals';
 import '../coral-compat';
 
+import translations from './i18n/translations';
+import {strings, commons} from '../coral-utils';
 import CoachMark from './src/scripts/CoachMark';
+import CoachMarkTour from './src/scripts/CoachMarkTour';
 
 import './src/styles/index.css';
 
-import {commons} from '../coral-utils';
+// i18n
+commons.extend(strings, {
+  'coral-component-coachmark': translations
+});
 
 // Expose component on the Coral namespace
 commons._define('coral-coachmark', CoachMark);
 
-export {CoachMark};
+CoachMark.Tour = CoachMarkTour;
+
+export {CoachMark, CoachMarkTour};
@@ -0,0 +1,677 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import Vent from '@adobe/vent';
+import CoachMark from './CoachMark';
+import {Popover} from '../../../coral-component-popover';
+import {Button} from '../../../coral-component-button';
+import {i18n, transform} from '../../../coral-utils';
+
+const CLASSNAME = '_coral-CoachMarkTour';
+
+// Prefix of the keys used to persist the state of a tour
+const STORAGE_PREFIX = 'coral-coachmark-tour:';
+
+// Default time to wait for a step target to be rendered
+const DEFAULT_TARGET_TIMEOUT = 5000;
+
+/**
+ Enumeration for the persisted {@link CoachMarkTour} states.
+
+ @typedef {Object} CoachMarkTourStateEnum
+
+ @property {String} COMPLETED
+ The user went through all the steps of the tour.
+ @property {String} SKIPPED
+ The user skipped the tour.
+ */
+const state = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ Default storage adapter. Persists tour states in the local storage of the browser if available.
+
+ @ignore
+ */
+const localStorageAdapter = {
+  getItem(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  },
+
+  setItem(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (e) {
+      // Private browsing or storage quota exceeded, the tour will be shown again
+    }
+  },
+
+  removeItem(key) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (e) {
+      // Storage not available
+    }
+  }
+};
+
+/**
+ Returns the step target element if it is rendered, <code>null</code> otherwise.
+
+ @ignore
+ */
+function getTargetElement(target) {
+  if (target instanceof HTMLElement) {
+    return document.body.contains(target) ? target : null;
+  }
+
+  return typeof target === 'string' ? document.querySelector(target) : null;
+}
+
+/**
+ Returns whether the element is entirely within the viewport.
+
+ @ignore
+ */
+function isInViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.top >= 0 && rect.left >= 0 &&
+    rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+    rect.right <= (window.innerWidth || document.documentElement.clientWidth);
+}
+
+/**
+ Replaces the header or content of the popover. Strings are added as text.
+
+ @ignore
+ */
+function setContentZone(zone, value) {
+  zone.innerHTML = '';
+
+  if (value instanceof HTMLElement) {
+    zone.appendChild(value);
+  } else {
+    zone.textContent = transform.string(value);
+  }
+}
+
+/**
+ Creates a footer button of the tour popover.
+
+ @ignore
+ */
+function createButton(label, variant) {
+  const button = new Button().set({
+    label: {
+      textContent: label
+    },
+    variant: variant
+  }, true);
+  button.type = 'button';
+
+  return button;
+}
+
+/**
+ @class Coral.CoachMark.Tour
+ @classdesc A tour controller chaining coach marks into a guided, multi-step onboarding flow. Each step highlights its
+ target with a {@link CoachMark} and explains it in a {@link Popover} offering next, back and skip navigation.
+ Targets that are not rendered yet are waited for and scrolled into view. Completed and skipped tours are persisted
+ through a storage adapter so that they are not shown again.
+ @param {CoachMarkTourOptions} options
+ The tour options.
+ */
+class CoachMarkTour {
+  /**
+   Takes the {CoachMarkTourOptions} as argument.
+
+   @param {CoachMarkTourOptions} options
+   */
+  constructor(options) {
+    options = options || {};
+
+    if (!options.id) {
+      throw new Error('Coral.CoachMark.Tour: id is missing');
+    }
+
+    this._id = transform.string(options.id);
+    this._steps = Array.isArray(options.steps) ? options.steps.slice() : [];
+    this._storage = options.storage || localStorageAdapter;
+    this._targetTimeout = typeof options.targetTimeout === 'number' ? options.targetTimeout : DEFAULT_TARGET_TIMEOUT;
+
+    // Index of the displayed step, -1 if the tour is not running
+    this._currentStep = -1;
+
+    // Identifies the last navigation to ignore outdated target lookups
+    this._navigationId = 0;
+    this._waitObserver = null;
+    this._waitTimeout = null;
+
+    this._coachMark = new CoachMark();
+    this._coachMark.classList.add(`${CLASSNAME}-coachMark`);
+    this._coachMark.hidden = true;
+
+    this._popover = new Popover();
+    this._popover.classList.add(CLASSNAME);
+    this._popover.closable = Popover.closable.OFF;
+    // The tour is only ended with the skip button or the escape key
+    this._popover.interaction = Popover.interaction.OFF;
+    // Users can interact with the highlighted elements
+    this._popover.trapFocus = Popover.trapFocus.OFF;
+    this._popover.target = this._coachMark;
+
+    this._elements = {
+      stepLabel: document.createElement('span'),
+      skipButton: createButton(i18n.get('Skip tour'), Button.variant.QUIET_SECONDARY),
+      backButton: createButton(i18n.get('Back'), Button.variant.SECONDARY),
+      nextButton: createButton(i18n.get('Next'), Button.variant.CTA)
+    };
+    this._elements.stepLabel.className = `${CLASSNAME}-step`;
+    this._elements.skipButton.classList.add(`${CLASSNAME}-skip`);
+
+    Object.keys(this._elements).forEach((name) => {
+      this._popover.footer.appendChild(this._elements[name]);
+    });
+
+    this._elements.skipButton.addEventListener('click', () => this.skip());
+    this._elements.backButton.addEventListener('click', () => this.previous());
+    this._elements.nextButton.addEventListener('click', () => this.next());
+    this._popover.addEventListener('keydown', (event) => {
+      // Escape skips the tour
+      if (event.keyCode === 27) {
+        event.preventDefault();
+        this.skip();
+      }
+    });
+
+    // Prepare Vent
+    this._tourEvents = new Vent(this._popover);
+  }
+
+  /**
+   The tour identifier, used to persist its state.
+
+   @type {String}
+   @readonly
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   The ordered tour steps.
+
+   @type {Array.<CoachMarkTourStep>}
+   @readonly
+   */
+  get steps() {
+    return this._steps;
+  }
+
+  /**
+   The index of the displayed step or <code>-1</code> if the tour is not running.
+
+   @type {Number}
+   @readonly
+   */
+  get currentStep() {
+    return this._currentStep;
+  }
+
+  /**
+   Whether the tour is running.
+
+   @type {Boolean}
+   @readonly
+   */
+  get running() {
+    return this._running || false;
+  }
+
+  /**
+   The popover displaying the steps. Tour events are dispatched on it.
+
+   @type {Popover}
+   @readonly
+   */
+  get popover() {
+    return this._popover;
+  }
+
+  /**
+   The coach mark highlighting the step targets.
+
+   @type {CoachMark}
+   @readonly
+   */
+  get coachMark() {
+    return this._coachMark;
+  }
+
+  /**
+   Starts the tour at its first step unless the user already completed or skipped it.
+
+   @param {Boolean} [force=false]
+   Whether to start the tour even if the user already completed or skipped it.
+
+   @returns {Promise.<Boolean>}
+   A promise resolved with <code>true</code> if the tour was started.
+   */
+  start(force) {
+    if (this.running) {
+      return Promise.resolve(true);
+    }
+
+    return (force ? Promise.resolve(false) : this.isCompleted()).then((isCompleted) => {
+      if (isCompleted || this.running || !this._steps.length) {
+        return false;
+      }
+
+      this._running = true;
+      document.body.appendChild(this._coachMark);
+      document.body.appendChild(this._popover);
+
+      this._tourEvents.dispatch('coral-coachmarktour:start', {
+        detail: {
+          tour: this
+        }
+      });
+
+      this._goTo(0, 1);
+      return true;
+    });
+  }
+
+  /**
+   Shows the next step or completes the tour if the last step is displayed.
+   */
+  next() {
+    if (!this.running) {
+      return;
+    }
+
+    if (this._currentStep >= this._steps.length - 1) {
+      this._end(state.COMPLETED);
+    } else {
+      this._goTo(this._currentStep + 1, 1);
+    }
+  }
+
+  /**
+   Shows the previous step.
+   */
+  previous() {
+    if (this.running && this._currentStep > 0) {
+      this._goTo(this._currentStep - 1, -1);
+    }
+  }
+
+  /**
+   Shows the step at the given index.
+
+   @param {Number} index
+   The index of the step.
+   */
+  show(index) {
+    if (this.running && index >= 0 && index < this._steps.length) {
+      this._goTo(index, index < this._currentStep ? -1 : 1);
+    }
+  }
+
+  /**
+   Ends the tour and persists that the user skipped it.
+   */
+  skip() {
+    if (this.running) {
+      this._end(state.SKIPPED);
+    }
+  }
+
+  /**
+   Ends the tour without persisting its state. It will be shown again on the next start.
+   */
+  stop() {
+    if (this.running) {
+      this._end(null);
+    }
+  }
+
+  /**
+   Returns whether the user already completed or skipped the tour. The tour is considered not completed if the storage
+   fails.
+
+   @returns {Promise.<Boolean>}
+   */
+  isCompleted() {
+    return new Promise((resolve) => {
+      resolve(this._storage.getItem(this._storageKey));
+    })
+      .then((value) => value === state.COMPLETED || value === state.SKIPPED)
+      // The tour is shown if the storage is not available
+      .catch(() => false);
+  }
+
+  /**
+   Forgets that the user completed or skipped the tour.
+
+   @returns {Promise}
+   */
+  reset() {
+    return Promise.resolve(this._storage.removeItem(this._storageKey));
+  }
+
+  /**
+   Ends the tour if running and removes its elements.
+   */
+  destroy() {
+    this.stop();
+    this._tourEvents.destroy();
+  }
+
+  /** @private */
+  get _storageKey() {
+    return `${STORAGE_PREFIX}${this._id}`;
+  }
+
+  /**
+   Waits for the target of the step and displays it. Steps whose target doesn't show up in time are passed over in the
+   navigation direction.
+
+   @private
+   */
+  _goTo(index, direction) {
+    if (index < 0) {
+      index = 0;
+      direction = 1;
+    }
+
+    if (index >= this._steps.length) {
+      // The tour is only completed if the user saw at least one of its steps
+      this._end(this._currentStep === -1 ? null : state.COMPLETED);
+      return;
+    }
+
+    const navigationId = ++this._navigationId;
+    const step = this._steps[index];
+
+    this._waitForTarget(step.target).then((target) => {
+      // Ignore outdated lookups
+      if (navigationId !== this._navigationId || !this.running) {
+        return;
+      }
+
+      if (target) {
+        this._showStep(index, target);
+      } else {
+        this._goTo(index + direction, direction);
+      }
+    });
+  }
+
+  /**
+   Resolves with the target element once it is rendered or with <code>null</code> once the timeout is reached.
+
+   @private
+   */
+  _waitForTarget(target) {
+    this._stopWaiting();
+
+    const element = getTargetElement(target);
+    if (element) {
+      return Promise.resolve(element);
+    }
+
+    // Hide the previous step while waiting
+    this._popover.open = false;
+    this._coachMark.hidden = true;
+
+    return new Promise((resolve) => {
+      const done = (result) => {
+        this._stopWaiting();
+        resolve(result);
+      };
+
+      this._waitObserver = new MutationObserver(() => {
+        const found = getTargetElement(target);
+        if (found) {
+          done(found);
+        }
+      });
+      this._waitObserver.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+
+      this._waitTimeout = window.setTimeout(() => done(null), this._targetTimeout);
+    });
+  }
+
+  /** @private */
+  _stopWaiting() {
+    if (this._waitObserver) {
+      this._waitObserver.disconnect();
+      this._waitObserver = null;
+    }
+
+    window.clearTimeout(this._waitTimeout);
+    this._waitTimeout = null;
+  }
+
+  /** @private */
+  _showStep(index, target) {
+    const step = this._steps[index];
+    const isLast = index === this._steps.length - 1;
+
+    this._currentStep = index;
+
+    if (!isInViewport(target)) {
+      target.scrollIntoView({block: 'center', inline: 'nearest'});
+    }
+
+    this._coachMark.hidden = false;
+    this._coachMark.target = target;
+
+    setContentZone(this._popover.header, step.title);
+    setContentZone(this._popover.content, step.content);
+    this._popover.placement = step.placement || Popover.placement.RIGHT;
+
+    this._elements.stepLabel.textContent = i18n.get('Step {0} of {1}', index + 1, this._steps.length);
+    this._elements.backButton.hidden = index === 0;
+    this._elements.nextButton.label.textContent = isLast ? i18n.get('Done') : i18n.get('Next');
+
+    // The coach mark is positioned in the next frame, the popover follows it
+    window.requestAnimationFrame(() => {
+      if (!this.running || this._currentStep !== index) {
+        return;
+      }
+
+      if (this._popover.open) {
+        this._popover.reposition();
+      } else {
+        this._popover.open = true;
+      }
+
+      this._tourEvents.dispatch('coral-coachmarktour:change', {
+        detail: {
+          tour: this,
+          index: index,
+          step: step,
+          target: target
+        }
+      });
+    });
+  }
+
+  /** @private */
+  _end(endState) {
+    const index = this._currentStep;
+
+    this._running = false;
+    this._currentStep = -1;
+    this._navigationId++;
+    this._stopWaiting();
+
+    this._popover.open = false;
+    this._coachMark.hidden = true;
+    this._coachMark.target = null;
+
+    if (endState) {
+      // Asynchronous adapters may reject, the tour is then shown again on the next start
+      new Promise((resolve) => {
+        resolve(this._storage.setItem(this._storageKey, endState));
+      }).catch(() => {});
+    }
+
+    const eventName = {
+      [state.COMPLETED]: 'complete',
+      [state.SKIPPED]: 'skip'
+    }[endState] || 'stop';
+
+    this._tourEvents.dispatch(`coral-coachmarktour:${eventName}`, {
+      detail: {
+        tour: this,
+        index: index
+      }
+    });
+
+    this._coachMark.remove();
+    this._popover.remove();
+  }
+
+  /**
+   Returns {@link CoachMarkTour} persisted states.
+
+   @return {CoachMarkTourStateEnum}
+   */
+  static get state() {
+    return state;
+  }
+
+  /**
+   The default storage adapter, persisting tour states in the local storage of the browser.
+
+   @type {CoachMarkTourStorage}
+   */
+  static get localStorage() {
+    return localStorageAdapter;
+  }
+}
+
+/**
+ A step of a {@link CoachMarkTour}.
+
+ @typedef {Object} CoachMarkTourStep
+
+ @property {String|HTMLElement} target
+ The element to highlight or a CSS selector matching it. The tour waits for the target to be rendered.
+ @property {String|HTMLElement} [title]
+ The title of the step. Strings are added as text.
+ @property {String|HTMLElement} [content]
+ The content of the step. Strings are added as text.
+ @property {String} [placement=OverlayPlacementEnum.RIGHT]
+ The placement of the step popover relative to the target. See {@link OverlayPlacementEnum}.
+ */
+
+/**
+ The options of a {@link CoachMarkTour}.
+
+ @typedef {Object} CoachMarkTourOptions
+
+ @property {String} id
+ The tour identifier, used to persist whether the user completed or skipped the tour.
+ @property {Array.<CoachMarkTourStep>} steps
+ The ordered tour steps.
+ @property {CoachMarkTourStorage} [storage=CoachMarkTour.localStorage]
+ The storage adapter persisting the tour state.
+ @property {Number} [targetTimeout=5000]
+ The time in milliseconds to wait for a step target to be rendered before passing over the step.
+ */
+
+/**
+ A storage adapter persisting the state of tours. Its interface matches <code>window.localStorage</code> and
+ <code>window.sessionStorage</code> which can be used directly. Methods may return promises to support
+ asynchronous storages, e.g. user preferences persisted on a server.
+
+ @typedef {Object} CoachMarkTourStorage
+
+ @property {function} getItem
+ Called with a key, returns the stored value or <code>null</code>.
+ @property {function} setItem
+ Called with a key and the value to store.
+ @property {function} removeItem
+ Called with the key to remove.
+ */
+
+/**
+ Triggered when a {@link CoachMarkTour} is started.
+
+ @typedef {CustomEvent} coral-coachmarktour:start
+
+ @property {CoachMarkTour} tour
+ The started tour.
+ */
+
+/**
+ Triggered when a {@link CoachMarkTour} step is displayed.
+
+ @typedef {CustomEvent} coral-coachmarktour:change
+
+ @property {CoachMarkTour} tour
+ The running tour.
+ @property {Number} index
+ The index of the displayed step.
+ @property {CoachMarkTourStep} step
+ The displayed step.
+ @property {HTMLElement} target
+ The highlighted element.
+ */
+
+/**
+ Triggered when the user went through all the steps of a {@link CoachMarkTour}.
+
+ @typedef {CustomEvent} coral-coachmarktour:complete
+
+ @property {CoachMarkTour} tour
+ The completed tour.
+ @property {Number} index
+ The index of the last displayed step.
+ */
+
+/**
+ Triggered when the user skipped a {@link CoachMarkTour}.
+
+ @typedef {CustomEvent} coral-coachmarktour:skip
+
+ @property {CoachMarkTour} tour
+ The skipped tour.
+ @property {Number} index
+ The index of the step displayed when skipped.
+ */
+
+/**
+ Triggered when a {@link CoachMarkTour} is stopped without persisting its state.
+
+ @typedef {CustomEvent} coral-coachmarktour:stop
+
+ @property {CoachMarkTour} tour
+ The stopped tour.
+ @property {Number} index
+ The index of the step displayed when stopped.
+ */
+
+export default CoachMarkTour;
@@ -11,3 +11,4 @@
  */
 
 import './test.CoachMark';
+import './test.CoachMarkTour';
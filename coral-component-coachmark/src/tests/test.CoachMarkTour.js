@@ -0,0 +1,423 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {helpers} from '../../../coral-utils/src/tests/helpers';
+import {CoachMark, CoachMarkTour} from '../../../coral-component-coachmark';
+
+describe('CoachMark.Tour', function () {
+  let storage;
+  let tour;
+
+  // In-memory storage adapter
+  const createStorage = function () {
+    const items = {};
+    return {
+      getItem: (key) => items.hasOwnProperty(key) ? items[key] : null,
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      }
+    };
+  };
+
+  const createTour = function (options) {
+    return new CoachMarkTour(Object.assign({
+      id: 'test',
+      storage: storage,
+      targetTimeout: 100,
+      steps: [
+        {target: '#step1', title: 'First', content: 'First step'},
+        {target: '#step2', title: 'Second', content: 'Second step', placement: 'bottom'},
+        {target: '#step3', title: 'Third', content: 'Third step'}
+      ]
+    }, options));
+  };
+
+  const onChange = function (callback) {
+    tour.popover.addEventListener('coral-coachmarktour:change', function handler(event) {
+      tour.popover.removeEventListener('coral-coachmarktour:change', handler);
+      callback(event);
+    });
+  };
+
+  beforeEach(function () {
+    storage = createStorage();
+    helpers.build('<div><button id="step1">One</button><button id="step2">Two</button><button id="step3">Three</button></div>');
+  });
+
+  afterEach(function () {
+    if (tour) {
+      tour.destroy();
+      tour = null;
+    }
+  });
+
+  describe('Namespace', function () {
+    it('should be exposed on CoachMark', function () {
+      expect(CoachMark.Tour).to.equal(CoachMarkTour);
+    });
+  });
+
+  describe('Instantiation', function () {
+    it('should throw without id', function () {
+      expect(() => new CoachMarkTour({steps: []})).to.throw(Error);
+    });
+
+    it('should not be running by default', function () {
+      tour = createTour();
+      expect(tour.id).to.equal('test');
+      expect(tour.steps.length).to.equal(3);
+      expect(tour.running).to.be.false;
+      expect(tour.currentStep).to.equal(-1);
+    });
+  });
+
+  describe('API', function () {
+    describe('#start()', function () {
+      it('should show the first step', function (done) {
+        tour = createTour();
+
+        onChange((event) => {
+          expect(event.detail.index).to.equal(0);
+          expect(event.detail.target).to.equal(document.getElementById('step1'));
+          expect(tour.currentStep).to.equal(0);
+          expect(tour.popover.open).to.be.true;
+          expect(tour.popover.header.textContent).to.equal('First');
+          expect(tour.popover.content.textContent).to.equal('First step');
+          expect(tour.popover.target).to.equal(tour.coachMark);
+          expect(tour.coachMark.target).to.equal(event.detail.target);
+          expect(tour.popover.querySelector('._coral-CoachMarkTour-step').textContent).to.equal('Step 1 of 3');
+          done();
+        });
+
+        tour.start().then((started) => {
+          expect(started).to.be.true;
+          expect(tour.running).to.be.true;
+        });
+      });
+
+      it('should not start a completed tour', function (done) {
+        storage.setItem('coral-coachmark-tour:test', CoachMarkTour.state.COMPLETED);
+        tour = createTour();
+
+        tour.start().then((started) => {
+          expect(started).to.be.false;
+          expect(tour.running).to.be.false;
+          done();
+        });
+      });
+
+      it('should start a completed tour if forced', function (done) {
+        storage.setItem('coral-coachmark-tour:test', CoachMarkTour.state.SKIPPED);
+        tour = createTour();
+
+        tour.start(true).then((started) => {
+          expect(started).to.be.true;
+          done();
+        });
+      });
+
+      it('should support asynchronous storage adapters', function (done) {
+        tour = createTour({
+          storage: {
+            getItem: () => Promise.resolve(CoachMarkTour.state.COMPLETED),
+            setItem: () => Promise.resolve(),
+            removeItem: () => Promise.resolve()
+          }
+        });
+
+        tour.start().then((started) => {
+          expect(started).to.be.false;
+          done();
+        });
+      });
+
+      it('should start if the storage adapter throws', function (done) {
+        tour = createTour({
+          storage: {
+            getItem: () => {
+              throw new Error('Storage not available');
+            },
+            setItem: () => null,
+            removeItem: () => null
+          }
+        });
+
+        tour.start().then((started) => {
+          expect(started).to.be.true;
+          expect(tour.running).to.be.true;
+          done();
+        });
+      });
+
+      it('should start if the storage adapter rejects', function (done) {
+        tour = createTour({
+          storage: {
+            getItem: () => Promise.reject(new Error('Storage not available')),
+            setItem: () => Promise.resolve(),
+            removeItem: () => Promise.resolve()
+          }
+        });
+
+        tour.start().then((started) => {
+          expect(started).to.be.true;
+          expect(tour.running).to.be.true;
+          done();
+        });
+      });
+    });
+
+    describe('#next()', function () {
+      it('should navigate through the steps and complete the tour', function (done) {
+        tour = createTour();
+        const completeSpy = sinon.spy();
+        tour.popover.addEventListener('coral-coachmarktour:complete', completeSpy);
+
+        onChange(() => {
+          onChange((event) => {
+            expect(event.detail.index).to.equal(1);
+            expect(tour.popover.placement).to.equal('bottom');
+
+            onChange(() => {
+              expect(tour.currentStep).to.equal(2);
+              tour.next();
+
+              expect(completeSpy.callCount).to.equal(1);
+              expect(tour.running).to.be.false;
+              expect(tour.currentStep).to.equal(-1);
+              expect(document.body.contains(tour.popover)).to.be.false;
+
+              tour.isCompleted().then((isCompleted) => {
+                expect(isCompleted).to.be.true;
+                expect(storage.getItem('coral-coachmark-tour:test')).to.equal(CoachMarkTour.state.COMPLETED);
+                done();
+              });
+            });
+
+            tour.next();
+          });
+
+          tour.next();
+        });
+
+        tour.start();
+      });
+
+      it('should wait for targets that are not rendered yet', function (done) {
+        document.getElementById('step2').remove();
+        tour = createTour({targetTimeout: 1000});
+
+        onChange(() => {
+          onChange((event) => {
+            expect(event.detail.index).to.equal(1);
+            expect(event.detail.target.id).to.equal('step2');
+            done();
+          });
+
+          tour.next();
+
+          // Render the target later
+          window.setTimeout(() => {
+            const target = document.createElement('button');
+            target.id = 'step2';
+            helpers.target.appendChild(target);
+          }, 50);
+        });
+
+        tour.start();
+      });
+
+      it('should pass over steps whose target is not rendered in time', function (done) {
+        document.getElementById('step2').remove();
+        tour = createTour();
+
+        onChange(() => {
+          onChange((event) => {
+            expect(event.detail.index).to.equal(2);
+            done();
+          });
+
+          tour.next();
+        });
+
+        tour.start();
+      });
+
+      it('should stop without persisting the tour if no target is rendered in time', function (done) {
+        ['step1', 'step2', 'step3'].forEach(id => document.getElementById(id).remove());
+        tour = createTour({targetTimeout: 10});
+        const completeSpy = sinon.spy();
+        const stopSpy = sinon.spy();
+        tour.popover.addEventListener('coral-coachmarktour:complete', completeSpy);
+        tour.popover.addEventListener('coral-coachmarktour:stop', stopSpy);
+
+        tour.start();
+
+        window.setTimeout(() => {
+          expect(tour.running).to.be.false;
+          expect(completeSpy.callCount).to.equal(0);
+          expect(stopSpy.callCount).to.equal(1);
+          expect(storage.getItem('coral-coachmark-tour:test')).to.equal(null);
+          done();
+        }, 100);
+      });
+    });
+
+    describe('#previous()', function () {
+      it('should show the previous step', function (done) {
+        tour = createTour();
+
+        onChange(() => {
+          expect(tour._elements.backButton.hidden).to.be.true;
+
+          onChange(() => {
+            expect(tour._elements.backButton.hidden).to.be.false;
+
+            onChange((event) => {
+              expect(event.detail.index).to.equal(0);
+              done();
+            });
+
+            tour.previous();
+          });
+
+          tour.next();
+        });
+
+        tour.start();
+      });
+    });
+
+    describe('#skip()', function () {
+      it('should end the tour and persist it', function (done) {
+        tour = createTour();
+        const skipSpy = sinon.spy();
+        tour.popover.addEventListener('coral-coachmarktour:skip', skipSpy);
+
+        onChange(() => {
+          tour.skip();
+
+          expect(skipSpy.callCount).to.equal(1);
+          expect(skipSpy.args[0][0].detail.index).to.equal(0);
+          expect(tour.running).to.be.false;
+          expect(storage.getItem('coral-coachmark-tour:test')).to.equal(CoachMarkTour.state.SKIPPED);
+          done();
+        });
+
+        tour.start();
+      });
+
+      it('should ignore storage adapters failing to persist the tour', function (done) {
+        tour = createTour({
+          storage: {
+            getItem: () => null,
+            setItem: () => Promise.reject(new Error('Quota exceeded')),
+            removeItem: () => null
+          }
+        });
+        const unhandledSpy = sinon.spy();
+        window.addEventListener('unhandledrejection', unhandledSpy);
+
+        onChange(() => {
+          tour.skip();
+          expect(tour.running).to.be.false;
+
+          window.setTimeout(() => {
+            window.removeEventListener('unhandledrejection', unhandledSpy);
+            expect(unhandledSpy.callCount).to.equal(0);
+            done();
+          }, 10);
+        });
+
+        tour.start();
+      });
+    });
+
+    describe('#stop()', function () {
+      it('should end the tour without persisting it', function (done) {
+        tour = createTour();
+
+        onChange(() => {
+          tour.stop();
+
+          expect(tour.running).to.be.false;
+          tour.isCompleted().then((isCompleted) => {
+            expect(isCompleted).to.be.false;
+            done();
+          });
+        });
+
+        tour.start();
+      });
+    });
+
+    describe('#reset()', function () {
+      it('should forget that the tour was completed', function (done) {
+        storage.setItem('coral-coachmark-tour:test', CoachMarkTour.state.COMPLETED);
+        tour = createTour();
+
+        tour.reset()
+          .then(() => tour.isCompleted())
+          .then((isCompleted) => {
+            expect(isCompleted).to.be.false;
+            done();
+          });
+      });
+    });
+  });
+
+  describe('User Interaction', function () {
+    it('should show the next step when clicking next', function (done) {
+      tour = createTour();
+
+      onChange(() => {
+        onChange((event) => {
+          expect(event.detail.index).to.equal(1);
+          done();
+        });
+
+        tour._elements.nextButton.click();
+      });
+
+      tour.start();
+    });
+
+    it('should label the next button done on the last step', function (done) {
+      tour = createTour();
+
+      onChange(() => {
+        onChange(() => {
+          expect(tour._elements.nextButton.label.textContent).to.equal('Done');
+          done();
+        });
+
+        tour.show(2);
+      });
+
+      tour.start();
+    });
+
+    it('should skip the tour when clicking skip', function (done) {
+      tour = createTour();
+
+      onChange(() => {
+        tour._elements.skipButton.click();
+        expect(tour.running).to.be.false;
+        done();
+      });
+
+      tour.start();
+    });
+  });
+});
@@ -14,95 +14,114 @@ export default {
   "en-US": {
     "Column View": "Column View",
     ", checked": ", checked",
-    ", unchecked": ", unchecked"
+    ", unchecked": ", unchecked",
+    "Breadcrumbs": "Breadcrumbs"
   },
   "de-DE": {
     "Column View": "Column View",
     ", checked": ", markiert",
-    ", unchecked": ", nicht markiert"
+    ", unchecked": ", nicht markiert",
+    "Breadcrumbs": "Brotkrümelnavigation"
   },
   "fr-FR": {
     "Column View": "Column View",
     ", checked": ", cochée",
-    ", unchecked": ", pas cochée"
+    ", unchecked": ", pas cochée",
+    "Breadcrumbs": "Chemin de navigation"
   },
   "it-IT": {
     "Column View": "Column View",
     ", checked": ", selezionata",
-    ", unchecked": ", non selezionata"
+    ", unchecked": ", non selezionata",
+    "Breadcrumbs": "Percorso di navigazione"
   },
   "ja-JP": {
     "Column View": "Column View",
     ", checked": "、チェック",
-    ", unchecked": "、未チェック"
+    ", unchecked": "、未チェック",
+    "Breadcrumbs": "階層リンク"
   },
   "es-ES": {
     "Column View": "Column View",
     ", checked": ", marcada",
-    ", unchecked": ", desmarcada"
+    ", unchecked": ", desmarcada",
+    "Breadcrumbs": "Ruta de navegación"
   },
   "ko-KR": {
     "Column View": "Column View",
     ", checked": ", 선택됨",
-    ", unchecked": ", 선택되지 않은"
+    ", unchecked": ", 선택되지 않은",
+    "Breadcrumbs": "탐색 경로"
   },
   "zh-CN": {
     "Column View": "Column View",
     ", checked": "，选中",
-    ", unchecked": "，未选中"
+    ", unchecked": "，未选中",
+    "Breadcrumbs": "痕迹导航"
   },
   "zh-TW": {
     "Column View": "Column View",
     ", checked": "，選中",
-    ", unchecked": "，未選中"
+    ", unchecked": "，未選中",
+    "Breadcrumbs": "階層連結"
   },
   "pt-BR": {
     "Column View": "Column View",
     ", checked": ", marcada",
-    ", unchecked": ", desmarcada"
+    ", unchecked": ", desmarcada",
+    "Breadcrumbs": "Trilha de navegação"
   },
   "nl-NL": {
     "Column View": "Column View",
     ", checked": ", geselecteerd",
-    ", unchecked": ", neit geselecteerd"
+    ", unchecked": ", neit geselecteerd",
+    "Breadcrumbs": "Kruimelpad"
   },
   "da-DK": {
     ", checked": ", valgte",
-    ", unchecked": ", ikke valgt"
+    ", unchecked": ", ikke valgt",
+    "Breadcrumbs": "Brødkrummesti"
   },
   "fi-FI": {
     "Column View": "Column View",
     ", checked": ", valittu",
-    ", unchecked": ", valittuna"
+    ", unchecked": ", valittuna",
+    "Breadcrumbs": "Navigointipolku"
   },
   "nb-NO": {
     "Column View": "Column View",
     ", checked": ", valgt",
-    ", unchecked": ", ikke valgt"
+    ", unchecked": ", ikke valgt",
+    "Breadcrumbs": "Navigasjonssti"
   },
   "sv-SE": {
     "Column View": "Column View",
     ", checked": ", markerad",
-    ", unchecked": ", avmarkerad"
+    ", unchecked": ", avmarkerad",
+    "Breadcrumbs": "Navigeringssökväg"
   },
   "cs-CZ": {
     "Column View": "Column View",
     ", checked": ", vybráno",
-    ", unchecked": ", není vybráno"
+    ", unchecked": ", není vybráno",
+    "Breadcrumbs": "Navigační cesta"
   },
   "pl-PL": {
     "Column View": "Column View",
     ", checked": ", zaznaczone",
-    ", unchecked": ", nie zaznaczone"
+    ", unchecked": ", nie zaznaczone",
+    "Breadcrumbs": "Ścieżka nawigacji"
   },
   "ru-RU": {
     "Column View": "Column View",
     ", checked": ", выбранный",
-    ", unchecked": ", неотобранный"
+    ", unchecked": ", неотобранный",
+    "Breadcrumbs": "Навигационная цепочка"
   },
   "tr-TR": {
     "Column View": "Column View",
     ", checked": ", seçilmiş",
-    ", unchecked": ", seçilmemiş"
+    ", unchecked": ", seçilmemiş",
+    "Breadcrumbs": "İçerik haritası"
   }
 }
@@ -11,7 +11,9 @@
  */
 
 import accessibilityState from '../templates/accessibilityState';
+import breadcrumbs from '../templates/breadcrumbs';
 import {BaseComponent} from '../../../coral-base-component';
+import {Icon} from '../../../coral-component-icon';
 import ColumnViewCollection from './ColumnViewCollection';
 import isInteractiveTarget from './isInteractiveTarget';
 import selectionMode from './selectionMode';
@@ -57,7 +59,8 @@ class ColumnView extends BaseComponent(HTMLElement) {
 
     // Content zone
     this._elements = {
-      accessibilityState: this.querySelector('span[handle="accessibilityState"]')
+      accessibilityState: this.querySelector('span[handle="accessibilityState"]'),
+      breadcrumbs: this.querySelector('nav[handle="breadcrumbs"]')
     };
 
     if (!this._elements.accessibilityState) {
@@ -67,6 +70,12 @@ class ColumnView extends BaseComponent(HTMLElement) {
       this._elements.accessibilityState.hidden = true;
     }
 
+    if (this._elements.breadcrumbs) {
+      this._elements.breadcrumbsList = this._elements.breadcrumbs.querySelector('[handle="breadcrumbsList"]');
+    } else {
+      breadcrumbs.call(this._elements, {i18n});
+    }
+
     // Events
     this._delegateEvents({
       // Prevents text selection while selecting multiple items
@@ -91,6 +100,12 @@ class ColumnView extends BaseComponent(HTMLElement) {
       'mousedown coral-columnview-item': '_onItemMouseDown',
       'mouseup coral-columnview-item': '_onItemMouseUp',
 
+      // breadcrumbs
+      'click ._coral-Breadcrumbs-itemLink': '_onBreadcrumbClick',
+      'key:enter ._coral-Breadcrumbs-itemLink': '_onBreadcrumbClick',
+      'key:space ._coral-Breadcrumbs-itemLink': '_onBreadcrumbClick',
+      'coral-columnview:navigate': '_onNavigate',
+
       // column events
       'coral-columnview-column:_loaditems': '_onColumnLoadItems',
       'coral-columnview-column:_activeitemchanged': '_onColumnActiveItemChanged',
@@ -100,6 +115,8 @@ class ColumnView extends BaseComponent(HTMLElement) {
     // Defaults
     this._oldActiveItem = null;
     this._oldSelection = [];
+    this._navigationId = 0;
+    this._pendingNavigation = null;
 
     // default value of inner flag to process events
     this._bulkSelectionChange = false;
@@ -217,6 +234,37 @@ class ColumnView extends BaseComponent(HTMLElement) {
     return this.items._getAllActive().pop() || null;
   }
 
+  /**
+   Whether a breadcrumb bar showing the path of active items is displayed above the columns. Selecting one of its
+   entries navigates back to the corresponding item.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute breadcrumbs
+   @htmlattributereflected
+   */
+  get breadcrumbs() {
+    return this._breadcrumbs || false;
+  }
+
+  set breadcrumbs(value) {
+    this._breadcrumbs = transform.booleanAttr(value);
+    this._reflectAttribute('breadcrumbs', this._breadcrumbs);
+
+    this.classList.toggle(`${CLASSNAME}--breadcrumbs`, this._breadcrumbs);
+
+    const breadcrumbsElement = this._elements.breadcrumbs;
+    if (this._breadcrumbs) {
+      if (breadcrumbsElement.parentNode !== this) {
+        this.insertBefore(breadcrumbsElement, this.firstChild);
+      }
+
+      this._renderBreadcrumbs();
+    } else if (breadcrumbsElement.parentNode) {
+      breadcrumbsElement.parentNode.removeChild(breadcrumbsElement);
+    }
+  }
+
   /** @private */
   _onColumnActiveItemChanged(event) {
     // this is a private event and should not leave the column view
@@ -813,6 +861,167 @@ class ColumnView extends BaseComponent(HTMLElement) {
     delete matchedTarget._flagMouseDown;
   }
 
+  /** @private */
+  _onNavigate(event) {
+    // navigation events of nested column views are ignored
+    if (event.target !== this) {
+      return;
+    }
+
+    if (this.breadcrumbs) {
+      this._renderBreadcrumbs();
+    }
+
+    const pendingNavigation = this._pendingNavigation;
+    if (pendingNavigation) {
+      if (event.detail.activeItem === pendingNavigation.item) {
+        this._pendingNavigation = null;
+        this._navigateToStep(event.detail.column, pendingNavigation.path, pendingNavigation.index + 1,
+          pendingNavigation.navigationId, pendingNavigation.resolve);
+      }
+      // the user navigated somewhere else in the meantime
+      else if (!pendingNavigation.item.active) {
+        this._pendingNavigation = null;
+        pendingNavigation.resolve(null);
+      }
+    }
+  }
+
+  /** @private */
+  _onBreadcrumbClick(event) {
+    event.preventDefault();
+
+    const link = event.matchedTarget;
+
+    // the last entry represents the current location
+    if (link.hasAttribute('aria-current')) {
+      return;
+    }
+
+    const index = Array.prototype.indexOf.call(this._elements.breadcrumbsList.children, link.parentNode);
+    const path = this.items._getAllActive().slice(0, index + 1);
+
+    this.navigateTo(path).then((item) => {
+      if (item) {
+        item.focus();
+      }
+    });
+  }
+
+  /** @private */
+  _renderBreadcrumbs() {
+    const list = this._elements.breadcrumbsList;
+    const activeItems = this.items._getAllActive();
+
+    list.innerHTML = '';
+
+    activeItems.forEach((item, index) => {
+      const listItem = document.createElement('li');
+      listItem.className = '_coral-Breadcrumbs-item';
+
+      const link = document.createElement('div');
+      link.className = '_coral-Breadcrumbs-itemLink';
+      link.setAttribute('role', 'link');
+      // items might not be upgraded yet
+      link.textContent = (item.content || item).textContent.trim();
+
+      if (index === activeItems.length - 1) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.tabIndex = 0;
+      }
+
+      listItem.appendChild(link);
+      listItem.insertAdjacentHTML('beforeend', Icon._renderSVG('spectrum-css-icon-ChevronRightSmall', ['_coral-Breadcrumbs-itemSeparator', '_coral-UIIcon-ChevronRightSmall']));
+      list.appendChild(listItem);
+    });
+
+    this._elements.breadcrumbs.hidden = activeItems.length === 0;
+  }
+
+  /**
+   Finds the item of the given column that matches a step of a path given to {@link ColumnView#navigateTo}.
+
+   @private
+   */
+  _getPathItem(column, step) {
+    const items = column.items.getAll();
+
+    if (typeof step === 'function') {
+      return items.filter(step)[0] || null;
+    }
+
+    if (typeof step === 'string') {
+      return items.filter(item => item.content.textContent.trim() === step)[0] || null;
+    }
+
+    return items.indexOf(step) !== -1 ? step : null;
+  }
+
+  /**
+   Activates the item of the given column matching the step of the path at the given index. If the path continues,
+   the navigation resumes once the column of the item is loaded.
+
+   @private
+   */
+  _navigateToStep(column, path, index, navigationId, resolve) {
+    // a newer navigation was requested
+    if (navigationId !== this._navigationId || !column || column.tagName !== 'CORAL-COLUMNVIEW-COLUMN') {
+      resolve(null);
+      return;
+    }
+
+    commons.ready(column, () => {
+      if (navigationId !== this._navigationId) {
+        resolve(null);
+        return;
+      }
+
+      const item = this._getPathItem(column, path[index]);
+      if (!item) {
+        resolve(null);
+        return;
+      }
+
+      const isLastStep = index === path.length - 1;
+
+      if (item.active) {
+        if (isLastStep) {
+          // activating the item again removes the columns that follow it
+          if (item !== this.activeItem) {
+            item.click();
+          }
+
+          resolve(item);
+          return;
+        }
+
+        // the column of the item is already loaded
+        const nextColumn = column.nextElementSibling;
+        if (nextColumn && nextColumn.tagName === 'CORAL-COLUMNVIEW-COLUMN') {
+          this._navigateToStep(nextColumn, path, index + 1, navigationId, resolve);
+          return;
+        }
+      }
+
+      // waits for the column of the item to be added with {@link ColumnView#setNextColumn}
+      if (!isLastStep) {
+        this._pendingNavigation = {item, path, index, navigationId, resolve};
+      }
+
+      // activating the item requests its column with a coral-columnview:loaditems event
+      if (item.active) {
+        item.click();
+      } else {
+        item.active = true;
+      }
+
+      if (isLastStep) {
+        resolve(item);
+      }
+    });
+  }
+
   /** @ignore */
   _updateAriaLevel(column) {
     const colIndex = this.columns.getAll().indexOf(column);
@@ -982,6 +1191,12 @@ class ColumnView extends BaseComponent(HTMLElement) {
     const addedNodesCount = addedNodes.length;
     for (let i = 0 ; i < addedNodesCount ; i++) {
       item = addedNodes[i];
+
+      // the breadcrumbs are not part of the navigated path
+      if (item === this._elements.breadcrumbs) {
+        continue;
+      }
+
       if (this.activeItem) {
         // @a11y add aria-owns attribute to active item to express relationship of added column to the active item
         this.activeItem.setAttribute('aria-owns', item.id);
@@ -1291,6 +1506,37 @@ class ColumnView extends BaseComponent(HTMLElement) {
     });
   }
 
+  /**
+   Navigates to the given path by activating, column after column, the item matching each step of the path. Items that
+   are already active are kept and their column is reused, otherwise the column of the item is requested with a
+   {@link coral-columnview:loaditems} event and the navigation resumes once it was added with
+   {@link ColumnView#setNextColumn}.
+
+   @param {Array.<ColumnViewPathStep>} path
+   The steps of the path, starting from the first column.
+
+   @returns {Promise} resolved with the item matching the last step once it is active, or with <code>null</code> if
+   the path could not be followed or another navigation was requested.
+
+   @emits {coral-columnview:loaditems}
+   @emits {coral-columnview:activeitemchange}
+   */
+  navigateTo(path) {
+    const navigationId = ++this._navigationId;
+
+    // a navigation waiting for a column to be loaded is superseded
+    if (this._pendingNavigation) {
+      this._pendingNavigation.resolve(null);
+      this._pendingNavigation = null;
+    }
+
+    path = path || [];
+
+    return new Promise((resolve) => {
+      this._navigateToStep(this.columns.first(), path, 0, navigationId, resolve);
+    });
+  }
+
   /**
    Returns {@link ColumnView} selection options.
 
@@ -1309,7 +1555,8 @@ class ColumnView extends BaseComponent(HTMLElement) {
   /** @ignore */
   static get observedAttributes() {
     return super.observedAttributes.concat([
-      'selectionmode'
+      'selectionmode',
+      'breadcrumbs'
     ]);
   }
 
@@ -1336,8 +1583,33 @@ class ColumnView extends BaseComponent(HTMLElement) {
 
     // no need to wait for the mutation observers
     this._setStateFromDOM();
+
+    if (this.breadcrumbs) {
+      this._renderBreadcrumbs();
+    }
   }
 
+  /**
+   A step of the path given to {@link ColumnView#navigateTo}. It is either the item itself, the text content of the
+   item or a function that tells whether an item matches.
+
+   @typedef {String|ColumnViewItem|ColumnViewPathPredicate} ColumnViewPathStep
+   */
+
+  /**
+   Signature of the function used by {@link ColumnView#navigateTo} to tell whether an item of a column matches a step
+   of the path.
+
+   @typedef {function} ColumnViewPathPredicate
+
+   @param {ColumnViewItem} item
+   The item to check.
+   @param {Number} index
+   The index of the item in its column.
+
+   @returns {Boolean} whether the item matches.
+   */
+
   /**
    Triggered when additional items can be loaded into the {@link ColumnView}. This will happen when the current column can
    still hold more items, when the user scrolls down the current column or when a new column needs to be loaded. If
@@ -139,6 +139,182 @@ describe('ColumnView', function () {
 
     describe('#setNextColumn()', function () {
     });
+
+    describe('#breadcrumbs', function () {
+      it('should default to false', function () {
+        expect(el.breadcrumbs).to.be.false;
+        expect(el.querySelector('._coral-MillerColumns-breadcrumbs')).to.equal(null);
+      });
+
+      it('should show the breadcrumbs above the columns', function () {
+        el.breadcrumbs = true;
+
+        expect(el.hasAttribute('breadcrumbs')).to.be.true;
+        expect(el.classList.contains('_coral-MillerColumns--breadcrumbs')).to.be.true;
+        expect(el.querySelector('._coral-MillerColumns-breadcrumbs')).to.not.equal(null);
+        expect(el.columns.length).to.equal(0, 'The breadcrumbs are not a column');
+      });
+
+      it('should remove the breadcrumbs when set to false', function () {
+        el.breadcrumbs = true;
+        el.breadcrumbs = false;
+
+        expect(el.hasAttribute('breadcrumbs')).to.be.false;
+        expect(el.classList.contains('_coral-MillerColumns--breadcrumbs')).to.be.false;
+        expect(el.querySelector('._coral-MillerColumns-breadcrumbs')).to.equal(null);
+      });
+
+      it('should render an entry per active item', function () {
+        const columnView = helpers.build(window.__html__['ColumnView.full.html']);
+        columnView.breadcrumbs = true;
+
+        const links = columnView.querySelectorAll('._coral-Breadcrumbs-itemLink');
+        const activeItems = columnView.items._getAllActive();
+
+        expect(links.length).to.equal(activeItems.length);
+        activeItems.forEach(function (item, index) {
+          expect(links[index].textContent).to.equal(item.content.textContent.trim());
+        });
+
+        expect(links[links.length - 1].getAttribute('aria-current')).to.equal('location');
+        expect(links[0].tabIndex).to.equal(0);
+      });
+
+      it('should be hidden when no item is active', function () {
+        const columnView = helpers.build(window.__html__['ColumnView.base.html']);
+        columnView.breadcrumbs = true;
+
+        expect(columnView.querySelector('._coral-MillerColumns-breadcrumbs').hidden).to.be.true;
+      });
+
+      it('should be synced when navigating', function (done) {
+        const columnView = helpers.build(window.__html__['ColumnView.base.html']);
+        columnView.breadcrumbs = true;
+
+        columnView.on('coral-columnview:navigate', function () {
+          const links = columnView.querySelectorAll('._coral-Breadcrumbs-itemLink');
+
+          expect(columnView.querySelector('._coral-MillerColumns-breadcrumbs').hidden).to.be.false;
+          expect(links.length).to.equal(1);
+          expect(links[0].textContent).to.equal('English');
+
+          done();
+        });
+
+        columnView.items.getAll()[0].click();
+      });
+
+      it('should navigate back to the item of the clicked entry', function (done) {
+        const columnView = helpers.build(window.__html__['ColumnView.base.html']);
+        columnView.breadcrumbs = true;
+
+        columnView.navigateTo(['English', 'Products']).then(function () {
+          const links = columnView.querySelectorAll('._coral-Breadcrumbs-itemLink');
+          expect(links.length).to.equal(2);
+
+          links[0].click();
+
+          helpers.next(function () {
+            expect(columnView.activeItem.content.textContent.trim()).to.equal('English');
+            expect(document.activeElement).to.equal(columnView.activeItem);
+
+            done();
+          });
+        });
+      });
+    });
+
+    describe('#navigateTo()', function () {
+      let columnView;
+
+      beforeEach(function () {
+        columnView = helpers.build(window.__html__['ColumnView.base.html']);
+      });
+
+      afterEach(function () {
+        columnView = null;
+      });
+
+      it('should activate the items along the path', function (done) {
+        columnView.navigateTo(['English', 'Products']).then(function (item) {
+          expect(item).to.equal(columnView.activeItem);
+          expect(item.content.textContent.trim()).to.equal('Products');
+
+          const activeItems = columnView.items._getAllActive();
+          expect(activeItems.length).to.equal(2);
+          expect(activeItems[0].content.textContent.trim()).to.equal('English');
+
+          done();
+        });
+      });
+
+      it('should trigger a "coral-columnview:loaditems" event for each column of the path', function (done) {
+        const loadItemsSpy = sinon.spy();
+        columnView.on('coral-columnview:loaditems', loadItemsSpy);
+
+        columnView.navigateTo(['English', 'Products']).then(function () {
+          expect(loadItemsSpy.callCount).to.equal(2);
+          expect(loadItemsSpy.getCall(0).args[0].detail.item.content.textContent.trim()).to.equal('English');
+          expect(loadItemsSpy.getCall(1).args[0].detail.item.content.textContent.trim()).to.equal('Products');
+
+          done();
+        });
+      });
+
+      it('should reuse the columns that are already loaded', function (done) {
+        const loadItemsSpy = sinon.spy();
+
+        columnView.navigateTo(['English', 'Products']).then(function () {
+          columnView.on('coral-columnview:loaditems', loadItemsSpy);
+
+          return columnView.navigateTo(['English', 'Services']);
+        }).then(function (item) {
+          expect(item.content.textContent.trim()).to.equal('Services');
+          expect(loadItemsSpy.callCount).to.equal(1);
+          expect(loadItemsSpy.getCall(0).args[0].detail.item).to.equal(item);
+
+          done();
+        });
+      });
+
+      it('should support items and predicates as steps', function (done) {
+        const english = columnView.items.getAll()[0];
+
+        columnView.navigateTo([english, function (item, index) {
+          return index === 1;
+        }]).then(function (item) {
+          expect(english.active).to.be.true;
+          expect(item.content.textContent.trim()).to.equal('Services');
+
+          done();
+        });
+      });
+
+      it('should resolve with null if a step does not match any item', function (done) {
+        columnView.navigateTo(['English', 'Unknown']).then(function (item) {
+          expect(item).to.equal(null);
+          expect(columnView.activeItem.content.textContent.trim()).to.equal('English');
+
+          done();
+        });
+      });
+
+      it('should resolve with null if another navigation is requested', function (done) {
+        const firstNavigation = columnView.navigateTo(['English', 'Products']);
+        const secondNavigation = columnView.navigateTo(['Document']);
+
+        firstNavigation.then(function (item) {
+          expect(item).to.equal(null);
+
+          return secondNavigation;
+        }).then(function (item) {
+          expect(item).to.equal(columnView.activeItem);
+          expect(item.content.textContent.trim()).to.equal('Document');
+
+          done();
+        });
+      });
+    });
   });
 
   describe('Markup', function () {
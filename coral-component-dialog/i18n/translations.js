@@ -12,60 +12,117 @@
 
 export default {
   "en-US": {
-    "Close": "Close"
+    "Close": "Close",
+    "OK": "OK",
+    "Cancel": "Cancel",
+    "Resize": "Resize"
   },
   "de-DE": {
-    "Close": "Schließen"
+    "Close": "Schließen",
+    "OK": "OK",
+    "Cancel": "Abbrechen",
+    "Resize": "Größe ändern"
   },
   "fr-FR": {
-    "Close": "Fermer"
+    "Close": "Fermer",
+    "OK": "OK",
+    "Cancel": "Annuler",
+    "Resize": "Redimensionner"
   },
   "it-IT": {
-    "Close": "Chiudi"
+    "Close": "Chiudi",
+    "OK": "OK",
+    "Cancel": "Annulla",
+    "Resize": "Ridimensiona"
   },
   "ja-JP": {
-    "Close": "閉じる"
+    "Close": "閉じる",
+    "OK": "OK",
+    "Cancel": "キャンセル",
+    "Resize": "サイズ変更"
   },
   "es-ES": {
-    "Close": "Cerrar"
+    "Close": "Cerrar",
+    "OK": "Aceptar",
+    "Cancel": "Cancelar",
+    "Resize": "Cambiar tamaño"
   },
   "ko-KR": {
-    "Close": "닫기"
+    "Close": "닫기",
+    "OK": "확인",
+    "Cancel": "취소",
+    "Resize": "크기 조정"
   },
   "zh-CN": {
-    "Close": "关闭"
+    "Close": "关闭",
+    "OK": "确定",
+    "Cancel": "取消",
+    "Resize": "调整大小"
   },
   "zh-TW": {
-    "Close": "關閉"
+    "Close": "關閉",
+    "OK": "確定",
+    "Cancel": "取消",
+    "Resize": "調整大小"
   },
   "pt-BR": {
-    "Close": "Fechar"
+    "Close": "Fechar",
+    "OK": "OK",
+    "Cancel": "Cancelar",
+    "Resize": "Redimensionar"
   },
   "nl-NL": {
-    "Close": "Sluiten"
+    "Close": "Sluiten",
+    "OK": "OK",
+    "Cancel": "Annuleren",
+    "Resize": "Formaat wijzigen"
   },
   "da-DK": {
-    "Close": "Luk"
+    "Close": "Luk",
+    "OK": "OK",
+    "Cancel": "Annuller",
+    "Resize": "Tilpas størrelse"
   },
   "fi-FI": {
-    "Close": "Sulje"
+    "Close": "Sulje",
+    "OK": "OK",
+    "Cancel": "Peruuta",
+    "Resize": "Muuta kokoa"
   },
   "nb-NO": {
-    "Close": "Lukk"
+    "Close": "Lukk",
+    "OK": "OK",
+    "Cancel": "Avbryt",
+    "Resize": "Endre størrelse"
   },
   "sv-SE": {
-    "Close": "Stäng"
+    "Close": "Stäng",
+    "OK": "OK",
+    "Cancel": "Avbryt",
+    "Resize": "Ändra storlek"
   },
   "cs-CZ": {
-    "Close": "Zavřít"
+    "Close": "Zavřít",
+    "OK": "OK",
+    "Cancel": "Zrušit",
+    "Resize": "Změnit velikost"
   },
   "pl-PL": {
-    "Close": "Zamknij"
+    "Close": "Zamknij",
+    "OK": "OK",
+    "Cancel": "Anuluj",
+    "Resize": "Zmień rozmiar"
   },
   "ru-RU": {
-    "Close": "Закрыть"
+    "Close": "Закрыть",
+    "OK": "ОК",
+    "Cancel": "Отмена",
+    "Resize": "Изменить размер"
   },
   "tr-TR": {
-    "Close": "Kapat"
+    "Close": "Kapat",
+    "OK": "Tamam",
+    "Cancel": "İptal",
+    "Resize": "Yeniden boyutlandır"
   }
 };
@@ -16,6 +16,7 @@ import {DragAction} from '../../../coral-dragaction';
 import {Icon} from '../../../coral-component-icon';
 import '../../../coral-component-button';
 import base from '../templates/base';
+import {type as messageType, showMessageDialog} from './messageDialog';
 import {commons, transform, validate, i18n} from '../../../coral-utils';
 
 /**
@@ -100,6 +101,56 @@ const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
 const CLASSNAME = '_coral-Dialog';
 // Modifier classnames
 const FULLSCREEN_CLASSNAME = `${CLASSNAME}--fullscreenTakeover`;
+const RESIZABLE_CLASSNAME = `${CLASSNAME}--resizable`;
+const RESIZE_HANDLE_CLASSNAME = `${CLASSNAME}-resizeHandle`;
+
+// Resize handles by direction with their cursor
+const RESIZE_CURSORS = {
+  n: 'ns',
+  s: 'ns',
+  e: 'ew',
+  w: 'ew',
+  ne: 'nesw',
+  sw: 'nesw',
+  nw: 'nwse',
+  se: 'nwse'
+};
+
+// Default minimum size of a resizable dialog in pixels
+const MIN_WIDTH = 288;
+const MIN_HEIGHT = 160;
+
+// Keyboard resize step in pixels
+const RESIZE_STEP = 10;
+
+// Prefix of the keys used to persist the position and size of dialogs
+const STORAGE_PREFIX = 'coral-dialog:';
+
+/**
+ Reads the persisted position and size of a dialog.
+
+ @ignore
+ */
+function readGeometry(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(`${STORAGE_PREFIX}${key}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ Persists the position and size of a dialog.
+
+ @ignore
+ */
+function writeGeometry(key, geometry) {
+  try {
+    window.localStorage.setItem(`${STORAGE_PREFIX}${key}`, JSON.stringify(geometry));
+  } catch (e) {
+    // Storage not available, the dialog will be centered next time
+  }
+}
 
 // A string of all possible variant classnames
 const ALL_VARIANT_CLASSES = [];
@@ -140,9 +191,19 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
       'click': '_handleClick',
 
       // Handle resize events
-      'global:resize': 'center',
-
-      'global:key:escape': '_handleEscape'
+      'global:resize': '_handleWindowResize',
+
+      'global:key:escape': '_handleEscape',
+
+      // Movable and resizable dialogs
+      'coral-dragaction:dragend': '_handleDragEnd',
+      'coral-dragaction:dragstart ._coral-Dialog-resizeHandle': '_handleResizeStart',
+      'coral-dragaction:drag ._coral-Dialog-resizeHandle': '_handleResize',
+      'coral-dragaction:dragend ._coral-Dialog-resizeHandle': '_handleResizeEnd',
+      'key:left ._coral-Dialog-resizeHandle': '_handleResizeKey',
+      'key:right ._coral-Dialog-resizeHandle': '_handleResizeKey',
+      'key:up ._coral-Dialog-resizeHandle': '_handleResizeKey',
+      'key:down ._coral-Dialog-resizeHandle': '_handleResizeKey'
     });
 
     // Override defaults from Overlay
@@ -360,8 +421,9 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
     this._reflectAttribute('fullscreen', this._fullscreen);
 
     if (this._fullscreen) {
-      // Full screen and movable are not compatible
+      // Full screen is not compatible with movable and resizable
       this.movable = false;
+      this.resizable = false;
       this._elements.wrapper.classList.add(FULLSCREEN_CLASSNAME);
     } else {
       this._elements.wrapper.classList.remove(FULLSCREEN_CLASSNAME);
@@ -383,6 +445,9 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
       // If not child of document.body, we have to move it there
       this._moveToDocumentBody();
 
+      // Restore the remembered position and size
+      this._restoreGeometry();
+
       // Show the backdrop, if necessary
       if (this.backdrop !== backdrop.NONE) {
         this._showBackdrop();
@@ -397,6 +462,9 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
       // Handles what to focus based on focusOnShow
       if (this.open) {
         commons.transitionEnd(this._elements.wrapper, () => {
+          // A remembered position might be out of the viewport
+          this._clampToViewport();
+
           this._handleFocus();
           this._elements.closeButton.tabIndex = 0;
           this._elements.closeButton.removeAttribute('coral-tabcapture');
@@ -478,6 +546,139 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
     }
   }
 
+  /**
+   Whether the dialog can be resized by dragging its edges and corners. The bottom right corner can also be focused
+   and resized with the arrow keys.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute resizable
+   @htmlattributereflected
+   */
+  get resizable() {
+    return this._resizable || false;
+  }
+
+  set resizable(value) {
+    this._resizable = transform.booleanAttr(value);
+    this._reflectAttribute('resizable', this._resizable);
+
+    // Resizable and fullscreen are not compatible
+    if (this._resizable) {
+      this.fullscreen = false;
+
+      if (!this._elements.resizeHandles) {
+        this._elements.resizeHandles = Object.keys(RESIZE_CURSORS).map((direction) => {
+          const handle = document.createElement('div');
+          handle.className = `${RESIZE_HANDLE_CLASSNAME} ${RESIZE_HANDLE_CLASSNAME}--${direction}`;
+          handle.setAttribute('data-direction', direction);
+          return handle;
+        });
+
+        // Only one handle is reachable with the keyboard
+        const keyboardHandle = this._elements.resizeHandles[Object.keys(RESIZE_CURSORS).indexOf('se')];
+        keyboardHandle.tabIndex = 0;
+        keyboardHandle.setAttribute('role', 'button');
+        keyboardHandle.setAttribute('aria-label', i18n.get('Resize'));
+      }
+
+      this._elements.resizeHandles.forEach((handle) => {
+        if (!handle.dragAction) {
+          const dragAction = new DragAction(handle);
+          dragAction.handle = handle;
+        }
+      });
+    } else if (this._elements.resizeHandles) {
+      this._elements.resizeHandles.forEach((handle) => {
+        if (handle.dragAction) {
+          handle.dragAction.destroy();
+        }
+      });
+
+      // Restore the default size once it's not resizable anymore
+      this._elements.wrapper.style.width = '';
+      this._elements.wrapper.style.height = '';
+    }
+
+    this._renderResizeHandles();
+  }
+
+  /**
+   The minimum width in pixels the dialog can be resized to. Defaults to 288 pixels.
+
+   @type {?Number}
+   @default null
+   @htmlattribute minwidth
+   */
+  get minWidth() {
+    return typeof this._minWidth === 'number' ? this._minWidth : null;
+  }
+
+  set minWidth(value) {
+    this._minWidth = transform.number(value);
+  }
+
+  /**
+   The minimum height in pixels the dialog can be resized to. Defaults to 160 pixels.
+
+   @type {?Number}
+   @default null
+   @htmlattribute minheight
+   */
+  get minHeight() {
+    return typeof this._minHeight === 'number' ? this._minHeight : null;
+  }
+
+  set minHeight(value) {
+    this._minHeight = transform.number(value);
+  }
+
+  /**
+   The maximum width in pixels the dialog can be resized to. The dialog can't be resized beyond the viewport.
+
+   @type {?Number}
+   @default null
+   @htmlattribute maxwidth
+   */
+  get maxWidth() {
+    return typeof this._maxWidth === 'number' ? this._maxWidth : null;
+  }
+
+  set maxWidth(value) {
+    this._maxWidth = transform.number(value);
+  }
+
+  /**
+   The maximum height in pixels the dialog can be resized to. The dialog can't be resized beyond the viewport.
+
+   @type {?Number}
+   @default null
+   @htmlattribute maxheight
+   */
+  get maxHeight() {
+    return typeof this._maxHeight === 'number' ? this._maxHeight : null;
+  }
+
+  set maxHeight(value) {
+    this._maxHeight = transform.number(value);
+  }
+
+  /**
+   The key used to remember the position of a movable dialog and the size of a resizable dialog in the local storage
+   of the browser. They are restored the next time the dialog is opened, even in another session.
+
+   @type {String}
+   @default ""
+   @htmlattribute persistkey
+   */
+  get persistKey() {
+    return this._persistKey || '';
+  }
+
+  set persistKey(value) {
+    this._persistKey = transform.string(value);
+  }
+
   /**
    Inherited from {@link BaseComponent#trackingElement}.
    */
@@ -569,6 +770,267 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
   }
 
   /** @ignore */
+  _handleWindowResize() {
+    // Moved and resized dialogs keep their position as long as they fit in the viewport
+    if (this.open && (this.movable || this.resizable)) {
+      this._clampToViewport();
+    } else {
+      this.center();
+    }
+  }
+
+  _handleDragEnd(event) {
+    // Only remember the position once the dialog was moved
+    if (event.target === this) {
+      this._saveGeometry();
+    }
+  }
+
+  _handleResizeStart(event) {
+    const direction = event.matchedTarget.getAttribute('data-direction');
+    const rect = this._elements.wrapper.getBoundingClientRect();
+
+    this._resizeStart = {
+      direction: direction,
+      pageX: event.detail.pageX,
+      pageY: event.detail.pageY,
+      width: rect.width,
+      height: rect.height,
+      left: parseFloat(this.style.left) || 0,
+      top: parseFloat(this.style.top) || 0
+    };
+
+    // Keep the resize cursor while dragging
+    document.body.classList.add(`${CLASSNAME}-isResizing--${RESIZE_CURSORS[direction]}`);
+  }
+
+  _handleResize(event) {
+    const start = this._resizeStart;
+    const handle = event.matchedTarget;
+
+    if (!start) {
+      return;
+    }
+
+    this._resize(start, event.detail.pageX - start.pageX, event.detail.pageY - start.pageY);
+
+    // The drag action moves the handle which is positioned relative to the dialog
+    requestAnimationFrame(() => {
+      handle.style.left = '';
+      handle.style.top = '';
+    });
+  }
+
+  _handleResizeEnd(event) {
+    const handle = event.matchedTarget;
+    handle.style.left = '';
+    handle.style.top = '';
+
+    if (this._resizeStart) {
+      document.body.classList.remove(`${CLASSNAME}-isResizing--${RESIZE_CURSORS[this._resizeStart.direction]}`);
+      this._resizeStart = null;
+    }
+
+    this._saveGeometry();
+  }
+
+  _handleResizeKey(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const rect = this._elements.wrapper.getBoundingClientRect();
+    const start = {
+      direction: event.matchedTarget.getAttribute('data-direction'),
+      width: rect.width,
+      height: rect.height,
+      left: parseFloat(this.style.left) || 0,
+      top: parseFloat(this.style.top) || 0
+    };
+
+    const key = event.keyCode;
+    const deltaX = key === 37 ? -RESIZE_STEP : key === 39 ? RESIZE_STEP : 0;
+    const deltaY = key === 38 ? -RESIZE_STEP : key === 40 ? RESIZE_STEP : 0;
+
+    this._resize(start, deltaX, deltaY);
+    this._saveGeometry();
+  }
+
+  /**
+   Resizes the dialog from the given start geometry by moving the edges of the resize direction. The opposite edges
+   don't move.
+
+   @ignore
+   */
+  _resize(start, deltaX, deltaY) {
+    const direction = start.direction;
+    const limits = this._getSizeLimits();
+
+    let width = start.width;
+    let height = start.height;
+
+    if (direction.indexOf('e') !== -1) {
+      width += deltaX;
+    } else if (direction.indexOf('w') !== -1) {
+      width -= deltaX;
+    }
+
+    if (direction.indexOf('s') !== -1) {
+      height += deltaY;
+    } else if (direction.indexOf('n') !== -1) {
+      height -= deltaY;
+    }
+
+    width = Math.min(Math.max(width, limits.minWidth), limits.maxWidth);
+    height = Math.min(Math.max(height, limits.minHeight), limits.maxHeight);
+
+    // The dialog is centered, half of the size difference is compensated to keep the opposite edges in place
+    const offsetX = (width - start.width) / 2;
+    const offsetY = (height - start.height) / 2;
+    let left = start.left;
+    let top = start.top;
+
+    if (direction.indexOf('e') !== -1) {
+      left += offsetX;
+    } else if (direction.indexOf('w') !== -1) {
+      left -= offsetX;
+    }
+
+    if (direction.indexOf('s') !== -1) {
+      top += offsetY;
+    } else if (direction.indexOf('n') !== -1) {
+      top -= offsetY;
+    }
+
+    this._elements.wrapper.style.width = `${width}px`;
+    this._elements.wrapper.style.height = `${height}px`;
+    this.style.left = `${left}px`;
+    this.style.top = `${top}px`;
+  }
+
+  /** @ignore */
+  _getSizeLimits() {
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = document.documentElement.clientHeight;
+
+    const maxWidth = Math.min(this.maxWidth === null ? viewportWidth : this.maxWidth, viewportWidth);
+    const maxHeight = Math.min(this.maxHeight === null ? viewportHeight : this.maxHeight, viewportHeight);
+
+    return {
+      minWidth: Math.min(this.minWidth === null ? MIN_WIDTH : this.minWidth, maxWidth),
+      minHeight: Math.min(this.minHeight === null ? MIN_HEIGHT : this.minHeight, maxHeight),
+      maxWidth: maxWidth,
+      maxHeight: maxHeight
+    };
+  }
+
+  /**
+   Moves the dialog back into the viewport and shrinks it if it was resized beyond the viewport.
+
+   @ignore
+   */
+  _clampToViewport() {
+    if (this.fullscreen || !this.open) {
+      return;
+    }
+
+    const wrapper = this._elements.wrapper;
+    const viewportWidth = document.documentElement.clientWidth;
+    const viewportHeight = document.documentElement.clientHeight;
+
+    if (wrapper.style.width || wrapper.style.height) {
+      const limits = this._getSizeLimits();
+      const rect = wrapper.getBoundingClientRect();
+
+      if (rect.width > limits.maxWidth) {
+        wrapper.style.width = `${limits.maxWidth}px`;
+      }
+      if (rect.height > limits.maxHeight) {
+        wrapper.style.height = `${limits.maxHeight}px`;
+      }
+    }
+
+    // Only moved or resized dialogs can be out of the viewport
+    if (!this.style.left && !this.style.top) {
+      return;
+    }
+
+    const rect = wrapper.getBoundingClientRect();
+    let left = parseFloat(this.style.left) || 0;
+    let top = parseFloat(this.style.top) || 0;
+
+    if (rect.left < 0) {
+      left -= rect.left;
+    } else if (rect.right > viewportWidth) {
+      left -= Math.min(rect.right - viewportWidth, rect.left);
+    }
+
+    if (rect.top < 0) {
+      top -= rect.top;
+    } else if (rect.bottom > viewportHeight) {
+      top -= Math.min(rect.bottom - viewportHeight, rect.top);
+    }
+
+    this.style.left = `${left}px`;
+    this.style.top = `${top}px`;
+  }
+
+  /** @ignore */
+  _saveGeometry() {
+    if (!this.persistKey) {
+      return;
+    }
+
+    const wrapper = this._elements.wrapper;
+    writeGeometry(this.persistKey, {
+      left: parseFloat(this.style.left) || 0,
+      top: parseFloat(this.style.top) || 0,
+      width: parseFloat(wrapper.style.width) || null,
+      height: parseFloat(wrapper.style.height) || null
+    });
+  }
+
+  /** @ignore */
+  _restoreGeometry() {
+    const geometry = this.persistKey && readGeometry(this.persistKey);
+    if (!geometry || this.fullscreen) {
+      return;
+    }
+
+    if (this.resizable && geometry.width && geometry.height) {
+      this._elements.wrapper.style.width = `${geometry.width}px`;
+      this._elements.wrapper.style.height = `${geometry.height}px`;
+    }
+
+    // Resizing a centered dialog also moves it
+    if (this.movable || this.resizable) {
+      this.style.left = `${geometry.left}px`;
+      this.style.top = `${geometry.top}px`;
+    }
+  }
+
+  /** @ignore */
+  _renderResizeHandles() {
+    const wrapper = this._elements.wrapper;
+    const handles = this._elements.resizeHandles || [];
+
+    // Remove handles copied when cloning
+    Array.prototype.forEach.call(wrapper.querySelectorAll(`.${RESIZE_HANDLE_CLASSNAME}`), (handle) => {
+      if (handle.parentNode === wrapper && handles.indexOf(handle) === -1) {
+        wrapper.removeChild(handle);
+      }
+    });
+
+    wrapper.classList.toggle(RESIZABLE_CLASSNAME, this.resizable);
+
+    handles.forEach((handle) => {
+      if (this.resizable) {
+        wrapper.appendChild(handle);
+      } else if (handle.parentNode) {
+        handle.parentNode.removeChild(handle);
+      }
+    });
+  }
+
   _moveToDocumentBody() {
     // Not in the DOM
     if (!document.body.contains(this)) {
@@ -637,6 +1099,42 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
     };
   }
 
+  /**
+   Shows a message to the user in a dialog with an OK button.
+
+   @param {DialogMessageOptions|String} options
+   The options of the dialog, or the text of its content.
+
+   @returns {Promise} resolved once the dialog is closed.
+   */
+  static alert(options) {
+    return showMessageDialog(this, messageType.ALERT, options);
+  }
+
+  /**
+   Asks the user to confirm an action in a dialog with OK and Cancel buttons.
+
+   @param {DialogMessageOptions|String} options
+   The options of the dialog, or the text of its content.
+
+   @returns {Promise} resolved with <code>true</code> if the user confirmed, otherwise <code>false</code>.
+   */
+  static confirm(options) {
+    return showMessageDialog(this, messageType.CONFIRM, options);
+  }
+
+  /**
+   Asks the user to enter a value in a dialog with a text field, OK and Cancel buttons.
+
+   @param {DialogPromptOptions|String} options
+   The options of the dialog, or the text of its content.
+
+   @returns {Promise} resolved with the entered value if the user confirmed, otherwise <code>null</code>.
+   */
+  static prompt(options) {
+    return showMessageDialog(this, messageType.PROMPT, options);
+  }
+
   /**
    Returns {@link Dialog} variants.
 
@@ -682,10 +1180,26 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
       'fullscreen',
       'icon',
       'closable',
-      'movable'
+      'movable',
+      'resizable',
+      'minwidth',
+      'minheight',
+      'maxwidth',
+      'maxheight',
+      'persistkey'
     ]);
   }
 
+  static get _attributePropertyMap() {
+    return commons.extend(super._attributePropertyMap, {
+      minwidth: 'minWidth',
+      minheight: 'minHeight',
+      maxwidth: 'maxWidth',
+      maxheight: 'maxHeight',
+      persistkey: 'persistKey'
+    });
+  }
+
   /** @ignore */
   render() {
     super.render();
@@ -783,6 +1297,8 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
     this._elements.wrapper.setAttribute('coral-dialog-size', '');
     // Close button should stay under the dialog
     this._elements.wrapper.appendChild(this._elements.closeButton);
+    // Resize handles stay on the edges of the dialog
+    this._renderResizeHandles();
 
     // Copy styles over to new wrapper
     if (this._elements.wrapper.parentNode !== this) {
@@ -796,6 +1312,52 @@ class Dialog extends BaseOverlay(BaseComponent(HTMLElement)) {
     this.footer = footer;
     this.content = content;
   }
+
+  /**
+   Options of the dialogs shown with {@link Dialog.alert} and {@link Dialog.confirm}. The dialogs are opened one after
+   the other and wait for any other modal dialog to be closed. They are removed from the DOM once closed.
+
+   @typedef {Object} DialogMessageOptions
+
+   @property {String|HTMLElement} [header]
+   The text of the dialog header.
+   @property {String|HTMLElement} [content]
+   The text of the dialog content.
+   @property {String} [variant]
+   The dialog variant. See {@link DialogVariantEnum}. Defaults to <code>info</code> for alerts, <code>warning</code>
+   for confirmations and <code>default</code> for prompts.
+   @property {String} [okLabel]
+   The label of the OK button. Defaults to the localized "OK".
+   @property {String} [cancelLabel]
+   The label of the Cancel button. Defaults to the localized "Cancel".
+   */
+
+  /**
+   Options of the dialogs shown with {@link Dialog.prompt}. It supports all {@link DialogMessageOptions} as well.
+
+   @typedef {Object} DialogPromptOptions
+
+   @property {String} [value]
+   The initial value of the text field.
+   @property {String} [placeholder]
+   The placeholder of the text field.
+   @property {String} [label]
+   The accessible label of the text field. Defaults to the text of the content.
+   @property {DialogPromptValidator} [validator]
+   Validates the entered value before the dialog is closed.
+   */
+
+  /**
+   Signature of the function used by {@link Dialog.prompt} to validate the entered value.
+
+   @typedef {function} DialogPromptValidator
+
+   @param {String} value
+   The entered value.
+
+   @returns {Boolean|String} <code>false</code> or an error message shown below the text field if the value is
+   invalid.
+   */
 }
 
 export default Dialog;
@@ -0,0 +1,233 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {Button} from '../../../coral-component-button';
+import {Textfield} from '../../../coral-component-textfield';
+import {commons, i18n, transform} from '../../../coral-utils';
+
+/**
+ Enumeration for the types of message dialogs.
+
+ @private
+ */
+const type = {
+  ALERT: 'alert',
+  CONFIRM: 'confirm',
+  PROMPT: 'prompt'
+};
+
+// Message dialogs waiting to be opened
+const queue = [];
+
+// The message dialog that is currently open
+let current = null;
+
+// Whether we are waiting for another modal dialog to close
+let waitingForModal = false;
+
+/**
+ Returns whether a modal dialog is open.
+ */
+function isModalOpen() {
+  return Array.prototype.some.call(document.querySelectorAll('coral-dialog[open]'), (dialog) => dialog.backdrop !== dialog.constructor.backdrop.NONE);
+}
+
+/**
+ Opens the next message dialog of the queue once no other modal dialog is open.
+ */
+function openNext() {
+  if (current || !queue.length) {
+    return;
+  }
+
+  if (isModalOpen()) {
+    if (!waitingForModal) {
+      waitingForModal = true;
+      document.addEventListener('coral-overlay:close', onModalClose);
+    }
+    return;
+  }
+
+  current = queue.shift();
+  document.body.appendChild(current);
+  current.open = true;
+}
+
+/** Called whenever an overlay is closed while message dialogs are waiting. */
+function onModalClose() {
+  waitingForModal = false;
+  document.removeEventListener('coral-overlay:close', onModalClose);
+  openNext();
+}
+
+/**
+ Sets the header or content of the dialog. Strings are added as text.
+ */
+function setContentZone(zone, value) {
+  if (value instanceof HTMLElement) {
+    zone.appendChild(value);
+  } else {
+    zone.textContent = transform.string(value);
+  }
+}
+
+/**
+ Creates a footer button of a message dialog.
+ */
+function createButton(label, variant) {
+  const button = new Button().set({
+    label: {
+      textContent: label
+    },
+    variant: variant
+  }, true);
+  button.type = 'button';
+
+  return button;
+}
+
+/**
+ Builds a message dialog of the given type and returns a promise resolved with the choice of the user once the dialog
+ is closed. Message dialogs are opened one after the other and only once no other modal dialog is open.
+
+ @param {Function} Dialog
+ The dialog class.
+ @param {String} messageType
+ The type of the message dialog.
+ @param {Object|String|HTMLElement} options
+ The options of the message dialog, or its content.
+
+ @returns {Promise}
+
+ @private
+ */
+function showMessageDialog(Dialog, messageType, options) {
+  options = options && typeof options === 'object' && !(options instanceof HTMLElement) ? options : {content: options};
+
+  const dialog = new Dialog();
+  setContentZone(dialog.header, options.header);
+  setContentZone(dialog.content, options.content);
+
+  // Alerts inform and confirmations warn by default
+  const defaultVariant = {
+    [type.ALERT]: Dialog.variant.INFO,
+    [type.CONFIRM]: Dialog.variant.WARNING,
+    [type.PROMPT]: Dialog.variant.DEFAULT
+  }[messageType];
+
+  dialog.variant = options.variant || defaultVariant;
+  dialog.backdrop = Dialog.backdrop.STATIC;
+
+  // Destructive actions are confirmed with a warning button
+  const isDestructive = dialog.variant === Dialog.variant.WARNING || dialog.variant === Dialog.variant.ERROR;
+  const okButton = createButton(options.okLabel || i18n.get('OK'), isDestructive && messageType === type.CONFIRM ?
+    Button.variant.WARNING :
+    Button.variant.CTA);
+
+  if (messageType !== type.ALERT) {
+    const cancelButton = createButton(options.cancelLabel || i18n.get('Cancel'), Button.variant.DEFAULT);
+    cancelButton.setAttribute('coral-close', '');
+    dialog.footer.appendChild(cancelButton);
+  }
+
+  dialog.footer.appendChild(okButton);
+  dialog.focusOnShow = okButton;
+
+  let input = null;
+  let error = null;
+  if (messageType === type.PROMPT) {
+    input = new Textfield();
+    input.classList.add('_coral-Dialog-promptField');
+    input.value = transform.string(options.value);
+    input.placeholder = transform.string(options.placeholder);
+    input.labelled = options.label || dialog.content.textContent;
+    dialog.content.appendChild(input);
+
+    error = document.createElement('div');
+    error.className = '_coral-Dialog-promptError';
+    error.id = commons.getUID();
+    error.setAttribute('role', 'alert');
+    error.hidden = true;
+    dialog.content.appendChild(error);
+
+    input.setAttribute('aria-describedby', error.id);
+    dialog.focusOnShow = input;
+  }
+
+  // Alerts don't have a choice, confirms are cancelled and prompts have no value unless validated
+  let result = messageType === type.CONFIRM ? false : messageType === type.PROMPT ? null : undefined;
+
+  const validatePrompt = () => {
+    const value = input.value;
+    const message = typeof options.validator === 'function' ? options.validator(value) : true;
+    const isValid = message !== false && typeof message !== 'string';
+
+    input.invalid = !isValid;
+    error.textContent = typeof message === 'string' ? message : '';
+    error.hidden = !error.textContent;
+
+    return isValid;
+  };
+
+  const accept = () => {
+    if (input) {
+      if (!validatePrompt()) {
+        input.focus();
+        return;
+      }
+
+      result = input.value;
+    } else if (messageType === type.CONFIRM) {
+      result = true;
+    }
+
+    dialog.open = false;
+  };
+
+  okButton.addEventListener('click', accept);
+
+  if (input) {
+    input.addEventListener('keydown', (event) => {
+      // Enter submits the prompt
+      if (event.keyCode === 13) {
+        event.preventDefault();
+        accept();
+      }
+    });
+
+    // Errors are cleared as soon as the value is changed
+    input.addEventListener('input', () => {
+      input.invalid = false;
+      error.hidden = true;
+    });
+  }
+
+  return new Promise((resolve) => {
+    dialog.addEventListener('coral-overlay:close', (event) => {
+      // Ignore child overlays
+      if (event.target !== dialog) {
+        return;
+      }
+
+      dialog.remove();
+      current = null;
+      resolve(result);
+
+      openNext();
+    });
+
+    queue.push(dialog);
+    openNext();
+  });
+}
+
+export {type, showMessageDialog};
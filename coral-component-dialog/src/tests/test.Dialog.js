@@ -12,7 +12,8 @@
 
 import {helpers} from '../../../coral-utils/src/tests/helpers';
 import {Dialog} from '../../../coral-component-dialog';
-import {commons, tracking} from '../../../coral-utils';
+import {Button} from '../../../coral-component-button';
+import {commons, tracking, i18n} from '../../../coral-utils';
 import {DragAction} from '../../../coral-dragaction';
 
 describe('Dialog', function () {
@@ -240,6 +241,216 @@ describe('Dialog', function () {
       });
     });
 
+    describe('#resizable', function () {
+      const getHandle = function (direction) {
+        return el._elements.wrapper.querySelector(`._coral-Dialog-resizeHandle--${direction}`);
+      };
+
+      const drag = function (handle, x, y) {
+        handle.dispatchEvent(dummyMouseEvent('mousedown', 0, 0));
+        handle.dispatchEvent(dummyMouseEvent('mousemove', x, y));
+        handle.dispatchEvent(dummyMouseEvent('mouseup', x, y));
+      };
+
+      it('should default to false', function () {
+        expect(el.resizable).to.be.false;
+        expect(el._elements.wrapper.querySelectorAll('._coral-Dialog-resizeHandle').length).to.equal(0);
+      });
+
+      it('should add edge and corner handles with a drag action', function () {
+        el.resizable = true;
+
+        const handles = el._elements.wrapper.querySelectorAll('._coral-Dialog-resizeHandle');
+        expect(handles.length).to.equal(8);
+        Array.prototype.forEach.call(handles, (handle) => {
+          expect(handle.dragAction instanceof DragAction).to.be.true;
+        });
+        expect(el._elements.wrapper.classList.contains('_coral-Dialog--resizable')).to.be.true;
+        expect(el.hasAttribute('resizable')).to.be.true;
+      });
+
+      it('should remove the handles once not resizable anymore', function () {
+        el.resizable = true;
+        const handle = getHandle('se');
+        el._elements.wrapper.style.width = '400px';
+
+        el.resizable = false;
+
+        expect(el._elements.wrapper.querySelectorAll('._coral-Dialog-resizeHandle').length).to.equal(0);
+        expect(handle.dragAction).to.be.undefined;
+        expect(el._elements.wrapper.style.width).to.equal('');
+      });
+
+      it('should not be possible to have fullscreen and resizable set to true', function () {
+        el.resizable = true;
+        el.fullscreen = true;
+
+        expect(el.resizable).to.be.false;
+
+        el.resizable = true;
+        expect(el.fullscreen).to.be.false;
+      });
+
+      it('should make only one handle focusable', function () {
+        el.resizable = true;
+
+        const focusable = el._elements.wrapper.querySelectorAll('._coral-Dialog-resizeHandle[tabindex="0"]');
+        expect(focusable.length).to.equal(1);
+        expect(focusable[0]).to.equal(getHandle('se'));
+        expect(focusable[0].getAttribute('aria-label')).to.equal('Resize');
+      });
+
+      it('should resize the dialog by dragging the right edge', function (done) {
+        el = helpers.build(window.__html__['Dialog.fromElements-open.html']);
+
+        helpers.next(function () {
+          el.resizable = true;
+          el.maxWidth = null;
+          const width = el._elements.wrapper.getBoundingClientRect().width;
+
+          drag(getHandle('e'), 40, 0);
+
+          expect(parseFloat(el._elements.wrapper.style.width)).to.equal(width + 40);
+          // The left edge stays in place
+          expect(el.style.left).to.equal('20px');
+          done();
+        });
+      });
+
+      it('should respect the min and max size', function (done) {
+        el = helpers.build(window.__html__['Dialog.fromElements-open.html']);
+
+        helpers.next(function () {
+          el.resizable = true;
+          const rect = el._elements.wrapper.getBoundingClientRect();
+          el.maxWidth = rect.width + 10;
+          el.minHeight = rect.height - 10;
+
+          drag(getHandle('se'), 40, -40);
+
+          expect(parseFloat(el._elements.wrapper.style.width)).to.equal(rect.width + 10);
+          expect(parseFloat(el._elements.wrapper.style.height)).to.equal(rect.height - 10);
+          done();
+        });
+      });
+
+      it('should support the min and max size attributes', function () {
+        el.setAttribute('minwidth', '300');
+        el.setAttribute('minheight', '200');
+        el.setAttribute('maxwidth', '800');
+        el.setAttribute('maxheight', '600');
+
+        expect(el.minWidth).to.equal(300);
+        expect(el.minHeight).to.equal(200);
+        expect(el.maxWidth).to.equal(800);
+        expect(el.maxHeight).to.equal(600);
+      });
+
+      it('should resize the dialog with the arrow keys', function (done) {
+        el = helpers.build(window.__html__['Dialog.fromElements-open.html']);
+
+        helpers.next(function () {
+          el.resizable = true;
+          const rect = el._elements.wrapper.getBoundingClientRect();
+          const handle = getHandle('se');
+
+          helpers.keypress('right', handle);
+          expect(parseFloat(el._elements.wrapper.style.width)).to.equal(rect.width + 10);
+
+          helpers.keypress('down', handle);
+          expect(parseFloat(el._elements.wrapper.style.height)).to.equal(rect.height + 10);
+          done();
+        });
+      });
+    });
+
+    describe('#persistKey', function () {
+      const key = 'coral-dialog:test';
+
+      afterEach(function () {
+        window.localStorage.removeItem(key);
+      });
+
+      it('should default to empty string', function () {
+        expect(el.persistKey).to.equal('');
+      });
+
+      it('should be settable with the persistkey attribute', function () {
+        el.setAttribute('persistkey', 'test');
+        expect(el.persistKey).to.equal('test');
+      });
+
+      it('should remember the position of a moved dialog', function (done) {
+        el = helpers.build(window.__html__['Dialog.fromElements-open.html']);
+        el.persistKey = 'test';
+
+        helpers.next(function () {
+          el.movable = true;
+
+          const handle = el._elements.headerWrapper;
+          handle.dispatchEvent(dummyMouseEvent('mousedown', 0, 0));
+          handle.dispatchEvent(dummyMouseEvent('mousemove', 10, 20));
+          handle.dispatchEvent(dummyMouseEvent('mouseup', 10, 20));
+
+          const geometry = JSON.parse(window.localStorage.getItem(key));
+          expect(geometry.left).to.equal(parseFloat(el.style.left));
+          expect(geometry.top).to.equal(parseFloat(el.style.top));
+          done();
+        });
+      });
+
+      it('should restore the position and size once opened', function () {
+        window.localStorage.setItem(key, JSON.stringify({left: 10, top: 20, width: 400, height: 300}));
+
+        el.persistKey = 'test';
+        el.movable = true;
+        el.resizable = true;
+        el.open = true;
+
+        expect(el.style.left).to.equal('10px');
+        expect(el.style.top).to.equal('20px');
+        expect(el._elements.wrapper.style.width).to.equal('400px');
+        expect(el._elements.wrapper.style.height).to.equal('300px');
+      });
+
+      it('should only restore the size of resizable dialogs', function () {
+        window.localStorage.setItem(key, JSON.stringify({left: 10, top: 20, width: 400, height: 300}));
+
+        el.persistKey = 'test';
+        el.movable = true;
+        el.open = true;
+
+        expect(el.style.left).to.equal('10px');
+        expect(el._elements.wrapper.style.width).to.equal('');
+      });
+    });
+
+    describe('#center()', function () {
+      it('should clamp a moved dialog into the viewport when the window is resized', function (done) {
+        el = helpers.build(window.__html__['Dialog.fromElements-open.html']);
+
+        helpers.next(function () {
+          el.movable = true;
+          el.style.left = `${document.documentElement.clientWidth}px`;
+
+          window.dispatchEvent(new Event('resize'));
+
+          const rect = el._elements.wrapper.getBoundingClientRect();
+          expect(el.style.left).to.not.equal('');
+          expect(rect.right).to.be.at.most(document.documentElement.clientWidth);
+          done();
+        });
+      });
+
+      it('should center a dialog that was not moved when the window is resized', function () {
+        el.style.left = '10px';
+
+        window.dispatchEvent(new Event('resize'));
+
+        expect(el.style.left).to.equal('');
+      });
+    });
+
     describe('#backdrop', function () {
       it('should hide the underlay if backdrop is set to none', function () {
         el.backdrop = 'none';
@@ -422,6 +633,210 @@ describe('Dialog', function () {
     });
   });
 
+  describe('Message dialogs', function () {
+    // Message dialogs are added to the body directly
+    const getMessageDialogs = function () {
+      return Array.prototype.slice.call(document.querySelectorAll('body > coral-dialog'));
+    };
+
+    const getButtons = function (dialog) {
+      return Array.prototype.slice.call(dialog.footer.querySelectorAll('button'));
+    };
+
+    describe('#alert()', function () {
+      it('should open a dialog with the given text and an OK button', function (done) {
+        Dialog.alert({header: 'Header', content: 'Saved'}).then(function (result) {
+          expect(result).to.be.undefined;
+          expect(getMessageDialogs().length).to.equal(0, 'The dialog is removed once closed');
+
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        const buttons = getButtons(dialog);
+
+        expect(dialog.open).to.be.true;
+        expect(dialog.variant).to.equal(Dialog.variant.INFO);
+        expect(dialog.backdrop).to.equal(Dialog.backdrop.STATIC);
+        expect(dialog.header.textContent).to.equal('Header');
+        expect(dialog.content.textContent).to.equal('Saved');
+        expect(buttons.length).to.equal(1);
+        expect(buttons[0].label.textContent).to.equal(i18n.get('OK'));
+
+        buttons[0].click();
+      });
+
+      it('should accept the content as text', function (done) {
+        Dialog.alert('<b>Saved</b>').then(function () {
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        expect(dialog.content.textContent).to.equal('<b>Saved</b>');
+
+        dialog.open = false;
+      });
+    });
+
+    describe('#confirm()', function () {
+      it('should resolve with true when the OK button is clicked', function (done) {
+        Dialog.confirm({content: 'Delete?', okLabel: 'Delete'}).then(function (result) {
+          expect(result).to.be.true;
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        const buttons = getButtons(dialog);
+
+        expect(dialog.variant).to.equal(Dialog.variant.WARNING);
+        expect(buttons.length).to.equal(2);
+        expect(buttons[0].label.textContent).to.equal(i18n.get('Cancel'));
+        expect(buttons[1].label.textContent).to.equal('Delete');
+        expect(buttons[1].variant).to.equal(Button.variant.WARNING);
+
+        buttons[1].click();
+      });
+
+      it('should resolve with false when the Cancel button is clicked', function (done) {
+        Dialog.confirm('Delete?').then(function (result) {
+          expect(result).to.be.false;
+          done();
+        });
+
+        getButtons(getMessageDialogs()[0])[0].click();
+      });
+
+      it('should resolve with false when escape is pressed', function (done) {
+        Dialog.confirm('Delete?').then(function (result) {
+          expect(result).to.be.false;
+          done();
+        });
+
+        helpers.keypress('escape');
+      });
+
+      it('should use the given variant', function (done) {
+        Dialog.confirm({content: 'Continue?', variant: Dialog.variant.DEFAULT}).then(function () {
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        expect(dialog.variant).to.equal(Dialog.variant.DEFAULT);
+        expect(getButtons(dialog)[1].variant).to.equal(Button.variant.CTA);
+
+        dialog.open = false;
+      });
+    });
+
+    describe('#prompt()', function () {
+      it('should resolve with the entered value', function (done) {
+        Dialog.prompt({content: 'Name', value: 'Untitled'}).then(function (result) {
+          expect(result).to.equal('Renamed');
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        const input = dialog.content.querySelector('input');
+
+        expect(input.value).to.equal('Untitled');
+        expect(input.getAttribute('aria-label')).to.equal('Name');
+
+        input.value = 'Renamed';
+        getButtons(dialog)[1].click();
+      });
+
+      it('should resolve with null when cancelled', function (done) {
+        Dialog.prompt('Name').then(function (result) {
+          expect(result).to.equal(null);
+          done();
+        });
+
+        getButtons(getMessageDialogs()[0])[0].click();
+      });
+
+      it('should not close while the value is invalid', function (done) {
+        Dialog.prompt({
+          content: 'Name',
+          validator: function (value) {
+            return value.length > 0 || 'The name is required';
+          }
+        }).then(function (result) {
+          expect(result).to.equal('Name');
+          done();
+        });
+
+        const dialog = getMessageDialogs()[0];
+        const input = dialog.content.querySelector('input');
+        const error = dialog.content.querySelector('._coral-Dialog-promptError');
+        const okButton = getButtons(dialog)[1];
+
+        okButton.click();
+
+        expect(dialog.open).to.be.true;
+        expect(input.invalid).to.be.true;
+        expect(error.hidden).to.be.false;
+        expect(error.textContent).to.equal('The name is required');
+
+        input.value = 'Name';
+        okButton.click();
+
+        expect(dialog.open).to.be.false;
+        expect(input.invalid).to.be.false;
+      });
+    });
+
+    describe('Queue', function () {
+      it('should open message dialogs one after the other', function (done) {
+        const firstConfirm = Dialog.confirm('First');
+        const secondConfirm = Dialog.confirm('Second');
+
+        let dialogs = getMessageDialogs();
+        expect(dialogs.length).to.equal(1, 'The second dialog waits for the first one to be closed');
+        expect(dialogs[0].content.textContent).to.equal('First');
+
+        getButtons(dialogs[0])[1].click();
+
+        firstConfirm.then(function (result) {
+          expect(result).to.be.true;
+
+          dialogs = getMessageDialogs();
+          expect(dialogs.length).to.equal(1);
+          expect(dialogs[0].open).to.be.true;
+          expect(dialogs[0].content.textContent).to.equal('Second');
+
+          getButtons(dialogs[0])[0].click();
+
+          return secondConfirm;
+        }).then(function (result) {
+          expect(result).to.be.false;
+          done();
+        });
+      });
+
+      it('should wait for an open modal dialog to be closed', function (done) {
+        const el = helpers.build(window.__html__['Dialog.open.html']);
+
+        Dialog.alert('Saved').then(function () {
+          done();
+        });
+
+        expect(getMessageDialogs().length).to.equal(0);
+
+        el.on('coral-overlay:close', function () {
+          // Wait for the message dialog to be opened
+          helpers.next(function () {
+            const dialog = getMessageDialogs()[0];
+            expect(dialog.open).to.be.true;
+
+            dialog.open = false;
+          });
+        });
+
+        el.open = false;
+      });
+    });
+  });
+
   describe('Implementation details', function () {
     let el;
 
@@ -276,26 +276,48 @@ class SelectList extends BaseComponent(HTMLElement) {
     this._focusItem(item);
   }
 
+  /**
+   Returns the selectable items that are not hidden, either directly or by their group.
+
+   @private
+   */
+  _getVisibleSelectableItems() {
+    return this.items._getSelectableItems().filter((item) => {
+      const group = item.closest(GROUP_TAG_NAME);
+      return !item.hasAttribute('hidden') && !(group && group.hasAttribute('hidden'));
+    });
+  }
+
+  /** @private */
+  _getVisibleSibling(item, offset) {
+    const items = this._getVisibleSelectableItems();
+    const index = items.indexOf(item);
+
+    // in case the item is not visible anymore, we fallback to the first visible item
+    return index === -1 ? items[0] : items[index + offset] || item;
+  }
+
   /** @private */
   _focusPreviousItem(event) {
     event.preventDefault();
 
-    this._focusItem(this.items._getPreviousSelectable(event.target));
+    this._focusItem(this._getVisibleSibling(event.target, -1));
   }
 
   /** @private */
   _focusNextItem(event) {
     event.preventDefault();
 
-    this._focusItem(this.items._getNextSelectable(event.target));
+    this._focusItem(this._getVisibleSibling(event.target, 1));
   }
 
   _focusFirstItem() {
-    this._focusItem(this.items._getFirstSelectable());
+    this._focusItem(this._getVisibleSelectableItems()[0]);
   }
 
   _focusLastItem() {
-    this._focusItem(this.items._getLastSelectable());
+    const items = this._getVisibleSelectableItems();
+    this._focusItem(items[items.length - 1]);
   }
 
   /** @private */
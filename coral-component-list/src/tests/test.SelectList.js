@@ -481,6 +481,33 @@ describe('SelectList', function () {
         // verify focus on first item of first group
         expect(groups[0].items.first()).equals(document.activeElement);
       });
+
+      it('skips hidden items and groups using ArrowUp/ArrowDown', function () {
+        groups = el.groups.getAll();
+
+        item1 = groups[0].items.first();
+        item2 = groups[1].items.last();
+
+        // hide all items in between
+        groups[0].items.getAll().slice(1).forEach(function (item) {
+          item.hidden = true;
+        });
+        groups[1].items.getAll().slice(0, -1).forEach(function (item) {
+          item.hidden = true;
+        });
+
+        item1.focus();
+        helpers.keypress('down', item1);
+        expect(item2).equals(document.activeElement);
+
+        helpers.keypress('up', item2);
+        expect(item1).equals(document.activeElement);
+
+        // End focuses the last visible item
+        groups[1].hidden = true;
+        helpers.keypress('end', item1);
+        expect(item1).equals(document.activeElement);
+      });
     });
     // @todo: test focus of initial state
     // @todo: test focus of an empty list
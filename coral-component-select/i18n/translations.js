@@ -13,78 +13,173 @@
 export default {
   "en-US": {
     "Select": "Select",
-    "invalid": "invalid"
+    "invalid": "invalid",
+    "Search": "Search",
+    "No matching items": "No matching items",
+    "Select all": "Select all",
+    "Clear all": "Clear all",
+    "{0} selected": "{0} selected"
   },
   "fr-FR": {
     "Select": "Sélectionner",
-    "invalid": "Non valide"
+    "invalid": "Non valide",
+    "Search": "Rechercher",
+    "No matching items": "Aucun élément correspondant",
+    "Select all": "Tout sélectionner",
+    "Clear all": "Tout effacer",
+    "{0} selected": "{0} sélectionné(s)"
   },
   "de-DE": {
     "Select": "Auswählen",
-    "invalid": "Ungültig"
+    "invalid": "Ungültig",
+    "Search": "Suchen",
+    "No matching items": "Keine übereinstimmenden Elemente",
+    "Select all": "Alle auswählen",
+    "Clear all": "Alle löschen",
+    "{0} selected": "{0} ausgewählt"
   },
   "it-IT": {
     "Select": "Seleziona",
-    "invalid": "Non valido"
+    "invalid": "Non valido",
+    "Search": "Cerca",
+    "No matching items": "Nessun elemento corrispondente",
+    "Select all": "Seleziona tutto",
+    "Clear all": "Cancella tutto",
+    "{0} selected": "{0} selezionati"
   },
   "es-ES": {
     "Select": "Seleccionar",
-    "invalid": "No válido"
+    "invalid": "No válido",
+    "Search": "Buscar",
+    "No matching items": "No hay elementos coincidentes",
+    "Select all": "Seleccionar todo",
+    "Clear all": "Borrar todo",
+    "{0} selected": "{0} seleccionados"
   },
   "pt-BR": {
     "Select": "Selecionar",
-    "invalid": "Inválido"
+    "invalid": "Inválido",
+    "Search": "Pesquisar",
+    "No matching items": "Nenhum item correspondente",
+    "Select all": "Selecionar tudo",
+    "Clear all": "Limpar tudo",
+    "{0} selected": "{0} selecionados"
   },
   "ja-JP": {
     "Select": "選択",
-    "invalid": "無効です"
+    "invalid": "無効です",
+    "Search": "検索",
+    "No matching items": "一致する項目はありません",
+    "Select all": "すべてを選択",
+    "Clear all": "すべてクリア",
+    "{0} selected": "{0} 件を選択"
   },
   "ko-KR": {
     "Select": "선택",
-    "invalid": "올바르지 않음"
+    "invalid": "올바르지 않음",
+    "Search": "검색",
+    "No matching items": "일치하는 항목 없음",
+    "Select all": "모두 선택",
+    "Clear all": "모두 지우기",
+    "{0} selected": "{0}개 선택됨"
   },
   "zh-CN": {
     "Select": "选择",
-    "invalid": "无效"
+    "invalid": "无效",
+    "Search": "搜索",
+    "No matching items": "没有匹配的项目",
+    "Select all": "全选",
+    "Clear all": "全部清除",
+    "{0} selected": "已选择 {0} 个"
   },
   "zh-TW": {
     "Select": "選取",
-    "invalid": "無效"
+    "invalid": "無效",
+    "Search": "搜尋",
+    "No matching items": "沒有相符的項目",
+    "Select all": "全選",
+    "Clear all": "全部清除",
+    "{0} selected": "已選取 {0} 個"
   },
   "nl-NL": {
     "Select": "Selecteren",
-    "invalid": "Ongeldig"
+    "invalid": "Ongeldig",
+    "Search": "Zoeken",
+    "No matching items": "Geen overeenkomende items",
+    "Select all": "Alles selecteren",
+    "Clear all": "Alles wissen",
+    "{0} selected": "{0} geselecteerd"
   },
   "da-DK": {
     "Select": "Vælg",
-    "invalid": "Ugyldig"
+    "invalid": "Ugyldig",
+    "Search": "Søg",
+    "No matching items": "Ingen matchende elementer",
+    "Select all": "Vælg alle",
+    "Clear all": "Ryd alle",
+    "{0} selected": "{0} valgt"
   },
   "fi-FI": {
     "Select": "Valitse",
-    "invalid": "Virheellinen"
+    "invalid": "Virheellinen",
+    "Search": "Hae",
+    "No matching items": "Ei vastaavia kohteita",
+    "Select all": "Valitse kaikki",
+    "Clear all": "Tyhjennä kaikki",
+    "{0} selected": "{0} valittu"
   },
   "nb-NO": {
     "Select": "Velg",
-    "invalid": "Ugyldig"
+    "invalid": "Ugyldig",
+    "Search": "Søk",
+    "No matching items": "Ingen samsvarende elementer",
+    "Select all": "Velg alle",
+    "Clear all": "Fjern alle",
+    "{0} selected": "{0} valgt"
   },
   "sv-SE": {
     "Select": "Välj",
-    "invalid": "Ogiltig"
+    "invalid": "Ogiltig",
+    "Search": "Sök",
+    "No matching items": "Inga matchande objekt",
+    "Select all": "Markera alla",
+    "Clear all": "Rensa alla",
+    "{0} selected": "{0} markerade"
   },
   "cs-CZ": {
     "Select": "Vybrat",
-    "invalid": "Neplatný"
+    "invalid": "Neplatný",
+    "Search": "Hledat",
+    "No matching items": "Žádné odpovídající položky",
+    "Select all": "Vybrat vše",
+    "Clear all": "Vymazat vše",
+    "{0} selected": "Vybráno: {0}"
   },
   "pl-PL": {
     "Select": "Wybierz",
-    "invalid": "Nieprawidłowy"
+    "invalid": "Nieprawidłowy",
+    "Search": "Szukaj",
+    "No matching items": "Brak pasujących elementów",
+    "Select all": "Zaznacz wszystko",
+    "Clear all": "Wyczyść wszystko",
+    "{0} selected": "Zaznaczono: {0}"
   },
   "ru-RU": {
     "Select": "Выберите",
-    "invalid": "Недопустимый"
+    "invalid": "Недопустимый",
+    "Search": "Поиск",
+    "No matching items": "Нет подходящих элементов",
+    "Select all": "Выбрать все",
+    "Clear all": "Очистить все",
+    "{0} selected": "Выбрано: {0}"
   },
   "tr-TR": {
     "Select": "Seç",
-    "invalid": "Geçersiz"
+    "invalid": "Geçersiz",
+    "Search": "Ara",
+    "No matching items": "Eşleşen öğe yok",
+    "Select all": "Tümünü seç",
+    "Clear all": "Tümünü temizle",
+    "{0} selected": "{0} seçili"
   }
 };
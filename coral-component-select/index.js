@@ -19,6 +19,7 @@ import translations from './i18n/translations';
 import {strings, commons} from '../coral-utils';
 import Select from './src/scripts/Select';
 import SelectItem from './src/scripts/SelectItem';
+import SelectGroup from './src/scripts/SelectGroup';
 
 import './src/styles/index.css';
 
@@ -29,8 +30,10 @@ commons.extend(strings, {
 
 // Expose component on the Coral namespace
 commons._define('coral-select-item', SelectItem);
+commons._define('coral-select-group', SelectGroup);
 commons._define('coral-select', Select);
 
 Select.Item = SelectItem;
+Select.Group = SelectGroup;
 
 export {Select};
@@ -12,12 +12,13 @@
 
 import {BaseComponent} from '../../../coral-base-component';
 import {BaseFormField} from '../../../coral-base-formfield';
-import {SelectableCollection} from '../../../coral-collection';
-import '../../../coral-component-button';
+import {Collection, SelectableCollection} from '../../../coral-collection';
+import {Button} from '../../../coral-component-button';
 import {Tag} from '../../../coral-component-taglist';
 import {SelectList} from '../../../coral-component-list';
 import {Icon} from '../../../coral-component-icon';
 import '../../../coral-component-popover';
+import '../../../coral-component-search';
 import base from '../templates/base';
 import {transform, validate, commons, i18n, Keys} from '../../../coral-utils';
 
@@ -74,6 +75,8 @@ const arrayDiff = function (a, b) {
  @class Coral.Select
  @classdesc A Select component is a form field that allows users to select from a list of options. If this component is
  shown on a mobile device, it will show a native select list, instead of the select list styled via Coral Spectrum.
+ Long lists can be made {@link Select#filterable} to narrow down the items by typing. Items can be grouped with
+ <code>coral-select-group</code> elements, similar to the native <code>optgroup</code> element.
  @htmltag coral-select
  @extends {HTMLElement}
  @extends {BaseComponent}
@@ -101,6 +104,9 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
       'coral-select-item:_disabledchanged coral-select-item': '_onItemDisabledChange',
       'coral-select-item:_selectedchanged coral-select-item': '_onItemSelectedChange',
 
+      // group events
+      'coral-select-group:_labelchanged coral-select-group': '_onGroupLabelChange',
+
       'change coral-taglist': '_onTagListChange',
       'change select': '_onNativeSelectChange',
       'click select': '_onNativeSelectClick',
@@ -126,6 +132,14 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     events[`global:capture:coral-overlay:beforeclose #${overlayId}`] = '_onInternalEvent';
     // Keyboard interaction
     events[`global:keypress #${overlayId}`] = '_onOverlayKeyPress';
+    // Filtering
+    events[`global:coral-search:input #${overlayId} coral-search`] = '_onSearchInput';
+    events[`global:coral-search:clear #${overlayId} coral-search`] = '_onSearchInput';
+    events[`global:coral-search:submit #${overlayId} coral-search`] = '_onSearchSubmit';
+    events[`global:capture:change #${overlayId} coral-search`] = '_onInternalEvent';
+    events[`global:key:down #${overlayId} coral-search`] = '_onSearchDownKey';
+    // Select all
+    events[`global:click #${overlayId} ._coral-Dropdown-selectAll`] = '_onSelectAllClick';
     // TODO for some reason this disables tabbing into the select
     // events[`global:key:tab #${overlayId} coral-selectlist-item`] = '_onTabKey';
     // events[`global:key:tab+shift #${overlayId} coral-selectlist-item`] = '_onTabKey';
@@ -151,6 +165,8 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
 
     // Init the collection mutation observer
     this.items._startHandlingItems();
+    // Initial groups are handled through their items
+    this.groups._startHandlingItems(true);
   }
 
   /**
@@ -183,6 +199,25 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     return this._items;
   }
 
+  /**
+   The group collection. Items of groups added or removed at once are handled as well.
+
+   @type {Collection}
+   @readonly
+   */
+  get groups() {
+    // we do lazy initialization of the collection
+    if (!this._groups) {
+      this._groups = new Collection({
+        host: this,
+        itemTagName: 'coral-select-group',
+        onItemAdded: this._onGroupAdded,
+        onItemRemoved: this._onGroupRemoved
+      });
+    }
+    return this._groups;
+  }
+
   /**
    Indicates whether the select accepts multiple selected values.
 
@@ -246,6 +281,8 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
         }
       }
     });
+
+    this._syncSelectAllToggles();
   }
 
   /**
@@ -580,6 +617,72 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     this._elements.list.loading = value;
   }
 
+  /**
+   Whether toggles to select or clear all items are shown on top of the list and next to each group label. It only
+   applies if {@link Select#multiple} is <code>true</code>. Disabled and filtered out items are left untouched.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute selectall
+   @htmlattributereflected
+   */
+  get selectAll() {
+    return this._selectAll || false;
+  }
+
+  set selectAll(value) {
+    this._selectAll = transform.booleanAttr(value);
+    this._reflectAttribute('selectall', this._selectAll);
+
+    this._syncSelectAllToggles();
+  }
+
+  /**
+   The amount of selected items above which the tags are replaced by a summary, e.g. "12 selected", in the button.
+   It only applies if {@link Select#multiple} is <code>true</code>. The value <code>null</code> means the tags are
+   always shown.
+
+   @type {?Number}
+   @default null
+   @htmlattribute summarythreshold
+   */
+  get summaryThreshold() {
+    return typeof this._summaryThreshold === 'number' ? this._summaryThreshold : null;
+  }
+
+  set summaryThreshold(value) {
+    value = transform.number(value);
+    this._summaryThreshold = typeof value === 'number' && value >= 0 ? value : null;
+
+    this._updateLabel();
+  }
+
+  /**
+   Whether a search field is shown on top of the items to filter them by their content. Groups without any matching
+   item are hidden as well. It has no effect when the native select is used.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute filterable
+   @htmlattributereflected
+   */
+  get filterable() {
+    return this._filterable || false;
+  }
+
+  set filterable(value) {
+    this._filterable = transform.booleanAttr(value);
+    this._reflectAttribute('filterable', this._filterable);
+
+    this._elements.search.hidden = !this._filterable;
+    // The search field gets the focus instead of the items when the overlay opens
+    this._elements.overlay.focusOnShow = this._filterable ? this._elements.search._elements.input : 'coral-selectlist';
+
+    // Shows all items again
+    this._elements.search.value = '';
+    this._filterItems('');
+  }
+
   /**
    The Select's variant. See {@link SelectVariantEnum}.
 
@@ -712,6 +815,20 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     // When items have been added, we are no longer loading
     this.loading = false;
 
+    // Added items have to match the current filter
+    if (this.filterable && this._elements.search.value) {
+      this._filterItems(this._elements.search.value);
+    } else {
+      this._resizeList();
+    }
+  }
+
+  /**
+   Constrains the list height to its content so it remains scrollable.
+
+   @private
+   */
+  _resizeList() {
     // Reset height
     this._elements.list.style.height = '';
 
@@ -746,7 +863,8 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
 
   /** @ignore */
   _onItemAdded(item) {
-    const selectListItemParent = this._elements.list;
+    const group = this._getGroup(item);
+    const selectListItemParent = group ? group._selectListGroup : this._elements.list;
 
     const selectListItem = item._selectListItem || new SelectList.Item();
 
@@ -766,7 +884,7 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     const nativeOption = item._nativeOption || new Option();
 
     // @todo: make sure it is added at the right index.
-    this._elements.nativeSelect.appendChild(nativeOption);
+    (group ? group._nativeOptgroup : this._elements.nativeSelect).appendChild(nativeOption);
 
     // Need to store the initially selected values in the native select so that it can be reset
     if (this._initialValues.indexOf(item.value) !== -1) {
@@ -799,13 +917,21 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
   /** @private */
   _onItemRemoved(item) {
     if (item._selectListItem) {
+      const selectListGroup = item._selectListItem.closest('coral-selectlist-group');
+
       item._selectListItem.remove();
       item._selectListItem._selectItem = undefined;
       item._selectListItem = undefined;
+
+      // Empty groups are removed
+      if (selectListGroup && !selectListGroup.items.length) {
+        selectListGroup.remove();
+        selectListGroup._nativeOptgroup.remove();
+      }
     }
 
     if (item._nativeOption) {
-      this._elements.nativeSelect.removeChild(item._nativeOption);
+      item._nativeOption.remove();
       item._nativeOption._selectItem = undefined;
       item._nativeOption = undefined;
     }
@@ -813,6 +939,148 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     this._removeTagFromTagList(item, true);
   }
 
+  /**
+   Returns the group of the given item and makes sure the group is rendered in the list and the native select.
+
+   @private
+   */
+  _getGroup(item) {
+    const group = item.parentNode && item.parentNode.closest('coral-select-group');
+
+    if (!group || !this.contains(group)) {
+      return null;
+    }
+
+    if (!group._selectListGroup) {
+      group._selectListGroup = new SelectList.Group();
+      group._nativeOptgroup = document.createElement('optgroup');
+      group._selectListGroup._nativeOptgroup = group._nativeOptgroup;
+      group._selectListGroup._selectGroup = group;
+    }
+
+    if (!group._selectListGroup.parentNode) {
+      this._elements.list.appendChild(group._selectListGroup);
+      this._elements.nativeSelect.appendChild(group._nativeOptgroup);
+    }
+
+    // we use DOM API instead of properties in case the group is not yet initialized
+    const label = group.getAttribute('label') || '';
+    group._selectListGroup.label = label;
+    group._nativeOptgroup.label = label;
+
+    return group;
+  }
+
+  /** @private */
+  _onGroupAdded(group) {
+    const items = group.items.getAll();
+    items.forEach((item) => {
+      this._onItemAdded(item);
+    });
+
+    this._onCollectionChange(items, []);
+  }
+
+  /** @private */
+  _onGroupRemoved(group) {
+    const items = group.items.getAll();
+    items.forEach((item) => {
+      this._onItemRemoved(item);
+    });
+
+    this._onCollectionChange([], items);
+  }
+
+  /** @private */
+  _onGroupLabelChange(event) {
+    // stops propagation cause the event is internal to the component
+    event.stopImmediatePropagation();
+
+    const group = event.target;
+    if (group._selectListGroup) {
+      group._selectListGroup.label = group.label;
+      group._nativeOptgroup.label = group.label;
+    }
+  }
+
+  /**
+   Updates the visibility and the labels of the select all toggles.
+
+   @private
+   */
+  _syncSelectAllToggles() {
+    const show = this.multiple && this.selectAll;
+
+    this._syncSelectAllToggle(this._elements.selectAllToggle, this._elements.list, show);
+
+    this._elements.list.groups.getAll().forEach((selectListGroup) => {
+      if (show && !selectListGroup._selectAllToggle) {
+        selectListGroup._selectAllToggle = new Button().set({
+          variant: Button.variant.QUIET,
+          tracking: Button.tracking.OFF
+        }, true);
+        selectListGroup._selectAllToggle.type = 'button';
+        selectListGroup._selectAllToggle.classList.add('_coral-Dropdown-selectAll');
+        selectListGroup.insertBefore(selectListGroup._selectAllToggle, selectListGroup.firstChild);
+      }
+
+      if (selectListGroup._selectAllToggle) {
+        this._syncSelectAllToggle(selectListGroup._selectAllToggle, selectListGroup, show);
+      }
+    });
+  }
+
+  /** @private */
+  _syncSelectAllToggle(toggle, container, show) {
+    toggle.hidden = !show;
+
+    if (show) {
+      const listItems = this._getToggleableItems(container);
+      const allSelected = listItems.length > 0 && listItems.every(listItem => listItem.selected);
+
+      toggle.label.textContent = i18n.get(allSelected ? 'Clear all' : 'Select all');
+      toggle.disabled = listItems.length === 0;
+    }
+  }
+
+  /**
+   Returns the visible and enabled list items of the given list or group.
+
+   @private
+   */
+  _getToggleableItems(container) {
+    return container.items.getAll().filter((listItem) => {
+      const group = listItem.closest('coral-selectlist-group');
+      return !listItem.disabled && !listItem.hidden && !(group && group.hidden);
+    });
+  }
+
+  /** @private */
+  _onSelectAllClick(event) {
+    const toggle = event.matchedTarget;
+    const container = toggle.closest('coral-selectlist-group') || this._elements.list;
+    const listItems = this._getToggleableItems(container);
+    const selected = !listItems.every(listItem => listItem.selected);
+
+    let changed = false;
+    this._togglingAll = true;
+
+    listItems.forEach((listItem) => {
+      const item = listItem._selectItem;
+      if (item && item.selected !== selected) {
+        item.selected = selected;
+        changed = true;
+      }
+    });
+
+    this._togglingAll = false;
+    this._syncSelectAllToggles();
+
+    if (changed) {
+      this.trigger('change');
+    }
+  }
+
   /** @private */
   _onItemSelected(item) {
     // in case the component is not in the DOM or the internals have not been created we force it
@@ -1040,10 +1308,81 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
   }
 
   _onOverlayKeyPress(event) {
+    // Typing in the search field filters the items instead
+    if (this._elements.search.contains(event.target)) {
+      return;
+    }
+
     // Focus on item which text starts with pressed keys
     this._elements.list._onKeyPress(event);
   }
 
+  /** @private */
+  _onSearchInput(event) {
+    // stops propagation cause the event is internal to the component
+    event.stopImmediatePropagation();
+
+    this._filterItems(this._elements.search.value);
+  }
+
+  /** @private */
+  _onSearchSubmit(event) {
+    // stops propagation cause the event is internal to the component
+    event.stopImmediatePropagation();
+
+    // Selects the only remaining item
+    const items = this._elements.list._getVisibleSelectableItems();
+    if (items.length === 1) {
+      items[0].click();
+    }
+  }
+
+  /** @private */
+  _onSearchDownKey(event) {
+    event.preventDefault();
+
+    // Continue the keyboard navigation with the items
+    this._elements.list._focusFirstItem();
+  }
+
+  /**
+   Hides the items and groups whose content doesn't contain the given query.
+
+   @param {String} query
+   The text to look for.
+
+   @private
+   */
+  _filterItems(query) {
+    const list = this._elements.list;
+    query = query.trim().toLowerCase();
+
+    let matchCount = 0;
+    list.items.getAll().forEach((listItem) => {
+      const matches = !query || listItem.textContent.toLowerCase().indexOf(query) !== -1;
+      listItem.hidden = !matches;
+
+      if (matches) {
+        matchCount++;
+      }
+    });
+
+    list.groups.getAll().forEach((group) => {
+      group.hidden = !!query && !group.items.getAll().some(listItem => !listItem.hidden);
+    });
+
+    this._elements.emptyState.hidden = !query || matchCount > 0;
+
+    // Makes sure a visible item is tabbable
+    list._resetTabTarget(true);
+    this._resizeList();
+    this._syncSelectAllToggles();
+
+    if (this._elements.overlay.open) {
+      this._elements.overlay.reposition();
+    }
+  }
+
   /** @private */
   _onSpaceKey(event) {
     if (this.disabled || this.readOnly) {
@@ -1074,6 +1413,12 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     // stops propagation cause the event is internal to the component
     event.stopImmediatePropagation();
 
+    // Shows all items again the next time the overlay is opened
+    if (!event.target.open && this.filterable && this._elements.search.value) {
+      this._elements.search.value = '';
+      this._filterItems('');
+    }
+
     // Trigger private event instead
     const type = event.type.split(':').pop();
     this.trigger(`coral-select:_overlay${type}`);
@@ -1181,6 +1526,16 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
       this._elements.label.classList.remove('is-placeholder');
       this._elements.label.innerHTML = this.selectedItem.innerHTML;
     }
+
+    // Large selections are summarized instead of showing a tag per value
+    const selectedCount = this.multiple ? this.selectedItems.length : 0;
+    const summarized = this.summaryThreshold !== null && selectedCount > this.summaryThreshold;
+
+    this._elements.taglist.hidden = summarized;
+    if (summarized) {
+      this._elements.label.classList.remove('is-placeholder');
+      this._elements.label.textContent = i18n.get('{0} selected', selectedCount);
+    }
   }
 
   /**
@@ -1223,6 +1578,8 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     if (item._nativeOption) {
       item._nativeOption.disabled = item.disabled;
     }
+
+    this._syncSelectAllToggles();
   }
 
   /**
@@ -1255,6 +1612,7 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     this._validateInitialState(removedNodes);
     // makes sure that the selection state matches the multiple variable
     this._setStateFromDOM();
+    this._syncSelectAllToggles();
   }
 
   /**
@@ -1349,6 +1707,11 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
 
     // since there is a change in selection, we need to update the placeholder
     this._updateLabel();
+
+    // toggling all items syncs the toggles once done
+    if (!this._togglingAll) {
+      this._syncSelectAllToggles();
+    }
   }
 
   /**
@@ -1386,9 +1749,25 @@ class Select extends BaseFormField(BaseComponent(HTMLElement)) {
     return variant;
   }
 
+  /** @ignore */
+  static get _attributePropertyMap() {
+    return commons.extend(super._attributePropertyMap, {
+      selectall: 'selectAll',
+      summarythreshold: 'summaryThreshold'
+    });
+  }
+
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['variant', 'multiple', 'placeholder', 'loading']);
+    return super.observedAttributes.concat([
+      'variant',
+      'multiple',
+      'placeholder',
+      'loading',
+      'filterable',
+      'selectall',
+      'summarythreshold'
+    ]);
   }
 
   /** @ignore */
@@ -0,0 +1,68 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {BaseComponent} from '../../../coral-base-component';
+import {Collection} from '../../../coral-collection';
+import {transform} from '../../../coral-utils';
+
+/**
+ @class Coral.Select.Group
+ @classdesc A Select group component, grouping {@link SelectItem} elements under a label like the native
+ <code>optgroup</code> element.
+ @htmltag coral-select-group
+ @extends {HTMLElement}
+ @extends {BaseComponent}
+ */
+class SelectGroup extends BaseComponent(HTMLElement) {
+  /**
+   The label of the group.
+
+   @type {String}
+   @default ""
+   @htmlattribute label
+   @htmlattributereflected
+   */
+  get label() {
+    return this._label || '';
+  }
+
+  set label(value) {
+    this._label = transform.string(value);
+    this._reflectAttribute('label', this._label);
+
+    this.trigger('coral-select-group:_labelchanged');
+  }
+
+  /**
+   The Collection Interface that allows interacting with the items that the group contains.
+
+   @type {Collection}
+   @readonly
+   */
+  get items() {
+    // just init on demand
+    if (!this._items) {
+      this._items = new Collection({
+        host: this,
+        itemTagName: 'coral-select-item'
+      });
+    }
+    return this._items;
+  }
+
+  /** @ignore */
+  static get observedAttributes() {
+    return super.observedAttributes.concat(['label']);
+  }
+}
+
+export default SelectGroup;
@@ -906,6 +906,89 @@ describe('Select', function () {
       });
     });
 
+    describe('#filterable', function () {
+      var filter = function (value) {
+        el._elements.search.value = value;
+        helpers.event('input', el._elements.search._elements.input);
+      };
+
+      var getVisibleItems = function () {
+        return el._elements.list.items.getAll().filter(function (item) {
+          return !item.hidden;
+        });
+      };
+
+      it('should be false by default', function () {
+        expect(el.filterable).to.be.false;
+        expect(el._elements.search.hidden).to.be.true;
+      });
+
+      it('should show the search field', function () {
+        el.filterable = true;
+
+        expect(el.getAttribute('filterable')).to.equal('');
+        expect(el._elements.search.hidden).to.be.false;
+        expect(el.overlay.focusOnShow).to.equal(el._elements.search._elements.input);
+      });
+
+      it('should filter the items by their content', function () {
+        el.filterable = true;
+        filter('item 2');
+
+        expect(getVisibleItems()).to.deep.equal([item2._selectListItem]);
+        expect(el._elements.emptyState.hidden).to.be.true;
+
+        filter('');
+
+        expect(getVisibleItems().length).to.equal(3);
+      });
+
+      it('should show a message if no item matches', function () {
+        el.filterable = true;
+        filter('foo');
+
+        expect(getVisibleItems().length).to.equal(0);
+        expect(el._elements.emptyState.hidden).to.be.false;
+        expect(el._elements.emptyState.textContent).to.equal('No matching items');
+      });
+
+      it('should hide the groups without matching items', function () {
+        el.filterable = true;
+
+        var group = document.createElement('coral-selectlist-group');
+        var groupItem = document.createElement('coral-selectlist-item');
+        groupItem.content.textContent = 'Other';
+        group.appendChild(groupItem);
+        el._elements.list.appendChild(group);
+
+        filter('item');
+        expect(group.hidden).to.be.true;
+
+        filter('other');
+        expect(group.hidden).to.be.false;
+      });
+
+      it('should not change the selection', function () {
+        el.filterable = true;
+        item1.selected = true;
+
+        filter('item 3');
+
+        expect(el.selectedItem).to.equal(item1);
+        expect(el.value).to.equal('1');
+      });
+
+      it('should show all items when filterable is disabled', function () {
+        el.filterable = true;
+        filter('item 2');
+
+        el.filterable = false;
+
+        expect(el._elements.search.value).to.equal('');
+        expect(getVisibleItems().length).to.equal(3);
+      });
+    });
+
     describe('#name', function () {
       it('should have empty string as default', function () {
         expect(el.name).to.equal('');
@@ -1505,6 +1588,171 @@ describe('Select', function () {
     describe('#items', function () {
     });
 
+    describe('#groups', function () {
+      var el;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Select.groups.html']);
+      });
+
+      it('should render the groups in the list and the native select', function () {
+        var listGroups = el._elements.list.groups.getAll();
+
+        expect(el.groups.length).to.equal(2);
+        expect(listGroups.map(group => group.label)).to.deep.equal(['Europe', 'Asia']);
+        expect(listGroups[0].items.getAll().map(item => item.value)).to.deep.equal(['ch', 'fr']);
+        expect(el._elements.list.items.length).to.equal(5);
+
+        var optgroups = el._elements.nativeSelect.querySelectorAll('optgroup');
+        expect(optgroups.length).to.equal(2);
+        expect(optgroups[1].label).to.equal('Asia');
+        expect(optgroups[1].children.length).to.equal(2);
+      });
+
+      it('should update the group label', function () {
+        el.groups.first().label = 'Western Europe';
+
+        expect(el._elements.list.groups.first().label).to.equal('Western Europe');
+        expect(el._elements.nativeSelect.querySelector('optgroup').label).to.equal('Western Europe');
+      });
+
+      it('should handle groups added and removed with their items', function (done) {
+        var group = new Select.Group();
+        group.label = 'America';
+        group.innerHTML = '<coral-select-item value="us">United States</coral-select-item>';
+        el.appendChild(group);
+
+        el.groups.first().remove();
+
+        // Wait for MO
+        helpers.next(function () {
+          var listGroups = el._elements.list.groups.getAll();
+          expect(listGroups.map(listGroup => listGroup.label)).to.deep.equal(['Asia', 'America']);
+          expect(el._elements.list.items.getAll().map(item => item.value)).to.deep.equal(['jp', 'cn', 'other', 'us']);
+          expect(el._elements.nativeSelect.querySelectorAll('optgroup').length).to.equal(2);
+
+          done();
+        });
+      });
+
+      it('should remove empty groups from the list', function (done) {
+        el.groups.last().items.getAll().forEach(item => item.remove());
+
+        // Wait for MO
+        helpers.next(function () {
+          expect(el._elements.list.groups.length).to.equal(1);
+          expect(el._elements.nativeSelect.querySelectorAll('optgroup').length).to.equal(1);
+
+          done();
+        });
+      });
+    });
+
+    describe('#selectAll', function () {
+      var el;
+      var toggle;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Select.groups.html']);
+        toggle = el._elements.selectAllToggle;
+      });
+
+      it('should show the toggles', function () {
+        expect(el.selectAll).to.be.true;
+        expect(toggle.hidden).to.be.false;
+        expect(toggle.label.textContent).to.equal('Select all');
+
+        el._elements.list.groups.getAll().forEach(function (group) {
+          expect(group._selectAllToggle.hidden).to.be.false;
+        });
+      });
+
+      it('should hide the toggles if multiple is false', function () {
+        el.multiple = false;
+
+        expect(toggle.hidden).to.be.true;
+        expect(el._elements.list.groups.first()._selectAllToggle.hidden).to.be.true;
+      });
+
+      it('should select and clear all enabled items', function () {
+        var changeSpy = sinon.spy();
+        el.on('change', changeSpy);
+
+        toggle.click();
+
+        expect(el.values).to.deep.equal(['ch', 'fr', 'jp', 'other']);
+        expect(el._elements.taglist.items.length).to.equal(4);
+        expect(toggle.label.textContent).to.equal('Clear all');
+        expect(changeSpy.callCount).to.equal(1);
+
+        toggle.click();
+
+        expect(el.values).to.deep.equal([]);
+        expect(toggle.label.textContent).to.equal('Select all');
+        expect(changeSpy.callCount).to.equal(2);
+      });
+
+      it('should select and clear all items of a group', function () {
+        var groupToggle = el._elements.list.groups.first()._selectAllToggle;
+
+        groupToggle.click();
+
+        expect(el.values).to.deep.equal(['ch', 'fr']);
+        expect(groupToggle.label.textContent).to.equal('Clear all');
+        expect(toggle.label.textContent).to.equal('Select all');
+
+        el.items.getAll()[1].selected = false;
+
+        expect(groupToggle.label.textContent).to.equal('Select all');
+      });
+
+      it('should only toggle the filtered items', function () {
+        el.filterable = true;
+        el._elements.search.value = 'an';
+        helpers.event('input', el._elements.search._elements.input);
+
+        toggle.click();
+
+        expect(el.values).to.deep.equal(['ch', 'fr', 'jp']);
+      });
+    });
+
+    describe('#summaryThreshold', function () {
+      var el;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Select.groups.html']);
+      });
+
+      it('should default to null', function () {
+        expect(el.summaryThreshold).to.equal(null);
+      });
+
+      it('should be settable with the attribute', function () {
+        el.setAttribute('summarythreshold', '2');
+        expect(el.summaryThreshold).to.equal(2);
+      });
+
+      it('should summarize the selection above the threshold', function () {
+        el.summaryThreshold = 2;
+        el.values = ['ch', 'fr'];
+
+        expect(el._elements.taglist.hidden).to.be.false;
+        expect(el._elements.label.textContent).to.equal('Select');
+
+        el.values = ['ch', 'fr', 'jp'];
+
+        expect(el._elements.taglist.hidden).to.be.true;
+        expect(el._elements.label.textContent).to.equal('3 selected');
+        expect(el.values).to.deep.equal(['ch', 'fr', 'jp']);
+
+        el.summaryThreshold = null;
+
+        expect(el._elements.taglist.hidden).to.be.false;
+        expect(el._elements.label.textContent).to.equal('Select');
+      });
+    });
+
     describe('#reset()', function () {
       it('should reset the select if reset() is called', function () {
         const el = helpers.build(window.__html__['Select.multiple.selected.html']);
@@ -2141,6 +2389,75 @@ describe('Select', function () {
       el._elements.button.click();
     });
 
+    describe('Filtering', function () {
+      it('should focus the search field and navigate to the matching items', function (done) {
+        const el = helpers.build(window.__html__['Select.base.html']);
+        el.filterable = true;
+
+        el.on('coral-select:_overlayopen', function () {
+          var search = el._elements.search;
+          expect(document.activeElement).to.equal(search._elements.input);
+
+          search.value = 'ia';
+          helpers.event('input', search._elements.input);
+
+          // Only Asia and Oceania match
+          helpers.keypress('down', search._elements.input);
+          expect(document.activeElement).to.equal(el.items.getAll()[2]._selectListItem);
+
+          helpers.keypress('down', document.activeElement);
+          expect(document.activeElement).to.equal(el.items.getAll()[4]._selectListItem);
+
+          done();
+        });
+
+        el._elements.button.click();
+      });
+
+      it('should select the only matching item on enter', function (done) {
+        const el = helpers.build(window.__html__['Select.base.html']);
+        el.filterable = true;
+
+        var changeSpy = sinon.spy();
+        el.on('change', changeSpy);
+
+        el.on('coral-select:_overlayopen', function () {
+          var search = el._elements.search;
+          search.value = 'ocean';
+          helpers.event('input', search._elements.input);
+          helpers.keypress('enter', search._elements.input);
+
+          expect(el.value).to.equal('oc');
+          expect(changeSpy.callCount).to.equal(1);
+
+          done();
+        });
+
+        el._elements.button.click();
+      });
+
+      it('should reset the filter when the overlay closes', function (done) {
+        const el = helpers.build(window.__html__['Select.base.html']);
+        el.filterable = true;
+
+        el.on('coral-select:_overlayopen', function () {
+          el._elements.search.value = 'asia';
+          helpers.event('input', el._elements.search._elements.input);
+
+          el._elements.overlay.open = false;
+        });
+
+        el.on('coral-select:_overlayclose', function () {
+          expect(el._elements.search.value).to.equal('');
+          expect(el._elements.list.items.getAll().every(item => !item.hidden)).to.be.true;
+
+          done();
+        });
+
+        el._elements.button.click();
+      });
+    });
+
     it('should close the overlay using esc key', function (done) {
       const el = helpers.build(window.__html__['Select.base.html']);
       el.on('coral-select:_overlayopen', function () {
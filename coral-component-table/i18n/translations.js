@@ -17,7 +17,14 @@ export default {
     "sorted by column {0}, in ascending order": "sorted by column {0} in ascending order",
     "sorted by column {0}, in descending order": "sorted by column {0} in descending order",
     ", checked": ", checked",
-    ", unchecked": ", unchecked"
+    ", unchecked": ", unchecked",
+    "Previous page": "Previous page",
+    "Next page": "Next page",
+    "Page {0}": "Page {0}",
+    "Page {0} of {1}": "Page {0} of {1}",
+    "Resize column": "Resize column",
+    "Select group": "Select group",
+    "Columns": "Columns"
   },
   "de-DE": {
     "Select": "Auswählen",
@@ -25,7 +32,14 @@ export default {
     "sorted by column {0}, in ascending order": "Sortiert nach Spalte {0} in aufsteigender Reihenfolge",
     "sorted by column {0}, in descending order": "Sortiert nach Spalte {0} in absteigender Reihenfolge",
     ", checked": ", markiert",
-    ", unchecked": ", nicht markiert"
+    ", unchecked": ", nicht markiert",
+    "Previous page": "Vorherige Seite",
+    "Next page": "Nächste Seite",
+    "Page {0}": "Seite {0}",
+    "Page {0} of {1}": "Seite {0} von {1}",
+    "Resize column": "Spaltengröße ändern",
+    "Select group": "Gruppe auswählen",
+    "Columns": "Spalten"
   },
   "fr-FR": {
     "Select": "Sélectionner",
@@ -33,7 +47,14 @@ export default {
     "sorted by column {0}, in ascending order": "Trié par colonne {0} dans l’ordre ascendant",
     "sorted by column {0}, in descending order": "Trié par colonne {0} dans l’ordre décroissant",
     ", checked": ", cochée",
-    ", unchecked": ", pas cochée"
+    ", unchecked": ", pas cochée",
+    "Previous page": "Page précédente",
+    "Next page": "Page suivante",
+    "Page {0}": "Page {0}",
+    "Page {0} of {1}": "Page {0} sur {1}",
+    "Resize column": "Redimensionner la colonne",
+    "Select group": "Sélectionner le groupe",
+    "Columns": "Colonnes"
   },
   "it-IT": {
     "Select": "Seleziona",
@@ -41,7 +62,14 @@ export default {
     "sorted by column {0}, in ascending order": "Ordinato per colonna {0} in ordine crescente",
     "sorted by column {0}, in descending order": "Ordinato per colonna {0} in ordine decrescente",
     ", checked": ", selezionata",
-    ", unchecked": ", non selezionata"
+    ", unchecked": ", non selezionata",
+    "Previous page": "Pagina precedente",
+    "Next page": "Pagina successiva",
+    "Page {0}": "Pagina {0}",
+    "Page {0} of {1}": "Pagina {0} di {1}",
+    "Resize column": "Ridimensiona colonna",
+    "Select group": "Seleziona gruppo",
+    "Columns": "Colonne"
   },
   "ja-JP": {
     "Select": "選択",
@@ -49,7 +77,14 @@ export default {
     "sorted by column {0}, in ascending order": "列 {0} で昇順で並べ替え",
     "sorted by column {0}, in descending order": "列 {0} で降順に並べ替え",
     ", checked": "、チェック",
-    ", unchecked": "、未チェック"
+    ", unchecked": "、未チェック",
+    "Previous page": "前のページ",
+    "Next page": "次のページ",
+    "Page {0}": "{0} ページ",
+    "Page {0} of {1}": "{0} / {1} ページ",
+    "Resize column": "列のサイズを変更",
+    "Select group": "グループを選択",
+    "Columns": "列"
   },
   "es-ES": {
     "Select": "Seleccionar",
@@ -57,7 +92,14 @@ export default {
     "sorted by column {0}, in ascending order": "Ordenado por columna {0} en orden ascendente",
     "sorted by column {0}, in descending order": "Ordenado por columna {0} en orden descendente",
     ", checked": ", marcada",
-    ", unchecked": ", desmarcada"
+    ", unchecked": ", desmarcada",
+    "Previous page": "Página anterior",
+    "Next page": "Página siguiente",
+    "Page {0}": "Página {0}",
+    "Page {0} of {1}": "Página {0} de {1}",
+    "Resize column": "Cambiar tamaño de columna",
+    "Select group": "Seleccionar grupo",
+    "Columns": "Columnas"
   },
   "ko-KR": {
     "Select": "선택",
@@ -65,7 +107,14 @@ export default {
     "sorted by column {0}, in ascending order": "오름차순으로 열 {0} 정렬",
     "sorted by column {0}, in descending order": "내림차순으로 {0} 열별로 정렬",
     ", checked": ", 선택됨",
-    ", unchecked": ", 선택되지 않은"
+    ", unchecked": ", 선택되지 않은",
+    "Previous page": "이전 페이지",
+    "Next page": "다음 페이지",
+    "Page {0}": "{0}페이지",
+    "Page {0} of {1}": "{1}페이지 중 {0}페이지",
+    "Resize column": "열 크기 조정",
+    "Select group": "그룹 선택",
+    "Columns": "열"
   },
   "zh-CN": {
     "Select": "选择",
@@ -73,7 +122,14 @@ export default {
     "sorted by column {0}, in ascending order": "按列{0}按升序排序r",
     "sorted by column {0}, in descending order": "按列{0}按降序排序",
     ", checked": "，选中",
-    ", unchecked": "，未选中"
+    ", unchecked": "，未选中",
+    "Previous page": "上一页",
+    "Next page": "下一页",
+    "Page {0}": "第 {0} 页",
+    "Page {0} of {1}": "第 {0} 页，共 {1} 页",
+    "Resize column": "调整列大小",
+    "Select group": "选择组",
+    "Columns": "列"
   },
   "zh-TW": {
     "Select": "選取",
@@ -81,7 +137,14 @@ export default {
     "sorted by column {0}, in ascending order": "按列{0}按昇冪排序",
     "sorted by column {0}, in descending order": "按列{0}按降冪排序",
     ", checked": "，選中",
-    ", unchecked": "，未選中"
+    ", unchecked": "，未選中",
+    "Previous page": "上一頁",
+    "Next page": "下一頁",
+    "Page {0}": "第 {0} 頁",
+    "Page {0} of {1}": "第 {0} 頁，共 {1} 頁",
+    "Resize column": "調整欄大小",
+    "Select group": "選取群組",
+    "Columns": "欄"
   },
   "pt-BR": {
     "Select": "Selecionar",
@@ -89,7 +152,14 @@ export default {
     "sorted by column {0}, in ascending order": "Classificado por coluna {0} em ordem ascendente",
     "sorted by column {0}, in descending order": "Classificado por coluna {0} em ordem descendente",
     ", checked": ", marcada",
-    ", unchecked": ", desmarcada"
+    ", unchecked": ", desmarcada",
+    "Previous page": "Página anterior",
+    "Next page": "Próxima página",
+    "Page {0}": "Página {0}",
+    "Page {0} of {1}": "Página {0} de {1}",
+    "Resize column": "Redimensionar coluna",
+    "Select group": "Selecionar grupo",
+    "Columns": "Colunas"
   },
   "nl-NL": {
     "Select": "Selecteren",
@@ -97,7 +167,14 @@ export default {
     "sorted by column {0}, in ascending order": "Gesorteerd op kolom {0} in oplopende volgorde",
     "sorted by column {0}, in descending order": "Gesorteerd op kolom {0} in aflopende volgorde",
     ", checked": ", geselecteerd",
-    ", unchecked": ", neit geselecteerd"
+    ", unchecked": ", neit geselecteerd",
+    "Previous page": "Vorige pagina",
+    "Next page": "Volgende pagina",
+    "Page {0}": "Pagina {0}",
+    "Page {0} of {1}": "Pagina {0} van {1}",
+    "Resize column": "Kolomgrootte wijzigen",
+    "Select group": "Groep selecteren",
+    "Columns": "Kolommen"
   },
   "da-DK": {
     "Select": "Vælg",
@@ -105,7 +182,14 @@ export default {
     "sorted by column {0}, in ascending order": "Sorteret efter kolonne {0} i stigende rækkefølge",
     "sorted by column {0}, in descending order": "Sorteret efter kolonne {0} i faldende rækkefølge",
     ", checked": ", valgte",
-    ", unchecked": ", ikke valgt"
+    ", unchecked": ", ikke valgt",
+    "Previous page": "Forrige side",
+    "Next page": "Næste side",
+    "Page {0}": "Side {0}",
+    "Page {0} of {1}": "Side {0} af {1}",
+    "Resize column": "Tilpas kolonnestørrelse",
+    "Select group": "Vælg gruppe",
+    "Columns": "Kolonner"
   },
   "fi-FI": {
     "Select": "Valitse",
@@ -113,7 +197,14 @@ export default {
     "sorted by column {0}, in ascending order": "Lajiteltu sarakkeen mukaan {0} nousevaan järjestykseen",
     "sorted by column {0}, in descending order": "Lajiteltu sarakkeen mukaan {0} laskevassa järjestyksessä",
     ", checked": ", valittu",
-    ", unchecked": ", valittuna"
+    ", unchecked": ", valittuna",
+    "Previous page": "Edellinen sivu",
+    "Next page": "Seuraava sivu",
+    "Page {0}": "Sivu {0}",
+    "Page {0} of {1}": "Sivu {0}/{1}",
+    "Resize column": "Muuta sarakkeen kokoa",
+    "Select group": "Valitse ryhmä",
+    "Columns": "Sarakkeet"
   },
   "nb-NO": {
     "Select": "Velg",
@@ -121,7 +212,14 @@ export default {
     "sorted by column {0}, in ascending order": "Sortert etter kolonne {0} i stigende rekkefølge",
     "sorted by column {0}, in descending order": "Sortert etter kolonne {0} i synkende rekkefølge",
     ", checked": ", valgt",
-    ", unchecked": ", ikke valgt"
+    ", unchecked": ", ikke valgt",
+    "Previous page": "Forrige side",
+    "Next page": "Neste side",
+    "Page {0}": "Side {0}",
+    "Page {0} of {1}": "Side {0} av {1}",
+    "Resize column": "Endre kolonnestørrelse",
+    "Select group": "Velg gruppe",
+    "Columns": "Kolonner"
   },
   "sv-SE": {
     "Select": "Markera",
@@ -129,7 +227,14 @@ export default {
     "sorted by column {0}, in ascending order": "Sorterat efter kolumn {0} i stigande ordning",
     "sorted by column {0}, in descending order": "Sorterat efter kolumn {0} i fallande ordning",
     ", checked": ", markerad",
-    ", unchecked": ", avmarkerad"
+    ", unchecked": ", avmarkerad",
+    "Previous page": "Föregående sida",
+    "Next page": "Nästa sida",
+    "Page {0}": "Sida {0}",
+    "Page {0} of {1}": "Sida {0} av {1}",
+    "Resize column": "Ändra kolumnstorlek",
+    "Select group": "Markera grupp",
+    "Columns": "Kolumner"
   },
   "cs-CZ": {
     "Select": "Vybrat",
@@ -137,7 +242,14 @@ export default {
     "sorted by column {0}, in ascending order": "Seřazeno podle sloupcových {0} ve vzestupném pořadí",
     "sorted by column {0}, in descending order": "Seřazeno podle sloupcových {0} v sestupném pořadí",
     ", checked": ", vybráno",
-    ", unchecked": ", není vybráno"
+    ", unchecked": ", není vybráno",
+    "Previous page": "Předchozí stránka",
+    "Next page": "Další stránka",
+    "Page {0}": "Stránka {0}",
+    "Page {0} of {1}": "Stránka {0} z {1}",
+    "Resize column": "Změnit velikost sloupce",
+    "Select group": "Vybrat skupinu",
+    "Columns": "Sloupce"
   },
   "pl-PL": {
     "Select": "Zaznacz",
@@ -145,7 +257,14 @@ export default {
     "sorted by column {0}, in ascending order": "Posortowane według kolumny {0} w porządku rosnącym",
     "sorted by column {0}, in descending order": "Posortowane według kolumny {0} w porządku malejącym",
     ", checked": ", zaznaczone",
-    ", unchecked": ", nie zaznaczone"
+    ", unchecked": ", nie zaznaczone",
+    "Previous page": "Poprzednia strona",
+    "Next page": "Następna strona",
+    "Page {0}": "Strona {0}",
+    "Page {0} of {1}": "Strona {0} z {1}",
+    "Resize column": "Zmień rozmiar kolumny",
+    "Select group": "Zaznacz grupę",
+    "Columns": "Kolumny"
   },
   "ru-RU": {
     "Select": "Выбрать",
@@ -153,7 +272,14 @@ export default {
     "sorted by column {0}, in ascending order": "Сортировка по столбе {0} в порядке возрастания",
     "sorted by column {0}, in descending order": "Сортировка по колонке {0} в порядке убывания",
     ", checked": ", выбранный",
-    ", unchecked": ", неотобранный"
+    ", unchecked": ", неотобранный",
+    "Previous page": "Предыдущая страница",
+    "Next page": "Следующая страница",
+    "Page {0}": "Страница {0}",
+    "Page {0} of {1}": "Страница {0} из {1}",
+    "Resize column": "Изменить размер столбца",
+    "Select group": "Выбрать группу",
+    "Columns": "Столбцы"
   },
   "tr-TR": {
     "Select": "Seç",
@@ -161,6 +287,13 @@ export default {
     "sorted by column {0}, in ascending order": "Artan sırada {0} sütununa göre sıralanmış",
     "sorted by column {0}, in descending order": "Azalan sırada {0} sütununa göre sıralanmış",
     ", checked": ", seçilmiş",
-    ", unchecked": ", seçilmemiş"
+    ", unchecked": ", seçilmemiş",
+    "Previous page": "Önceki sayfa",
+    "Next page": "Sonraki sayfa",
+    "Page {0}": "Sayfa {0}",
+    "Page {0} of {1}": "Sayfa {0}/{1}",
+    "Resize column": "Sütunu yeniden boyutlandır",
+    "Select group": "Grubu seç",
+    "Columns": "Sütunlar"
   }
 };
@@ -24,6 +24,7 @@ import TableCell from './src/scripts/TableCell';
 import TableHeaderCell from './src/scripts/TableHeaderCell';
 import TableHeaderCellContent from './src/scripts/TableHeaderCellContent';
 import TableRow from './src/scripts/TableRow';
+import TableGroupRow from './src/scripts/TableGroupRow';
 import TableHead from './src/scripts/TableHead';
 import TableBody from './src/scripts/TableBody';
 import TableFoot from './src/scripts/TableFoot';
@@ -40,6 +41,7 @@ commons._define('coral-table-column', TableColumn, {extends: 'col'});
 commons._define('coral-table-cell', TableCell, {extends: 'td'});
 commons._define('coral-table-headercell', TableHeaderCell, {extends: 'th'});
 commons._define('coral-table-row', TableRow, {extends: 'tr'});
+commons._define('coral-table-grouprow', TableGroupRow, {extends: 'tr'});
 commons._define('coral-table-head', TableHead, {extends: 'thead'});
 commons._define('coral-table-body', TableBody, {extends: 'tbody'});
 commons._define('coral-table-foot', TableFoot, {extends: 'tfoot'});
@@ -50,6 +52,7 @@ Table.Cell = TableCell;
 Table.HeaderCell = TableHeaderCell;
 Table.HeaderCell.Content = TableHeaderCellContent;
 Table.Row = TableRow;
+Table.GroupRow = TableGroupRow;
 Table.Head = TableHead;
 Table.Body = TableBody;
 Table.Foot = TableFoot;
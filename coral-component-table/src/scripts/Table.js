@@ -15,17 +15,26 @@ import {DragAction} from '../../../coral-dragaction';
 import TableColumn from './TableColumn';
 import TableCell from './TableCell';
 import TableRow from './TableRow';
+import TableGroupRow from './TableGroupRow';
 import TableHead from './TableHead';
 import TableBody from './TableBody';
 import TableFoot from './TableFoot';
 import '../../../coral-component-button';
 import {Checkbox} from '../../../coral-component-checkbox';
+import {Textfield} from '../../../coral-component-textfield';
+import {NumberInput} from '../../../coral-component-numberinput';
+import {Select} from '../../../coral-component-select';
+import {Datepicker} from '../../../coral-component-datepicker';
 import base from '../templates/base';
-import {SelectableCollection} from '../../../coral-collection';
+import pagination from '../templates/pagination';
+import rowToggle from '../templates/rowToggle';
+import columnChooser from '../templates/columnChooser';
+import TableCollection from './TableCollection';
 import {
   isTableHeaderCell,
   isTableCell,
   isTableRow,
+  isTableGroupRow,
   isTableBody,
   getCellByIndex,
   getColumns,
@@ -74,7 +83,142 @@ const IS_BEFORE_CLASS = 'is-before';
 const IS_AFTER_CLASS = 'is-after';
 const IS_LAYOUTING = 'is-layouting';
 const IS_READY = 'is-ready';
+const IS_LOADING = 'is-loading';
+const IS_RESIZING = 'is-resizing';
+const IS_RESIZING_BODY = '_coral-Table-isResizing';
+const IS_EDITING = 'is-editing';
+const IS_LEAF = 'is-leaf';
 const KEY_SPACE = Keys.keyToCode('space');
+const KEY_ENTER = Keys.keyToCode('enter');
+const KEY_ESCAPE = Keys.keyToCode('escape');
+const KEY_TAB = Keys.keyToCode('tab');
+
+// Width in pixels a column is resized by with the keyboard
+const COLUMN_RESIZE_STEP = 10;
+
+// Width in pixels each tree-grid level is indented by
+const TREE_GRID_INDENT = 24;
+
+// Number of rows rendered above and below the visible area of a virtualized table
+const VIRTUAL_ROW_BUFFER = 10;
+// Row height used until the first virtual row could be measured
+const VIRTUAL_ROW_DEFAULT_HEIGHT = 48;
+
+// Returns the key identifying the given column in a layout state
+const getColumnStateKey = column => column.key || column.id;
+
+// Values starting with these characters are evaluated as formulas by spreadsheet applications
+const FORMULA_REGEX = /^[=+\-@\t\r]/;
+// Escaped formulas are prefixed with a single quote
+const ESCAPED_FORMULA_REGEX = /^'[=+\-@\t\r]/;
+
+// Prefixes values that would be evaluated as formulas with a single quote, numbers like -5 are kept as is
+const escapeFormula = value => FORMULA_REGEX.test(value) && isNaN(Number(value)) ? `'${value}` : value;
+
+// Serializes lines of values, values containing the delimiter, quotes or line breaks are quoted
+const serializeValues = (lines, delimiter, lineBreak) => lines.map(values => values.map((value) => {
+  const quoted = value.indexOf(delimiter) !== -1 || /["\r\n]/.test(value);
+  return quoted ? `"${value.replace(/"/g, '""')}"` : value;
+}).join(delimiter)).join(lineBreak);
+
+// Parses lines of values separated by the delimiter, quoted values can contain delimiters, quotes and line breaks
+const parseValues = (text, delimiter) => {
+  const lines = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0 ; i < text.length ; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        value += char;
+      } else if (text[i + 1] === '"') {
+        value += char;
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+
+      values.push(value);
+      lines.push(values);
+      values = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  // A trailing line break doesn't start a new line
+  if (value !== '' || values.length) {
+    values.push(value);
+    lines.push(values);
+  }
+
+  return lines;
+};
+
+// Returns the value of a data source item displayed in the given column
+const getDataItemValue = (item, column) => {
+  if (Array.isArray(item)) {
+    return item[getIndexOf(column)];
+  }
+
+  return item && column.key ? item[column.key] : undefined;
+};
+
+// Returns the value of a cell used to sort its column. Falls back to the cell text content if no value is specified.
+const getCellSortValue = (cell, sortableType) => {
+  if (sortableType === TableColumn.sortableType.DATE && cell.value) {
+    // Date values are defined in milliseconds
+    return parseInt(cell.value, 10);
+  }
+
+  return cell.value ? cell.value : cell.textContent;
+};
+
+// Returns the value of a cell edited or grouped by. Falls back to the cell text content if no value is specified.
+const getCellValue = cell => cell.hasAttribute('value') ? cell.value : cell.textContent.trim();
+
+// Compares the values of cells or data source items when sorting
+const compareDataValues = (a, b, type) => {
+  if (type === TableColumn.sortableType.NUMBER) {
+    // Remove all spaces and replace commas with dots for decimal values
+    a = typeof a === 'number' ? a : parseFloat(String(a).replace(/\s+/g, '').replace(/,/g, '.'));
+    b = typeof b === 'number' ? b : parseFloat(String(b).replace(/\s+/g, '').replace(/,/g, '.'));
+  } else if (type === TableColumn.sortableType.DATE) {
+    a = new Date(a);
+    b = new Date(b);
+  } else {
+    return transform.string(a).localeCompare(transform.string(b));
+  }
+
+  if (a > b) {
+    return 1;
+  }
+
+  return a < b ? -1 : 0;
+};
+
+const stopPropagation = (event) => {
+  event.stopPropagation();
+};
+
+// Dragging moves the resize handle, it has to stay on the edge of the header cell though
+const resetResizeHandlePosition = (handle) => {
+  handle.style.left = '';
+  handle.style.top = '';
+};
 
 /**
  @class Coral.Table
@@ -85,6 +229,18 @@ const KEY_SPACE = Keys.keyToCode('space');
  - <code>[coral-table-rowselect]</code>. Select/unselect the table item.
  - <code>[coral-table-roworder]</code>. Drag to order the table item.
  - <code>[coral-table-rowlock]</code>. Lock/unlock the table item.
+ - <code>[coral-table-columnresize]</code>. Drag or use the arrow keys to resize the column. Added to the header cells
+ of {@link TableColumn#resizable} columns.
+ - <code>[coral-table-columnchooser]</code>. Open the column chooser to show/hide columns, see {@link Table#showColumnChooser}.
+ The table layout can be saved and restored with {@link Table#getLayoutState} and {@link Table#setLayoutState}.
+ The table data can be exported with {@link Table#toCSV} and {@link Table#toTSV}. Selected rows are copied as tab
+ separated values and {@link Table#pastable} tables add pasted tab separated values as rows.
+ Large data sets can be displayed with {@link Table#virtualized}, in which case only the visible rows are rendered.
+ Rows can also be provided by a {@link Table#dataSource} which handles sorting and paging.
+ Cells of {@link TableColumn#editable} columns can be edited inline, see {@link Table#editCell}.
+ Rows sharing the same value in a column can be gathered in collapsible groups with {@link Table#groupBy}.
+ Rows can be nested with {@link TableRow#level} and expanded or collapsed in {@link Table#treeGrid} mode.
+ Columns can be pinned to the left or right edge of the table while scrolling horizontally with {@link TableColumn#fixed}.
  @htmltag coral-table
  @htmlbasetag table
  @extends {HTMLTableElement}
@@ -103,13 +259,24 @@ class Table extends BaseComponent(HTMLTableElement) {
       columns: this.querySelector('colgroup') || document.createElement('colgroup')
     };
     base.call(this._elements, {commons});
+    pagination.call(this._elements, {i18n});
+    columnChooser.call(this._elements, {commons, i18n});
+
+    // Spacers standing in for the rows of a virtualized table that aren't rendered
+    this._elements.virtualSpacerTop = this._createVirtualSpacer();
+    this._elements.virtualSpacerBottom = this._createVirtualSpacer();
 
     // Events
     this._delegateEvents({
       // Table specific
       'global:coral-commons:_webfontactive': '_resetLayout',
       'change [coral-table-select]': '_onSelectAll',
+      'click [coral-table-columnchooser]': '_onColumnChooserClick',
+      'copy': '_onCopy',
+      'paste': '_onPaste',
       'capture:scroll [handle="container"]': '_onScroll',
+      'click [coral-table-previouspage]': '_onPreviousPageClick',
+      'click [coral-table-nextpage]': '_onNextPageClick',
 
       // Head specific
       'click thead[is="coral-table-head"] th[is="coral-table-headercell"]': '_onHeaderCellSort',
@@ -121,25 +288,38 @@ class Table extends BaseComponent(HTMLTableElement) {
       'key:enter th[is="coral-table-headercell"] coral-table-headercell-content': '_onHeaderCellSort',
       'key:space th[is="coral-table-headercell"]': '_onHeaderCellSort',
       'key:space th[is="coral-table-headercell"] coral-table-headercell-content': '_onHeaderCellSort',
+      'key:shift+enter th[is="coral-table-headercell"]': '_onHeaderCellSort',
+      'key:shift+enter th[is="coral-table-headercell"] coral-table-headercell-content': '_onHeaderCellSort',
+      'key:shift+space th[is="coral-table-headercell"]': '_onHeaderCellSort',
+      'key:shift+space th[is="coral-table-headercell"] coral-table-headercell-content': '_onHeaderCellSort',
+      'coral-dragaction:dragstart thead[is="coral-table-head"] [coral-table-columnresize]': '_onColumnResizeStart',
+      'coral-dragaction:drag thead[is="coral-table-head"] [coral-table-columnresize]': '_onColumnResize',
+      'coral-dragaction:dragend thead[is="coral-table-head"] [coral-table-columnresize]': '_onColumnResizeEnd',
+      'key:left thead[is="coral-table-head"] [coral-table-columnresize]': '_onColumnResizeLeft',
+      'key:right thead[is="coral-table-head"] [coral-table-columnresize]': '_onColumnResizeRight',
 
       // Body specific
       'click tbody[is="coral-table-body"] [coral-table-rowlock]': '_onRowLock',
       'click tbody[is="coral-table-body"] [coral-table-rowselect]': '_onRowSelect',
       'click tbody[is="coral-table-body"] tr[is="coral-table-row"][selectable] [coral-table-cellselect]': '_onCellSelect',
+      'click tbody[is="coral-table-body"] [coral-table-grouptoggle]': '_onGroupToggle',
+      'click tbody[is="coral-table-body"] [coral-table-rowtoggle]': '_onRowToggle',
+      'change tbody[is="coral-table-body"] [coral-table-groupselect]': '_onSelectAll',
       'capture:mousedown tbody[is="coral-table-body"] [coral-table-roworder]:not([disabled])': '_onRowOrder',
       'capture:touchstart tbody[is="coral-table-body"] [coral-table-roworder]:not([disabled])': '_onRowOrder',
       'coral-dragaction:dragstart tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowDragStart',
       'coral-dragaction:drag tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowDrag',
       'coral-dragaction:dragover tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowDragOver',
       'coral-dragaction:dragend tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowDragEnd',
+      'dblclick tbody[is="coral-table-body"] td[is="coral-table-cell"]': '_onCellDoubleClick',
       // a11y
       'mousedown tbody[is="coral-table-body"] [coral-table-rowselect]': '_onRowDown',
       'key:enter tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowSelect',
       'key:space tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowSelect',
       'key:pageup tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusPreviousItem',
       'key:pagedown tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusNextItem',
-      'key:left tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusPreviousItem',
-      'key:right tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusNextItem',
+      'key:left tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowKeyLeft',
+      'key:right tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowKeyRight',
       'key:up tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusPreviousItem',
       'key:down tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusNextItem',
       'key:home tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onFocusFirstItem',
@@ -150,24 +330,31 @@ class Table extends BaseComponent(HTMLTableElement) {
       'key:shift+right tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onSelectNextItem',
       'key:shift+up tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onSelectPreviousItem',
       'key:shift+down tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onSelectNextItem',
+      'key:f2 tbody[is="coral-table-body"] tr[is="coral-table-row"]': '_onRowEdit',
 
       // Private
       'coral-table-row:_multiplechanged': '_onRowMultipleChanged',
       'coral-table-row:_beforeselectedchanged': '_onBeforeRowSelectionChanged',
       'coral-table-row:_selectedchanged': '_onRowSelectionChanged',
       'coral-table-row:_lockedchanged': '_onRowLockedChanged',
+      'coral-table-row:_levelchanged': '_onRowLevelChanged',
+      'coral-table-row:_expandedchanged': '_onRowExpandedChanged',
       'coral-table-row:_change': '_onRowChange',
       'coral-table-row:_contentchanged': '_onRowContentChanged',
+      'coral-table-grouprow:_collapsedchanged': '_onGroupCollapsedChanged',
       'coral-table-headercell:_contentchanged': '_resetLayout',
       'coral-table-head:_contentchanged': '_onHeadContentChanged',
       'coral-table-body:_contentchanged': '_onBodyContentChanged',
       'coral-table-body:_empty': '_onBodyEmpty',
       'coral-table-column:_alignmentchanged': '_onAlignmentChanged',
       'coral-table-column:_fixedwidthchanged': '_onFixedWidthChanged',
+      'coral-table-column:_fixedchanged': '_onColumnFixedChanged',
       'coral-table-column:_orderablechanged': '_onColumnOrderableChanged',
       'coral-table-column:_sortablechanged': '_onColumnSortableChanged',
       'coral-table-column:_sortabledirectionchanged': '_onColumnSortableDirectionChanged',
       'coral-table-column:_hiddenchanged': '_onColumnHiddenChanged',
+      'coral-table-column:_resizablechanged': '_onColumnResizableChanged',
+      'coral-table-column:_editablechanged': '_onColumnEditableChanged',
       'coral-table-column:_beforecolumnsort': '_onBeforeColumnSort',
       'coral-table-column:_sort': '_onColumnSort',
       'coral-table-head:_stickychanged': '_onHeadStickyChanged'
@@ -183,12 +370,36 @@ class Table extends BaseComponent(HTMLTableElement) {
 
     // Don't sort by default
     this._allowSorting = false;
+    // Sorted columns by priority
+    this._sortOrder = [];
 
     // Debounce timer
     this._timeout = null;
     // Debounce wait in milliseconds
     this._wait = 50;
 
+    // Logical row set of a virtualized table
+    this._virtualRows = [];
+    this._virtualRange = {start: 0, end: 0};
+    // Whether rows are attached or detached by the virtual rendering
+    this._virtualRendering = false;
+
+    // Used to discard the responses of outdated data source requests
+    this._loadRequestId = 0;
+    // Page and sorting of the displayed items, restored if loading fails
+    this._loadedState = null;
+
+    // Cell being edited
+    this._editing = null;
+    // Used by cell editing
+    this._onEditorKeyDown = this._onEditorKeyDown.bind(this);
+    this._onEditorFocusOut = this._onEditorFocusOut.bind(this);
+    this._onEditorChange = this._onEditorChange.bind(this);
+
+    // The column chooser might be moved to the document body hence it is listened to directly
+    this._elements.columnChooser.on('coral-overlay:beforeopen', this._onColumnChooserBeforeOpen.bind(this));
+    this._elements.columnChooser.on('change', this._onColumnChooserChange.bind(this));
+
     // Used by resizing detector
     this._resetLayout = this._resetLayout.bind(this);
     // Init observer
@@ -321,7 +532,7 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._selectable = transform.booleanAttr(value);
     this._reflectAttribute('selectable', this._selectable);
 
-    const rows = getRows([this.body]);
+    const rows = this._getRows();
 
     if (this._selectable) {
       rows.forEach((row) => {
@@ -343,6 +554,8 @@ class Table extends BaseComponent(HTMLTableElement) {
       this._lastSelectedItems.items = [];
     }
 
+    this._syncGroupSelectHandles();
+
     // a11y
     this._toggleFocusable();
   }
@@ -363,7 +576,7 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._orderable = transform.booleanAttr(value);
     this._reflectAttribute('orderable', this._orderable);
 
-    getRows([this.body]).forEach((row) => {
+    this._getRows().forEach((row) => {
       row[this._orderable ? 'setAttribute' : 'removeAttribute']('_orderable', '');
     });
 
@@ -418,6 +631,26 @@ class Table extends BaseComponent(HTMLTableElement) {
         this._lastSelectedItems.items = newSelection;
       }
     }
+
+    this._syncGroupSelectHandles();
+  }
+
+  /**
+   Whether tab separated values pasted in the table, e.g. copied from a spreadsheet, are added as rows. See
+   {@link Table#fromTSV}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute pastable
+   @htmlattributereflected
+   */
+  get pastable() {
+    return this._pastable || false;
+  }
+
+  set pastable(value) {
+    this._pastable = transform.booleanAttr(value);
+    this._reflectAttribute('pastable', this._pastable);
   }
 
   /**
@@ -437,7 +670,7 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._lockable = transform.booleanAttr(value);
     this._reflectAttribute('lockable', this._lockable);
 
-    getRows([this.body]).forEach((row) => {
+    this._getRows().forEach((row) => {
       row[this._lockable ? 'setAttribute' : 'removeAttribute']('_lockable', '');
     });
 
@@ -445,6 +678,299 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._toggleFocusable();
   }
 
+  /**
+   Whether the body rows are displayed as a tree. Rows are nested in the closest previous row of a lower
+   {@link TableRow#level}, a toggle in the first cell of the rows with nested rows expands or collapses them. The arrow
+   keys expand and collapse the focused row or move the focus to its parent row. Sorting the table sorts the rows
+   within their parent row. Tree-grid mode isn't supported by {@link Table#virtualized} tables and rows shouldn't be
+   nested if the table is {@link Table#lockable}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute treegrid
+   @htmlattributereflected
+   */
+  get treeGrid() {
+    return this._treeGrid || false;
+  }
+
+  set treeGrid(value) {
+    this._treeGrid = transform.booleanAttr(value);
+    this._reflectAttribute('treegrid', this._treeGrid);
+
+    // a11y
+    this._elements.table.setAttribute('role', this._treeGrid ? 'treegrid' : 'grid');
+
+    if (this._rendered) {
+      // Rows aren't grouped in tree-grid mode
+      this._renderGroups();
+      this._syncTreeGrid();
+    }
+
+    this._toggleFocusable();
+  }
+
+  /**
+   Whether only the rows visible in the scrollable area are rendered. The logical row set consists of the rows of the
+   body or, if defined, of the rows provided by {@link Table#virtualSource}. {@link Table#items},
+   {@link Table#selectedItems}, keyboard navigation and column sorting apply to the whole logical row set.
+   The table height has to be constrained e.g. by using a sticky head. Row ordering by drag and drop is not supported
+   in this mode.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute virtualized
+   @htmlattributereflected
+   */
+  get virtualized() {
+    return this._virtualized || false;
+  }
+
+  set virtualized(value) {
+    value = transform.booleanAttr(value);
+    const changed = value !== this.virtualized;
+
+    this._virtualized = value;
+    this._reflectAttribute('virtualized', this._virtualized);
+
+    this.classList.toggle(`${CLASSNAME}--virtualized`, this._virtualized);
+
+    // The logical row set is built on render otherwise
+    if (changed && this._rendered) {
+      this._toggleVirtualization(this._virtualized);
+    }
+  }
+
+  /**
+   Callback used by a {@link Table#virtualized} table to create the row at a given index of the logical row set.
+   Rows are only requested once they are scrolled into view and are kept afterwards. The amount of rows is defined by
+   {@link Table#virtualItemCount}. Operations on the whole logical row set request all the rows that weren't requested
+   yet, namely selecting all rows with the select all handle, sorting a column and reading {@link Table#items}.
+
+   @type {?TableVirtualSource}
+   @default null
+   */
+  get virtualSource() {
+    return typeof this._virtualSource === 'function' ? this._virtualSource : null;
+  }
+
+  set virtualSource(value) {
+    this._virtualSource = typeof value === 'function' ? value : null;
+    this._syncVirtualSource(true);
+  }
+
+  /**
+   The amount of rows provided by {@link Table#virtualSource}.
+
+   @type {Number}
+   @default 0
+   @htmlattribute virtualitemcount
+   */
+  get virtualItemCount() {
+    return this._virtualItemCount || 0;
+  }
+
+  set virtualItemCount(value) {
+    value = transform.number(value);
+    this._virtualItemCount = value > 0 ? Math.floor(value) : 0;
+    this._syncVirtualSource();
+  }
+
+  /**
+   The data source providing the rows of the table. If an Array of items is set, the table sorts and pages the items
+   itself. A {@link TableDataSource} callback delegates sorting, paging and the total count to a provider instead,
+   e.g. a server. The body rows are replaced by the rows of the current {@link Table#page} once loaded and sorting a
+   column requests the first page again. See {@link Table#load}.
+
+   @type {?Array|TableDataSource}
+   @default null
+   */
+  get dataSource() {
+    return this._dataSource || null;
+  }
+
+  set dataSource(value) {
+    this._dataSource = Array.isArray(value) || typeof value === 'function' ? value : null;
+
+    // The data source is loaded on render otherwise
+    if (this._rendered) {
+      if (this._dataSource) {
+        this.load();
+      } else {
+        this._renderPagination();
+      }
+    }
+  }
+
+  /**
+   Callback creating the row of an item provided by {@link Table#dataSource}. By default, a row is created with a cell
+   per column displaying the item value matching {@link TableColumn#key}, or the value at the column index if the
+   item is an Array.
+
+   @type {?TableRowRenderer}
+   @default null
+   */
+  get rowRenderer() {
+    return typeof this._rowRenderer === 'function' ? this._rowRenderer : null;
+  }
+
+  set rowRenderer(value) {
+    this._rowRenderer = typeof value === 'function' ? value : null;
+  }
+
+  /**
+   The amount of items requested per page from {@link Table#dataSource}. If set to <code>0</code>, all items are
+   displayed and no paging footer is rendered.
+
+   @type {Number}
+   @default 0
+   @htmlattribute pagesize
+   */
+  get pageSize() {
+    return this._pageSize || 0;
+  }
+
+  set pageSize(value) {
+    value = transform.number(value);
+    value = value > 0 ? Math.floor(value) : 0;
+
+    const changed = value !== this.pageSize;
+    this._pageSize = value;
+
+    // Page boundaries changed, start over
+    if (changed && this._rendered && this.dataSource) {
+      this._page = 1;
+      this.load();
+    }
+  }
+
+  /**
+   The current page of {@link Table#dataSource}, starting at <code>1</code>. Setting it loads the page.
+
+   @type {Number}
+   @default 1
+   @htmlattribute page
+   */
+  get page() {
+    return this._page || 1;
+  }
+
+  set page(value) {
+    value = transform.number(value);
+    value = value > 1 ? Math.floor(value) : 1;
+
+    const changed = value !== this.page;
+    this._page = value;
+
+    if (changed && this._rendered && this.dataSource) {
+      this.load();
+    }
+  }
+
+  /**
+   The total amount of items of {@link Table#dataSource} as of the last load. The value <code>null</code> is returned
+   if the data source didn't provide it.
+
+   @type {?Number}
+   @default null
+   @readonly
+   */
+  get total() {
+    return typeof this._total === 'number' ? this._total : null;
+  }
+
+  /**
+   The sorting of all sorted columns by priority. Users can sort by several columns by holding shift while sorting a
+   column. Setting it sorts the table once for all columns, the direction defaults to ascending.
+
+   @type {Array.<TableSort>}
+   @default []
+   */
+  get sortOrder() {
+    return this._sortOrder.map(column => ({
+      column: column,
+      key: column.key,
+      direction: column.sortableDirection
+    }));
+  }
+
+  set sortOrder(value) {
+    this._applySortOrder(value);
+
+    // Sort once for all columns
+    const column = this._sortOrder[this._sortOrder.length - 1] || getColumns(this.columns)[0];
+    if (column) {
+      this._multipleSort = true;
+      column._doSort();
+      this._multipleSort = false;
+    }
+  }
+
+  /**
+   Sets the sortable direction of the columns according to the given sort order without sorting the table.
+
+   @private
+   */
+  _applySortOrder(value) {
+    const sortableDirection = TableColumn.sortableDirection;
+    const columns = getColumns(this.columns);
+    const sortOrder = [];
+
+    (Array.isArray(value) ? value : []).forEach((sort) => {
+      const column = sort && sort.column;
+      if (columns.indexOf(column) !== -1 && sortOrder.indexOf(column) === -1) {
+        sortOrder.push(column);
+      }
+    });
+
+    this._resetSortableDirection(columns.filter(column => sortOrder.indexOf(column) === -1));
+
+    sortOrder.forEach((column) => {
+      const sort = value.filter(item => item && item.column === column)[0];
+
+      column._preventSort = true;
+      column.sortableDirection = sort.direction === sortableDirection.DESCENDING ? sortableDirection.DESCENDING : sortableDirection.ASCENDING;
+      column._preventSort = false;
+
+      // Sync the header cell
+      column.trigger('coral-table-column:_sortabledirectionchanged');
+    });
+
+    this._sortOrder = sortOrder;
+    this.classList.toggle(IS_SORTED, sortOrder.length > 0);
+  }
+
+  /**
+   The column the body rows are grouped by. Rows sharing the same value in this column are gathered under a
+   {@link TableGroupRow} that displays the value and the amount of rows, and can be collapsed. Groups are ordered by
+   their first row, sorting the table sorts the rows within each group. Locked rows aren't grouped and grouping isn't
+   supported by {@link Table#virtualized} tables nor in {@link Table#treeGrid} mode.
+
+   @type {?TableColumn}
+   @default null
+   */
+  get groupBy() {
+    return this._groupBy || null;
+  }
+
+  set groupBy(value) {
+    this._groupBy = value instanceof TableColumn ? value : null;
+
+    if (this._rendered) {
+      this._renderGroups();
+    }
+  }
+
+  /**
+   The group rows of the table body if the rows are grouped by {@link Table#groupBy}.
+
+   @type {Array.<TableGroupRow>}
+   @readonly
+   */
+  get groups() {
+    return this.body ? Array.prototype.filter.call(this.body.children, isTableGroupRow) : [];
+  }
+
   /**
    Specifies <code>aria-labelledby</code> value.
 
@@ -503,13 +1029,13 @@ class Table extends BaseComponent(HTMLTableElement) {
   /**
    The Collection Interface that allows interacting with the items that the component contains.
 
-   @type {SelectableCollection}
+   @type {TableCollection}
    @readonly
    */
   get items() {
     // Construct the collection on first request
     if (!this._items) {
-      this._items = new SelectableCollection({
+      this._items = new TableCollection({
         host: this,
         container: this.body,
         itemBaseTagName: 'tr',
@@ -523,7 +1049,14 @@ class Table extends BaseComponent(HTMLTableElement) {
   /** @private */
   _onSelectAll(event) {
     if (this.selectable) {
-      let rows = this._getSelectableItems();
+      let rows = this._getSelectableItems(true);
+
+      // The select handle of a group only selects the rows of the group
+      const group = event.target.closest('tr[is="coral-table-grouprow"]');
+      if (group) {
+        const items = group.items;
+        rows = rows.filter(row => items.indexOf(row) !== -1);
+      }
 
       if (rows.length) {
         if (this.multiple) {
@@ -534,6 +1067,24 @@ class Table extends BaseComponent(HTMLTableElement) {
             row.set('selected', selected, true);
           });
 
+          if (group) {
+            const selection = this.selectedItems;
+
+            // Synchronise the table select handle
+            this._syncSelectAllHandle(selection, this._getSelectableItems());
+
+            this.trigger('coral-table:change', {
+              selection: selection,
+              oldSelection: this._oldSelection
+            });
+
+            // Sync used collection
+            this._oldSelection = selection;
+            this._lastSelectedItems.items = selection;
+
+            return;
+          }
+
           rows = selected ? rows : [];
 
           // Synchronise the table select handle
@@ -573,7 +1124,8 @@ class Table extends BaseComponent(HTMLTableElement) {
     const table = this;
     const row = event.target.closest('tr[is="coral-table-row"]');
 
-    if (row && table.orderable) {
+    // Rows of a virtualized table can't be ordered since only the visible rows are rendered
+    if (row && table.orderable && !table.virtualized) {
       const head = table.head;
       const body = table.body;
       const sticky = head && head.sticky;
@@ -640,14 +1192,22 @@ class Table extends BaseComponent(HTMLTableElement) {
     const table = this;
     const matchedTarget = event.matchedTarget.closest('th');
 
-    // Don't sort if the column was dragged
-    if (!matchedTarget._isDragging) {
+    // Resize handles and column chooser handles don't sort
+    if (event.target.closest('[coral-table-columnresize], [coral-table-columnchooser]')) {
+      return;
+    }
+
+    // Don't sort if the column was dragged or resized
+    if (!matchedTarget._isDragging && !matchedTarget._isResizing) {
       const column = table._getColumn(matchedTarget);
       // Only sort if actually sortable and event not defaultPrevented
       if (column && column.sortable) {
         event.preventDefault();
 
+        // Holding shift adds the column to the sort order instead of replacing it
+        table._multipleSort = event.shiftKey;
         column._sort();
+        table._multipleSort = false;
 
         // Restore focus on the header cell in any case
         matchedTarget.focus();
@@ -852,6 +1412,11 @@ class Table extends BaseComponent(HTMLTableElement) {
           row.insertBefore(matchedTarget, after.nextElementSibling);
         }
 
+        // Hidden, aligned and pinned columns are based on the column index
+        table._resetHiddenColumns();
+        table._resetAlignmentColumns();
+        table._resetFixedColumns();
+
         // Trigger the order event if the column position changed
         if (dragData.draggedColumnIndex !== getIndexOf(matchedTarget)) {
           const newBefore = getColumns(table.columns)[getIndexOf(column) + 1];
@@ -899,6 +1464,11 @@ class Table extends BaseComponent(HTMLTableElement) {
     const table = this;
     const row = event.target.closest('tr[is="coral-table-row"]');
 
+    // Interacting with a cell editor or a tree-grid toggle doesn't change the row selection
+    if (event.target.closest('._coral-Table-editor, [coral-table-rowtoggle]')) {
+      return;
+    }
+
     if (row) {
       // Ignore selection if the row is locked
       if (table.lockable && row.locked) {
@@ -1214,7 +1784,10 @@ class Table extends BaseComponent(HTMLTableElement) {
 
   /** @private */
   _syncSelectAllHandle(selectedItems, items) {
-    if (items.length && selectedItems.length === items.length) {
+    // Rows of a virtualized table that were never rendered aren't selected
+    const allItems = !this.virtualized || this._virtualRows.indexOf(null) === -1;
+
+    if (items.length && selectedItems.length === items.length && allItems) {
       this._setSelectAllHandleState('checked');
     } else if (!selectedItems.length) {
       this._setSelectAllHandleState('unchecked');
@@ -1249,6 +1822,8 @@ class Table extends BaseComponent(HTMLTableElement) {
         handle.setAttribute('indeterminate', '');
       }
     }
+
+    this._syncGroupSelectHandles();
   }
 
   /** @private */
@@ -1290,7 +1865,25 @@ class Table extends BaseComponent(HTMLTableElement) {
     const body = this.body;
     const row = event.target;
 
-    if (body && body.contains(row)) {
+    if (table.virtualized) {
+      const rows = table._virtualRows;
+      const index = rows.indexOf(row);
+
+      if (index !== -1) {
+        // Locked rows float to the top of the logical row set
+        rows.splice(index, 1);
+
+        if (row.locked) {
+          row._rowIndex = index;
+          rows.unshift(row);
+        } else {
+          rows.splice(row._rowIndex >= 0 ? row._rowIndex : index, 0, row);
+        }
+
+        table._renderVirtualRows(true);
+        table.trigger(row.locked ? 'coral-table:rowlock' : 'coral-table:rowunlock', {row});
+      }
+    } else if (body && body.contains(row)) {
       if (row.locked) {
         // Store the row index as reference to place it back if unlocked and its selection state
         row._rowIndex = getIndexOf(row);
@@ -1355,6 +1948,9 @@ class Table extends BaseComponent(HTMLTableElement) {
       item.selected = item === addedNode;
     };
     let changed = false;
+    // Rows attached or detached while rendering a virtualized table are already part of the logical row set
+    const virtualRendering = table.virtualized && table._virtualRendering;
+    let virtualRowsChanged = false;
 
     // Sync added nodes
     for (let i = 0 ; i < addedNodes.length ; i++) {
@@ -1364,6 +1960,12 @@ class Table extends BaseComponent(HTMLTableElement) {
       if (isTableRow(addedNode)) {
         changed = true;
 
+        // Rows appended to the body of a virtualized table join the logical row set
+        if (table.virtualized && !virtualRendering && table._virtualRows.indexOf(addedNode) === -1) {
+          table._virtualRows.push(addedNode);
+          virtualRowsChanged = true;
+        }
+
         addedNode._toggleSelectable(table.selectable);
         addedNode._toggleOrderable(table.orderable);
         addedNode._toggleLockable(table.lockable);
@@ -1405,9 +2007,18 @@ class Table extends BaseComponent(HTMLTableElement) {
     for (let k = 0 ; k < removedNodes.length ; k++) {
       const removedNode = removedNodes[k];
 
-      if (isTableRow(removedNode)) {
+      if (isTableRow(removedNode) && !virtualRendering) {
         changed = true;
 
+        // Rows removed from the body of a virtualized table leave the logical row set
+        if (table.virtualized) {
+          const virtualRowIndex = table._virtualRows.indexOf(removedNode);
+          if (virtualRowIndex !== -1) {
+            table._virtualRows.splice(virtualRowIndex, 1);
+            virtualRowsChanged = true;
+          }
+        }
+
         // If the focusable item is removed, the first item becomes the new focusable item
         if (removedNode.getAttribute('tabindex') === '0') {
           const firstItem = getRows([table.body])[0];
@@ -1435,12 +2046,22 @@ class Table extends BaseComponent(HTMLTableElement) {
       }
     }
 
-    if (changed) {
+    if (virtualRowsChanged) {
+      table._renderVirtualRows(true);
+    }
+
+    if (changed && !virtualRendering) {
       const items = this._getSelectableItems();
       // Sync select all handle if any.
       table._syncSelectAllHandle(table.selectedItems, items);
       // Disable table features if no items.
       table._toggleInteractivity(items.length === 0);
+
+      // Added rows join their group, the groups of removed rows are updated
+      if (!table._preventTriggeringEvents) {
+        table._renderGroups();
+        table._syncTreeGrid();
+      }
     }
   }
 
@@ -1524,6 +2145,11 @@ class Table extends BaseComponent(HTMLTableElement) {
         }
       }
     }
+
+    // The first cell of a tree-grid row holds its toggle
+    if (table.body && table.body.contains(row)) {
+      table._syncTreeGrid();
+    }
   }
 
   /** @private */
@@ -1544,6 +2170,28 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._resetAlignmentColumns();
   }
 
+  /** @private */
+  _onColumnFixedChanged(event) {
+    event.stopImmediatePropagation();
+
+    const head = this.head;
+
+    if (head && head.sticky) {
+      const columnIndex = getIndexOf(event.target);
+
+      // Restore the default position of the sticky cells, it's calculated again if the column is still pinned
+      getRows([head]).forEach((row) => {
+        const headerCell = getCellByIndex(row, columnIndex);
+        if (headerCell && headerCell.tagName === 'TH') {
+          headerCell.content.style.left = '';
+          headerCell.content.style.marginLeft = '';
+        }
+      });
+    }
+
+    this._resetLayout();
+  }
+
   /** @private */
   _onFixedWidthChanged(event) {
     event.stopImmediatePropagation();
@@ -1585,33 +2233,188 @@ class Table extends BaseComponent(HTMLTableElement) {
   }
 
   /** @private */
-  _onColumnSortableChanged(event) {
+  _onColumnResizableChanged(event) {
     event.stopImmediatePropagation();
 
-    const table = this;
     const head = this.head;
-    const column = event.target;
-    const headerCell = table._getColumnHeaderCell(column);
+    const headerCell = this._getColumnHeaderCell(event.target);
 
     if (headerCell) {
-      // For icons (chevron up/down) styling
-      headerCell[column.sortable ? 'setAttribute' : 'removeAttribute']('sortable', '');
-
-      // Toggle tab index. Sortable headercells are focusable.
-      table._toggleHeaderCellTabIndex(headerCell, head && head.sticky);
-
-      table._resetLayout();
+      this._toggleResizeHandle(headerCell, head && head.sticky);
     }
   }
 
-  _onColumnSortableDirectionChanged(event) {
+  /** @private */
+  _onColumnEditableChanged(event) {
     event.stopImmediatePropagation();
 
-    const table = this;
-    const column = event.target;
-    const sortableDirection = TableColumn.sortableDirection;
+    // Rows of editable tables are focusable to edit cells with the keyboard
+    this._toggleFocusable();
+  }
 
-    // Hide coral-table-roworder handles if table is sorted
+  /** @private */
+  _onColumnResizeStart(event) {
+    // Resizing doesn't drag the column
+    event.stopPropagation();
+
+    const headerCell = event.matchedTarget.closest('th[is="coral-table-headercell"]');
+    const column = headerCell && this._getColumn(headerCell);
+
+    if (!column || !column.resizable) {
+      return;
+    }
+
+    // Prevents sorting on click
+    headerCell._isResizing = true;
+    this.classList.add(IS_RESIZING);
+    document.body.classList.add(IS_RESIZING_BODY);
+
+    this._columnResizeData = {
+      column: column,
+      headerCell: headerCell,
+      pageX: event.detail.pageX,
+      width: this._getColumnWidth(column)
+    };
+  }
+
+  /** @private */
+  _onColumnResize(event) {
+    event.stopPropagation();
+
+    const handle = event.matchedTarget;
+    const resizeData = this._columnResizeData;
+    if (!resizeData) {
+      return;
+    }
+
+    // The handle is on the left edge in RTL
+    const delta = (event.detail.pageX - resizeData.pageX) * (this._isRTL() ? -1 : 1);
+
+    this._resizeColumn(resizeData.column, resizeData.width + delta);
+
+    // The drag action moves the handle after the drag event
+    window.requestAnimationFrame(() => {
+      resetResizeHandlePosition(handle);
+    });
+  }
+
+  /** @private */
+  _onColumnResizeEnd(event) {
+    event.stopPropagation();
+
+    const resizeData = this._columnResizeData;
+
+    resetResizeHandlePosition(event.matchedTarget);
+
+    if (!resizeData) {
+      return;
+    }
+
+    this._columnResizeData = null;
+    this.classList.remove(IS_RESIZING);
+    document.body.classList.remove(IS_RESIZING_BODY);
+
+    this.trigger('coral-table:columnresize', {
+      column: resizeData.column,
+      width: this._getColumnWidth(resizeData.column)
+    });
+
+    window.requestAnimationFrame(() => {
+      // Allows sorting again after resizing completed
+      resizeData.headerCell._isResizing = undefined;
+    });
+  }
+
+  /** @private */
+  _onColumnResizeLeft(event) {
+    this._onColumnResizeKey(event, this._isRTL() ? COLUMN_RESIZE_STEP : -COLUMN_RESIZE_STEP);
+  }
+
+  /** @private */
+  _onColumnResizeRight(event) {
+    this._onColumnResizeKey(event, this._isRTL() ? -COLUMN_RESIZE_STEP : COLUMN_RESIZE_STEP);
+  }
+
+  /** @private */
+  _onColumnResizeKey(event, step) {
+    const headerCell = event.matchedTarget.closest('th[is="coral-table-headercell"]');
+    const column = headerCell && this._getColumn(headerCell);
+
+    if (!column || !column.resizable) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const width = this._resizeColumn(column, this._getColumnWidth(column) + step);
+    this.trigger('coral-table:columnresize', {column, width});
+  }
+
+  /** @private */
+  _getColumnWidth(column) {
+    // Resized columns have an explicit width
+    const width = parseFloat(column.style.width);
+    if (!isNaN(width)) {
+      return width;
+    }
+
+    const headerCell = this._getColumnHeaderCell(column);
+    return headerCell ? Math.round(headerCell.getBoundingClientRect().width) : 0;
+  }
+
+  /** @private */
+  _resizeColumn(column, width) {
+    const maxWidth = column.maxWidth;
+
+    width = Math.round(Math.max(column.minWidth, maxWidth === null ? width : Math.min(width, maxWidth)));
+    column.style.width = `${width}px`;
+
+    // a11y
+    const headerCell = this._getColumnHeaderCell(column);
+    const handle = headerCell && headerCell.querySelector('[coral-table-columnresize]');
+    if (handle) {
+      handle.setAttribute('aria-valuenow', width);
+    }
+
+    // Sticky cells have to follow the new size
+    this._resetLayout();
+
+    return width;
+  }
+
+  /** @private */
+  _isRTL() {
+    return window.getComputedStyle(this).direction === 'rtl';
+  }
+
+  /** @private */
+  _onColumnSortableChanged(event) {
+    event.stopImmediatePropagation();
+
+    const table = this;
+    const head = this.head;
+    const column = event.target;
+    const headerCell = table._getColumnHeaderCell(column);
+
+    if (headerCell) {
+      // For icons (chevron up/down) styling
+      headerCell[column.sortable ? 'setAttribute' : 'removeAttribute']('sortable', '');
+
+      // Toggle tab index. Sortable headercells are focusable.
+      table._toggleHeaderCellTabIndex(headerCell, head && head.sticky);
+
+      table._resetLayout();
+    }
+  }
+
+  _onColumnSortableDirectionChanged(event) {
+    event.stopImmediatePropagation();
+
+    const table = this;
+    const column = event.target;
+    const sortableDirection = TableColumn.sortableDirection;
+
+    // Hide coral-table-roworder handles if table is sorted
     table.classList.toggle(IS_SORTED, table._isSorted());
 
     const headerCell = table._getColumnHeaderCell(column);
@@ -1674,14 +2477,14 @@ class Table extends BaseComponent(HTMLTableElement) {
     const table = this;
     const body = table.body;
     const column = event.target;
-    const columnIndex = getIndexOf(column);
     const colHeaderCell = table._getColumnHeaderCell(column);
     const onInitialization = event.detail.onInitialization;
     const sortableDirection = event.detail.sortableDirection;
     const sortableType = event.detail.sortableType;
+    const multiple = table._multipleSort && !onInitialization;
 
-    const rows = getRows([body]);
-    const cells = [];
+    // Sorting applies to the whole logical row set of a virtualized table
+    const rows = table.virtualized ? table.items.getAll() : getRows([body]);
 
     // Prevent change event from triggering when sorting
     if (table) {
@@ -1693,116 +2496,56 @@ class Table extends BaseComponent(HTMLTableElement) {
       if (typeof row._defaultRowIndex === 'undefined') {
         row._defaultRowIndex = i;
       }
-
-      const cell = getCellByIndex(row, columnIndex);
-      if (cell) {
-        cells.push(cell);
-      }
     });
 
-    if (column.sortableDirection === sortableDirection.ASCENDING) {
-      // Remove sortable direction on sibling columns
-      getSiblingsOf(column, 'col[is="coral-table-column"]').forEach((col) => {
-        col._preventSort = true;
-        col.setAttribute('sortabledirection', sortableDirection.DEFAULT);
-        col._preventSort = false;
-      });
-
-      if (colHeaderCell) {
-        // For icons (chevron up/down) styling
-        getSiblingsOf(colHeaderCell, 'th[is="coral-table-headercell"]').forEach((headerCell) => {
-          headerCell.setAttribute('sortabledirection', sortableDirection.DEFAULT);
-          (table.head.sticky ? headerCell.content : headerCell).setAttribute('aria-sort', 'none');
-        });
+    // Sync the sort order
+    if (onInitialization) {
+      // Unless defined before rendering, the columns sorted by markup are sorted by position
+      if (!table._sortOrder.length) {
+        table._sortOrder = getColumns(table.columns).filter(col => col.sortableDirection !== sortableDirection.DEFAULT);
       }
-
-      // Use cell value to sort and fallback if not specified
-      cells.sort((a, b) => {
-        if (column.sortableType === sortableType.ALPHANUMERIC) {
-          const aText = a.value ? a.value : a.textContent;
-          const bText = b.value ? b.value : b.textContent;
-          return aText.localeCompare(bText);
-        } else if (column.sortableType === sortableType.NUMBER) {
-          // Remove all spaces and replace commas with dots for decimal values
-          const aNumber = parseFloat(a.value ? a.value : a.textContent.replace(/\s+/g, '').replace(/,/g, '.'));
-          const bNumber = parseFloat(b.value ? b.value : b.textContent.replace(/\s+/g, '').replace(/,/g, '.'));
-          return aNumber > bNumber ? 1 : -1;
-        } else if (column.sortableType === sortableType.DATE) {
-          const aDate = a.value ? new Date(parseInt(a.value, 10)) : new Date(a.textContent);
-          const bDate = b.value ? new Date(parseInt(b.value, 10)) : new Date(b.textContent);
-          return aDate > bDate ? 1 : -1;
-        }
-      });
-
-      // Only sort if not custom sorting
-      if (column.sortableType !== sortableType.CUSTOM) {
-        if (body) {
-          // Insert the row at the new position if actually sorted
-          cells.forEach((cell) => {
-            const row = cell.parentElement;
-            // Prevent locked row to be sorted
-            if (!row.locked) {
-              body.appendChild(row);
-            }
-          });
-        }
-
-        // Trigger on table
-        table.trigger('coral-table:columnsort', {column});
+    } else if (column.sortableDirection === sortableDirection.DEFAULT) {
+      const index = table._sortOrder.indexOf(column);
+      if (index !== -1) {
+        table._sortOrder.splice(index, 1);
       }
+    } else if (!multiple) {
+      table._sortOrder = [column];
+    } else if (table._sortOrder.indexOf(column) === -1) {
+      table._sortOrder.push(column);
+    }
 
-      // Table is in a sorted state. Disable orderable actions
-      rows.forEach((row) => {
-        if (row.dragAction) {
-          row.dragAction.destroy();
-        }
-      });
-    } else if (column.sortableDirection === sortableDirection.DESCENDING) {
-      getSiblingsOf(column, 'col[is="coral-table-column"]').forEach((col) => {
-        col._preventSort = true;
-        col.setAttribute('sortabledirection', sortableDirection.DEFAULT);
-        col._preventSort = false;
-      });
+    // Sorting a single column resets the other columns
+    if (!multiple && !onInitialization && column.sortableDirection !== sortableDirection.DEFAULT) {
+      table._resetSortableDirection(getSiblingsOf(column, 'col[is="coral-table-column"]'));
+    }
 
-      if (colHeaderCell) {
-        getSiblingsOf(colHeaderCell, 'th[is="coral-table-headercell"]').forEach((headerCell) => {
-          headerCell.setAttribute('sortabledirection', sortableDirection.DEFAULT);
-          (table.head.sticky ? headerCell.content : headerCell).setAttribute('aria-sort', 'none');
+    table._syncSortPriority();
+
+    if (table.dataSource) {
+      // Sorting is delegated to the data source. On initialization, the sorted page is loaded on render.
+      if (!onInitialization && column.sortableType !== sortableType.CUSTOM) {
+        table._page = 1;
+        table.load().then((detail) => {
+          if (detail && !detail.error) {
+            table.trigger('coral-table:columnsort', {
+              column: column,
+              sortOrder: table.sortOrder
+            });
+          }
         });
       }
-
-      cells.sort((a, b) => {
-        if (column.sortableType === sortableType.ALPHANUMERIC) {
-          const aText = a.value ? a.value : a.textContent;
-          const bText = b.value ? b.value : b.textContent;
-          return bText.localeCompare(aText);
-        } else if (column.sortableType === sortableType.NUMBER) {
-          // Remove all spaces and replace commas with dots for decimal values
-          const aNumber = parseFloat(a.value ? a.value : a.textContent.replace(/\s+/g, '').replace(/,/g, '.'));
-          const bNumber = parseFloat(b.value ? b.value : b.textContent.replace(/\s+/g, '').replace(/,/g, '.'));
-          return aNumber < bNumber ? 1 : -1;
-        } else if (column.sortableType === sortableType.DATE) {
-          const aDate = a.value ? new Date(parseInt(a.value, 10)) : new Date(a.textContent);
-          const bDate = b.value ? new Date(parseInt(b.value, 10)) : new Date(b.textContent);
-          return aDate < bDate ? 1 : -1;
-        }
-      });
-
+    } else if (table._sortOrder.length) {
       // Only sort if not custom sorting
       if (column.sortableType !== sortableType.CUSTOM) {
-        if (body) {
-          // Insert the row at the new position if actually sorted
-          cells.forEach((cell) => {
-            const row = cell.parentElement;
-            // Prevent locked row to be sorted
-            if (!row.locked) {
-              body.appendChild(row);
-            }
-          });
-        }
+        // Insert the rows at their new position
+        table._appendRows(table._sortRows(rows));
 
         // Trigger on table
-        table.trigger('coral-table:columnsort', {column});
+        table.trigger('coral-table:columnsort', {
+          column: column,
+          sortOrder: table.sortOrder
+        });
       }
 
       // Table is in a sorted state. Disable orderable actions
@@ -1811,21 +2554,18 @@ class Table extends BaseComponent(HTMLTableElement) {
           row.dragAction.destroy();
         }
       });
-    } else if (column.sortableDirection === sortableDirection.DEFAULT && !onInitialization) {
+    } else if (!onInitialization) {
       // Only sort if not custom sorting
       if (column.sortableType !== sortableType.CUSTOM) {
         // Put rows back to their initial position
         rows.sort((a, b) => a._defaultRowIndex > b._defaultRowIndex ? 1 : -1);
-
-        rows.forEach((row) => {
-          // Prevent locked row to be sorted
-          if (body && !row.locked) {
-            body.appendChild(row);
-          }
-        });
+        table._appendRows(rows);
 
         // Trigger on table
-        table.trigger('coral-table:columnsort', {column});
+        table.trigger('coral-table:columnsort', {
+          column: column,
+          sortOrder: table.sortOrder
+        });
       }
     }
 
@@ -1843,6 +2583,88 @@ class Table extends BaseComponent(HTMLTableElement) {
     });
   }
 
+  /** @private */
+  _sortRows(rows) {
+    // Custom sorting isn't handled by the table
+    const columns = this._sortOrder.filter(column => column.sortableType !== TableColumn.sortableType.CUSTOM);
+    const columnIndexes = columns.map(column => getIndexOf(column));
+
+    // Read the cells once instead of on each comparison
+    const sortedRows = rows.map(row => ({
+      row: row,
+      cells: columnIndexes.map(columnIndex => getCellByIndex(row, columnIndex))
+    }));
+
+    sortedRows.sort((a, b) => {
+      for (let i = 0 ; i < columns.length ; i++) {
+        const aCell = a.cells[i];
+        const bCell = b.cells[i];
+
+        if (aCell && bCell) {
+          const sortableType = columns[i].sortableType;
+          const result = compareDataValues(getCellSortValue(aCell, sortableType), getCellSortValue(bCell, sortableType), sortableType);
+
+          if (result !== 0) {
+            return columns[i].sortableDirection === TableColumn.sortableDirection.DESCENDING ? -result : result;
+          }
+        }
+      }
+
+      // Rows with equal values keep their initial order
+      return a.row._defaultRowIndex - b.row._defaultRowIndex;
+    });
+
+    return sortedRows.map(sortedRow => sortedRow.row);
+  }
+
+  /** @private */
+  _resetSortableDirection(columns) {
+    const sortableDirection = TableColumn.sortableDirection;
+
+    columns.forEach((column) => {
+      column._preventSort = true;
+      column.setAttribute('sortabledirection', sortableDirection.DEFAULT);
+      column._preventSort = false;
+
+      const headerCell = this._getColumnHeaderCell(column);
+      if (headerCell) {
+        // For icons (chevron up/down) styling
+        headerCell.setAttribute('sortabledirection', sortableDirection.DEFAULT);
+        (this.head.sticky ? headerCell.content : headerCell).setAttribute('aria-sort', 'none');
+      }
+    });
+  }
+
+  /** @private */
+  _syncSortPriority() {
+    const sortOrder = this._sortOrder;
+
+    getColumns(this.columns).forEach((column) => {
+      const headerCell = this._getColumnHeaderCell(column);
+      if (!headerCell) {
+        return;
+      }
+
+      // Priorities are only displayed if several columns are sorted
+      const priority = sortOrder.length > 1 ? sortOrder.indexOf(column) + 1 : 0;
+      let indicator = headerCell.content.querySelector('._coral-Table-sortPriority');
+
+      if (priority) {
+        if (!indicator) {
+          indicator = document.createElement('span');
+          indicator.className = '_coral-Table-sortPriority';
+          indicator.setAttribute('aria-hidden', 'true');
+          headerCell.content.appendChild(indicator);
+        }
+
+        // Rendered with CSS to keep the header cell text content unchanged
+        indicator.setAttribute('data-sortpriority', priority);
+      } else if (indicator) {
+        indicator.remove();
+      }
+    });
+  }
+
   _onHeadStickyChanged(event) {
     event.stopImmediatePropagation();
 
@@ -1905,6 +2727,9 @@ class Table extends BaseComponent(HTMLTableElement) {
     // Define DragAction on the sticky cell instead of the headercell
     this._toggleDragActionHandle(headerCell, sticky);
 
+    // Move the resize handle
+    this._toggleResizeHandle(headerCell, sticky);
+
     // Toggle tab index. Sortable headercells are focusable.
     this._toggleHeaderCellTabIndex(headerCell, sticky);
   }
@@ -1951,6 +2776,7 @@ class Table extends BaseComponent(HTMLTableElement) {
       headerCell.content.style.width = '';
       headerCell.content.style.height = '';
       headerCell.content.style.top = '';
+      headerCell.content.style.left = '';
       headerCell.content.style.marginLeft = '';
       headerCell.content.style.paddingTop = '';
     }
@@ -1978,6 +2804,52 @@ class Table extends BaseComponent(HTMLTableElement) {
     }
   }
 
+  /** @private */
+  _toggleResizeHandle(headerCell, sticky) {
+    const column = this._getColumn(headerCell);
+    let handle = headerCell.querySelector('[coral-table-columnresize]');
+
+    if (column && column.resizable) {
+      if (!handle) {
+        handle = document.createElement('span');
+        handle.className = '_coral-Table-columnResizer';
+        handle.setAttribute('coral-table-columnresize', '');
+        handle.setAttribute('tabindex', '0');
+        // a11y
+        handle.setAttribute('role', 'separator');
+        handle.setAttribute('aria-orientation', 'vertical');
+        handle.setAttribute('aria-label', i18n.get('Resize column'));
+      }
+
+      // Cloned handles don't have a drag action yet
+      if (!handle.dragAction) {
+        const dragAction = new DragAction(handle);
+        dragAction.handle = handle;
+
+        // The header cell would be dragged too
+        handle.addEventListener('mousedown', stopPropagation);
+        handle.addEventListener('touchstart', stopPropagation);
+      }
+
+      handle.setAttribute('aria-valuemin', column.minWidth);
+      handle[column.maxWidth === null ? 'removeAttribute' : 'setAttribute']('aria-valuemax', column.maxWidth);
+
+      // The sticky cell covers the headercell
+      const parent = sticky ? headerCell.content : headerCell;
+      if (handle.parentNode !== parent) {
+        parent.appendChild(handle);
+      }
+
+      headerCell.setAttribute('resizable', '');
+    } else {
+      if (handle) {
+        handle.remove();
+      }
+
+      headerCell.removeAttribute('resizable');
+    }
+  }
+
   /** @private */
   _toggleFocusable() {
     const firstItem = getRows([this.body])[0];
@@ -1986,7 +2858,8 @@ class Table extends BaseComponent(HTMLTableElement) {
     }
 
     const focusableItem = this._getFocusableItem();
-    if (this.selectable || this.lockable || this.orderable || (this.head && this.head.sticky)) {
+    const editable = getColumns(this.columns).some(column => column.editable);
+    if (this.selectable || this.lockable || this.orderable || this.treeGrid || editable || (this.head && this.head.sticky)) {
       // First item is focusable by default but don't remove the tabindex of the existing focusable item
       if (!focusableItem) {
         this._toggleElementTabIndex(firstItem);
@@ -2030,7 +2903,16 @@ class Table extends BaseComponent(HTMLTableElement) {
 
   /** @private */
   _focusEdgeItem(event, first) {
-    const items = getRows([this.body]);
+    if (this.virtualized) {
+      if (this._virtualRows.length) {
+        event.preventDefault();
+        this._focusVirtualItem(first ? 0 : this._virtualRows.length - 1);
+      }
+
+      return;
+    }
+
+    const items = getRows([this.body]).filter(row => !row.hidden);
     if (items.length) {
       event.preventDefault();
 
@@ -2051,7 +2933,18 @@ class Table extends BaseComponent(HTMLTableElement) {
     if (item) {
       event.preventDefault();
 
-      const siblingItem = getSiblingsOf(item, 'tr[is="coral-table-row"]', next ? 'next' : 'prev');
+      // The sibling item of a virtualized table might not be rendered yet
+      if (this.virtualized) {
+        const index = this._virtualRows.indexOf(item) + (next ? 1 : -1);
+        if (index >= 0 && index < this._virtualRows.length) {
+          this._focusVirtualItem(index);
+        }
+
+        return;
+      }
+
+      // Skip group rows and the rows of collapsed groups
+      const siblingItem = getSiblingsOf(item, 'tr[is="coral-table-row"]:not([hidden])', next ? 'nextAll' : 'prevAll')[0];
       if (siblingItem) {
         item.removeAttribute('tabindex');
         siblingItem.setAttribute('tabindex', '0');
@@ -2072,96 +2965,1594 @@ class Table extends BaseComponent(HTMLTableElement) {
           return;
         }
 
-        // Target sibling item
-        const sibling = getSiblingsOf(lastSelectedItem, 'tr[is="coral-table-row"]', next ? 'next' : 'prev');
-        if (!sibling.hasAttribute('selected')) {
-          lastSelectedItem = sibling;
-        }
+        // Target sibling item, group rows and the rows of collapsed groups are skipped
+        const sibling = getSiblingsOf(lastSelectedItem, 'tr[is="coral-table-row"]:not([hidden])', next ? 'nextAll' : 'prevAll')[0];
+        if (!sibling) {
+          return;
+        }
+
+        if (!sibling.hasAttribute('selected')) {
+          lastSelectedItem = sibling;
+        }
+
+        // Store last selection
+        this._lastSelectedItems.direction = next ? 'down' : 'up';
+
+        // Toggle selection
+        lastSelectedItem.selected = !lastSelectedItem.selected;
+      } else if (getRows([this.body]).length) {
+        const focusableItem = this._getFocusableItem();
+
+        // Store last selection
+        this._lastSelectedItems.direction = next ? 'down' : 'up';
+
+        // Select focusable item by default if no items selected
+        focusableItem.selected = true;
+      }
+    }
+
+    // Focus last selected item
+    window.requestAnimationFrame(() => {
+      const itemToFocus = this._lastSelectedItems.items[this._lastSelectedItems.items.length - 1];
+      if (itemToFocus) {
+        this._focusItem(itemToFocus, true);
+      }
+    });
+  }
+
+  /** @private */
+  _getFocusableItem() {
+    return this.body && this.body.querySelector('tr[is="coral-table-row"][tabindex="0"]');
+  }
+
+  /** @private */
+  _getFocusableHeaderCell() {
+    return this.head && this.head.querySelector('th[is="coral-table-headercell"][tabindex="0"], coral-table-headercell-label[tabindex="0"]');
+  }
+
+  /** @private */
+  _addLastSelectedItem(item) {
+    if (this._lastSelectedItems.items.indexOf(item) === -1) {
+      this._lastSelectedItems.items.push(item);
+    } else {
+      // Push it at the end
+      this._removeLastSelectedItem(item);
+      this._addLastSelectedItem(item);
+    }
+  }
+
+  /** @private */
+  _removeLastSelectedItem(item) {
+    this._lastSelectedItems.items.splice(this._lastSelectedItems.items.indexOf(item), 1);
+  }
+
+  /** @private */
+  _focusItem(item, forceFocus) {
+    this._toggleElementTabIndex(item, this._getFocusableItem(), forceFocus);
+  }
+
+  /** @private */
+  _onFocusFirstItem(event) {
+    this._focusEdgeItem(event, true);
+  }
+
+  /** @private */
+  _onFocusLastItem(event) {
+    this._focusEdgeItem(event, false);
+  }
+
+  /** @private */
+  _onFocusNextItem(event) {
+    this._focusSiblingItem(event, true);
+  }
+
+  /** @private */
+  _onFocusPreviousItem(event) {
+    this._focusSiblingItem(event, false);
+  }
+
+  /** @private */
+  _onRowKeyLeft(event) {
+    if (this._isTreeGrid()) {
+      this._expandOrCollapseItem(event, this._isRTL());
+    } else {
+      this._focusSiblingItem(event, false);
+    }
+  }
+
+  /** @private */
+  _onRowKeyRight(event) {
+    if (this._isTreeGrid()) {
+      this._expandOrCollapseItem(event, !this._isRTL());
+    } else {
+      this._focusSiblingItem(event, true);
+    }
+  }
+
+  /** @private */
+  _onSelectNextItem() {
+    this._selectSiblingItem(true);
+  }
+
+  /** @private */
+  _onSelectPreviousItem() {
+    this._selectSiblingItem(false);
+  }
+
+  /** @private */
+  _getRows() {
+    return this.virtualized ? this._virtualRows.filter(row => row) : getRows([this.body]);
+  }
+
+  /** @private */
+  _appendRows(rows) {
+    // Prevent locked row to be sorted
+    rows = rows.filter(row => !row.locked);
+
+    if (this.virtualized) {
+      this._virtualRows = this._virtualRows.filter(row => row && row.locked).concat(rows);
+      this._renderVirtualRows(true);
+    } else if (this.body) {
+      // Sorted rows are kept within their parent row
+      if (this._isTreeGrid()) {
+        rows = this._getTreeOrderedRows(rows);
+      }
+
+      rows.forEach((row) => {
+        this.body.appendChild(row);
+      });
+
+      // Sorted rows are gathered in their groups again
+      this._renderGroups();
+      this._syncTreeGrid();
+    }
+  }
+
+  /** @private */
+  _createVirtualSpacer() {
+    const spacer = document.createElement('tr');
+    spacer.className = '_coral-Table-row--virtualSpacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  /** @private */
+  _toggleVirtualization(enable) {
+    const body = this.body;
+    if (!body) {
+      return;
+    }
+
+    const spacerTop = this._elements.virtualSpacerTop;
+    const spacerBottom = this._elements.virtualSpacerBottom;
+
+    // Moving rows around shouldn't trigger change and collection events
+    this._preventTriggeringEvents = true;
+
+    if (enable) {
+      this._virtualRows = getRows([body]);
+      this._virtualRange = {start: 0, end: 0};
+
+      body.insertBefore(spacerTop, body.firstChild);
+      body.appendChild(spacerBottom);
+
+      if (this.virtualSource) {
+        this._syncVirtualSource(true);
+      } else {
+        this._renderVirtualRows(true);
+      }
+    } else {
+      // Render the whole logical row set
+      this._virtualRows.forEach((row) => {
+        if (row) {
+          body.appendChild(row);
+        }
+      });
+
+      this._virtualRows = [];
+
+      spacerTop.remove();
+      spacerBottom.remove();
+    }
+
+    window.requestAnimationFrame(() => {
+      this._preventTriggeringEvents = false;
+    });
+
+    const items = this._getSelectableItems();
+    this._syncSelectAllHandle(this.selectedItems, items);
+    this._toggleInteractivity(items.length === 0);
+  }
+
+  /** @private */
+  _syncVirtualSource(reset) {
+    if (!this.virtualized || !this.virtualSource || !this._rendered) {
+      return;
+    }
+
+    // Rows already provided by the source are kept unless the source changed
+    const rows = [];
+    for (let i = 0 ; i < this.virtualItemCount ; i++) {
+      rows.push(!reset && this._virtualRows[i] || null);
+    }
+
+    this._virtualRows = rows;
+    this._renderVirtualRows(true);
+  }
+
+  /** @private */
+  _getVirtualRow(index) {
+    let row = this._virtualRows[index] || null;
+
+    if (!row && this.virtualSource && index >= 0 && index < this._virtualRows.length) {
+      row = this.virtualSource(index) || null;
+      this._virtualRows[index] = row;
+    }
+
+    return row;
+  }
+
+  /** @private */
+  _renderVirtualRows(force) {
+    const body = this.body;
+    if (!this.virtualized || !body) {
+      return;
+    }
+
+    // Rows appended to the body in the meantime join the logical row set first
+    this._flushBodyMutations();
+
+    const container = this._elements.container;
+    const spacerTop = this._elements.virtualSpacerTop;
+    const spacerBottom = this._elements.virtualSpacerBottom;
+    const count = this._virtualRows.length;
+    const rowHeight = this._virtualRowHeight || VIRTUAL_ROW_DEFAULT_HEIGHT;
+    const viewportHeight = container.clientHeight || window.innerHeight;
+    const start = Math.max(0, Math.floor(container.scrollTop / rowHeight) - VIRTUAL_ROW_BUFFER);
+    const end = Math.min(count, Math.ceil((container.scrollTop + viewportHeight) / rowHeight) + VIRTUAL_ROW_BUFFER);
+
+    // Nothing to do if the visible range didn't change
+    if (!force && start === this._virtualRange.start && end === this._virtualRange.end) {
+      return;
+    }
+
+    this._virtualRange = {start, end};
+
+    const rows = [];
+    for (let i = start ; i < end ; i++) {
+      const row = this._getVirtualRow(i);
+      if (row) {
+        rows.push(row);
+      }
+    }
+
+    this._preventTriggeringEvents = true;
+    this._virtualRendering = true;
+
+    // Detach the rows that left the visible range
+    getRows([body]).forEach((row) => {
+      if (rows.indexOf(row) === -1) {
+        // The first rendered row becomes focusable instead
+        row.removeAttribute('tabindex');
+        body.removeChild(row);
+      }
+    });
+
+    // Attach the rows in order between the spacers
+    let before = spacerTop.nextElementSibling;
+    rows.forEach((row) => {
+      if (row === before) {
+        before = before.nextElementSibling;
+      } else {
+        body.insertBefore(row, before);
+      }
+    });
+
+    // Handle the mutations caused by rendering while they can be told apart from the ones of the page
+    this._flushBodyMutations();
+    this._virtualRendering = false;
+
+    window.requestAnimationFrame(() => {
+      this._preventTriggeringEvents = false;
+    });
+
+    // Measure the actual row height once rows are rendered
+    if (!this._virtualRowHeight && rows.length) {
+      const height = rows[0].getBoundingClientRect().height;
+      if (height > 0) {
+        this._virtualRowHeight = height;
+
+        if (height !== rowHeight) {
+          this._renderVirtualRows(true);
+          return;
+        }
+      }
+    }
+
+    spacerTop.style.height = `${start * rowHeight}px`;
+    spacerBottom.style.height = `${(count - end) * rowHeight}px`;
+
+    // a11y
+    this._toggleFocusable();
+  }
+
+  /** @private */
+  _flushBodyMutations() {
+    const observer = this.body._observer;
+    const mutations = observer ? observer.takeRecords() : [];
+
+    if (mutations.length) {
+      this.body._handleMutations(mutations);
+    }
+  }
+
+  /** @private */
+  _focusVirtualItem(index) {
+    const container = this._elements.container;
+    const rowHeight = this._virtualRowHeight || VIRTUAL_ROW_DEFAULT_HEIGHT;
+    const top = index * rowHeight;
+
+    // Scroll the item into view before rendering it
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (top + rowHeight > container.scrollTop + container.clientHeight) {
+      container.scrollTop = top + rowHeight - container.clientHeight;
+    }
+
+    this._renderVirtualRows();
+
+    const item = this._getVirtualRow(index);
+    if (item) {
+      this._focusItem(item, true);
+    }
+  }
+
+  /**
+   Loads the current {@link Table#page} of {@link Table#dataSource} and replaces the body rows with the rows of the
+   provided items. Responses of previous requests that are still pending are discarded.
+
+   @returns {Promise} resolved with the detail of the {@link coral-table:load} event once the rows are rendered or
+   loading failed, or with <code>null</code> if loading was prevented or superseded by another request. The promise
+   is never rejected, failures are provided as <code>detail.error</code> instead.
+   If loading fails, the rows, {@link Table#page} and {@link Table#sortOrder} of the previously loaded items are kept.
+   */
+  load() {
+    const dataSource = this.dataSource;
+    if (!dataSource) {
+      return Promise.resolve(null);
+    }
+
+    const request = this._getDataRequest();
+    const beforeEvent = this.trigger('coral-table:beforeload', request);
+    if (beforeEvent.defaultPrevented) {
+      return Promise.resolve(null);
+    }
+
+    const requestId = ++this._loadRequestId;
+    this._toggleLoading(true);
+
+    return new Promise((resolve) => {
+      resolve(typeof dataSource === 'function' ? dataSource(request) : this._queryDataItems(dataSource, request));
+    }).then((result) => {
+      // A newer request is pending
+      if (requestId !== this._loadRequestId) {
+        return null;
+      }
+
+      // Data sources can simply provide the items of the page if the total is unknown
+      const items = Array.isArray(result) ? result : result && result.items || [];
+      const total = result && typeof result.total === 'number' ? result.total : null;
+
+      this._total = total;
+      this._loadedState = {
+        page: request.page,
+        sortOrder: request.sortOrder,
+        itemCount: items.length
+      };
+      this._renderDataItems(items);
+      this._renderPagination(items.length);
+      this._toggleLoading(false);
+
+      const detail = {
+        items: items,
+        total: total,
+        page: request.page,
+        error: null
+      };
+
+      this.trigger('coral-table:load', detail);
+
+      return detail;
+    }, (error) => {
+      // A newer request is pending
+      if (requestId !== this._loadRequestId) {
+        return null;
+      }
+
+      // The rows of the previous page are kept, so are the page and the sorting describing them
+      const loadedState = this._loadedState;
+      if (loadedState) {
+        this._page = loadedState.page;
+        this._applySortOrder(loadedState.sortOrder);
+        this._syncSortPriority();
+        this._renderPagination(loadedState.itemCount);
+      }
+
+      this._toggleLoading(false);
+
+      const detail = {
+        items: [],
+        total: this.total,
+        page: request.page,
+        error: error
+      };
+
+      this.trigger('coral-table:load', detail);
+
+      return detail;
+    });
+  }
+
+  /** @private */
+  _getDataRequest() {
+    const sortOrder = this.sortOrder;
+
+    return {
+      page: this.page,
+      pageSize: this.pageSize,
+      sort: sortOrder[0] || null,
+      sortOrder: sortOrder
+    };
+  }
+
+  /** @private */
+  _queryDataItems(items, request) {
+    const sortOrder = request.sortOrder.filter(sort => sort.column.sortableType !== TableColumn.sortableType.CUSTOM);
+    items = items.slice();
+
+    if (sortOrder.length) {
+      items.sort((a, b) => {
+        for (let i = 0 ; i < sortOrder.length ; i++) {
+          const sort = sortOrder[i];
+          const result = compareDataValues(
+            getDataItemValue(a, sort.column),
+            getDataItemValue(b, sort.column),
+            sort.column.sortableType
+          );
+
+          if (result !== 0) {
+            return sort.direction === TableColumn.sortableDirection.DESCENDING ? -result : result;
+          }
+        }
+
+        return 0;
+      });
+    }
+
+    const total = items.length;
+    if (request.pageSize) {
+      const start = (request.page - 1) * request.pageSize;
+      items = items.slice(start, start + request.pageSize);
+    }
+
+    return {items, total};
+  }
+
+  /** @private */
+  _renderDataItem(item, index) {
+    if (this.rowRenderer) {
+      return this.rowRenderer(item, index);
+    }
+
+    const row = new TableRow();
+    getColumns(this.columns).forEach((column) => {
+      const cell = new TableCell();
+      cell.textContent = transform.string(getDataItemValue(item, column));
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  /** @private */
+  _renderDataItems(items) {
+    const body = this.body;
+    if (!body) {
+      return;
+    }
+
+    // The edited cell is about to be removed
+    this.cancelEdit();
+
+    const rows = items.map((item, i) => this._renderDataItem(item, i)).filter(row => row);
+
+    if (this.virtualized) {
+      this._virtualRows = rows;
+      this._elements.container.scrollTop = 0;
+      this._renderVirtualRows(true);
+    } else {
+      getRows([body]).forEach((row) => {
+        body.removeChild(row);
+      });
+
+      rows.forEach((row) => {
+        body.appendChild(row);
+      });
+
+      this._renderGroups();
+      this._syncTreeGrid();
+    }
+  }
+
+  /** @private */
+  _renderPagination(itemCount) {
+    const paginationRow = this._elements.pagination;
+
+    if (!this.dataSource || !this.pageSize) {
+      paginationRow.remove();
+      return;
+    }
+
+    // The paging footer is rendered in the foot
+    if (!this.foot) {
+      this.foot = new TableFoot();
+    }
+
+    const page = this.page;
+    const total = this.total;
+    const pageCount = total === null ? null : Math.max(1, Math.ceil(total / this.pageSize));
+
+    this._elements.paginationCell.colSpan = getColumns(this.columns).length || 1;
+    this._elements.pageLabel.textContent = pageCount === null ?
+      i18n.get('Page {0}', page) :
+      i18n.get('Page {0} of {1}', page, pageCount);
+
+    this._elements.previousPage.disabled = page <= 1;
+    // Without a total, a full page indicates that there might be more items
+    this._elements.nextPage.disabled = pageCount === null ? itemCount < this.pageSize : page >= pageCount;
+
+    if (paginationRow.parentNode !== this.foot) {
+      this.foot.appendChild(paginationRow);
+    }
+  }
+
+  /** @private */
+  _toggleLoading(loading) {
+    this.classList.toggle(IS_LOADING, loading);
+    this._elements.table[loading ? 'setAttribute' : 'removeAttribute']('aria-busy', 'true');
+  }
+
+  /** @private */
+  _onPreviousPageClick() {
+    if (this.page > 1) {
+      this.page--;
+    }
+  }
+
+  /** @private */
+  _onNextPageClick() {
+    this.page++;
+  }
+
+  /** @private */
+  _renderGroups() {
+    const body = this.body;
+    const column = this.groupBy;
+    const oldGroups = this.groups;
+
+    if (!body || !column && !oldGroups.length) {
+      return;
+    }
+
+    const columns = getColumns(this.columns);
+    const rows = getRows([body]);
+
+    // Remove the groups
+    if (!column || this.virtualized || this.treeGrid || columns.indexOf(column) === -1) {
+      oldGroups.forEach((group) => {
+        group.remove();
+      });
+
+      rows.forEach((row) => {
+        this._toggleGroupItem(row, false);
+      });
+
+      this._resetLayout();
+      return;
+    }
+
+    const columnIndex = getIndexOf(column);
+    const groups = [];
+    // Locked rows stay on top
+    const children = rows.filter(row => row.locked);
+
+    rows.forEach((row) => {
+      if (row.locked) {
+        return;
+      }
+
+      const cell = getCellByIndex(row, columnIndex);
+      const value = cell ? getCellValue(cell) : '';
+      let group = groups.filter(item => item.value === value)[0];
+
+      if (!group) {
+        group = {
+          value: value,
+          label: cell ? cell.textContent.trim() : '',
+          items: []
+        };
+        groups.push(group);
+      }
+
+      group.items.push(row);
+    });
+
+    const groupRows = groups.map((group) => {
+      // Reuse the group rows to keep their collapsed state
+      const groupRow = oldGroups.filter(item => item.value === group.value)[0] || new TableGroupRow().set({
+        value: group.value
+      });
+
+      groupRow.label = group.label;
+      groupRow._syncItems(group.items, columns.length);
+
+      children.push(groupRow);
+      group.items.forEach((row) => {
+        children.push(row);
+      });
+
+      return groupRow;
+    });
+
+    // Only move rows if needed since each mutation regroups the rows
+    const current = Array.prototype.filter.call(body.children, item => isTableRow(item) || isTableGroupRow(item));
+    const changed = current.length !== children.length || children.some((item, i) => item !== current[i]);
+
+    if (changed) {
+      this._preventTriggeringEvents = true;
+      oldGroups.forEach((group) => {
+        if (groupRows.indexOf(group) === -1) {
+          group.remove();
+        }
+      });
+      children.forEach((item) => {
+        body.appendChild(item);
+      });
+      window.requestAnimationFrame(() => {
+        this._preventTriggeringEvents = false;
+      });
+    }
+
+    groupRows.forEach((groupRow) => {
+      this._toggleGroupItems(groupRow);
+    });
+
+    this._syncGroupSelectHandles();
+
+    if (changed) {
+      this._resetLayout();
+    }
+  }
+
+  /** @private */
+  _toggleGroupItems(group) {
+    group.items.forEach((row) => {
+      this._toggleGroupItem(row, group.collapsed);
+    });
+
+    this._syncFocusableItem();
+  }
+
+  /** @private */
+  _syncFocusableItem(item) {
+    // Hidden rows can't be focused, the given row or the first visible row takes over
+    const focusableItem = this._getFocusableItem();
+    if (focusableItem && focusableItem.hidden) {
+      item = item && !item.hidden ? item : getRows([this.body]).filter(row => !row.hidden)[0];
+      if (item) {
+        this._toggleElementTabIndex(item, focusableItem);
+      }
+    }
+  }
+
+  /** @private */
+  _toggleGroupItem(row, collapsed) {
+    if (collapsed) {
+      row.hidden = true;
+      row._hiddenByGroup = true;
+    } else if (row._hiddenByGroup) {
+      // Don't show rows hidden by the user
+      row.hidden = false;
+      row._hiddenByGroup = false;
+    }
+  }
+
+  /** @private */
+  _syncGroupSelectHandles() {
+    const selectable = this.selectable && this.multiple;
+
+    this.groups.forEach((group) => {
+      group._toggleSelectable(selectable);
+
+      if (selectable) {
+        const items = group.items.filter(item => !item.hasAttribute('disabled') &&
+          !item.querySelector('[coral-table-rowselect][disabled]'));
+        const selectedItems = items.filter(item => item.selected);
+
+        if (items.length && selectedItems.length === items.length) {
+          group._setSelectHandleState('checked');
+        } else if (!selectedItems.length) {
+          group._setSelectHandleState('unchecked');
+        } else {
+          group._setSelectHandleState('indeterminate');
+        }
+      }
+    });
+  }
+
+  /** @private */
+  _onGroupToggle(event) {
+    const group = event.matchedTarget.closest('tr[is="coral-table-grouprow"]');
+    group.collapsed = !group.collapsed;
+  }
+
+  /** @private */
+  _onGroupCollapsedChanged(event) {
+    event.stopImmediatePropagation();
+
+    const group = event.target;
+    this._toggleGroupItems(group);
+
+    this.trigger(group.collapsed ? 'coral-table:groupcollapse' : 'coral-table:groupexpand', {group});
+  }
+
+  /** @private */
+  _isTreeGrid() {
+    return this.treeGrid && !this.virtualized;
+  }
+
+  /** @private */
+  _syncTreeGrid() {
+    const body = this.body;
+    const treeGrid = this._isTreeGrid();
+
+    if (!body || !treeGrid && !body.querySelector('[coral-table-rowtoggle]')) {
+      return;
+    }
+
+    const rows = getRows([body]);
+    const rtl = this._isRTL();
+    // Level of the collapsed row the current row is nested in
+    let collapsedLevel = 0;
+
+    rows.forEach((row, i) => {
+      // Support cloneNode
+      row._toggle = row._toggle || row.querySelector('[coral-table-rowtoggle]');
+
+      if (!treeGrid) {
+        if (row._toggle) {
+          row._toggle.remove();
+        }
+
+        row.removeAttribute('aria-level');
+        row.removeAttribute('aria-expanded');
+        this._toggleTreeItem(row, false);
+        return;
+      }
+
+      const level = row.level;
+      const nextRow = rows[i + 1];
+      const hasChildRows = Boolean(nextRow && nextRow.level > level);
+
+      // Rows nested in a collapsed row are hidden
+      if (collapsedLevel && level <= collapsedLevel) {
+        collapsedLevel = 0;
+      }
+
+      this._toggleTreeItem(row, collapsedLevel > 0);
+
+      if (!collapsedLevel && hasChildRows && !row.expanded) {
+        collapsedLevel = level;
+      }
+
+      // a11y
+      row.setAttribute('aria-level', level);
+      row[hasChildRows ? 'setAttribute' : 'removeAttribute']('aria-expanded', row.expanded);
+
+      if (!row._toggle) {
+        const elements = {};
+        rowToggle.call(elements);
+        row._toggle = elements.toggle;
+      }
+
+      const toggle = row._toggle;
+      toggle.icon = row.expanded ? 'chevronDown' : 'chevronRight';
+      toggle.classList.toggle(IS_LEAF, !hasChildRows);
+      toggle.style.marginLeft = rtl ? '' : `${(level - 1) * TREE_GRID_INDENT}px`;
+      toggle.style.marginRight = rtl ? `${(level - 1) * TREE_GRID_INDENT}px` : '';
+
+      // The toggle follows the selection checkbox if any
+      const cell = getCells(row)[0];
+      if (cell && toggle.parentNode !== cell) {
+        cell.insertBefore(toggle, cell._checkbox && cell._checkbox.parentNode === cell ?
+          cell._checkbox.nextSibling : cell.firstChild);
+      }
+    });
+
+    // The closest visible parent row of the focusable row takes over if it's hidden
+    const focusableItem = this._getFocusableItem();
+    if (focusableItem && focusableItem.hidden) {
+      let item = focusableItem.parentRow;
+      while (item && item.hidden) {
+        item = item.parentRow;
+      }
+
+      this._syncFocusableItem(item);
+    }
+  }
+
+  /** @private */
+  _toggleTreeItem(row, collapsed) {
+    if (collapsed) {
+      row.hidden = true;
+      row._hiddenByTree = true;
+    } else if (row._hiddenByTree) {
+      // Don't show rows hidden by the user
+      row.hidden = false;
+      row._hiddenByTree = false;
+    }
+  }
+
+  /** @private */
+  _getTreeOrderedRows(rows) {
+    const root = {children: []};
+    // Last node of each level, the root being level 0
+    const parents = [root];
+
+    // Build the tree based on the current row order
+    getRows([this.body]).forEach((row) => {
+      if (row.locked) {
+        return;
+      }
+
+      const node = {row, children: []};
+      const level = Math.min(row.level, parents.length);
+
+      parents.length = level;
+      parents[level - 1].children.push(node);
+      parents.push(node);
+    });
+
+    // Siblings are ordered like the given rows
+    const flatten = nodes => nodes
+      .sort((a, b) => rows.indexOf(a.row) - rows.indexOf(b.row))
+      .reduce((ordered, node) => ordered.concat(node.row, flatten(node.children)), []);
+
+    return flatten(root.children);
+  }
+
+  /** @private */
+  _expandOrCollapseItem(event, expand) {
+    const row = this._getFocusableItem();
+    if (!row) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const hasChildRows = row.childRows.length > 0;
+
+    if (expand) {
+      if (hasChildRows && !row.expanded) {
+        row.expanded = true;
+      } else if (hasChildRows) {
+        // Move the focus to the first nested row
+        this._focusSiblingItem(event, true);
+      }
+    } else if (hasChildRows && row.expanded) {
+      row.expanded = false;
+    } else if (row.parentRow) {
+      this._focusItem(row.parentRow, true);
+    }
+  }
+
+  /** @private */
+  _onRowToggle(event) {
+    const row = event.matchedTarget.closest('tr[is="coral-table-row"]');
+    row.expanded = !row.expanded;
+  }
+
+  /** @private */
+  _onRowLevelChanged(event) {
+    event.stopImmediatePropagation();
+    this._syncTreeGrid();
+  }
+
+  /** @private */
+  _onRowExpandedChanged(event) {
+    event.stopImmediatePropagation();
+
+    const row = event.target;
+    if (this._isTreeGrid() && this.body && this.body.contains(row)) {
+      this._syncTreeGrid();
+      this.trigger(row.expanded ? 'coral-table:rowexpand' : 'coral-table:rowcollapse', {row});
+    }
+  }
+
+  /**
+   Opens the column chooser, a popover listing the table columns by their header text with a checkbox to show or hide
+   each of them. Columns without header text aren't listed and at least one column stays visible. Clicking a <code>[coral-table-columnchooser]</code> handle opens
+   the column chooser next to the handle.
+
+   @param {HTMLElement} [target]
+   The element the column chooser is displayed next to. Defaults to the table head.
+   */
+  showColumnChooser(target) {
+    const popover = this._elements.columnChooser;
+
+    if (!popover.parentNode) {
+      this.appendChild(popover);
+    }
+
+    popover.target = target || this._elements.table.tHead || this._elements.table;
+    popover.open = true;
+  }
+
+  /**
+   Returns the layout of the table, consisting of the order, visibility, pinning and width of the columns, the column sorting
+   and whether the head is sticky. Columns are identified by their {@link TableColumn#key} or their id if they have no
+   key, other columns aren't part of the layout. The layout can be serialized as JSON and restored with
+   {@link Table#setLayoutState}.
+
+   @returns {TableLayoutState} the layout of the table.
+   */
+  getLayoutState() {
+    const columns = getColumns(this.columns).filter(getColumnStateKey);
+
+    return {
+      columns: columns.map((column) => {
+        // Only resized columns have an explicit width
+        const width = parseFloat(column.style.width);
+
+        return {
+          key: getColumnStateKey(column),
+          hidden: column.hidden,
+          fixed: column.fixed,
+          width: isNaN(width) ? null : width
+        };
+      }),
+      sortOrder: this.sortOrder
+        .filter(sort => getColumnStateKey(sort.column))
+        .map(sort => ({
+          key: getColumnStateKey(sort.column),
+          direction: sort.direction
+        })),
+      sticky: Boolean(this.head && this.head.sticky)
+    };
+  }
+
+  /**
+   Restores a layout returned by {@link Table#getLayoutState}. Columns missing from the layout keep their state and
+   position, unknown columns are ignored. Parts of the layout that aren't defined are left unchanged.
+
+   @param {TableLayoutState} state
+   The layout to restore.
+   */
+  setLayoutState(state) {
+    if (!state || typeof state !== 'object') {
+      return;
+    }
+
+    const columns = getColumns(this.columns);
+    const getColumn = key => columns.filter(column => getColumnStateKey(column) === key)[0] || null;
+
+    if (Array.isArray(state.columns)) {
+      const items = state.columns.filter(item => item && getColumn(item.key));
+
+      // The columns of the layout take the positions of each other in the layout order
+      const orderedColumns = [];
+      items.forEach((item) => {
+        const column = getColumn(item.key);
+        if (orderedColumns.indexOf(column) === -1) {
+          orderedColumns.push(column);
+        }
+      });
+
+      let i = 0;
+      this._orderColumns(columns.map(column => (orderedColumns.indexOf(column) === -1 ? column : orderedColumns[i++])));
+
+      items.forEach((item) => {
+        const column = getColumn(item.key);
+
+        if (typeof item.hidden === 'boolean') {
+          column.hidden = item.hidden;
+        }
+
+        if (typeof item.fixed === 'string') {
+          column.fixed = item.fixed;
+        }
+
+        if (typeof item.width === 'number') {
+          this._resizeColumn(column, item.width);
+        } else if (item.width === null) {
+          column.style.width = '';
+        }
+      });
+    }
+
+    if (Array.isArray(state.sortOrder)) {
+      this.sortOrder = state.sortOrder
+        .filter(sort => sort && getColumn(sort.key))
+        .map(sort => ({
+          column: getColumn(sort.key),
+          direction: sort.direction
+        }));
+    }
+
+    if (typeof state.sticky === 'boolean' && this.head) {
+      this.head.sticky = state.sticky;
+    }
+
+    this._resetLayout();
+  }
+
+  /** @private */
+  _orderColumns(orderedColumns) {
+    orderedColumns.forEach((column, i) => {
+      const before = getColumns(this.columns)[i];
+      if (before !== column) {
+        this._moveColumn(column, before);
+      }
+    });
+  }
+
+  /** @private */
+  _moveColumn(column, before) {
+    const index = getIndexOf(column);
+    const beforeIndex = before ? getIndexOf(before) : -1;
+    const rows = getRows([this.head, this.foot]).concat(this._getRows());
+
+    // Moving cells around shouldn't trigger collection events
+    this._preventTriggeringEvents = true;
+
+    rows.forEach((row) => {
+      const cell = getCellByIndex(row, index);
+      if (cell) {
+        row.insertBefore(cell, before ? getCellByIndex(row, beforeIndex) : null);
+      }
+    });
+
+    this.columns.insertBefore(column, before || null);
+
+    window.requestAnimationFrame(() => {
+      this._preventTriggeringEvents = false;
+    });
+
+    // Styles are based on the column index
+    this._resetHiddenColumns();
+    this._resetAlignmentColumns();
+    this._resetFixedColumns();
+    // The tree-grid toggle belongs to the first cell
+    this._syncTreeGrid();
+  }
+
+  /** @private */
+  _onColumnChooserClick(event) {
+    event.preventDefault();
+    this.showColumnChooser(event.matchedTarget);
+  }
+
+  /** @private */
+  _onColumnChooserBeforeOpen(event) {
+    if (event.target !== this._elements.columnChooser) {
+      return;
+    }
+
+    const list = this._elements.columnChooserList;
+    list.innerHTML = '';
+
+    getColumns(this.columns).forEach((column) => {
+      const headerCell = this._getColumnHeaderCell(column);
+      const label = headerCell ? headerCell.textContent.trim() : '';
+
+      // Columns without header text e.g. selection columns aren't listed
+      if (!label) {
+        return;
+      }
+
+      const checkbox = new Checkbox().set({
+        label: {
+          textContent: label
+        },
+        checked: !column.hidden
+      });
+
+      checkbox.classList.add('_coral-Table-columnChooserItem');
+      checkbox._column = column;
+      list.appendChild(checkbox);
+    });
+
+    this._syncColumnChooser();
+  }
+
+  /** @private */
+  _onColumnChooserChange(event) {
+    const checkbox = event.target.closest('coral-checkbox');
+    const column = checkbox && checkbox._column;
+
+    if (!column) {
+      return;
+    }
+
+    column.hidden = !checkbox.checked;
+    this._syncColumnChooser();
+
+    this.trigger('coral-table:columntoggle', {column});
+  }
+
+  /** @private */
+  _syncColumnChooser() {
+    const checkboxes = Array.prototype.slice.call(this._elements.columnChooserList.children);
+    const checked = checkboxes.filter(checkbox => checkbox.checked);
+
+    // The last visible column can't be hidden
+    checkboxes.forEach((checkbox) => {
+      checkbox.disabled = checked.length === 1 && checkbox.checked;
+    });
+  }
+
+  /**
+   Exports the table as comma separated values. The visible columns with header text are exported in display order,
+   the values are provided by {@link TableColumn#valueAccessor} or default to the cell text.
+
+   @param {Object} [options]
+   The export options.
+   @param {Array.<TableRow>} [options.items]
+   The exported rows, defaults to {@link Table#items}.
+   @param {Boolean} [options.header=true]
+   Whether the header text of the columns is exported as first line.
+   @param {Boolean} [options.escapeFormulas=true]
+   Whether values starting with <code>=</code>, <code>+</code>, <code>-</code>, <code>@</code>, a tab or a carriage
+   return are prefixed with a single quote so that spreadsheet applications don't evaluate them as formulas. Numbers
+   like <code>-5</code> are not escaped.
+
+   @returns {String} the comma separated values.
+   */
+  toCSV(options) {
+    return serializeValues(this._getExportValues(options), ',', '\r\n');
+  }
+
+  /**
+   Exports the table as tab separated values, see {@link Table#toCSV}.
+
+   @param {Object} [options]
+   The export options.
+   @param {Array.<TableRow>} [options.items]
+   The exported rows, defaults to {@link Table#items}.
+   @param {Boolean} [options.header=true]
+   Whether the header text of the columns is exported as first line.
+   @param {Boolean} [options.escapeFormulas=true]
+   Whether values that spreadsheet applications would evaluate as formulas are escaped, see {@link Table#toCSV}.
+
+   @returns {String} the tab separated values.
+   */
+  toTSV(options) {
+    return serializeValues(this._getExportValues(options), '\t', '\n');
+  }
+
+  /**
+   Adds rows parsed from tab separated values. Each line is added as a row, its values fill the columns in the order
+   they are exported by {@link Table#toTSV}. Values matching an option of a {@link TableColumn#editorOptions} select
+   editor are stored as the cell value. Formulas escaped by {@link Table#toTSV} are restored.
+
+   @param {String} text
+   The tab separated values.
+
+   @returns {Array.<TableRow>} the added rows.
+   */
+  fromTSV(text) {
+    const body = this.body;
+    if (!body) {
+      return [];
+    }
+
+    const columns = getColumns(this.columns);
+    const exportColumns = this._getExportColumns();
+    const rows = parseValues(transform.string(text), '\t')
+      // Ignore empty lines
+      .filter(values => values.length > 1 || values[0] !== '')
+      .map((values) => {
+        const row = new TableRow();
+
+        columns.forEach((column) => {
+          const cell = new TableCell();
+          const index = exportColumns.indexOf(column);
+          let value = index === -1 ? '' : transform.string(values[index]).trim();
+          if (ESCAPED_FORMULA_REGEX.test(value)) {
+            value = value.slice(1);
+          }
+
+          const option = column.editor === TableColumn.editor.SELECT ?
+            column.editorOptions.filter(item => item.content === value || item.value === value)[0] : null;
+
+          if (option) {
+            cell.value = option.value;
+            cell.textContent = option.content;
+          } else {
+            cell.textContent = value;
+          }
+
+          row.appendChild(cell);
+        });
+
+        return row;
+      });
+
+    rows.forEach((row) => {
+      body.appendChild(row);
+    });
+
+    return rows;
+  }
+
+  /** @private */
+  _getExportColumns() {
+    // Columns without header text e.g. selection columns aren't exported
+    return getColumns(this.columns).filter((column) => {
+      const headerCell = this._getColumnHeaderCell(column);
+      return !column.hidden && headerCell && headerCell.textContent.trim();
+    });
+  }
+
+  /** @private */
+  _getExportValues(options) {
+    options = options || {};
+
+    const columns = this._getExportColumns();
+    const items = Array.isArray(options.items) ? options.items : this.items.getAll();
+    const lines = items.map(row => columns.map((column) => {
+      const cell = getCellByIndex(row, getIndexOf(column));
+      if (!cell) {
+        return '';
+      }
+
+      return column.valueAccessor ? transform.string(column.valueAccessor(cell, row)) : cell.textContent.trim();
+    }));
+
+    if (options.header !== false) {
+      lines.unshift(columns.map(column => this._getColumnHeaderCell(column).textContent.trim()));
+    }
+
+    return options.escapeFormulas === false ? lines : lines.map(values => values.map(escapeFormula));
+  }
+
+  /** @private */
+  _isEditableTarget(target) {
+    return Boolean(target.closest && target.closest('input, textarea, select, [contenteditable], ._coral-Table-editor'));
+  }
+
+  /** @private */
+  _onCopy(event) {
+    const selection = window.getSelection();
+
+    // Selected text and fields are copied as usual
+    if (!this.selectable || !event.clipboardData || !selection.isCollapsed || this._isEditableTarget(event.target)) {
+      return;
+    }
+
+    const items = this.selectedItems;
+    if (items.length) {
+      event.preventDefault();
+      event.clipboardData.setData('text/plain', this.toTSV({items, header: false}));
+    }
+  }
+
+  /** @private */
+  _onPaste(event) {
+    if (!this.pastable || !event.clipboardData || this._isEditableTarget(event.target)) {
+      return;
+    }
+
+    const text = event.clipboardData.getData('text/plain');
+    if (!text) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (!this.trigger('coral-table:beforepaste', {text}).defaultPrevented) {
+      this.trigger('coral-table:paste', {
+        items: this.fromTSV(text)
+      });
+    }
+  }
+
+  /**
+   Puts a cell in edit mode. The cell content is replaced by the editor of its column until the edit is committed or
+   canceled. If another cell is being edited, its value is committed first.
+
+   @param {TableCell} cell
+   The cell to edit. It has to be {@link TableCell#editable} or belong to a {@link TableColumn#editable} column.
+
+   @returns {Boolean} Whether the cell is in edit mode.
+   */
+  editCell(cell) {
+    if (!this._isCellEditable(cell)) {
+      return false;
+    }
+
+    if (this._editing) {
+      if (this._editing.cell === cell) {
+        return true;
+      }
+
+      // The edited cell stays in edit mode if its value is invalid
+      if (!this.commitEdit()) {
+        return false;
+      }
+    }
+
+    const column = this._getColumn(cell);
+    const oldValue = getCellValue(cell);
+    const editor = this._createEditor(column);
+
+    // Keep the cell content to restore it if the edit is canceled
+    const content = document.createDocumentFragment();
+    while (cell.firstChild) {
+      content.appendChild(cell.firstChild);
+    }
+
+    cell.appendChild(editor);
+    cell.classList.add(IS_EDITING);
+    editor.value = oldValue;
+
+    this._editing = {cell, column, editor, content, oldValue};
+
+    editor.addEventListener('keydown', this._onEditorKeyDown);
+    editor.addEventListener('focusout', this._onEditorFocusOut);
+    editor.addEventListener('change', this._onEditorChange);
+
+    // Focus the editor input or the select button
+    const focusable = editor.matches('input') ? editor : editor.querySelector('input:not([type="hidden"]), button');
+    if (focusable) {
+      focusable.focus();
+    }
+
+    return true;
+  }
+
+  /**
+   Applies the value of the edited cell. The value is validated by {@link TableColumn#validator} first and the cell
+   stays in edit mode if it is invalid. Nothing happens if no cell is being edited.
+
+   @returns {Boolean} Whether the cell left edit mode.
+   */
+  commitEdit() {
+    const editing = this._editing;
+    if (!editing) {
+      return true;
+    }
+
+    const cell = editing.cell;
+    const column = editing.column;
+    const editor = editing.editor;
+    const oldValue = editing.oldValue;
+    const newValue = transform.string(editor.value);
+
+    // Keep the original content if nothing changed
+    if (newValue === oldValue) {
+      this._stopEditing(true);
+      return true;
+    }
+
+    const validator = column && column.validator;
+    if (validator && validator(newValue, cell) === false) {
+      editor.invalid = true;
+      return false;
+    }
+
+    const detail = {cell, column, oldValue, newValue};
+    if (this.trigger('coral-table:beforecelledit', detail).defaultPrevented) {
+      this._stopEditing(true);
+      return true;
+    }
 
-        // Store last selection
-        this._lastSelectedItems.direction = next ? 'down' : 'up';
+    // Selects display the content of the selected option
+    const selectedItem = editor.selectedItem;
+    const text = selectedItem ? selectedItem.textContent.trim() : newValue;
 
-        // Toggle selection
-        lastSelectedItem.selected = !lastSelectedItem.selected;
-      } else if (getRows([this.body]).length) {
-        const focusableItem = this._getFocusableItem();
+    this._stopEditing(false);
 
-        // Store last selection
-        this._lastSelectedItems.direction = next ? 'down' : 'up';
+    cell.textContent = text;
+    if (text !== newValue || cell.hasAttribute('value')) {
+      cell.value = newValue;
+    }
 
-        // Select focusable item by default if no items selected
-        focusableItem.selected = true;
-      }
+    // The row might belong to another group now
+    if (column && column === this.groupBy) {
+      this._renderGroups();
     }
 
-    // Focus last selected item
-    window.requestAnimationFrame(() => {
-      const itemToFocus = this._lastSelectedItems.items[this._lastSelectedItems.items.length - 1];
-      if (itemToFocus) {
-        this._focusItem(itemToFocus, true);
-      }
-    });
+    this.trigger('coral-table:celledit', detail);
+
+    return true;
+  }
+
+  /**
+   Discards the value of the edited cell and restores its content. Nothing happens if no cell is being edited.
+   */
+  cancelEdit() {
+    if (this._editing) {
+      this._stopEditing(true);
+    }
   }
 
   /** @private */
-  _getFocusableItem() {
-    return this.body && this.body.querySelector('tr[is="coral-table-row"][tabindex="0"]');
+  _isCellEditable(cell) {
+    if (!cell || !isTableCell(cell) || !this.body || !this.body.contains(cell)) {
+      return false;
+    }
+
+    const column = this._getColumn(cell);
+    if (column && column.hidden) {
+      return false;
+    }
+
+    return cell.editable || Boolean(column && column.editable);
   }
 
   /** @private */
-  _getFocusableHeaderCell() {
-    return this.head && this.head.querySelector('th[is="coral-table-headercell"][tabindex="0"], coral-table-headercell-label[tabindex="0"]');
+  _getEditableCells() {
+    const cells = [];
+
+    getRows([this.body]).forEach((row) => {
+      getContentCells(row).forEach((cell) => {
+        if (this._isCellEditable(cell)) {
+          cells.push(cell);
+        }
+      });
+    });
+
+    return cells;
   }
 
   /** @private */
-  _addLastSelectedItem(item) {
-    if (this._lastSelectedItems.items.indexOf(item) === -1) {
-      this._lastSelectedItems.items.push(item);
+  _createEditor(column) {
+    const type = column ? column.editor : TableColumn.editor.TEXTFIELD;
+    let editor;
+
+    if (type === TableColumn.editor.NUMBERINPUT) {
+      editor = new NumberInput();
+    } else if (type === TableColumn.editor.DATEPICKER) {
+      editor = new Datepicker();
+    } else if (type === TableColumn.editor.SELECT) {
+      editor = new Select();
+      column.editorOptions.forEach((option) => {
+        const value = transform.string(option && option.value);
+        editor.items.add({
+          value: value,
+          content: {
+            textContent: typeof option.content === 'undefined' ? value : transform.string(option.content)
+          }
+        });
+      });
     } else {
-      // Push it at the end
-      this._removeLastSelectedItem(item);
-      this._addLastSelectedItem(item);
+      editor = new Textfield();
     }
-  }
 
-  /** @private */
-  _removeLastSelectedItem(item) {
-    this._lastSelectedItems.items.splice(this._lastSelectedItems.items.indexOf(item), 1);
+    editor.classList.add('_coral-Table-editor');
+
+    // Editors are labelled by the column header
+    const headerCell = column && this._getColumnHeaderCell(column);
+    if (headerCell) {
+      editor.labelled = headerCell.textContent.trim();
+    }
+
+    return editor;
   }
 
   /** @private */
-  _focusItem(item, forceFocus) {
-    this._toggleElementTabIndex(item, this._getFocusableItem(), forceFocus);
+  _stopEditing(restore) {
+    const cell = this._editing.cell;
+    const editor = this._editing.editor;
+    const content = this._editing.content;
+    const hasFocus = editor.contains(document.activeElement);
+
+    this._editing = null;
+
+    editor.removeEventListener('keydown', this._onEditorKeyDown);
+    editor.removeEventListener('focusout', this._onEditorFocusOut);
+    editor.removeEventListener('change', this._onEditorChange);
+
+    editor.remove();
+    cell.classList.remove(IS_EDITING);
+
+    if (restore) {
+      cell.appendChild(content);
+    }
+
+    // Give the focus back to the row instead of losing it with the editor
+    const row = cell.parentNode;
+    if (hasFocus && row && isTableRow(row)) {
+      this._focusItem(row, true);
+    }
   }
 
   /** @private */
-  _onFocusFirstItem(event) {
-    this._focusEdgeItem(event, true);
+  _editSiblingCell(next) {
+    const cells = this._getEditableCells();
+    const sibling = cells[cells.indexOf(this._editing.cell) + (next ? 1 : -1)];
+
+    if (this.commitEdit() && sibling) {
+      this.editCell(sibling);
+    }
   }
 
   /** @private */
-  _onFocusLastItem(event) {
-    this._focusEdgeItem(event, false);
+  _onCellDoubleClick(event) {
+    this.editCell(event.matchedTarget);
   }
 
   /** @private */
-  _onFocusNextItem(event) {
-    this._focusSiblingItem(event, true);
+  _onRowEdit(event) {
+    const cell = getContentCells(event.matchedTarget).filter(item => this._isCellEditable(item))[0];
+
+    if (cell) {
+      event.preventDefault();
+      this.editCell(cell);
+    }
   }
 
   /** @private */
-  _onFocusPreviousItem(event) {
-    this._focusSiblingItem(event, false);
+  _onEditorKeyDown(event) {
+    const editor = event.currentTarget;
+    const popover = event.target.closest('coral-popover');
+    const inPopover = Boolean(popover && editor.contains(popover));
+
+    // Let the editor popover close itself
+    if (inPopover && event.keyCode === KEY_ESCAPE) {
+      return;
+    }
+
+    // Keys are handled by the editor and shouldn't trigger table interactions
+    event.stopPropagation();
+
+    if (inPopover) {
+      return;
+    }
+
+    if (event.keyCode === KEY_ENTER) {
+      event.preventDefault();
+      this.commitEdit();
+    } else if (event.keyCode === KEY_ESCAPE) {
+      event.preventDefault();
+      this.cancelEdit();
+    } else if (event.keyCode === KEY_TAB) {
+      event.preventDefault();
+      this._editSiblingCell(!event.shiftKey);
+    }
   }
 
   /** @private */
-  _onSelectNextItem() {
-    this._selectSiblingItem(true);
+  _onEditorFocusOut(event) {
+    const editor = event.currentTarget;
+
+    // Focus moving within the editor, e.g to its popover
+    if (event.relatedTarget && editor.contains(event.relatedTarget)) {
+      return;
+    }
+
+    this.commitEdit();
   }
 
   /** @private */
-  _onSelectPreviousItem() {
-    this._selectSiblingItem(false);
+  _onEditorChange(event) {
+    const editor = event.currentTarget;
+
+    // Picking an option or a date is final
+    if (editor === event.target && (editor instanceof Select || editor instanceof Datepicker)) {
+      this.commitEdit();
+    }
   }
 
   /**
@@ -2183,8 +4574,11 @@ class Table extends BaseComponent(HTMLTableElement) {
   /** @private */
   _doResetLayout() {
     this.classList.add(IS_LAYOUTING);
+    this._resetFixedColumns();
     this._resizeStickyHead();
     this._resizeContainer();
+    this._renderVirtualRows();
+    this._layoutFixedStickyCells();
     this.classList.remove(IS_LAYOUTING);
   }
 
@@ -2356,11 +4750,144 @@ class Table extends BaseComponent(HTMLTableElement) {
     });
   }
 
+  /** @private */
+  _resetFixedColumns() {
+    const columns = getColumns(this.columns);
+    const headRows = this.head ? getRows([this.head]) : [];
+    const firstRow = this._getRows()[0];
+
+    // Header cells of pinned columns are marked to be styled
+    columns.forEach((column) => {
+      const columnIndex = getIndexOf(column);
+
+      headRows.forEach((row) => {
+        const headerCell = getCellByIndex(row, columnIndex);
+        if (headerCell && headerCell.tagName === 'TH') {
+          if (column.fixed === TableColumn.fixed.NONE) {
+            headerCell.removeAttribute('fixed');
+          } else {
+            headerCell.setAttribute('fixed', column.fixed);
+          }
+        }
+      });
+    });
+
+    const visibleColumns = columns.filter(column => !column.hidden);
+    const leftColumns = visibleColumns.filter(column => column.fixed === TableColumn.fixed.LEFT);
+    // Right pinned columns are stacked from the right edge
+    const rightColumns = visibleColumns.filter(column => column.fixed === TableColumn.fixed.RIGHT).reverse();
+
+    let style = '';
+
+    if (leftColumns.length || rightColumns.length) {
+      this.id = this.id || commons.getUID();
+
+      const getColumnWidth = (column) => {
+        const columnIndex = getIndexOf(column);
+        const cell = (headRows[0] && getCellByIndex(headRows[0], columnIndex)) || (firstRow && getCellByIndex(firstRow, columnIndex));
+        return cell ? cell.getBoundingClientRect().width : 0;
+      };
+
+      const renderStyle = (edge, pinnedColumns) => {
+        let offset = 0;
+
+        pinnedColumns.forEach((column) => {
+          const columnIndex = getIndexOf(column) + 1;
+
+          // The header cells of a sticky head are positioned in _layoutFixedStickyCells
+          style += `
+             #${this.id} ._coral-Table-cell:nth-child(${columnIndex}),
+             #${this.id} ._coral-Table-head:not([sticky]) ._coral-Table-headerCell:nth-child(${columnIndex}),
+             #${this.id} ._coral-Table-body ._coral-Table-headerCell:nth-child(${columnIndex}),
+             #${this.id} ._coral-Table-foot ._coral-Table-headerCell:nth-child(${columnIndex}) {
+               position: sticky;
+               ${edge}: ${offset}px;
+               z-index: 1;
+             }
+          `;
+
+          offset += getColumnWidth(column);
+        });
+      };
+
+      renderStyle('left', leftColumns);
+      renderStyle('right', rightColumns);
+    }
+
+    // Avoid restyling the table if nothing changed
+    if (this._elements.fixedStyle.innerHTML !== style) {
+      this._elements.fixedStyle.innerHTML = style;
+    }
+  }
+
+  /** @private */
+  _layoutFixedStickyCells() {
+    const head = this.head;
+
+    if (!head || !head.sticky) {
+      return;
+    }
+
+    const columns = getColumns(this.columns).filter(column => !column.hidden);
+    const leftColumns = columns.filter(column => column.fixed === TableColumn.fixed.LEFT);
+    const rightColumns = columns.filter(column => column.fixed === TableColumn.fixed.RIGHT).reverse();
+
+    if (!leftColumns.length && !rightColumns.length) {
+      return;
+    }
+
+    // Sticky cells are positioned relatively to the table wrapper
+    const container = this._elements.container;
+    const wrapperRect = this.getBoundingClientRect();
+    const areaLeft = container.getBoundingClientRect().left - wrapperRect.left + container.clientLeft;
+    const areaRight = areaLeft + container.clientWidth;
+
+    getRows([head]).forEach((row) => {
+      const getHeaderCell = (column) => {
+        const headerCell = getCellByIndex(row, getIndexOf(column));
+        return headerCell && headerCell.tagName === 'TH' ? headerCell : null;
+      };
+
+      let offset = 0;
+      leftColumns.forEach((column) => {
+        const headerCell = getHeaderCell(column);
+        if (headerCell) {
+          const headerCellLeft = headerCell.getBoundingClientRect().left - wrapperRect.left;
+          headerCell.content.style.marginLeft = '0px';
+          headerCell.content.style.left = `${Math.max(headerCellLeft, areaLeft + offset)}px`;
+          offset += headerCell.content.getBoundingClientRect().width;
+        }
+      });
+
+      offset = 0;
+      rightColumns.forEach((column) => {
+        const headerCell = getHeaderCell(column);
+        if (headerCell) {
+          const headerCellLeft = headerCell.getBoundingClientRect().left - wrapperRect.left;
+          const width = headerCell.content.getBoundingClientRect().width;
+          headerCell.content.style.marginLeft = '0px';
+          headerCell.content.style.left = `${Math.min(headerCellLeft, areaRight - offset - width)}px`;
+          offset += width;
+        }
+      });
+    });
+  }
+
   /** @private */
   _onScroll() {
     const table = this;
     const head = table.head;
 
+    // Render the rows that were scrolled into view
+    if (table.virtualized && !table._virtualRenderRequested) {
+      table._virtualRenderRequested = true;
+
+      window.requestAnimationFrame(() => {
+        table._virtualRenderRequested = false;
+        table._renderVirtualRows();
+      });
+    }
+
     // Ignore if only vertical scroll
     const scrollLeft = table._elements.container.scrollLeft;
     if (table._lastScrollLeft === scrollLeft) {
@@ -2377,7 +4904,8 @@ class Table extends BaseComponent(HTMLTableElement) {
 
         // In other browsers e.g Chrome or IE, we need to adjust the position of the sticky cells manually
         if (!table._preventLayoutStickyCellOnScroll) {
-          const firstHeaderCell = head.querySelector('tr[is="coral-table-row"] th[is="coral-table-headercell"]');
+          // Header cells of pinned columns are positioned separately
+          const firstHeaderCell = head.querySelector('tr[is="coral-table-row"] th[is="coral-table-headercell"]:not([fixed])');
 
           if (firstHeaderCell) {
             // Verify if the sticky cells need to be adjusted. If the first one didn't move, we can assume that they
@@ -2387,8 +4915,10 @@ class Table extends BaseComponent(HTMLTableElement) {
 
               getRows([head]).forEach((row) => {
                 getHeaderCells(row).forEach((headerCell) => {
-                  const paddingLeft = parseFloat(window.getComputedStyle(headerCell).paddingLeft);
-                  headerCell.content.style.marginLeft = `-${scrollLeft + paddingLeft}px`;
+                  if (!headerCell.hasAttribute('fixed')) {
+                    const paddingLeft = parseFloat(window.getComputedStyle(headerCell).paddingLeft);
+                    headerCell.content.style.marginLeft = `-${scrollLeft + paddingLeft}px`;
+                  }
                 });
               });
             } else {
@@ -2397,6 +4927,8 @@ class Table extends BaseComponent(HTMLTableElement) {
             }
           }
         }
+
+        table._layoutFixedStickyCells();
       });
     }
   }
@@ -2495,8 +5027,13 @@ class Table extends BaseComponent(HTMLTableElement) {
     this._resetLayout();
   }
 
-  _getSelectableItems() {
-    return this.items._getSelectableItems().filter(item => !item.querySelector('[coral-table-rowselect][disabled]'));
+  _getSelectableItems(materialize) {
+    // Only rendered rows are considered for a virtualized table unless the whole logical row set is requested
+    const items = this.virtualized && !materialize ?
+      this._getRows().filter(item => !item.hasAttribute('disabled')) :
+      this.items._getSelectableItems();
+
+    return items.filter(item => !item.querySelector('[coral-table-rowselect][disabled]'));
   }
 
   _toggleObserver(enable) {
@@ -2541,13 +5078,30 @@ class Table extends BaseComponent(HTMLTableElement) {
 
   static get _attributePropertyMap() {
     return commons.extend(super._attributePropertyMap, {
-      labelledby: 'labelledBy'
+      labelledby: 'labelledBy',
+      virtualitemcount: 'virtualItemCount',
+      pagesize: 'pageSize',
+      treegrid: 'treeGrid'
     });
   }
 
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['variant', 'selectable', 'orderable', 'labelled', 'labelledby', 'multiple', 'lockable']);
+    return super.observedAttributes.concat([
+      'variant',
+      'selectable',
+      'orderable',
+      'labelled',
+      'labelledby',
+      'multiple',
+      'lockable',
+      'pastable',
+      'treegrid',
+      'virtualized',
+      'virtualitemcount',
+      'pagesize',
+      'page'
+    ]);
   }
 
   /** @ignore */
@@ -2590,6 +5144,11 @@ class Table extends BaseComponent(HTMLTableElement) {
       liveRegion.remove();
     }
 
+    const paginationRow = foot.querySelector('._coral-Table-pagination');
+    if (paginationRow) {
+      paginationRow.remove();
+    }
+
     // Append frag
     this.appendChild(frag);
 
@@ -2627,6 +5186,11 @@ class Table extends BaseComponent(HTMLTableElement) {
       }
     }
 
+    // Only render the visible rows
+    if (this.virtualized) {
+      this._toggleVirtualization(true);
+    }
+
     // Detect table size changes
     commons.addResizeListener(this, this._resetLayout);
 
@@ -2655,6 +5219,14 @@ class Table extends BaseComponent(HTMLTableElement) {
       column._doSort(true);
     }
 
+    // Replace the body rows with the rows of the data source
+    if (this.dataSource) {
+      this.load();
+    }
+
+    // Gather the rows in groups
+    this._renderGroups();
+
     // @compat
     if (this.body) {
       const rows = getRows([this.body]);
@@ -2662,6 +5234,9 @@ class Table extends BaseComponent(HTMLTableElement) {
       rows.forEach(row => this._toggleSelectionCheckbox(row));
     }
 
+    // Nest the rows if in tree-grid mode
+    this._syncTreeGrid();
+
     // Enable observer again
     this._toggleObserver(true);
 
@@ -2671,6 +5246,215 @@ class Table extends BaseComponent(HTMLTableElement) {
     }
   }
 
+  /** @ignore */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    // The end of a column resize started before being removed isn't notified
+    if (this._columnResizeData) {
+      this._columnResizeData.headerCell._isResizing = undefined;
+      this._columnResizeData = null;
+      this.classList.remove(IS_RESIZING);
+      document.body.classList.remove(IS_RESIZING_BODY);
+    }
+  }
+
+  /**
+   Signature of the callback used by a {@link Table#virtualized} table to create its rows.
+
+   @typedef {function} TableVirtualSource
+
+   @param {Number} index
+   The index of the row in the logical row set.
+
+   @returns {TableRow} the row to render at the given index.
+   */
+
+  /**
+   Layout of a {@link Table} returned by {@link Table#getLayoutState}.
+
+   @typedef {Object} TableLayoutState
+
+   @property {Array.<Object>} columns
+   The columns in display order, each with its <code>key</code>, whether it is <code>hidden</code>, its
+   <code>fixed</code> edge and its <code>width</code> in pixels or <code>null</code> if it wasn't resized.
+   @property {Array.<Object>} sortOrder
+   The <code>key</code> and sorting <code>direction</code> of the sorted columns by priority.
+   @property {Boolean} sticky
+   Whether the table head is sticky.
+   */
+
+  /**
+   Sorting of a {@link Table} column.
+
+   @typedef {Object} TableSort
+
+   @property {TableColumn} column
+   The sorted column.
+   @property {String} key
+   The {@link TableColumn#key} of the sorted column.
+   @property {String} direction
+   The sorting direction, either ascending or descending. See {@link TableColumnSortableDirectionEnum}.
+   */
+
+  /**
+   Signature of the callback used as {@link Table#dataSource} to provide the items of a page.
+
+   @typedef {function} TableDataSource
+
+   @param {Object} request
+   The requested items.
+   @param {Number} request.page
+   The requested page, starting at <code>1</code>.
+   @param {Number} request.pageSize
+   The amount of items per page. <code>0</code> if all items are requested.
+   @param {?TableSort} request.sort
+   The sorting of the column with the highest priority or <code>null</code> if no column is sorted.
+   @param {Array.<TableSort>} request.sortOrder
+   The sorting of all sorted columns by priority.
+
+   @returns {Promise|Object|Array} the items of the page as an Array or an Object with the <code>items</code> of the
+   page and the <code>total</code> amount of items, or a Promise resolved with either of them.
+   */
+
+  /**
+   Signature of the callback used to create the row of an item provided by {@link Table#dataSource}.
+
+   @typedef {function} TableRowRenderer
+
+   @param {*} item
+   The item provided by the data source.
+   @param {Number} index
+   The index of the item in the page.
+
+   @returns {TableRow} the row displaying the item.
+   */
+
+  /**
+   Triggered before the {@link Table} requests a page of its {@link Table#dataSource}. Can be used to cancel loading.
+
+   @typedef {CustomEvent} coral-table:beforeload
+
+   @property {Number} detail.page
+   The requested page.
+   @property {Number} detail.pageSize
+   The amount of items per page.
+   @property {?TableSort} detail.sort
+   The sorting of the column with the highest priority or <code>null</code> if no column is sorted.
+   @property {Array.<TableSort>} detail.sortOrder
+   The sorting of all sorted columns by priority.
+   */
+
+  /**
+   Triggered when the {@link Table} rendered a page of its {@link Table#dataSource} or failed to load it.
+
+   @typedef {CustomEvent} coral-table:load
+
+   @property {Array} detail.items
+   The items of the page. Empty if loading failed.
+   @property {?Number} detail.total
+   The total amount of items or <code>null</code> if unknown.
+   @property {Number} detail.page
+   The loaded page.
+   @property {*} detail.error
+   The error of the data source if loading failed, <code>null</code> otherwise. The rows of the previous page are kept.
+   */
+
+  /**
+   Triggered when a column was shown or hidden with the column chooser.
+
+   @typedef {CustomEvent} coral-table:columntoggle
+
+   @property {TableColumn} detail.column
+   The shown or hidden column.
+   */
+
+  /**
+   Triggered before tab separated values pasted in a {@link Table#pastable} table are added as rows. Can be used to
+   handle the pasted values instead.
+
+   @typedef {CustomEvent} coral-table:beforepaste
+
+   @property {String} detail.text
+   The pasted text.
+   */
+
+  /**
+   Triggered when rows were added from tab separated values pasted in a {@link Table#pastable} table.
+
+   @typedef {CustomEvent} coral-table:paste
+
+   @property {Array.<TableRow>} detail.items
+   The added rows.
+   */
+
+  /**
+   Triggered when a {@link TableGroupRow} was collapsed.
+
+   @typedef {CustomEvent} coral-table:groupcollapse
+
+   @property {TableGroupRow} detail.group
+   The collapsed group.
+   */
+
+  /**
+   Triggered when a {@link TableGroupRow} was expanded.
+
+   @typedef {CustomEvent} coral-table:groupexpand
+
+   @property {TableGroupRow} detail.group
+   The expanded group.
+   */
+
+  /**
+   Triggered when the nested rows of a {@link Table#treeGrid} row were collapsed.
+
+   @typedef {CustomEvent} coral-table:rowcollapse
+
+   @property {TableRow} detail.row
+   The collapsed row.
+   */
+
+  /**
+   Triggered when the nested rows of a {@link Table#treeGrid} row were expanded.
+
+   @typedef {CustomEvent} coral-table:rowexpand
+
+   @property {TableRow} detail.row
+   The expanded row.
+   */
+
+  /**
+   Triggered before the value of an edited {@link Table} cell is applied. Can be used to cancel the edit, the cell
+   content is restored in that case.
+
+   @typedef {CustomEvent} coral-table:beforecelledit
+
+   @property {TableCell} detail.cell
+   The edited cell.
+   @property {?TableColumn} detail.column
+   The column of the edited cell.
+   @property {String} detail.oldValue
+   The value of the cell before the edit.
+   @property {String} detail.newValue
+   The value entered in the editor.
+   */
+
+  /**
+   Triggered when the value of an edited {@link Table} cell was applied.
+
+   @typedef {CustomEvent} coral-table:celledit
+
+   @property {TableCell} detail.cell
+   The edited cell.
+   @property {?TableColumn} detail.column
+   The column of the edited cell.
+   @property {String} detail.oldValue
+   The value of the cell before the edit.
+   @property {String} detail.newValue
+   The new value of the cell.
+   */
+
   /**
    Triggered before a {@link Table} column gets sorted by user interaction. Can be used to cancel column sorting and define
    custom sorting.
@@ -2690,6 +5474,20 @@ class Table extends BaseComponent(HTMLTableElement) {
 
    @param {TableColumn} detail.column
    The sorted column.
+   @param {Array.<TableSort>} detail.sortOrder
+   The sorting of all sorted columns by priority.
+   */
+
+  /**
+   Triggered when a {@link Table} column was resized by user interaction. It is triggered once dragging the resize
+   handle ended or for each keyboard step.
+
+   @typedef {CustomEvent} coral-table:columnresize
+
+   @property {TableColumn} detail.column
+   The resized column.
+   @property {Number} detail.width
+   The new width of the column in pixels.
    */
 
   /**
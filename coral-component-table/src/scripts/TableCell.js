@@ -69,6 +69,23 @@ class TableCell extends BaseComponent(HTMLTableCellElement) {
     this._syncSelectHandle();
   }
 
+  /**
+   Whether the cell can be edited by user interaction even if its column isn't {@link TableColumn#editable}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute editable
+   @htmlattributereflected
+   */
+  get editable() {
+    return this._editable || false;
+  }
+
+  set editable(value) {
+    this._editable = transform.booleanAttr(value);
+    this._reflectAttribute('editable', this._editable);
+  }
+
   /**
    The cell's value. It is used to compare cells during a column sort. If not set, the sorting will be performed on the
    cell content. The content will be parse accordingly based on the column's <code>sortabletype</code> property.
@@ -139,7 +156,7 @@ class TableCell extends BaseComponent(HTMLTableCellElement) {
 
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['selected', '_selectable']);
+    return super.observedAttributes.concat(['selected', 'editable', '_selectable']);
   }
 
   /** @ignore */
@@ -0,0 +1,137 @@
+/**
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {SelectableCollection} from '../../../coral-collection';
+
+/**
+ @class Coral.Table.Collection
+ @classdesc The Table collection. If the table is virtualized, the items are read from the logical row set instead of
+ the body since only the visible rows are in the DOM.
+ @extends {SelectableCollection}
+ */
+class TableCollection extends SelectableCollection {
+  /** @private */
+  get _virtual() {
+    return this._host.virtualized;
+  }
+
+  /** @private */
+  _getMaterializedItems() {
+    return this._host._virtualRows.filter(row => row);
+  }
+
+  get length() {
+    return this._virtual ? this._host._virtualRows.length : super.length;
+  }
+
+  add(item, insertBefore) {
+    if (!this._virtual) {
+      return super.add(item, insertBefore);
+    }
+
+    if (!(item instanceof HTMLElement)) {
+      item = document.createElement(this._itemBaseTagName, {is: this._itemTagName}).set(item, true);
+    }
+
+    const rows = this._host._virtualRows;
+    const index = insertBefore ? rows.indexOf(insertBefore) : -1;
+    rows.splice(index === -1 ? rows.length : index, 0, item);
+
+    this._host._renderVirtualRows(true);
+    this._host.trigger('coral-collection:add', {item});
+
+    return item;
+  }
+
+  getAll() {
+    if (!this._virtual) {
+      return super.getAll();
+    }
+
+    // Materializes the whole logical row set
+    return this._host._virtualRows.map((row, i) => row || this._host._getVirtualRow(i));
+  }
+
+  remove(item) {
+    if (!this._virtual) {
+      return super.remove(item);
+    }
+
+    const rows = this._host._virtualRows;
+    const index = rows.indexOf(item);
+
+    if (index !== -1) {
+      rows.splice(index, 1);
+
+      this._host._renderVirtualRows(true);
+      this._host.trigger('coral-collection:remove', {item});
+
+      if (item.selected) {
+        this._host._triggerChangeEvent();
+      }
+    }
+
+    return item;
+  }
+
+  first() {
+    return this._virtual ? this._host._getVirtualRow(0) : super.first();
+  }
+
+  last() {
+    return this._virtual ? this._host._getVirtualRow(this._host._virtualRows.length - 1) : super.last();
+  }
+
+  _getSelectableItems() {
+    return this._virtual ?
+      this.getAll().filter(item => item.matches(this._selectableItemSelector)) :
+      super._getSelectableItems();
+  }
+
+  _getFirstSelectable() {
+    return this._virtual ? this._getSelectableItems()[0] || null : super._getFirstSelectable();
+  }
+
+  _getLastSelectable() {
+    if (!this._virtual) {
+      return super._getLastSelectable();
+    }
+
+    const items = this._getSelectableItems();
+    return items[items.length - 1] || null;
+  }
+
+  _getFirstSelected(selectedAttribute) {
+    return this._virtual ? this._getAllSelected(selectedAttribute)[0] || null : super._getFirstSelected(selectedAttribute);
+  }
+
+  _getLastSelected(selectedAttribute) {
+    if (!this._virtual) {
+      return super._getLastSelected(selectedAttribute);
+    }
+
+    const items = this._getAllSelected(selectedAttribute);
+    return items[items.length - 1] || null;
+  }
+
+  _getAllSelected(selectedAttribute) {
+    if (!this._virtual) {
+      return super._getAllSelected(selectedAttribute);
+    }
+
+    // Rows that were never rendered can't be selected
+    const attribute = typeof selectedAttribute === 'string' ? selectedAttribute : 'selected';
+    return this._getMaterializedItems().filter(item => item.hasAttribute(attribute));
+  }
+}
+
+export default TableCollection;
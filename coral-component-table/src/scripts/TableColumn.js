@@ -15,6 +15,8 @@ import {alignment} from './TableUtil';
 import {commons, transform, validate} from '../../../coral-utils';
 
 const CLASSNAME = '_coral-Table-column';
+// Default minimum width of a resizable column in pixels
+const MIN_WIDTH = 32;
 
 /**
  Enumeration for {@link TableColumn} sortable direction options.
@@ -55,6 +57,83 @@ const sortableType = {
   CUSTOM: 'custom'
 };
 
+/**
+ Enumeration for {@link TableColumn} editor options.
+
+ @typedef {Object} TableColumnEditorEnum
+
+ @property {String} TEXTFIELD
+ Default. Cells are edited with a {@link Textfield}.
+ @property {String} NUMBERINPUT
+ Cells are edited with a {@link NumberInput}.
+ @property {String} SELECT
+ Cells are edited with a {@link Select} listing {@link TableColumn#editorOptions}.
+ @property {String} DATEPICKER
+ Cells are edited with a {@link Datepicker}.
+ */
+const editor = {
+  TEXTFIELD: 'textfield',
+  NUMBERINPUT: 'numberinput',
+  SELECT: 'select',
+  DATEPICKER: 'datepicker'
+};
+
+/**
+ Enumeration for {@link TableColumn} fixed options.
+
+ @typedef {Object} TableColumnFixedEnum
+
+ @property {String} NONE
+ Default. The column scrolls horizontally with the table.
+ @property {String} LEFT
+ The column is pinned to the left edge of the table.
+ @property {String} RIGHT
+ The column is pinned to the right edge of the table.
+ */
+const fixed = {
+  NONE: 'none',
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+/**
+ An option of a {@link TableColumnEditorEnum.SELECT} editor.
+
+ @typedef {Object} TableColumnEditorOption
+
+ @property {String} value
+ The value stored in {@link TableCell#value} if the option is selected.
+ @property {String} [content]
+ The text displayed in the cell if the option is selected. Defaults to the value.
+ */
+
+/**
+ Callback validating the new value of an edited cell. Returning <code>false</code> marks the editor invalid and keeps
+ the cell in edit mode.
+
+ @typedef {function} TableColumnValidator
+
+ @param {String} value
+ The new value of the cell.
+ @param {TableCell} cell
+ The edited cell.
+
+ @returns {Boolean} Whether the value is valid.
+ */
+
+/**
+ Callback returning the exported value of a column cell, see {@link Table#toCSV}.
+
+ @typedef {function} TableColumnValueAccessor
+
+ @param {TableCell} cell
+ The exported cell.
+ @param {TableRow} row
+ The row of the exported cell.
+
+ @returns {String} The exported value.
+ */
+
 /**
  @class Coral.Table.Column
  @classdesc A Table column component
@@ -112,6 +191,29 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
     });
   }
 
+  /**
+   Whether the column is pinned to an edge of the table while scrolling horizontally. Several columns can be pinned to
+   the same edge, they are stacked in display order. See {@link TableColumnFixedEnum}.
+
+   @type {String}
+   @default TableColumnFixedEnum.NONE
+   @htmlattribute fixed
+   @htmlattributereflected
+   */
+  get fixed() {
+    return this._fixed || fixed.NONE;
+  }
+
+  set fixed(value) {
+    value = transform.string(value).toLowerCase();
+    this._fixed = validate.enumeration(fixed)(value) && value || fixed.NONE;
+    this._reflectAttribute('fixed', this._fixed);
+
+    window.requestAnimationFrame(() => {
+      this.trigger('coral-table-column:_fixedchanged');
+    });
+  }
+
   /**
    Whether the column is hidden.
 
@@ -133,6 +235,103 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
     });
   }
 
+  /**
+   Whether the column cells can be edited by user interaction. Cells enter edit mode on double click or by pressing
+   F2 on a focused row. See {@link Table#editCell}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute editable
+   @htmlattributereflected
+   */
+  get editable() {
+    return this._editable || false;
+  }
+
+  set editable(value) {
+    this._editable = transform.booleanAttr(value);
+    this._reflectAttribute('editable', this._editable);
+
+    window.requestAnimationFrame(() => {
+      this.trigger('coral-table-column:_editablechanged');
+    });
+  }
+
+  /**
+   The component used to edit the column cells. See {@link TableColumnEditorEnum}.
+
+   @type {String}
+   @default TableColumnEditorEnum.TEXTFIELD
+   @htmlattribute editor
+   */
+  get editor() {
+    return this._editor || editor.TEXTFIELD;
+  }
+
+  set editor(value) {
+    value = transform.string(value).toLowerCase();
+    this._editor = validate.enumeration(editor)(value) && value || editor.TEXTFIELD;
+  }
+
+  /**
+   The options listed by a {@link TableColumnEditorEnum.SELECT} editor.
+
+   @type {Array.<TableColumnEditorOption>}
+   @default []
+   */
+  get editorOptions() {
+    return this._editorOptions || [];
+  }
+
+  set editorOptions(value) {
+    this._editorOptions = Array.isArray(value) ? value : [];
+  }
+
+  /**
+   Callback validating the values entered in the column cells before they are applied.
+
+   @type {?TableColumnValidator}
+   @default null
+   */
+  get validator() {
+    return typeof this._validator === 'function' ? this._validator : null;
+  }
+
+  set validator(value) {
+    this._validator = typeof value === 'function' ? value : null;
+  }
+
+  /**
+   Callback returning the value of the column cells when the table is exported or copied. The text of the cells is
+   exported by default.
+
+   @type {?TableColumnValueAccessor}
+   @default null
+   */
+  get valueAccessor() {
+    return typeof this._valueAccessor === 'function' ? this._valueAccessor : null;
+  }
+
+  set valueAccessor(value) {
+    this._valueAccessor = typeof value === 'function' ? value : null;
+  }
+
+  /**
+   The name of the item property displayed in the column cells when the table rows are provided by
+   {@link Table#dataSource}. It is also passed to the data source to identify the sorted column.
+
+   @type {String}
+   @default ""
+   @htmlattribute key
+   */
+  get key() {
+    return this._key || '';
+  }
+
+  set key(value) {
+    this._key = transform.string(value);
+  }
+
   /**
    Whether the table column is orderable.
    Note that this does not affect the underlying data, only presentation.
@@ -155,6 +354,59 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
     });
   }
 
+  /**
+   Whether the column is resizable by user interaction. Resizing sets the inline style width of the column.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute resizable
+   @htmlattributereflected
+   */
+  get resizable() {
+    return this._resizable || false;
+  }
+
+  set resizable(value) {
+    this._resizable = transform.booleanAttr(value);
+    this._reflectAttribute('resizable', this._resizable);
+
+    window.requestAnimationFrame(() => {
+      this.trigger('coral-table-column:_resizablechanged');
+    });
+  }
+
+  /**
+   The minimum width in pixels the column can be resized to.
+
+   @type {Number}
+   @default 32
+   @htmlattribute minwidth
+   */
+  get minWidth() {
+    return typeof this._minWidth === 'number' ? this._minWidth : MIN_WIDTH;
+  }
+
+  set minWidth(value) {
+    value = transform.number(value);
+    this._minWidth = value !== null && value >= 0 ? value : MIN_WIDTH;
+  }
+
+  /**
+   The maximum width in pixels the column can be resized to. The value <code>null</code> means no maximum.
+
+   @type {?Number}
+   @default null
+   @htmlattribute maxwidth
+   */
+  get maxWidth() {
+    return typeof this._maxWidth === 'number' ? this._maxWidth : null;
+  }
+
+  set maxWidth(value) {
+    value = transform.number(value);
+    this._maxWidth = value !== null && value > 0 ? value : null;
+  }
+
   /**
    Whether the column is sortable by user interaction.
 
@@ -262,6 +514,24 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
     return sortableType;
   }
 
+  /**
+   Returns {@link TableColumn} fixed options.
+
+   @return {TableColumnFixedEnum}
+   */
+  static get fixed() {
+    return fixed;
+  }
+
+  /**
+   Returns {@link TableColumn} editor options.
+
+   @return {TableColumnEditorEnum}
+   */
+  static get editor() {
+    return editor;
+  }
+
   /**
    Returns {@link TableColumn} alignment options.
 
@@ -274,6 +544,8 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
   static get _attributePropertyMap() {
     return commons.extend(super._attributePropertyMap, {
       fixedwidth: 'fixedWidth',
+      minwidth: 'minWidth',
+      maxwidth: 'maxWidth',
       sortabletype: 'sortableType',
       sortabledirection: 'sortableDirection'
     });
@@ -283,9 +555,16 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
   static get observedAttributes() {
     return super.observedAttributes.concat([
       'fixedwidth',
+      'fixed',
       'hidden',
+      'key',
+      'editable',
+      'editor',
       'alignment',
       'orderable',
+      'resizable',
+      'minwidth',
+      'maxwidth',
       'sortable',
       'sortabletype',
       'sortabledirection',
@@ -326,6 +605,22 @@ class TableColumn extends BaseComponent(HTMLTableColElement) {
    @private
    */
 
+  /**
+   Triggered when {@link TableColumn#fixed} changed.
+
+   @typedef {CustomEvent} coral-table-column:_fixedchanged
+
+   @private
+   */
+
+  /**
+   Triggered when {@link TableColumn#editable} changed.
+
+   @typedef {CustomEvent} coral-table-column:_editablechanged
+
+   @private
+   */
+
   /**
    Triggered when {@link TableColumn#orderable} changed.
 
@@ -0,0 +1,169 @@
+/**
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {BaseComponent} from '../../../coral-base-component';
+import '../../../coral-component-button';
+import '../../../coral-component-checkbox';
+import groupRow from '../templates/groupRow';
+import {transform, commons, i18n} from '../../../coral-utils';
+
+const CLASSNAME = '_coral-Table-groupRow';
+
+/**
+ @class Coral.Table.GroupRow
+ @classdesc A Table group row component. Group rows are rendered by the table when its rows are grouped by
+ {@link Table#groupBy} and head the rows sharing the same value in the grouped column.
+ @htmltag coral-table-grouprow
+ @htmlbasetag tr
+ @extends {HTMLTableRowElement}
+ @extends {BaseComponent}
+ */
+class TableGroupRow extends BaseComponent(HTMLTableRowElement) {
+  /** @ignore */
+  constructor() {
+    super();
+
+    // Templates
+    this._elements = {};
+    groupRow.call(this._elements, {commons, i18n});
+
+    this._elements.toggle.setAttribute('aria-labelledby', this._elements.label.id);
+
+    // Rows of the group
+    this._items = [];
+  }
+
+  /**
+   The value shared by the rows of the group.
+
+   @type {String}
+   @default ""
+   @htmlattribute value
+   @htmlattributereflected
+   */
+  get value() {
+    return this._value || '';
+  }
+
+  set value(value) {
+    this._value = transform.string(value);
+    this._reflectAttribute('value', this._value);
+  }
+
+  /**
+   The text displayed by the group row.
+
+   @type {String}
+   @default ""
+   */
+  get label() {
+    return this._elements.label.textContent;
+  }
+
+  set label(value) {
+    this._elements.label.textContent = transform.string(value);
+  }
+
+  /**
+   Whether the rows of the group are hidden.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute collapsed
+   @htmlattributereflected
+   */
+  get collapsed() {
+    return this._collapsed || false;
+  }
+
+  set collapsed(value) {
+    value = transform.booleanAttr(value);
+    const changed = value !== this.collapsed;
+
+    this._collapsed = value;
+    this._reflectAttribute('collapsed', this._collapsed);
+
+    this._elements.toggle.setAttribute('aria-expanded', !this._collapsed);
+    this._elements.toggle.icon = this._collapsed ? 'chevronRight' : 'chevronDown';
+
+    if (changed) {
+      this.trigger('coral-table-grouprow:_collapsedchanged');
+    }
+  }
+
+  /**
+   The rows of the group.
+
+   @type {Array.<TableRow>}
+   @readonly
+   */
+  get items() {
+    return this._items.slice();
+  }
+
+  /** @private */
+  _syncItems(items, columnCount) {
+    this._items = items;
+    this._elements.count.textContent = `(${items.length})`;
+    this._elements.cell.colSpan = columnCount || 1;
+  }
+
+  /** @private */
+  _toggleSelectable(selectable) {
+    this._elements.selectAll.hidden = !selectable;
+  }
+
+  /** @private */
+  _setSelectHandleState(state) {
+    const handle = this._elements.selectAll;
+
+    if (state === 'checked') {
+      handle.removeAttribute('indeterminate');
+      handle.setAttribute('checked', '');
+    } else if (state === 'unchecked') {
+      handle.removeAttribute('indeterminate');
+      handle.removeAttribute('checked');
+    } else if (state === 'indeterminate') {
+      handle.setAttribute('indeterminate', '');
+    }
+  }
+
+  /** @ignore */
+  static get observedAttributes() {
+    return super.observedAttributes.concat(['value', 'collapsed']);
+  }
+
+  /** @ignore */
+  render() {
+    super.render();
+
+    this.classList.add('_coral-Table-row', CLASSNAME);
+
+    // Remove cloned cell if any
+    const cell = this.querySelector('._coral-Table-groupCell');
+    if (cell) {
+      cell.remove();
+    }
+
+    this.appendChild(this._elements.cell);
+  }
+
+  /**
+   Triggered when {@link TableGroupRow#collapsed} changed.
+
+   @typedef {CustomEvent} coral-table-grouprow:_collapsedchanged
+
+   @private
+   */
+}
+
+export default TableGroupRow;
@@ -13,6 +13,7 @@
 import accessibilityState from '../templates/accessibilityState';
 import {BaseComponent} from '../../../coral-base-component';
 import {SelectableCollection} from '../../../coral-collection';
+import {isTableRow} from './TableUtil';
 import {transform, commons, i18n} from '../../../coral-utils';
 
 const CLASSNAME = '_coral-Table-row';
@@ -70,6 +71,103 @@ class TableRow extends BaseComponent(HTMLTableRowElement) {
     this.trigger('coral-table-row:_lockedchanged');
   }
 
+  /**
+   The nesting level of the row in a {@link Table#treeGrid}, starting at <code>1</code>. A row is nested in the closest
+   previous row of a lower level.
+
+   @type {Number}
+   @default 1
+   @htmlattribute level
+   @htmlattributereflected
+   */
+  get level() {
+    return this._level || 1;
+  }
+
+  set level(value) {
+    value = transform.number(value);
+    this._level = value > 1 ? Math.floor(value) : 1;
+    this._reflectAttribute('level', this._level);
+
+    this.trigger('coral-table-row:_levelchanged');
+  }
+
+  /**
+   Whether the nested rows of the row are displayed in a {@link Table#treeGrid}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute expanded
+   @htmlattributereflected
+   */
+  get expanded() {
+    return this._expanded || false;
+  }
+
+  set expanded(value) {
+    value = transform.booleanAttr(value);
+    const changed = value !== this.expanded;
+
+    this._expanded = value;
+    this._reflectAttribute('expanded', this._expanded);
+
+    if (changed) {
+      this.trigger('coral-table-row:_expandedchanged');
+    }
+  }
+
+  /**
+   The rows directly nested in the row based on {@link TableRow#level}.
+
+   @type {Array.<TableRow>}
+   @readonly
+   */
+  get childRows() {
+    const rows = [];
+    const level = this.level;
+    let sibling = this.nextElementSibling;
+
+    while (sibling) {
+      if (isTableRow(sibling)) {
+        if (sibling.level <= level) {
+          break;
+        }
+
+        if (sibling.level === level + 1) {
+          rows.push(sibling);
+        }
+      }
+
+      sibling = sibling.nextElementSibling;
+    }
+
+    return rows;
+  }
+
+  /**
+   The row the row is nested in based on {@link TableRow#level}. The value <code>null</code> is returned for top level
+   rows.
+
+   @type {?TableRow}
+   @readonly
+   */
+  get parentRow() {
+    const level = this.level;
+    let sibling = this.previousElementSibling;
+
+    if (level > 1) {
+      while (sibling) {
+        if (isTableRow(sibling) && sibling.level < level) {
+          return sibling;
+        }
+
+        sibling = sibling.previousElementSibling;
+      }
+    }
+
+    return null;
+  }
+
   /**
    Whether the table row is selected.
 
@@ -496,7 +594,7 @@ class TableRow extends BaseComponent(HTMLTableRowElement) {
 
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['locked', 'selected', 'multiple', 'selectable', '_selectable', '_orderable', '_lockable']);
+    return super.observedAttributes.concat(['locked', 'level', 'expanded', 'selected', 'multiple', 'selectable', '_selectable', '_orderable', '_lockable']);
   }
 
   /** @ignore */
@@ -544,6 +642,22 @@ class TableRow extends BaseComponent(HTMLTableRowElement) {
    @private
    */
 
+  /**
+   Triggered when {@link TableRow#level} changed.
+
+   @typedef {CustomEvent} coral-table-row:_levelchanged
+
+   @private
+   */
+
+  /**
+   Triggered when {@link TableRow#expanded} changed.
+
+   @typedef {CustomEvent} coral-table-row:_expandedchanged
+
+   @private
+   */
+
   /**
    Triggered when {@link TableRow#multiple} changed.
 
@@ -19,6 +19,9 @@ const isTableCell = node => node.nodeName === 'TD' && node.getAttribute('is') ==
 /** @ignore */
 const isTableRow = node => node.nodeName === 'TR' && node.getAttribute('is') === 'coral-table-row';
 
+/** @ignore */
+const isTableGroupRow = node => node.nodeName === 'TR' && node.getAttribute('is') === 'coral-table-grouprow';
+
 /** @ignore */
 const isTableBody = node => node.nodeName === 'TBODY' && node.getAttribute('is') === 'coral-table-body';
 
@@ -173,5 +176,6 @@ export {
   isTableHeaderCell,
   isTableCell,
   isTableRow,
+  isTableGroupRow,
   isTableBody
 };
@@ -13,6 +13,7 @@
 import './test.Table.Cell';
 import './test.Table.HeaderCell';
 import './test.Table.Row';
+import './test.Table.GroupRow';
 import './test.Table.Head';
 import './test.Table.Body';
 import './test.Table.Foot';
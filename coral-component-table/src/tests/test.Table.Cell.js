@@ -40,6 +40,19 @@ describe('Table.Cell', function () {
       });
     });
 
+    describe('#editable', function () {
+      it('should default to false', function () {
+        const el = new Table.Cell();
+        expect(el.editable).to.be.false;
+      });
+
+      it('should be settable by attribute', function () {
+        const el = new Table.Cell();
+        el.setAttribute('editable', '');
+        expect(el.editable).to.be.true;
+      });
+    });
+
     describe('#value', function () {
       it('should default to empty string', function () {
         const el = new Table.Cell();
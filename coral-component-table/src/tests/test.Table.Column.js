@@ -22,6 +22,7 @@ describe('Table.Column', function () {
     it('should expose enums', function () {
       expect(Table.Column).to.have.property('sortableType');
       expect(Table.Column).to.have.property('sortableDirection');
+      expect(Table.Column).to.have.property('editor');
     });
   });
 
@@ -48,6 +49,104 @@ describe('Table.Column', function () {
     describe('#orderable', function () {
     });
 
+    describe('#resizable', function () {
+      it('should default to false', function () {
+        const el = new Table.Column();
+        expect(el.resizable).to.be.false;
+      });
+    });
+
+    describe('#editable', function () {
+      it('should default to false', function () {
+        const el = new Table.Column();
+        expect(el.editable).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        const el = new Table.Column();
+        el.editable = true;
+        expect(el.hasAttribute('editable')).to.be.true;
+      });
+    });
+
+    describe('#editor', function () {
+      it('should default to textfield', function () {
+        const el = new Table.Column();
+        expect(el.editor).to.equal(Table.Column.editor.TEXTFIELD);
+      });
+
+      it('should be settable by attribute', function () {
+        const el = new Table.Column();
+        el.setAttribute('editor', 'datepicker');
+        expect(el.editor).to.equal(Table.Column.editor.DATEPICKER);
+      });
+
+      it('should fall back to the default if invalid', function () {
+        const el = new Table.Column();
+        el.editor = 'invalid';
+        expect(el.editor).to.equal(Table.Column.editor.TEXTFIELD);
+      });
+    });
+
+    describe('#editorOptions', function () {
+      it('should default to an empty array', function () {
+        const el = new Table.Column();
+        expect(el.editorOptions).to.deep.equal([]);
+      });
+    });
+
+    describe('#validator', function () {
+      it('should default to null', function () {
+        const el = new Table.Column();
+        expect(el.validator).to.equal(null);
+      });
+
+      it('should only accept functions', function () {
+        const el = new Table.Column();
+        el.validator = 'invalid';
+        expect(el.validator).to.equal(null);
+      });
+    });
+
+    describe('#valueAccessor', function () {
+      it('should default to null', function () {
+        const el = new Table.Column();
+        expect(el.valueAccessor).to.equal(null);
+      });
+
+      it('should only accept functions', function () {
+        const el = new Table.Column();
+        el.valueAccessor = 'invalid';
+        expect(el.valueAccessor).to.equal(null);
+      });
+    });
+
+    describe('#minWidth', function () {
+      it('should default to 32', function () {
+        const el = new Table.Column();
+        expect(el.minWidth).to.equal(32);
+      });
+
+      it('should fall back to the default if invalid', function () {
+        const el = new Table.Column();
+        el.minWidth = -10;
+        expect(el.minWidth).to.equal(32);
+      });
+    });
+
+    describe('#maxWidth', function () {
+      it('should default to null', function () {
+        const el = new Table.Column();
+        expect(el.maxWidth).to.equal(null);
+      });
+
+      it('should be settable by attribute', function () {
+        const el = new Table.Column();
+        el.setAttribute('maxwidth', '300');
+        expect(el.maxWidth).to.equal(300);
+      });
+    });
+
     describe('#sortable', function () {
     });
 
@@ -71,6 +170,25 @@ describe('Table.Column', function () {
         expect(el.alignment).to.equal(Table.Column.alignment.LEFT);
       });
     });
+
+    describe('#fixed', function () {
+      it('should default to fixed.NONE', function () {
+        const el = new Table.Column();
+        expect(el.fixed).to.equal(Table.Column.fixed.NONE);
+      });
+
+      it('should be reflected', function () {
+        const el = new Table.Column();
+        el.fixed = Table.Column.fixed.RIGHT;
+        expect(el.getAttribute('fixed')).to.equal('right');
+      });
+
+      it('should fallback to fixed.NONE for invalid values', function () {
+        const el = new Table.Column();
+        el.fixed = 'top';
+        expect(el.fixed).to.equal(Table.Column.fixed.NONE);
+      });
+    });
   });
 
   describe('Events', function () {
@@ -99,6 +217,18 @@ describe('Table.Column', function () {
       });
     });
 
+    describe('#coral-table-column:_fixedchanged', function () {
+      it('should trigger when changing fixed', function (done) {
+        el.on('coral-table-column:_fixedchanged', spy);
+        el.fixed = Table.Column.fixed.LEFT;
+
+        helpers.next(() => {
+          expect(spy.callCount).to.equal(1);
+          done();
+        });
+      });
+    });
+
     describe('#coral-table-column:_hiddenchanged', function () {
       it('should trigger when changing hidden', function (done) {
         el.on('coral-table-column:_hiddenchanged', spy);
@@ -125,6 +255,19 @@ describe('Table.Column', function () {
       });
     });
 
+    describe('#coral-table-column:_resizablechanged', function () {
+      it('should trigger when changing resizable', function (done) {
+        el.on('coral-table-column:_resizablechanged', spy);
+        el.resizable = true;
+
+        // Event is triggered in next frame
+        helpers.next(function () {
+          expect(spy.callCount).to.equal(1);
+          done();
+        });
+      });
+    });
+
     describe('#coral-table-column:_sortablechanged', function () {
       it('should trigger when changing sortable', function (done) {
         el.on('coral-table-column:_sortablechanged', spy);
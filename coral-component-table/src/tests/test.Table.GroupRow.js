@@ -0,0 +1,99 @@
+/**
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {helpers} from '../../../coral-utils/src/tests/helpers';
+import {Table} from '../../../coral-component-table';
+
+describe('Table.GroupRow', function () {
+  describe('Namespace', function () {
+    it('should be defined', function () {
+      expect(Table).to.have.property('GroupRow');
+    });
+  });
+
+  describe('Instantiation', function () {
+    it('should be possible using new', function () {
+      const el = helpers.build(new Table.GroupRow());
+      expect(el.classList.contains('_coral-Table-groupRow')).to.be.true;
+      expect(el.querySelector('._coral-Table-groupCell')).to.not.equal(null);
+    });
+
+    it('should be possible using document.createElement', function () {
+      const el = helpers.build(document.createElement('tr', {is: 'coral-table-grouprow'}));
+      expect(el.classList.contains('_coral-Table-groupRow')).to.be.true;
+    });
+  });
+
+  describe('API', function () {
+    describe('#value', function () {
+      it('should default to empty string', function () {
+        const el = new Table.GroupRow();
+        expect(el.value).to.equal('');
+      });
+
+      it('should be reflected', function () {
+        const el = new Table.GroupRow();
+        el.value = 'test';
+        expect(el.getAttribute('value')).to.equal('test');
+      });
+    });
+
+    describe('#label', function () {
+      it('should be displayed', function () {
+        const el = helpers.build(new Table.GroupRow());
+        el.label = 'Group';
+        expect(el.querySelector('._coral-Table-groupLabel').textContent).to.equal('Group');
+      });
+    });
+
+    describe('#collapsed', function () {
+      it('should default to false', function () {
+        const el = new Table.GroupRow();
+        expect(el.collapsed).to.be.false;
+      });
+
+      it('should be reflected and sync the toggle', function () {
+        const el = helpers.build(new Table.GroupRow());
+        const toggle = el.querySelector('[coral-table-grouptoggle]');
+
+        el.collapsed = true;
+        expect(el.hasAttribute('collapsed')).to.be.true;
+        expect(toggle.getAttribute('aria-expanded')).to.equal('false');
+
+        el.collapsed = false;
+        expect(toggle.getAttribute('aria-expanded')).to.equal('true');
+      });
+    });
+
+    describe('#items', function () {
+      it('should default to an empty array', function () {
+        const el = new Table.GroupRow();
+        expect(el.items).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe('Events', function () {
+    describe('#coral-table-grouprow:_collapsedchanged', function () {
+      it('should trigger when collapsed changed', function () {
+        const el = helpers.build(new Table.GroupRow());
+        const spy = sinon.spy();
+        el.on('coral-table-grouprow:_collapsedchanged', spy);
+
+        el.collapsed = true;
+        el.collapsed = true;
+
+        expect(spy.callCount).to.equal(1);
+      });
+    });
+  });
+});
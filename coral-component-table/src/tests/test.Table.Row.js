@@ -167,6 +167,55 @@ describe('Table.Row', function () {
     });
     describe('#locked', function () {
     });
+
+    describe('#level', function () {
+      it('should default to 1', function () {
+        const el = new Table.Row();
+        expect(el.level).to.equal(1);
+      });
+
+      it('should be reflected', function () {
+        const el = new Table.Row();
+        el.level = 3;
+        expect(el.getAttribute('level')).to.equal('3');
+      });
+
+      it('should not be lower than 1', function () {
+        const el = new Table.Row();
+        el.level = 0;
+        expect(el.level).to.equal(1);
+      });
+    });
+
+    describe('#expanded', function () {
+      it('should default to false', function () {
+        const el = new Table.Row();
+        expect(el.expanded).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        const el = new Table.Row();
+        el.expanded = true;
+        expect(el.hasAttribute('expanded')).to.be.true;
+      });
+    });
+
+    describe('#childRows', function () {
+      it('should return the rows nested in the row', function () {
+        const table = helpers.build(window.__html__['Table.treegrid.html']);
+        const row = table.querySelector('#row-documents');
+        expect(row.childRows.map(item => item.id)).to.deep.equal(['row-report', 'row-notes']);
+        expect(table.querySelector('#row-readme').childRows).to.deep.equal([]);
+      });
+    });
+
+    describe('#parentRow', function () {
+      it('should return the row the row is nested in', function () {
+        const table = helpers.build(window.__html__['Table.treegrid.html']);
+        expect(table.querySelector('#row-holidays').parentRow.id).to.equal('row-pictures');
+        expect(table.querySelector('#row-readme').parentRow).to.equal(null);
+      });
+    });
   });
 
   describe('Events', function () {
@@ -220,6 +269,29 @@ describe('Table.Row', function () {
       });
     });
 
+    describe('#coral-table-row:_levelchanged', function () {
+      it('should trigger when level is changed', function () {
+        const el = new Table.Row();
+        const spy = sinon.spy();
+
+        el.on('coral-table-row:_levelchanged', spy);
+        el.level = 2;
+        expect(spy.callCount).to.equal(1);
+      });
+    });
+
+    describe('#coral-table-row:_expandedchanged', function () {
+      it('should trigger when expanded is changed', function () {
+        const el = new Table.Row();
+        const spy = sinon.spy();
+
+        el.on('coral-table-row:_expandedchanged', spy);
+        el.expanded = true;
+        el.expanded = true;
+        expect(spy.callCount).to.equal(1);
+      });
+    });
+
     describe('#coral-table-row:_multiplechanged', function () {
       it('should trigger when multiple is changed', function () {
         const el = new Table.Row();
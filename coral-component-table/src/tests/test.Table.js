@@ -478,6 +478,19 @@ describe('Table', function () {
       });
     });
 
+    describe('#pastable', function () {
+      it('should default to false', function () {
+        var table = helpers.build(new Table());
+        expect(table.pastable).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        var table = helpers.build(new Table());
+        table.pastable = true;
+        expect(table.hasAttribute('pastable')).to.be.true;
+      });
+    });
+
     describe('#lockable', function () {
       it('should set all items to lockable items', function (done) {
         var table = helpers.build(window.__html__['Table.base.html']);
@@ -781,6 +794,920 @@ describe('Table', function () {
       });
     });
 
+    describe('#virtualized', function () {
+      // Creates the row at the given index of the logical row set
+      var createRow = function (index) {
+        var row = new Table.Row();
+        var cell = new Table.Cell();
+        cell.textContent = index;
+        row.appendChild(cell);
+        return row;
+      };
+
+      var buildVirtualizedTable = function (count) {
+        var table = helpers.build(window.__html__['Table.virtualized.html']);
+        table.virtualItemCount = count;
+        table.virtualSource = createRow;
+        return table;
+      };
+
+      it('should be false by default', function () {
+        var table = helpers.build(new Table());
+        expect(table.virtualized).to.be.false;
+      });
+
+      it('should only render the visible rows', function () {
+        var table = buildVirtualizedTable(1000);
+        var renderedRows = getRows([table.body]);
+
+        expect(renderedRows.length).to.be.above(0);
+        expect(renderedRows.length).to.be.below(1000);
+        expect(table.items.length).to.equal(1000);
+      });
+
+      it('should render the rows scrolled into view', function (done) {
+        var table = buildVirtualizedTable(1000);
+        var container = table._elements.container;
+
+        container.scrollTop = container.scrollHeight / 2;
+        container.dispatchEvent(new Event('scroll'));
+
+        helpers.next(function () {
+          var firstRenderedRow = getRows([table.body])[0];
+          expect(table.items.getAll().indexOf(firstRenderedRow)).to.be.above(0);
+          expect(getRows([table.body]).length).to.be.below(1000);
+          done();
+        });
+      });
+
+      it('should request every row of the source when all rows are selected', function () {
+        var table = helpers.build(window.__html__['Table.virtualized.html']
+          .replace('Number</th>', '<coral-checkbox coral-table-select></coral-checkbox>Number</th>'));
+        var source = sinon.spy(createRow);
+
+        table.virtualItemCount = 100;
+        table.virtualSource = source;
+        expect(source.callCount).to.be.below(100);
+
+        table.querySelector('[coral-table-select] input').click();
+
+        expect(source.callCount).to.equal(100);
+        expect(table.selectedItems.length).to.equal(100);
+      });
+
+      it('should return all the selected rows of the logical row set', function () {
+        var table = buildVirtualizedTable(100);
+        var items = table.items.getAll();
+
+        items[0].selected = true;
+        items[99].selected = true;
+
+        expect(table.selectedItems).to.deep.equal([items[0], items[99]]);
+      });
+
+      it('should sort the logical row set', function (done) {
+        var table = buildVirtualizedTable(100);
+
+        getColumns(table.columns)[0].sortableDirection = Table.Column.sortableDirection.DESCENDING;
+
+        helpers.next(function () {
+          expect(table.items.first().textContent).to.equal('99');
+          expect(getRows([table.body])[0].textContent).to.equal('99');
+          done();
+        });
+      });
+
+      it('should focus the last item of the logical row set with key:end', function (done) {
+        var table = buildVirtualizedTable(1000);
+        var row = getRows([table.body])[0];
+
+        helpers.next(function () {
+          row.focus();
+          helpers.keypress('end', row);
+
+          expect(document.activeElement).to.equal(table.items.last());
+          expect(table.items.last().getAttribute('tabindex')).to.equal('0');
+          done();
+        });
+      });
+
+      it('should keep the rows appended right after connecting the table', function (done) {
+        var table = helpers.build(window.__html__['Table.virtualized.html']);
+
+        for (var i = 0 ; i < 100 ; i++) {
+          table.body.appendChild(createRow(i));
+        }
+
+        helpers.next(function () {
+          expect(table.items.length).to.equal(100);
+          expect(getRows([table.body]).length).to.be.below(100);
+
+          helpers.next(function () {
+            expect(table.items.length).to.equal(100);
+            done();
+          });
+        });
+      });
+
+      it('should render all rows once disabled', function () {
+        var table = buildVirtualizedTable(100);
+
+        table.virtualized = false;
+
+        expect(getRows([table.body]).length).to.equal(100);
+        expect(table.body.querySelector('._coral-Table-row--virtualSpacer')).to.equal(null);
+      });
+    });
+
+    describe('#sortOrder', function () {
+      var getRowIds = function (table) {
+        return getRows([table.body]).map(function (row) {
+          return row.id;
+        });
+      };
+
+      it('should be empty by default', function () {
+        var table = helpers.build(new Table());
+        expect(table.sortOrder).to.deep.equal([]);
+      });
+
+      it('should sort by all columns by priority', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+
+        table.sortOrder = [
+          {column: cols[0]},
+          {column: cols[1], direction: Table.Column.sortableDirection.DESCENDING}
+        ];
+
+        expect(cols[0].sortableDirection).to.equal(Table.Column.sortableDirection.ASCENDING);
+        expect(cols[1].sortableDirection).to.equal(Table.Column.sortableDirection.DESCENDING);
+        expect(getRowIds(table)).to.deep.equal(['row-alpha-3', 'row-alpha-1', 'row-beta-2', 'row-beta-1']);
+      });
+
+      it('should return the sorted columns by priority', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+
+        table.sortOrder = [{column: cols[1]}, {column: cols[0]}];
+
+        expect(table.sortOrder.length).to.equal(2);
+        expect(table.sortOrder[0].column).to.equal(cols[1]);
+        expect(table.sortOrder[0].direction).to.equal(Table.Column.sortableDirection.ASCENDING);
+        expect(table.sortOrder[1].column).to.equal(cols[0]);
+      });
+
+      it('should restore the default order if emptied', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+
+        table.sortOrder = [{column: cols[0]}, {column: cols[1]}];
+        table.sortOrder = [];
+
+        expect(cols[0].sortableDirection).to.equal(Table.Column.sortableDirection.DEFAULT);
+        expect(cols[1].sortableDirection).to.equal(Table.Column.sortableDirection.DEFAULT);
+        expect(getRowIds(table)).to.deep.equal(['row-beta-2', 'row-alpha-1', 'row-beta-1', 'row-alpha-3']);
+      });
+
+      it('should display the priority of the sorted columns', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+        var headerCells = table.head.rows[0].cells;
+
+        table.sortOrder = [{column: cols[1]}, {column: cols[0]}];
+
+        expect(headerCells[0].querySelector('._coral-Table-sortPriority').getAttribute('data-sortpriority')).to.equal('2');
+        expect(headerCells[1].querySelector('._coral-Table-sortPriority').getAttribute('data-sortpriority')).to.equal('1');
+
+        table.sortOrder = [{column: cols[1]}];
+
+        expect(headerCells[0].querySelector('._coral-Table-sortPriority')).to.equal(null);
+        expect(headerCells[1].querySelector('._coral-Table-sortPriority')).to.equal(null);
+      });
+    });
+
+    describe('#dataSource', function () {
+      var items = [
+        {name: 'Chris', age: 35},
+        {name: 'Alice', age: 28},
+        {name: 'Bob', age: 52},
+        {name: 'Dana', age: 41},
+        {name: 'Eve', age: 19}
+      ];
+
+      var getRowTexts = function (table) {
+        return getRows([table.body]).map(function (row) {
+          return row.cells[0].textContent;
+        });
+      };
+
+      it('should be null by default', function () {
+        var table = helpers.build(new Table());
+        expect(table.dataSource).to.equal(null);
+        expect(table.pageSize).to.equal(0);
+        expect(table.page).to.equal(1);
+        expect(table.total).to.equal(null);
+      });
+
+      it('should render the first page of an Array', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = items;
+
+        table.on('coral-table:load', function () {
+          expect(getRowTexts(table)).to.deep.equal(['Chris', 'Alice']);
+          expect(table.total).to.equal(5);
+          done();
+        });
+      });
+
+      it('should sort the whole Array and not only the current page', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = items;
+
+        table.load().then(function () {
+          getColumns(table.columns)[1].sortableDirection = Table.Column.sortableDirection.DESCENDING;
+
+          table.on('coral-table:load', function () {
+            expect(getRowTexts(table)).to.deep.equal(['Bob', 'Dana']);
+            done();
+          });
+        });
+      });
+
+      it('should load the requested page', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = items;
+        table.page = 3;
+
+        table.on('coral-table:load', function (event) {
+          expect(event.detail.page).to.equal(3);
+          expect(getRowTexts(table)).to.deep.equal(['Eve']);
+          done();
+        });
+      });
+
+      it('should pass the request to a function data source', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        var col = getColumns(table.columns)[0];
+        var dataSource = sinon.spy(function () {
+          return Promise.resolve({items: items.slice(0, 2), total: 20});
+        });
+
+        col.sortableDirection = Table.Column.sortableDirection.ASCENDING;
+        table.dataSource = dataSource;
+
+        table.on('coral-table:load', function () {
+          var request = dataSource.args[0][0];
+          expect(request.page).to.equal(1);
+          expect(request.pageSize).to.equal(2);
+          expect(request.sort.column).to.equal(col);
+          expect(request.sort.key).to.equal('name');
+          expect(request.sort.direction).to.equal(Table.Column.sortableDirection.ASCENDING);
+          expect(table.total).to.equal(20);
+          done();
+        });
+      });
+
+      it('should discard outdated responses', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = function (request) {
+          return new Promise(function (resolve) {
+            // The first page resolves last
+            window.setTimeout(function () {
+              resolve({items: [{name: 'Page ' + request.page}], total: 10});
+            }, request.page === 1 ? 100 : 0);
+          });
+        };
+
+        var firstLoad = table.load();
+        table.page = 2;
+
+        firstLoad.then(function (detail) {
+          expect(detail).to.equal(null);
+          expect(getRowTexts(table)).to.deep.equal(['Page 2']);
+          done();
+        });
+      });
+
+      it('should use the row renderer to create the rows', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.rowRenderer = function (item) {
+          var row = new Table.Row();
+          var cell = new Table.Cell();
+          cell.textContent = item.name.toUpperCase();
+          row.appendChild(cell);
+          return row;
+        };
+        table.dataSource = items;
+
+        table.on('coral-table:load', function () {
+          expect(getRowTexts(table)).to.deep.equal(['CHRIS', 'ALICE']);
+          done();
+        });
+      });
+
+      it('should render a paging footer', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = items;
+
+        table.on('coral-table:load', function () {
+          var pagination = table.foot.querySelector('._coral-Table-pagination');
+          expect(pagination).to.not.equal(null);
+          expect(table._elements.pageLabel.textContent).to.equal('Page 1 of 3');
+          expect(table._elements.previousPage.disabled).to.be.true;
+          expect(table._elements.nextPage.disabled).to.be.false;
+          done();
+        });
+      });
+
+      it('should trigger a load event with the error if loading failed', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        var error = new Error('Request failed');
+        table.dataSource = function () {
+          return Promise.reject(error);
+        };
+
+        var loadSpy = sinon.spy();
+        table.on('coral-table:load', loadSpy);
+
+        table.load().then(function (detail) {
+          expect(detail.error).to.equal(error);
+          expect(detail.items).to.deep.equal([]);
+          expect(loadSpy.callCount).to.equal(1);
+          expect(loadSpy.args[0][0].detail.error).to.equal(error);
+          expect(table.classList.contains('is-loading')).to.be.false;
+          done();
+        });
+      });
+
+      it('should keep the page of the displayed items if loading another page failed', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = function (request) {
+          return request.page === 1 ? {items: items.slice(0, 2), total: 5} : Promise.reject(new Error('Request failed'));
+        };
+
+        table.load().then(function () {
+          table.on('coral-table:load', function (event) {
+            expect(event.detail.error).to.not.equal(null);
+            expect(event.detail.page).to.equal(2);
+            expect(table.page).to.equal(1);
+            expect(getRowTexts(table)).to.deep.equal(['Chris', 'Alice']);
+            expect(table._elements.pageLabel.textContent).to.equal('Page 1 of 3');
+            expect(table._elements.previousPage.disabled).to.be.true;
+            done();
+          });
+
+          table._elements.nextPage.click();
+        });
+      });
+
+      it('should keep the sorting of the displayed items if loading failed', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        var col = getColumns(table.columns)[0];
+        table.dataSource = function (request) {
+          return request.sort ? Promise.reject(new Error('Request failed')) : {items: items.slice(0, 2), total: 5};
+        };
+
+        table.load().then(function () {
+          table.on('coral-table:load', function () {
+            expect(col.sortableDirection).to.equal(Table.Column.sortableDirection.DEFAULT);
+            expect(table.sortOrder).to.deep.equal([]);
+            done();
+          });
+
+          col.sortableDirection = Table.Column.sortableDirection.ASCENDING;
+        });
+      });
+
+      it('should not reload if the page is unchanged', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        var dataSource = sinon.spy(function () {
+          return {items: items.slice(0, 2), total: 5};
+        });
+        table.dataSource = dataSource;
+
+        table.load().then(function () {
+          var callCount = dataSource.callCount;
+          table.page = 1;
+
+          expect(dataSource.callCount).to.equal(callCount);
+          done();
+        });
+      });
+
+      it('should create the foot to render the paging footer', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.foot.remove();
+        table.dataSource = items;
+
+        table.load().then(function () {
+          expect(table.foot).to.not.equal(null);
+          expect(table.foot.querySelector('._coral-Table-pagination')).to.not.equal(null);
+          done();
+        });
+      });
+
+      it('should not render a paging footer if page size is 0', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.pageSize = 0;
+        table.dataSource = items;
+
+        table.on('coral-table:load', function () {
+          expect(getRows([table.body]).length).to.equal(5);
+          expect(table.foot.querySelector('._coral-Table-pagination')).to.equal(null);
+          done();
+        });
+      });
+    });
+
+    describe('#groupBy', function () {
+      it('should default to null', function () {
+        var table = helpers.build(new Table());
+        expect(table.groupBy).to.equal(null);
+      });
+
+      it('should gather the rows by the value of the column', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        var groups = table.groups;
+        expect(groups.length).to.equal(2);
+        expect(groups[0].value).to.equal('Beta');
+        expect(groups[0].items.map(row => row.id)).to.deep.equal(['row-beta-12', 'row-beta-3']);
+        expect(groups[1].value).to.equal('Alpha');
+        expect(groups[1].items.map(row => row.id)).to.deep.equal(['row-alpha-7']);
+
+        var children = Array.prototype.slice.call(table.body.children);
+        expect(children.indexOf(groups[0])).to.equal(0);
+        expect(children[1].id).to.equal('row-beta-12');
+        expect(children[2].id).to.equal('row-beta-3');
+        expect(children[3]).to.equal(groups[1]);
+      });
+
+      it('should display the label and the amount of rows', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        var group = table.groups[0];
+        expect(group.label).to.equal('Beta');
+        expect(group.querySelector('._coral-Table-groupCount').textContent).to.equal('(2)');
+        expect(group.querySelector('._coral-Table-groupCell').colSpan).to.equal(2);
+      });
+
+      it('should not affect the table items', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        expect(table.items.length).to.equal(3);
+      });
+
+      it('should remove the groups if set to null', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.groups[0].collapsed = true;
+
+        table.groupBy = null;
+
+        expect(table.groups.length).to.equal(0);
+        expect(table.items.getAll().every(row => !row.hidden)).to.be.true;
+      });
+
+      it('should sort the rows within their group', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        table.sortOrder = [{column: getColumns(table.columns)[1]}];
+
+        var groups = table.groups;
+        expect(groups[0].value).to.equal('Beta');
+        expect(groups[0].items.map(row => row.id)).to.deep.equal(['row-beta-3', 'row-beta-12']);
+        expect(groups[0].nextElementSibling.id).to.equal('row-beta-3');
+      });
+
+      it('should add new rows to their group', function (done) {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        helpers.next(function () {
+          var row = new Table.Row();
+          var teamCell = new Table.Cell();
+          var scoreCell = new Table.Cell();
+          teamCell.textContent = 'Alpha';
+          scoreCell.textContent = '1';
+          row.appendChild(teamCell);
+          row.appendChild(scoreCell);
+
+          table.items.add(row);
+
+          helpers.next(function () {
+            expect(table.groups[1].items.indexOf(row)).to.not.equal(-1);
+            expect(table.groups[1].querySelector('._coral-Table-groupCount').textContent).to.equal('(2)');
+            done();
+          });
+        });
+      });
+    });
+
+    describe('#toCSV', function () {
+      it('should export the visible columns with their header', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        expect(table.toCSV()).to.equal([
+          'Name,Note,Status',
+          'Alice,"Likes ""quotes"", commas",Active',
+          'Bob,Plain,Inactive'
+        ].join('\r\n'));
+      });
+
+      it('should export the given rows without header', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        expect(table.toCSV({items: [table.querySelector('#row-bob')], header: false})).to.equal('Bob,Plain,Inactive');
+      });
+
+      it('should follow the column order', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        var columns = getColumns(table.columns);
+        columns[0].id = 'column-name';
+        columns[3].id = 'column-status';
+
+        table.setLayoutState({
+          columns: [{key: 'column-status'}, {key: 'column-name'}]
+        });
+
+        expect(table.toCSV({header: false}).split('\r\n')[1]).to.equal('Inactive,Plain,Bob');
+      });
+
+      it('should use the value accessor of the columns', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        getColumns(table.columns)[3].valueAccessor = cell => cell.value;
+
+        expect(table.toCSV({header: false}).split('\r\n')[0]).to.equal('Alice,"Likes ""quotes"", commas",active');
+      });
+
+      it('should escape values evaluated as formulas by spreadsheet applications', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        var cells = table.querySelector('#row-bob').cells;
+        cells[0].textContent = '=SUM(A1:A2)';
+        cells[1].textContent = '-5';
+        cells[3].textContent = '@cmd';
+
+        expect(table.toCSV({items: [table.querySelector('#row-bob')], header: false})).to.equal('\'=SUM(A1:A2),-5,\'@cmd');
+        expect(table.toCSV({items: [table.querySelector('#row-bob')], header: false, escapeFormulas: false}))
+          .to.equal('=SUM(A1:A2),-5,@cmd');
+      });
+    });
+
+    describe('#toTSV', function () {
+      it('should export tab separated values', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        expect(table.toTSV()).to.equal([
+          'Name\tNote\tStatus',
+          'Alice\t"Likes ""quotes"", commas"\tActive',
+          'Bob\tPlain\tInactive'
+        ].join('\n'));
+      });
+    });
+
+    describe('#fromTSV', function () {
+      it('should add the parsed rows', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        var rows = table.fromTSV('Carol\tNew\tActive\r\nDave\t"Multi\nline"\tunknown\r\n');
+
+        expect(rows.length).to.equal(2);
+        expect(table.items.length).to.equal(4);
+        expect(rows[0].cells[0].textContent).to.equal('Carol');
+        expect(rows[0].cells[2].textContent).to.equal('');
+        expect(rows[1].cells[1].textContent).to.equal('Multi\nline');
+        expect(rows[1].cells[3].textContent).to.equal('unknown');
+      });
+
+      it('should store the value of select editor options', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        getColumns(table.columns)[3].editorOptions = [{value: 'active', content: 'Active'}];
+
+        var row = table.fromTSV('Carol\tNew\tActive')[0];
+
+        expect(row.cells[3].value).to.equal('active');
+        expect(row.cells[3].textContent).to.equal('Active');
+      });
+
+      it('should round trip the exported values', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        var exported = table.toTSV({header: false});
+
+        var rows = table.fromTSV(exported);
+
+        expect(table.toTSV({items: rows, header: false})).to.equal(exported);
+      });
+
+      it('should restore escaped formulas', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+
+        var row = table.fromTSV('\'=1+1\tNew\t\'+Active')[0];
+
+        expect(row.cells[0].textContent).to.equal('=1+1');
+        expect(row.cells[3].textContent).to.equal('+Active');
+      });
+    });
+
+    describe('#getLayoutState', function () {
+      it('should return the layout of the identified columns', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+
+        expect(table.getLayoutState()).to.deep.equal({
+          columns: [
+            {key: 'name', hidden: false, fixed: 'none', width: null},
+            {key: 'age', hidden: false, fixed: 'none', width: null},
+            {key: 'column-city', hidden: false, fixed: 'none', width: null}
+          ],
+          sortOrder: [],
+          sticky: false
+        });
+      });
+
+      it('should contain the sorting, visibility, pinning and width of the columns', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var columns = getColumns(table.columns);
+
+        columns[0].sortableDirection = Table.Column.sortableDirection.DESCENDING;
+        columns[0].fixed = Table.Column.fixed.LEFT;
+        columns[2].hidden = true;
+        columns[1].style.width = '150px';
+
+        var state = table.getLayoutState();
+        expect(state.sortOrder).to.deep.equal([{key: 'name', direction: 'descending'}]);
+        expect(state.columns[0].fixed).to.equal('left');
+        expect(state.columns[1].width).to.equal(150);
+        expect(state.columns[2].hidden).to.be.true;
+      });
+
+      it('should be serializable', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var state = table.getLayoutState();
+
+        expect(JSON.parse(JSON.stringify(state))).to.deep.equal(state);
+      });
+    });
+
+    describe('#setLayoutState', function () {
+      it('should order the columns and their cells', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+
+        table.setLayoutState({
+          columns: [{key: 'column-city'}, {key: 'name'}, {key: 'age'}]
+        });
+
+        expect(getColumns(table.columns).slice(0, 3).map(column => column.key || column.id)).to.deep.equal(['column-city', 'name', 'age']);
+        expect(getHeaderCells(table.head.rows[0]).map(headerCell => headerCell.textContent.trim()).slice(0, 3)).to.deep.equal(['City', 'Name', 'Age']);
+        expect(table.items.first().cells[0].textContent).to.equal('Basel');
+        expect(table.items.first().cells[1].textContent).to.equal('Alice');
+      });
+
+      it('should restore a layout', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var state = {
+          columns: [
+            {key: 'name', hidden: false, fixed: 'left', width: null},
+            {key: 'age', hidden: true, fixed: 'none', width: 120},
+            {key: 'column-city', hidden: false, fixed: 'none', width: null}
+          ],
+          sortOrder: [{key: 'age', direction: 'descending'}],
+          sticky: true
+        };
+
+        table.setLayoutState(state);
+
+        expect(table.getLayoutState()).to.deep.equal(state);
+        expect(table.items.first().cells[0].textContent).to.equal('Alice');
+      });
+
+      it('should ignore unknown columns and keep the state of the other columns', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var columns = getColumns(table.columns);
+        columns[0].hidden = true;
+
+        table.setLayoutState({
+          columns: [{key: 'unknown', hidden: true}, {key: 'age', hidden: true}]
+        });
+
+        expect(columns[0].hidden).to.be.true;
+        expect(columns[1].hidden).to.be.true;
+        expect(columns[2].hidden).to.be.false;
+        expect(getColumns(table.columns)).to.deep.equal(columns);
+      });
+    });
+
+    describe('#showColumnChooser', function () {
+      it('should list the columns with header text', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        getColumns(table.columns)[1].hidden = true;
+
+        table.showColumnChooser();
+
+        var checkboxes = Array.prototype.slice.call(table._elements.columnChooserList.children);
+        expect(table._elements.columnChooser.open).to.be.true;
+        expect(checkboxes.map(checkbox => checkbox.label.textContent)).to.deep.equal(['Name', 'Age', 'City']);
+        expect(checkboxes.map(checkbox => checkbox.checked)).to.deep.equal([true, false, true]);
+      });
+
+      it('should be displayed next to the given target', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var target = table.querySelector('th');
+
+        table.showColumnChooser(target);
+        expect(table._elements.columnChooser.target).to.equal(target);
+      });
+    });
+
+    describe('#treeGrid', function () {
+      it('should default to false', function () {
+        var table = helpers.build(new Table());
+        expect(table.treeGrid).to.be.false;
+        expect(table.querySelector('table').getAttribute('role')).to.equal('grid');
+      });
+
+      it('should be reflected and set the treegrid role', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        expect(table.treeGrid).to.be.true;
+        expect(table.querySelector('table').getAttribute('role')).to.equal('treegrid');
+
+        table.treeGrid = false;
+        expect(table.hasAttribute('treegrid')).to.be.false;
+        expect(table.querySelector('table').getAttribute('role')).to.equal('grid');
+      });
+
+      it('should set the aria level and expanded state of the rows', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+
+        expect(table.querySelector('#row-documents').getAttribute('aria-level')).to.equal('1');
+        expect(table.querySelector('#row-documents').getAttribute('aria-expanded')).to.equal('true');
+        expect(table.querySelector('#row-report').getAttribute('aria-level')).to.equal('2');
+        expect(table.querySelector('#row-report').hasAttribute('aria-expanded')).to.be.false;
+        expect(table.querySelector('#row-pictures').getAttribute('aria-expanded')).to.equal('false');
+      });
+
+      it('should hide the rows nested in collapsed rows', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+
+        expect(table.querySelector('#row-report').hidden).to.be.false;
+        expect(table.querySelector('#row-holidays').hidden).to.be.true;
+        expect(table.querySelector('#row-readme').hidden).to.be.false;
+
+        table.querySelector('#row-documents').expanded = false;
+        expect(table.querySelector('#row-report').hidden).to.be.true;
+        expect(table.querySelector('#row-notes').hidden).to.be.true;
+      });
+
+      it('should render a toggle in the first cell of the rows', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var documents = table.querySelector('#row-documents');
+        var report = table.querySelector('#row-report');
+
+        var toggle = documents.cells[0].querySelector('[coral-table-rowtoggle]');
+        expect(toggle).to.not.equal(null);
+        expect(toggle.classList.contains('is-leaf')).to.be.false;
+        expect(report.cells[0].querySelector('[coral-table-rowtoggle]').classList.contains('is-leaf')).to.be.true;
+        expect(report.cells[0].querySelector('[coral-table-rowtoggle]').style.marginLeft).to.equal('24px');
+      });
+
+      it('should remove the toggles and show the rows if set to false', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+
+        table.treeGrid = false;
+
+        expect(table.querySelector('[coral-table-rowtoggle]')).to.equal(null);
+        expect(table.querySelector('#row-holidays').hidden).to.be.false;
+        expect(table.querySelector('#row-documents').hasAttribute('aria-level')).to.be.false;
+      });
+
+      it('should sort the rows within their parent row', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+
+        table.sortOrder = [{column: getColumns(table.columns)[1]}];
+
+        expect(getRows([table.body]).map(row => row.id)).to.deep.equal([
+          'row-readme', 'row-pictures', 'row-holidays', 'row-documents', 'row-notes', 'row-report'
+        ]);
+      });
+
+      it('should not group the rows', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        table.groupBy = getColumns(table.columns)[0];
+
+        expect(table.groups.length).to.equal(0);
+      });
+    });
+
+    describe('#editCell', function () {
+      it('should replace the cell content with the column editor', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cells = table.items.first().cells;
+
+        expect(table.editCell(cells[0])).to.be.true;
+        expect(cells[0].classList.contains('is-editing')).to.be.true;
+        expect(cells[0].querySelector('input[is="coral-textfield"]').value).to.equal('Alice');
+
+        expect(table.editCell(cells[1])).to.be.true;
+        expect(cells[0].classList.contains('is-editing')).to.be.false;
+        expect(cells[1].querySelector('coral-numberinput').value).to.equal('31');
+      });
+
+      it('should list the editor options of the column', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[2];
+        getColumns(table.columns)[2].editorOptions = [
+          {value: 'active', content: 'Active'},
+          {value: 'inactive', content: 'Inactive'}
+        ];
+
+        table.editCell(cell);
+
+        var select = cell.querySelector('coral-select');
+        expect(select.items.length).to.equal(2);
+        expect(select.value).to.equal('active');
+      });
+
+      it('should not edit cells of columns that are not editable', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[3];
+
+        expect(table.editCell(cell)).to.be.false;
+        expect(cell.textContent).to.equal('1');
+      });
+
+      it('should edit cells that are editable regardless of their column', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[3];
+        cell.editable = true;
+
+        expect(table.editCell(cell)).to.be.true;
+      });
+    });
+
+    describe('#commitEdit', function () {
+      it('should apply the editor value to the cell', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+
+        table.editCell(cell);
+        cell.querySelector('input').value = 'Carol';
+
+        expect(table.commitEdit()).to.be.true;
+        expect(cell.classList.contains('is-editing')).to.be.false;
+        expect(cell.textContent).to.equal('Carol');
+      });
+
+      it('should display the content of the selected option', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[2];
+        getColumns(table.columns)[2].editorOptions = [
+          {value: 'active', content: 'Active'},
+          {value: 'inactive', content: 'Inactive'}
+        ];
+
+        table.editCell(cell);
+        cell.querySelector('coral-select').value = 'inactive';
+        table.commitEdit();
+
+        expect(cell.value).to.equal('inactive');
+        expect(cell.textContent).to.equal('Inactive');
+      });
+
+      it('should keep the cell in edit mode if the value is invalid', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+        getColumns(table.columns)[0].validator = function (value) {
+          return value.length > 0;
+        };
+
+        table.editCell(cell);
+        var editor = cell.querySelector('input');
+        editor.value = '';
+
+        expect(table.commitEdit()).to.be.false;
+        expect(editor.invalid).to.be.true;
+        expect(cell.classList.contains('is-editing')).to.be.true;
+      });
+    });
+
+    describe('#cancelEdit', function () {
+      it('should restore the cell content', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+
+        table.editCell(cell);
+        cell.querySelector('input').value = 'Carol';
+        table.cancelEdit();
+
+        expect(cell.classList.contains('is-editing')).to.be.false;
+        expect(cell.textContent).to.equal('Alice');
+      });
+    });
+
     describe('#layout', function () {
       it('should layout the table correctly when reset layout forced', function (done) {
         var table = helpers.build(window.__html__['Table.sticky.html'])
@@ -1238,54 +2165,322 @@ describe('Table', function () {
       });
     });
 
-    describe('#coral-table:rowunlock', function () {
-      it('should trigger if the row is unlocked', function () {
-        var eventSpy = sinon.spy();
-        var table = helpers.build(window.__html__['Table.base.html']);
-
-        table.on('coral-table:rowunlock', eventSpy);
-        var row = table.body.rows[1];
-        var initialRowIndex = getIndexOf(row);
+    describe('#coral-table:rowunlock', function () {
+      it('should trigger if the row is unlocked', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.base.html']);
+
+        table.on('coral-table:rowunlock', eventSpy);
+        var row = table.body.rows[1];
+        var initialRowIndex = getIndexOf(row);
+
+        row.locked = true;
+        row.locked = false;
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.row).to.equal(row);
+        expect(getIndexOf(row)).to.equal(initialRowIndex);
+      });
+    });
+
+    describe('#coral-table:beforecolumnsort', function () {
+      it('should trigger coral-table:beforecolumnsort', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.sortable.html']);
+        table.on('coral-table:beforecolumnsort', eventSpy);
+
+        var col = getColumns(table.columns)[0];
+        var headerCell = table.head.rows[0].cells[0];
+
+        headerCell.click();
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.column).to.equal(col);
+        expect(eventSpy.args[0][0].detail.direction).to.equal(Table.Column.sortableDirection.ASCENDING);
+      });
+    });
+
+    describe('#coral-table:columnsort', function () {
+      it('should trigger once when setting direction to ascending', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.sortable.html']);
+        table.on('coral-table:columnsort', eventSpy);
+
+        var col = getColumns(table.columns)[0];
+        var headerCell = table.head.rows[0].cells[0];
+
+        headerCell.click();
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.column).to.equal(col);
+      });
+    });
+
+    describe('#coral-table:beforeload', function () {
+      it('should trigger coral-table:beforeload with the request', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.on('coral-table:beforeload', eventSpy);
+
+        table.dataSource = [];
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.page).to.equal(1);
+        expect(eventSpy.args[0][0].detail.pageSize).to.equal(2);
+        expect(eventSpy.args[0][0].detail.sort).to.equal(null);
+      });
+
+      it('should not load if coral-table:beforeload is prevented', function (done) {
+        var dataSource = sinon.spy();
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.on('coral-table:beforeload', function (event) {
+          event.preventDefault();
+        });
+
+        table.dataSource = dataSource;
+
+        table.load().then(function (detail) {
+          expect(detail).to.equal(null);
+          expect(dataSource.callCount).to.equal(0);
+          done();
+        });
+      });
+    });
+
+    describe('#coral-table:load', function () {
+      it('should trigger coral-table:load once the rows are rendered', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = [{name: 'Alice', age: 28}];
+
+        table.on('coral-table:load', function (event) {
+          expect(event.detail.items).to.deep.equal([{name: 'Alice', age: 28}]);
+          expect(event.detail.total).to.equal(1);
+          expect(event.detail.page).to.equal(1);
+          expect(getRows([table.body]).length).to.equal(1);
+          done();
+        });
+      });
+    });
+
+    describe('#coral-table:groupcollapse', function () {
+      it('should trigger when a group is collapsed', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.on('coral-table:groupcollapse', eventSpy);
+
+        var group = table.groups[0];
+        group.collapsed = true;
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.group).to.equal(group);
+      });
+    });
+
+    describe('#coral-table:groupexpand', function () {
+      it('should trigger when a group is expanded', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.on('coral-table:groupexpand', eventSpy);
+
+        var group = table.groups[0];
+        group.collapsed = true;
+        group.collapsed = false;
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.group).to.equal(group);
+      });
+    });
+
+    describe('#coral-table:beforepaste', function () {
+      it('should allow to prevent adding the pasted rows', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        table.pastable = true;
+        table.on('coral-table:beforepaste', function (event) {
+          expect(event.detail.text).to.equal('Carol\tNew\tActive');
+          event.preventDefault();
+        });
+
+        var clipboardData = new DataTransfer();
+        clipboardData.setData('text/plain', 'Carol\tNew\tActive');
+        table.items.first().dispatchEvent(new ClipboardEvent('paste', {bubbles: true, clipboardData}));
+
+        expect(table.items.length).to.equal(2);
+      });
+    });
+
+    describe('#coral-table:paste', function () {
+      it('should trigger with the added rows', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.export.html']);
+        table.pastable = true;
+        table.on('coral-table:paste', eventSpy);
+
+        var clipboardData = new DataTransfer();
+        clipboardData.setData('text/plain', 'Carol\tNew\tActive');
+        table.items.first().dispatchEvent(new ClipboardEvent('paste', {bubbles: true, clipboardData}));
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.items[0]).to.equal(table.items.last());
+      });
+    });
+
+    describe('#coral-table:columntoggle', function () {
+      it('should trigger when a column is hidden with the column chooser', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        table.on('coral-table:columntoggle', eventSpy);
+        table.showColumnChooser();
+
+        var checkbox = table._elements.columnChooserList.children[1];
+        checkbox.querySelector('input').click();
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.column).to.equal(getColumns(table.columns)[1]);
+        expect(getColumns(table.columns)[1].hidden).to.be.true;
+      });
+    });
+
+    describe('#coral-table:rowcollapse', function () {
+      it('should trigger when a row is collapsed', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var row = table.querySelector('#row-documents');
+        table.on('coral-table:rowcollapse', eventSpy);
+
+        row.expanded = false;
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.row).to.equal(row);
+      });
+    });
+
+    describe('#coral-table:rowexpand', function () {
+      it('should trigger when a row is expanded', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var row = table.querySelector('#row-pictures');
+        table.on('coral-table:rowexpand', eventSpy);
+
+        row.expanded = true;
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.row).to.equal(row);
+      });
+
+      it('should not trigger if the table is not a tree grid', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        table.treeGrid = false;
+        table.on('coral-table:rowexpand', eventSpy);
+
+        table.querySelector('#row-pictures').expanded = true;
+
+        expect(eventSpy.callCount).to.equal(0);
+      });
+    });
+
+    describe('#coral-table:beforecelledit', function () {
+      it('should trigger with the old and new values', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+        table.on('coral-table:beforecelledit', eventSpy);
+
+        table.editCell(cell);
+        cell.querySelector('input').value = 'Carol';
+        table.commitEdit();
+
+        expect(eventSpy.callCount).to.equal(1);
+        expect(eventSpy.args[0][0].detail.cell).to.equal(cell);
+        expect(eventSpy.args[0][0].detail.column).to.equal(getColumns(table.columns)[0]);
+        expect(eventSpy.args[0][0].detail.oldValue).to.equal('Alice');
+        expect(eventSpy.args[0][0].detail.newValue).to.equal('Carol');
+      });
+
+      it('should be possible to cancel the edit', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+        table.on('coral-table:beforecelledit', function (event) {
+          event.preventDefault();
+        });
+        table.on('coral-table:celledit', eventSpy);
+
+        table.editCell(cell);
+        cell.querySelector('input').value = 'Carol';
+        table.commitEdit();
+
+        expect(eventSpy.callCount).to.equal(0);
+        expect(cell.textContent).to.equal('Alice');
+      });
+
+      it('should not trigger if the value did not change', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        table.on('coral-table:beforecelledit', eventSpy);
+
+        table.editCell(table.items.first().cells[0]);
+        table.commitEdit();
+
+        expect(eventSpy.callCount).to.equal(0);
+      });
+    });
+
+    describe('#coral-table:celledit', function () {
+      it('should trigger once the value is applied', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[1];
+        var text = null;
+        table.on('coral-table:celledit', function (event) {
+          text = event.detail.cell.textContent;
+          expect(event.detail.oldValue).to.equal('31');
+          expect(event.detail.newValue).to.equal('32');
+        });
 
-        row.locked = true;
-        row.locked = false;
+        table.editCell(cell);
+        cell.querySelector('coral-numberinput').value = 32;
+        table.commitEdit();
 
-        expect(eventSpy.callCount).to.equal(1);
-        expect(eventSpy.args[0][0].detail.row).to.equal(row);
-        expect(getIndexOf(row)).to.equal(initialRowIndex);
+        expect(text).to.equal('32');
       });
     });
 
-    describe('#coral-table:beforecolumnsort', function () {
-      it('should trigger coral-table:beforecolumnsort', function () {
+    describe('#coral-table:columnresize', function () {
+      it('should trigger with the new width when resizing with the keyboard', function (done) {
         var eventSpy = sinon.spy();
-        var table = helpers.build(window.__html__['Table.sortable.html']);
-        table.on('coral-table:beforecolumnsort', eventSpy);
-
+        var table = helpers.build(window.__html__['Table.resizable.html']);
         var col = getColumns(table.columns)[0];
-        var headerCell = table.head.rows[0].cells[0];
+        table.on('coral-table:columnresize', eventSpy);
 
-        headerCell.click();
+        helpers.next(function () {
+          var handle = table.head.rows[0].cells[0].querySelector('[coral-table-columnresize]');
+          col.style.width = '100px';
+          helpers.keypress('right', handle);
 
-        expect(eventSpy.callCount).to.equal(1);
-        expect(eventSpy.args[0][0].detail.column).to.equal(col);
-        expect(eventSpy.args[0][0].detail.direction).to.equal(Table.Column.sortableDirection.ASCENDING);
+          expect(eventSpy.callCount).to.equal(1);
+          expect(eventSpy.args[0][0].detail.column).to.equal(col);
+          expect(eventSpy.args[0][0].detail.width).to.equal(110);
+          done();
+        });
       });
     });
 
     describe('#coral-table:columnsort', function () {
-      it('should trigger once when setting direction to ascending', function () {
+      it('should list all sorted columns in the event detail', function () {
         var eventSpy = sinon.spy();
-        var table = helpers.build(window.__html__['Table.sortable.html']);
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
         table.on('coral-table:columnsort', eventSpy);
 
-        var col = getColumns(table.columns)[0];
-        var headerCell = table.head.rows[0].cells[0];
-
-        headerCell.click();
+        table.sortOrder = [{column: cols[0]}, {column: cols[1]}];
 
+        var sortOrder = eventSpy.args[0][0].detail.sortOrder;
         expect(eventSpy.callCount).to.equal(1);
-        expect(eventSpy.args[0][0].detail.column).to.equal(col);
+        expect(sortOrder.length).to.equal(2);
+        expect(sortOrder[0].column).to.equal(cols[0]);
+        expect(sortOrder[1].column).to.equal(cols[1]);
       });
     });
 
@@ -1568,6 +2763,41 @@ describe('Table', function () {
         expect(col.sortableDirection).to.equal(sortableDirection);
       });
 
+      it('should add the column to the sort order when holding shift', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+        var headerCells = table.head.rows[0].cells;
+
+        headerCells[0].click();
+        headerCells[1].dispatchEvent(new MouseEvent('click', {
+          bubbles: true,
+          shiftKey: true
+        }));
+
+        expect(cols[0].sortableDirection).to.equal(Table.Column.sortableDirection.ASCENDING);
+        expect(cols[1].sortableDirection).to.equal(Table.Column.sortableDirection.ASCENDING);
+        expect(table.sortOrder.map(function (sort) {
+          return sort.column;
+        })).to.deep.equal([cols[0], cols[1]]);
+        expect(getRows([table.body]).map(function (row) {
+          return row.id;
+        })).to.deep.equal(['row-alpha-1', 'row-alpha-3', 'row-beta-1', 'row-beta-2']);
+      });
+
+      it('should replace the sort order when not holding shift', function () {
+        var table = helpers.build(window.__html__['Table.sortable.multiple.html']);
+        var cols = getColumns(table.columns);
+        var headerCells = table.head.rows[0].cells;
+
+        table.sortOrder = [{column: cols[0]}, {column: cols[1]}];
+        headerCells[1].click();
+
+        expect(cols[0].sortableDirection).to.equal(Table.Column.sortableDirection.DEFAULT);
+        expect(table.sortOrder.length).to.equal(1);
+        expect(table.sortOrder[0].column).to.equal(cols[1]);
+        expect(table.sortOrder[0].direction).to.equal(Table.Column.sortableDirection.DESCENDING);
+      });
+
       it('should set sortable direction to ascending', function (done) {
         var eventSpy = sinon.spy();
         var table = helpers.build(window.__html__['Table.sortable.html']);
@@ -1639,6 +2869,398 @@ describe('Table', function () {
       });
     });
 
+    describe('#pagination', function () {
+      it('should load the next and previous page when clicking the paging buttons', function (done) {
+        var table = helpers.build(window.__html__['Table.datasource.html']);
+        table.dataSource = [{name: 'Alice'}, {name: 'Bob'}, {name: 'Chris'}];
+
+        table.load().then(function () {
+          table._elements.nextPage.click();
+          expect(table.page).to.equal(2);
+
+          return table.load();
+        }).then(function () {
+          expect(getRows([table.body])[0].textContent).to.equal('Chris');
+          expect(table._elements.nextPage.disabled).to.be.true;
+
+          table._elements.previousPage.click();
+          expect(table.page).to.equal(1);
+          done();
+        });
+      });
+    });
+
+    describe('#grouping', function () {
+      it('should collapse and expand a group with its toggle', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        var group = table.groups[0];
+        var toggle = group.querySelector('[coral-table-grouptoggle]');
+
+        toggle.click();
+        expect(group.collapsed).to.be.true;
+        expect(group.items.every(row => row.hidden)).to.be.true;
+        expect(table.groups[1].items[0].hidden).to.be.false;
+
+        toggle.click();
+        expect(group.collapsed).to.be.false;
+        expect(group.items.every(row => !row.hidden)).to.be.true;
+      });
+
+      it('should keep the collapsed state when regrouping', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.groups[0].collapsed = true;
+
+        table.sortOrder = [{column: getColumns(table.columns)[1]}];
+
+        expect(table.groups[0].collapsed).to.be.true;
+        expect(table.groups[0].items.every(row => row.hidden)).to.be.true;
+      });
+
+      it('should only select the rows of the group with the group select handle', function () {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.on('coral-table:change', eventSpy);
+
+        var group = table.groups[0];
+        var handle = group.querySelector('[coral-table-groupselect]');
+        expect(handle.hidden).to.be.false;
+
+        handle.querySelector('input').click();
+
+        expect(table.selectedItems.map(row => row.id)).to.deep.equal(['row-beta-12', 'row-beta-3']);
+        expect(handle.checked).to.be.true;
+        expect(table.groups[1].querySelector('[coral-table-groupselect]').checked).to.be.false;
+        expect(table.querySelector('[coral-table-select]')).to.equal(null);
+        expect(eventSpy.called).to.be.true;
+        expect(eventSpy.lastCall.args[0].detail.selection.length).to.equal(2);
+      });
+
+      it('should sync the group select handle with the selection', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        var handle = table.groups[0].querySelector('[coral-table-groupselect]');
+
+        table.items.first().selected = true;
+
+        expect(handle.indeterminate).to.be.true;
+      });
+
+      it('should hide the group select handle in single selection', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        table.multiple = false;
+
+        expect(table.groups[0].querySelector('[coral-table-groupselect]').hidden).to.be.true;
+      });
+
+      it('should skip group rows and collapsed rows when navigating with the keyboard', function () {
+        var table = helpers.build(window.__html__['Table.grouped.html']);
+        table.groupBy = getColumns(table.columns)[0];
+        var rowBeta3 = table.querySelector('#row-beta-3');
+        var rowAlpha7 = table.querySelector('#row-alpha-7');
+
+        helpers.keypress('down', table.querySelector('#row-beta-12'));
+        expect(document.activeElement).to.equal(rowBeta3);
+
+        helpers.keypress('down', rowBeta3);
+        expect(document.activeElement).to.equal(rowAlpha7);
+
+        table.groups[0].collapsed = true;
+        helpers.keypress('home', rowAlpha7);
+        expect(document.activeElement).to.equal(rowAlpha7);
+      });
+    });
+
+    describe('#clipboard', function () {
+      it('should copy the selected rows as tab separated values', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        table.querySelector('#row-bob').selected = true;
+
+        var clipboardData = new DataTransfer();
+        var event = new ClipboardEvent('copy', {bubbles: true, cancelable: true, clipboardData});
+        table.items.first().dispatchEvent(event);
+
+        expect(event.defaultPrevented).to.be.true;
+        expect(clipboardData.getData('text/plain')).to.equal('Bob\tPlain\tInactive');
+      });
+
+      it('should not copy rows if the table is not selectable', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        table.querySelector('#row-bob').selected = true;
+        table.selectable = false;
+
+        var event = new ClipboardEvent('copy', {bubbles: true, cancelable: true, clipboardData: new DataTransfer()});
+        table.items.first().dispatchEvent(event);
+
+        expect(event.defaultPrevented).to.be.false;
+      });
+
+      it('should only add pasted rows if the table is pastable', function () {
+        var table = helpers.build(window.__html__['Table.export.html']);
+        var clipboardData = new DataTransfer();
+        clipboardData.setData('text/plain', 'Carol\tNew\tActive');
+
+        table.items.first().dispatchEvent(new ClipboardEvent('paste', {bubbles: true, clipboardData}));
+        expect(table.items.length).to.equal(2);
+
+        table.pastable = true;
+        table.items.first().dispatchEvent(new ClipboardEvent('paste', {bubbles: true, clipboardData}));
+        expect(table.items.length).to.equal(3);
+        expect(table.items.last().cells[0].textContent).to.equal('Carol');
+      });
+    });
+
+    describe('#columnChooser', function () {
+      it('should open the column chooser with the handle without sorting', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        var handle = table.querySelector('[coral-table-columnchooser]');
+
+        handle.click();
+
+        expect(table._elements.columnChooser.open).to.be.true;
+        expect(table._elements.columnChooser.target).to.equal(handle);
+        expect(table.sortOrder.length).to.equal(0);
+      });
+
+      it('should keep at least one column visible', function () {
+        var table = helpers.build(window.__html__['Table.layout.html']);
+        table.showColumnChooser();
+
+        var checkboxes = Array.prototype.slice.call(table._elements.columnChooserList.children);
+        checkboxes[0].querySelector('input').click();
+        checkboxes[1].querySelector('input').click();
+
+        expect(checkboxes[2].disabled).to.be.true;
+        expect(checkboxes[0].disabled).to.be.false;
+
+        checkboxes[0].querySelector('input').click();
+        expect(checkboxes[2].disabled).to.be.false;
+      });
+    });
+
+    describe('#treeGrid', function () {
+      it('should expand and collapse a row with its toggle', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var row = table.querySelector('#row-pictures');
+        var toggle = row.querySelector('[coral-table-rowtoggle]');
+
+        toggle.click();
+        expect(row.expanded).to.be.true;
+        expect(table.querySelector('#row-holidays').hidden).to.be.false;
+
+        toggle.click();
+        expect(row.expanded).to.be.false;
+        expect(table.querySelector('#row-holidays').hidden).to.be.true;
+      });
+
+      it('should not select the row when clicking the toggle', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        table.selectable = true;
+        var row = table.querySelector('#row-pictures');
+        row.setAttribute('coral-table-rowselect', '');
+
+        row.querySelector('[coral-table-rowtoggle]').click();
+        expect(row.selected).to.be.false;
+      });
+
+      it('should collapse an expanded row and focus its parent row with the left key', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var documents = table.querySelector('#row-documents');
+        var report = table.querySelector('#row-report');
+
+        helpers.keypress('down', documents);
+        expect(document.activeElement).to.equal(report);
+
+        helpers.keypress('left', report);
+        expect(document.activeElement).to.equal(documents);
+
+        helpers.keypress('left', documents);
+        expect(documents.expanded).to.be.false;
+        expect(report.hidden).to.be.true;
+      });
+
+      it('should expand a collapsed row and focus its first nested row with the right key', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var documents = table.querySelector('#row-documents');
+        documents.expanded = false;
+
+        helpers.keypress('right', documents);
+        expect(documents.expanded).to.be.true;
+        expect(document.activeElement).to.not.equal(table.querySelector('#row-report'));
+
+        helpers.keypress('right', documents);
+        expect(document.activeElement).to.equal(table.querySelector('#row-report'));
+      });
+
+      it('should skip the rows of collapsed rows when navigating with the keyboard', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var pictures = table.querySelector('#row-pictures');
+        table._focusItem(pictures, true);
+
+        helpers.keypress('down', pictures);
+        expect(document.activeElement).to.equal(table.querySelector('#row-readme'));
+      });
+
+      it('should focus the collapsed row if the focused row is hidden', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        var documents = table.querySelector('#row-documents');
+        var notes = table.querySelector('#row-notes');
+        table._focusItem(notes, true);
+
+        documents.expanded = false;
+        expect(notes.hasAttribute('tabindex')).to.be.false;
+        expect(documents.getAttribute('tabindex')).to.equal('0');
+      });
+
+      it('should navigate to the next and previous rows with the arrow keys if not a tree grid', function () {
+        var table = helpers.build(window.__html__['Table.treegrid.html']);
+        table.treeGrid = false;
+        table.selectable = true;
+        var documents = table.querySelector('#row-documents');
+
+        helpers.keypress('right', documents);
+        expect(document.activeElement).to.equal(table.querySelector('#row-report'));
+        expect(documents.expanded).to.be.true;
+      });
+    });
+
+    describe('#editable', function () {
+      it('should edit a cell on double click', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cell = table.items.first().cells[0];
+
+        cell.dispatchEvent(new MouseEvent('dblclick', {
+          bubbles: true
+        }));
+
+        expect(cell.classList.contains('is-editing')).to.be.true;
+        expect(document.activeElement).to.equal(cell.querySelector('input'));
+      });
+
+      it('should edit the first editable cell of the focused row when pressing F2', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var row = table.items.first();
+
+        helpers.keypress('f2', row);
+
+        expect(row.cells[0].classList.contains('is-editing')).to.be.true;
+      });
+
+      it('should commit on enter and cancel on escape', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        var cells = table.items.first().cells;
+
+        table.editCell(cells[0]);
+        cells[0].querySelector('input').value = 'Carol';
+        helpers.keypress('enter', cells[0].querySelector('input'));
+        expect(cells[0].textContent).to.equal('Carol');
+
+        table.editCell(cells[0]);
+        cells[0].querySelector('input').value = 'Dave';
+        helpers.keypress('escape', cells[0].querySelector('input'));
+        expect(cells[0].textContent).to.equal('Carol');
+      });
+
+      it('should move to the next and previous editable cells with tab', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        getColumns(table.columns)[2].editorOptions = [
+          {value: 'active', content: 'Active'},
+          {value: 'inactive', content: 'Inactive'}
+        ];
+        var rows = table.items.getAll();
+
+        table.editCell(rows[0].cells[2]);
+        helpers.keypress('tab', rows[0].cells[2].querySelector('button'));
+        // The last column isn't editable
+        expect(rows[1].cells[0].classList.contains('is-editing')).to.be.true;
+
+        helpers.keypress('tab', rows[1].cells[0].querySelector('input'), ['shift']);
+        expect(rows[0].cells[2].classList.contains('is-editing')).to.be.true;
+      });
+
+      it('should not navigate between rows while editing', function () {
+        var table = helpers.build(window.__html__['Table.editable.html']);
+        getColumns(table.columns)[2].editorOptions = [
+          {value: 'active', content: 'Active'},
+          {value: 'inactive', content: 'Inactive'}
+        ];
+        var row = table.items.first();
+
+        table.editCell(row.cells[2]);
+        helpers.keypress('down', row.cells[2].querySelector('button'));
+
+        expect(row.cells[2].classList.contains('is-editing')).to.be.true;
+      });
+    });
+
+    describe('#resizable', function () {
+      it('should resize the column by dragging the resize handle', function (done) {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.resizable.html']);
+        var col = getColumns(table.columns)[0];
+        table.on('coral-table:columnresize', eventSpy);
+
+        helpers.next(function () {
+          var handle = table.head.rows[0].cells[0].querySelector('[coral-table-columnresize]');
+          col.style.width = '100px';
+
+          handle.dispatchEvent(new MouseEvent('mousedown', {
+            bubbles: true,
+            clientX: 0
+          }));
+          document.dispatchEvent(new MouseEvent('mousemove', {
+            bubbles: true,
+            clientX: 50
+          }));
+          document.dispatchEvent(new MouseEvent('mouseup', {
+            bubbles: true
+          }));
+
+          expect(col.style.width).to.equal('150px');
+          expect(eventSpy.callCount).to.equal(1);
+          expect(eventSpy.args[0][0].detail.width).to.equal(150);
+          // The handle stays on the edge of the header cell
+          expect(handle.style.left).to.equal('');
+          expect(table.classList.contains('is-resizing')).to.be.false;
+          done();
+        });
+      });
+
+      it('should not sort the column when clicking the resize handle', function (done) {
+        var eventSpy = sinon.spy();
+        var table = helpers.build(window.__html__['Table.resizable.html']);
+        table.on('coral-table:beforecolumnsort', eventSpy);
+
+        helpers.next(function () {
+          table.head.rows[0].cells[0].querySelector('[coral-table-columnresize]').click();
+
+          expect(eventSpy.callCount).to.equal(0);
+          done();
+        });
+      });
+
+      it('should respect the min and max width when resizing with the keyboard', function (done) {
+        var table = helpers.build(window.__html__['Table.resizable.html']);
+        var col = getColumns(table.columns)[0];
+
+        helpers.next(function () {
+          var handle = table.head.rows[0].cells[0].querySelector('[coral-table-columnresize]');
+
+          col.style.width = '55px';
+          helpers.keypress('left', handle);
+          expect(col.style.width).to.equal('50px');
+
+          col.style.width = '395px';
+          helpers.keypress('right', handle);
+          expect(col.style.width).to.equal('400px');
+          done();
+        });
+      });
+    });
+
     describe('#lockable', function () {
       it('should lock the row if lock element is clicked', function (done) {
         var table = helpers.build(window.__html__['Table.lockable.html']);
@@ -2686,6 +4308,40 @@ describe('Table', function () {
       });
     });
 
+    describe('#resizable', function () {
+      it('should add a resize handle to the header cell of resizable columns', function (done) {
+        var table = helpers.build(window.__html__['Table.resizable.html']);
+        var headRow = table.head.rows[0];
+
+        helpers.next(function () {
+          var handle = headRow.cells[0].querySelector('[coral-table-columnresize]');
+          expect(handle).to.not.equal(null);
+          expect(handle.getAttribute('role')).to.equal('separator');
+          expect(handle.getAttribute('aria-valuemin')).to.equal('50');
+          expect(handle.getAttribute('aria-valuemax')).to.equal('400');
+          expect(headRow.cells[0].hasAttribute('resizable')).to.be.true;
+          expect(handle.dragAction).to.exist;
+          expect(headRow.cells[1].querySelector('[coral-table-columnresize]')).to.equal(null);
+          done();
+        });
+      });
+
+      it('should remove the resize handle if the column is not resizable anymore', function (done) {
+        var table = helpers.build(window.__html__['Table.resizable.html']);
+        var headerCell = table.head.rows[0].cells[0];
+
+        helpers.next(function () {
+          getColumns(table.columns)[0].resizable = false;
+
+          helpers.next(function () {
+            expect(headerCell.querySelector('[coral-table-columnresize]')).to.equal(null);
+            expect(headerCell.hasAttribute('resizable')).to.be.false;
+            done();
+          });
+        });
+      });
+    });
+
     describe('#hidden', function () {
       it('should hide the column', function (done) {
         var table = helpers.build(window.__html__['Table.base.html']);
@@ -2750,6 +4406,90 @@ describe('Table', function () {
       });
     });
 
+    describe('#fixed', function () {
+      it('should pin the cells of the left and right columns', function () {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        table.resetLayout(true);
+
+        getRows([table.head, table.body]).forEach(function (row) {
+          var cells = row.cells;
+          expect(getComputedStyle(cells[0]).position).to.equal('sticky');
+          expect(getComputedStyle(cells[0]).left).to.equal('0px');
+          expect(getComputedStyle(cells[1]).position).to.not.equal('sticky');
+          expect(getComputedStyle(cells[3]).position).to.equal('sticky');
+          expect(getComputedStyle(cells[3]).right).to.equal('0px');
+        });
+      });
+
+      it('should mark the header cells of pinned columns', function () {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        table.resetLayout(true);
+
+        var headerCells = getHeaderCells(table.head.rows[0]);
+        expect(headerCells[0].getAttribute('fixed')).to.equal('left');
+        expect(headerCells[1].hasAttribute('fixed')).to.be.false;
+        expect(headerCells[3].getAttribute('fixed')).to.equal('right');
+      });
+
+      it('should stack the columns pinned to the same edge', function () {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        getColumns(table.columns)[1].fixed = Table.Column.fixed.LEFT;
+        table.resetLayout(true);
+
+        var cells = table.body.rows[0].cells;
+        var offset = table.head.rows[0].cells[0].getBoundingClientRect().width;
+        expect(getComputedStyle(cells[1]).position).to.equal('sticky');
+        expect(parseFloat(getComputedStyle(cells[1]).left)).to.be.closeTo(offset, 1);
+      });
+
+      it('should unpin the cells if the column is not pinned anymore', function () {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        table.resetLayout(true);
+
+        getColumns(table.columns)[0].fixed = Table.Column.fixed.NONE;
+        table.resetLayout(true);
+
+        expect(getComputedStyle(table.body.rows[0].cells[0]).position).to.not.equal('sticky');
+        expect(table.head.rows[0].cells[0].hasAttribute('fixed')).to.be.false;
+      });
+
+      it('should follow the column when it is reordered', function () {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        table.resetLayout(true);
+
+        table.setLayoutState({
+          columns: [{key: 'description'}, {key: 'name'}]
+        });
+
+        var cells = table.body.rows[0].cells;
+        expect(cells[1].textContent).to.equal('Alice');
+        expect(getComputedStyle(cells[1]).position).to.equal('sticky');
+        expect(getComputedStyle(cells[0]).position).to.not.equal('sticky');
+      });
+
+      it('should keep the sticky header cells of pinned columns in view', function (done) {
+        var table = helpers.build(window.__html__['Table.fixed.html']);
+        var container = table._elements.container;
+        table.head.sticky = true;
+        table.resetLayout(true);
+
+        // setTimeout required else scrolling won't be effective
+        window.setTimeout(function () {
+          container.scrollLeft = 100;
+          table._layoutFixedStickyCells();
+
+          var containerRect = container.getBoundingClientRect();
+          var headerCells = getHeaderCells(table.head.rows[0]);
+          var left = headerCells[0].content.getBoundingClientRect().left;
+          var right = headerCells[3].content.getBoundingClientRect().right;
+
+          expect(left).to.be.closeTo(containerRect.left + container.clientLeft, 1);
+          expect(right).to.be.closeTo(containerRect.left + container.clientLeft + container.clientWidth, 1);
+          done();
+        }, 100);
+      });
+    });
+
     describe('#sortable', function () {
       it('should set sortable direction to default', function () {
         var table = helpers.build(window.__html__['Table.sortable.html']);
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export default {
+  "en-US": {
+    "Shown {0} times": "Shown {0} times"
+  },
+  "de-DE": {
+    "Shown {0} times": "{0} Mal angezeigt"
+  },
+  "fr-FR": {
+    "Shown {0} times": "Affiché {0} fois"
+  },
+  "it-IT": {
+    "Shown {0} times": "Visualizzato {0} volte"
+  },
+  "ja-JP": {
+    "Shown {0} times": "{0} 回表示されました"
+  },
+  "es-ES": {
+    "Shown {0} times": "Mostrado {0} veces"
+  },
+  "ko-KR": {
+    "Shown {0} times": "{0}회 표시됨"
+  },
+  "zh-CN": {
+    "Shown {0} times": "已显示 {0} 次"
+  },
+  "zh-TW": {
+    "Shown {0} times": "已顯示 {0} 次"
+  },
+  "pt-BR": {
+    "Shown {0} times": "Exibido {0} vezes"
+  },
+  "nl-NL": {
+    "Shown {0} times": "{0} keer weergegeven"
+  },
+  "da-DK": {
+    "Shown {0} times": "Vist {0} gange"
+  },
+  "fi-FI": {
+    "Shown {0} times": "Näytetty {0} kertaa"
+  },
+  "nb-NO": {
+    "Shown {0} times": "Vist {0} ganger"
+  },
+  "sv-SE": {
+    "Shown {0} times": "Visad {0} gånger"
+  },
+  "cs-CZ": {
+    "Shown {0} times": "Zobrazeno {0}krát"
+  },
+  "pl-PL": {
+    "Shown {0} times": "Wyświetlono {0} razy"
+  },
+  "ru-RU": {
+    "Shown {0} times": "Показано раз: {0}"
+  },
+  "tr-TR": {
+    "Shown {0} times": "{0} kez gösterildi"
+  }
+};
@@ -15,12 +15,17 @@ import '../coral-theme-spectrum';
 import '../coral-externals';
 import '../coral-compat';
 
+import translations from './i18n/translations';
+import {strings, commons} from '../coral-utils';
 import Toast from './src/scripts/Toast';
 import ToastContent from './src/scripts/ToastContent';
 
 import './src/styles/index.css';
 
-import {commons} from '../coral-utils';
+// i18n
+commons.extend(strings, {
+  'coral-component-toast': translations
+});
 
 // Expose component on the Coral namespace
 commons._define('coral-toast', Toast);
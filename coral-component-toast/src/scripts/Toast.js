@@ -15,6 +15,7 @@ import {BaseOverlay} from '../../../coral-base-overlay';
 import {Icon} from '../../../coral-component-icon';
 import {Button} from '../../../coral-component-button';
 import base from '../templates/base';
+import {STACKED_CLASSNAME, notify, getMaxVisible, setMaxVisible} from './toastStack';
 import {transform, validate, commons} from '../../../coral-utils';
 
 /**
@@ -66,23 +67,24 @@ for (const variantValue in variant) {
 
 const PRIORITY_QUEUE = [];
 
-const queue = (el) => {
-  let priority;
+const getPriority = (el) => {
   const type = transform.string(el.getAttribute('variant')).toLowerCase();
 
   if (type === variant.ERROR) {
-    priority = el.action ? 1 : 2;
+    return el.action ? 1 : 2;
   } else if (type === variant.SUCCESS) {
-    priority = el.action ? 3 : 6;
+    return el.action ? 3 : 6;
   } else if (type === variant.INFO) {
-    priority = el.action ? 4 : 7;
-  } else {
-    priority = el.action ? 5 : 8;
+    return el.action ? 4 : 7;
   }
 
+  return el.action ? 5 : 8;
+};
+
+const queue = (el) => {
   PRIORITY_QUEUE.push({
     el,
-    priority
+    priority: getPriority(el)
   });
 };
 
@@ -131,6 +133,9 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
     // Debounce wait time in milliseconds
     this._wait = 50;
 
+    // Time left before the toast is dismissed automatically
+    this._dismissRemainingTime = null;
+
     // Override defaults from Overlay
     this._overlayAnimationTime = this.constructor.FADETIME;
     this._focusOnShow = this.constructor.focusOnShow.OFF;
@@ -147,7 +152,13 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
       'global:resize': '_debounceLayout',
       'global:key:escape': '_onEscape',
       'click [coral-close]': '_onCloseClick',
-      'coral-overlay:close': '_onClose'
+      'coral-overlay:close': '_onClose',
+
+      // Auto-dismiss is paused while the user interacts with the toast
+      'mouseenter': '_onMouseEnter',
+      'mouseleave': '_onMouseLeave',
+      'capture:focus': '_pauseAutoDismiss',
+      'capture:blur': '_onBlur'
     });
 
     // Layout any time the DOM changes
@@ -235,9 +246,7 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
       // Mark it
       this._queued = true;
       // Clear timer
-      if (this._dimissTimeout) {
-        clearTimeout(this._dimissTimeout);
-      }
+      this._pauseAutoDismiss();
       // Add it to the queue
       queue(this);
 
@@ -249,7 +258,7 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
 
         requestAnimationFrame(() => {
           // Start emptying the queue
-          if (document.querySelectorAll('coral-toast[open]').length === PRIORITY_QUEUE.length) {
+          if (document.querySelectorAll(`coral-toast[open]:not(.${STACKED_CLASSNAME})`).length === PRIORITY_QUEUE.length) {
             unqueue();
           }
         });
@@ -270,14 +279,7 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
 
       // Use raf to wait for autoDismiss value to be set
       requestAnimationFrame(() => {
-        // Only dismiss if value is different than 0
-        if (this.autoDismiss !== 0) {
-          this._dimissTimeout = window.setTimeout(() => {
-            if (this.open && !this.contains(document.activeElement)) {
-              this.open = false;
-            }
-          }, this.autoDismiss);
-        }
+        this._startAutoDismiss();
       });
     }
   }
@@ -430,12 +432,67 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
     }
   }
 
+  _startAutoDismiss() {
+    this._pauseAutoDismiss();
+
+    // Only dismiss if value is different than 0
+    this._dismissRemainingTime = this.autoDismiss !== 0 ? this.autoDismiss : null;
+    this._resumeAutoDismiss();
+  }
+
+  _pauseAutoDismiss() {
+    if (this._dimissTimeout) {
+      clearTimeout(this._dimissTimeout);
+      this._dimissTimeout = null;
+      this._dismissRemainingTime -= Date.now() - this._dismissStartTime;
+    }
+  }
+
+  _resumeAutoDismiss() {
+    if (!this.open || this._dimissTimeout || this._dismissRemainingTime === null ||
+      this._isHovered || this.contains(document.activeElement)) {
+      return;
+    }
+
+    this._dismissStartTime = Date.now();
+    this._dimissTimeout = window.setTimeout(() => {
+      this._dimissTimeout = null;
+      if (this.open && !this.contains(document.activeElement)) {
+        this.open = false;
+      }
+    }, Math.max(this._dismissRemainingTime, 0));
+  }
+
+  _onMouseEnter() {
+    this._isHovered = true;
+    this._pauseAutoDismiss();
+  }
+
+  _onMouseLeave() {
+    this._isHovered = false;
+    this._resumeAutoDismiss();
+  }
+
+  _onBlur() {
+    // Wait for the focus to move
+    requestAnimationFrame(() => {
+      this._resumeAutoDismiss();
+    });
+  }
+
   _onClose() {
     // Unmark it
     this._queued = false;
 
-    // Continue emptying the queue
-    unqueue();
+    // Stop auto-dismiss
+    this._pauseAutoDismiss();
+    this._dismissRemainingTime = null;
+
+    // Stacked toasts don't take part in the queue
+    if (!this.classList.contains(STACKED_CLASSNAME)) {
+      // Continue emptying the queue
+      unqueue();
+    }
   }
 
   get _contentZones() {
@@ -444,10 +501,43 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
     };
   }
 
+  get _priority() {
+    return getPriority(this);
+  }
+
   static get _queue() {
     return PRIORITY_QUEUE;
   }
 
+  /**
+   Shows a toast through the toast stack and returns a handle to it. Unlike opening toasts one by one, toasts shown
+   with <code>notify</code> are stacked per placement. Only {@link Toast.maxVisible} toasts are visible per placement,
+   the others wait for their turn by priority. An identical message that is visible or waiting isn't shown twice,
+   instead the existing toast displays a counter and its auto-dismiss period restarts.
+
+   @param {ToastNotifyOptions|String|HTMLElement} options
+   The toast options, or its content.
+
+   @returns {ToastHandle}
+   */
+  static notify(options) {
+    return notify(this, options);
+  }
+
+  /**
+   The maximum number of toasts shown with {@link Toast.notify} that are visible per placement.
+
+   @type {Number}
+   @default 3
+   */
+  static get maxVisible() {
+    return getMaxVisible();
+  }
+
+  static set maxVisible(value) {
+    setMaxVisible(value);
+  }
+
   /**
    Returns {@link Toast} placement options.
 
@@ -555,4 +645,36 @@ class Toast extends BaseOverlay(BaseComponent(HTMLElement)) {
   }
 }
 
+/**
+ The options of a toast shown with {@link Toast.notify}.
+
+ @typedef {Object} ToastNotifyOptions
+
+ @property {String|HTMLElement} content
+ The message of the toast. Strings are added as text.
+ @property {String} [variant=ToastVariantEnum.DEFAULT]
+ The toast variant. See {@link ToastVariantEnum}.
+ @property {String} [placement=ToastPlacementEnum.CENTER]
+ The toast placement. See {@link ToastPlacementEnum}.
+ @property {Number} [autoDismiss=5000]
+ The auto-dismiss period in milliseconds. See {@link Toast#autoDismiss}.
+ @property {String} [action]
+ The label of an action button. Clicking it dismisses the toast.
+ @property {Boolean} [dedupe=true]
+ Whether an identical message that is visible or waiting is merged with this one.
+ */
+
+/**
+ A handle to a toast shown with {@link Toast.notify}. Merged messages share the handle of the same toast.
+
+ @typedef {Object} ToastHandle
+
+ @property {Toast} toast
+ The toast displaying the message.
+ @property {function} dismiss
+ Dismisses the toast, or removes it from the stack if it's still waiting.
+ @property {Promise.<Boolean>} closed
+ A promise resolved once the toast is dismissed, with <code>true</code> if the user clicked the action.
+ */
+
 export default Toast;
@@ -0,0 +1,242 @@
+/**
+ * Copyright 2019 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import {Button} from '../../../coral-component-button';
+import {i18n, transform} from '../../../coral-utils';
+
+const STACKED_CLASSNAME = '_coral-Toast--stacked';
+
+// Space between stacked toasts in pixels
+const STACK_GAP = 8;
+
+// Maximum number of toasts visible per placement
+let maxVisible = 3;
+
+// Visible and waiting notifications per placement
+const stacks = {};
+
+/**
+ Returns the notifications of the given placement.
+ */
+function getStack(placement) {
+  stacks[placement] = stacks[placement] || {
+    visible: [],
+    waiting: []
+  };
+
+  return stacks[placement];
+}
+
+/**
+ Stacks the visible toasts of a placement from the bottom of the screen, the oldest being the lowest.
+ */
+function layout(stack) {
+  requestAnimationFrame(() => {
+    let offset = 0;
+    stack.visible.forEach((notification) => {
+      notification.toast.style.bottom = `${offset}px`;
+      offset += notification.toast.offsetHeight + STACK_GAP;
+    });
+  });
+}
+
+/**
+ Opens waiting notifications by priority while the placement has room for them.
+ */
+function showNext(stack) {
+  while (stack.visible.length < maxVisible && stack.waiting.length) {
+    // Highest priority first, then first in first out
+    let next = 0;
+    stack.waiting.forEach((notification, index) => {
+      if (notification.toast._priority < stack.waiting[next].toast._priority) {
+        next = index;
+      }
+    });
+
+    const notification = stack.waiting.splice(next, 1)[0];
+    stack.visible.push(notification);
+
+    const toast = notification.toast;
+    toast.classList.add(STACKED_CLASSNAME);
+    document.body.appendChild(toast);
+
+    // Stacked toasts don't wait for their turn in the toast priority queue
+    toast._queued = true;
+    toast.open = true;
+  }
+
+  layout(stack);
+}
+
+/**
+ Renders the number of times the message of a notification was shown.
+ */
+function renderCount(notification) {
+  const toast = notification.toast;
+  let count = toast._elements.count;
+
+  if (!count) {
+    count = document.createElement('span');
+    count.className = '_coral-Toast-count';
+    toast._elements.count = count;
+    toast._elements.body.insertBefore(count, toast.content.nextSibling);
+  }
+
+  count.textContent = notification.count;
+  count.setAttribute('aria-label', i18n.get('Shown {0} times', notification.count));
+}
+
+/**
+ Returns a handle to a notification.
+ */
+function createHandle(notification) {
+  return {
+    toast: notification.toast,
+    closed: notification.closed,
+    dismiss() {
+      const stack = getStack(notification.toast.placement);
+      const index = stack.waiting.indexOf(notification);
+
+      if (index !== -1) {
+        stack.waiting.splice(index, 1);
+        notification.resolve(false);
+      } else {
+        notification.toast.open = false;
+      }
+    }
+  };
+}
+
+/**
+ Shows a toast through the toast stack. Toasts are stacked per placement, only a limited number of them is visible at
+ once and identical messages are merged into a single toast with a counter.
+
+ @param {Function} Toast
+ The toast class.
+ @param {Object|String|HTMLElement} options
+ The options of the toast, or its content.
+
+ @returns {Object}
+ A handle to the notification.
+
+ @private
+ */
+function notify(Toast, options) {
+  options = options && typeof options === 'object' && !(options instanceof HTMLElement) ? options : {content: options};
+
+  const toast = new Toast();
+  toast.variant = options.variant;
+  toast.placement = options.placement;
+  if (typeof options.autoDismiss !== 'undefined') {
+    toast.autoDismiss = options.autoDismiss;
+  }
+
+  if (options.content instanceof HTMLElement) {
+    toast.content.appendChild(options.content);
+  } else {
+    toast.content.textContent = transform.string(options.content);
+  }
+
+  const actionLabel = transform.string(options.action);
+  if (actionLabel) {
+    toast.action = new Button().set({
+      label: {
+        textContent: actionLabel
+      }
+    }, true);
+  }
+
+  const stack = getStack(toast.placement);
+  const key = [toast.variant, toast.content.textContent, actionLabel].join('\n');
+
+  // Identical messages are merged
+  if (options.dedupe !== false) {
+    // Toasts being dismissed can't be merged
+    const candidates = stack.visible.filter((notification) => notification.toast.open).concat(stack.waiting);
+    const duplicate = candidates.filter((notification) => notification.key === key)[0];
+    if (duplicate) {
+      duplicate.count++;
+      renderCount(duplicate);
+
+      if (stack.visible.indexOf(duplicate) !== -1) {
+        duplicate.toast._startAutoDismiss();
+        layout(stack);
+      }
+
+      return createHandle(duplicate);
+    }
+  }
+
+  const notification = {
+    toast,
+    key,
+    count: 1,
+    actionClicked: false
+  };
+
+  notification.closed = new Promise((resolve) => {
+    notification.resolve = resolve;
+  });
+
+  if (toast.action) {
+    toast.action.addEventListener('click', () => {
+      notification.actionClicked = true;
+      toast.open = false;
+    });
+  }
+
+  toast.addEventListener('coral-overlay:close', (event) => {
+    // Ignore child overlays
+    if (event.target !== toast) {
+      return;
+    }
+
+    const index = stack.visible.indexOf(notification);
+    if (index !== -1) {
+      stack.visible.splice(index, 1);
+    }
+
+    toast.remove();
+    notification.resolve(notification.actionClicked);
+
+    showNext(stack);
+  });
+
+  stack.waiting.push(notification);
+  showNext(stack);
+
+  return createHandle(notification);
+}
+
+/**
+ Returns the maximum number of toasts visible per placement.
+
+ @private
+ */
+function getMaxVisible() {
+  return maxVisible;
+}
+
+/**
+ Sets the maximum number of toasts visible per placement and opens waiting toasts if possible.
+
+ @private
+ */
+function setMaxVisible(value) {
+  value = transform.number(value);
+  if (value !== null && value >= 1) {
+    maxVisible = Math.floor(value);
+    Object.keys(stacks).forEach((placement) => showNext(stacks[placement]));
+  }
+}
+
+export {STACKED_CLASSNAME, notify, getMaxVisible, setMaxVisible};
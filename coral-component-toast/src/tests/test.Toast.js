@@ -185,6 +185,210 @@ describe('Toast', function () {
         expect(el.variant).to.equal(Toast.variant.DEFAULT);
       });
     });
+
+    describe('#notify()', function () {
+      let handles;
+
+      const notify = function (options) {
+        const handle = Toast.notify(options);
+        handle.toast._overlayAnimationTime = REDUCED_DURATION;
+        handles.push(handle);
+        return handle;
+      };
+
+      beforeEach(function () {
+        handles = [];
+      });
+
+      afterEach(function () {
+        Toast.maxVisible = 3;
+
+        // Wait for the toasts to be removed
+        return Promise.all(handles.map((handle) => {
+          handle.dismiss();
+          return handle.closed;
+        }));
+      });
+
+      it('should return a handle to the toast', function () {
+        const handle = notify({content: 'Saved', variant: 'success', placement: 'left'});
+
+        expect(handle.toast).to.be.an.instanceof(Toast);
+        expect(handle.toast.content.textContent).to.equal('Saved');
+        expect(handle.toast.variant).to.equal(Toast.variant.SUCCESS);
+        expect(handle.toast.placement).to.equal(Toast.placement.LEFT);
+        expect(handle.dismiss).to.be.a('function');
+        expect(handle.closed).to.be.an.instanceof(Promise);
+      });
+
+      it('should accept the content as argument', function () {
+        const handle = notify('Saved');
+        expect(handle.toast.content.textContent).to.equal('Saved');
+      });
+
+      it('should open the toast without waiting for other toasts', function () {
+        const first = notify('First');
+        const second = notify('Second');
+
+        expect(first.toast.open).to.be.true;
+        expect(second.toast.open).to.be.true;
+        expect(first.toast.parentNode).to.equal(document.body);
+        expect(first.toast.classList.contains('_coral-Toast--stacked')).to.be.true;
+      });
+
+      it('should stack the toasts of a placement', function (done) {
+        const first = notify('First');
+        const second = notify('Second');
+
+        helpers.next(() => {
+          expect(first.toast.style.bottom).to.equal('0px');
+          expect(parseInt(second.toast.style.bottom, 10)).to.be.above(0);
+          done();
+        });
+      });
+
+      it('should stack placements separately', function (done) {
+        notify('First');
+        const second = notify({content: 'Second', placement: 'left'});
+
+        helpers.next(() => {
+          expect(second.toast.style.bottom).to.equal('0px');
+          done();
+        });
+      });
+
+      it('should cap the number of visible toasts per placement', function () {
+        Toast.maxVisible = 2;
+
+        notify('First');
+        notify('Second');
+        const third = notify('Third');
+
+        expect(third.toast.open).to.be.false;
+        expect(document.body.contains(third.toast)).to.be.false;
+      });
+
+      it('should show waiting toasts once a visible toast is dismissed', function (done) {
+        Toast.maxVisible = 1;
+
+        const first = notify('First');
+        const second = notify('Second');
+
+        first.closed.then(() => {
+          expect(second.toast.open).to.be.true;
+          done();
+        });
+
+        first.dismiss();
+      });
+
+      it('should show waiting toasts by priority', function (done) {
+        Toast.maxVisible = 1;
+
+        const first = notify('First');
+        const info = notify({content: 'Info', variant: 'info'});
+        const error = notify({content: 'Error', variant: 'error'});
+
+        first.closed.then(() => {
+          expect(error.toast.open).to.be.true;
+          expect(info.toast.open).to.be.false;
+          done();
+        });
+
+        first.dismiss();
+      });
+
+      it('should merge identical messages with a counter', function () {
+        const first = notify('Saved');
+        const second = notify('Saved');
+
+        expect(second.toast).to.equal(first.toast);
+        expect(document.querySelectorAll('coral-toast._coral-Toast--stacked').length).to.equal(1);
+
+        const count = first.toast.querySelector('._coral-Toast-count');
+        expect(count.textContent).to.equal('2');
+        expect(count.getAttribute('aria-label')).to.equal('Shown 2 times');
+
+        notify('Saved');
+        expect(count.textContent).to.equal('3');
+      });
+
+      it('should not merge messages of different variants', function () {
+        const first = notify('Saved');
+        const second = notify({content: 'Saved', variant: 'success'});
+
+        expect(second.toast).to.not.equal(first.toast);
+      });
+
+      it('should not merge messages if dedupe is false', function () {
+        const first = notify('Saved');
+        const second = notify({content: 'Saved', dedupe: false});
+
+        expect(second.toast).to.not.equal(first.toast);
+        expect(first.toast.querySelector('._coral-Toast-count')).to.equal(null);
+      });
+
+      it('should resolve with false once dismissed', function (done) {
+        const handle = notify('Saved');
+
+        handle.closed.then((actionClicked) => {
+          expect(actionClicked).to.be.false;
+          expect(document.body.contains(handle.toast)).to.be.false;
+          done();
+        });
+
+        handle.dismiss();
+      });
+
+      it('should resolve with true once the action is clicked', function (done) {
+        const handle = notify({content: 'Deleted', action: 'Undo'});
+        expect(handle.toast.action.label.textContent).to.equal('Undo');
+
+        handle.closed.then((actionClicked) => {
+          expect(actionClicked).to.be.true;
+          done();
+        });
+
+        handle.toast.action.click();
+      });
+
+      it('should resolve once a waiting toast is dismissed', function (done) {
+        Toast.maxVisible = 1;
+
+        notify('First');
+        const second = notify('Second');
+
+        second.closed.then((actionClicked) => {
+          expect(actionClicked).to.be.false;
+          done();
+        });
+
+        second.dismiss();
+      });
+
+      it('should not show waiting regular toasts once a stacked toast is dismissed', function (done) {
+        const first = helpers.build(new Toast());
+        const second = helpers.build(new Toast());
+        first.open = true;
+        second.open = true;
+
+        // Wait for the queue to show the first regular toast
+        helpers.next(() => {
+          helpers.next(() => {
+            expect(Toast._queue.map(item => item.el)).to.deep.equal([second]);
+
+            const handle = notify('Saved');
+            handle.closed.then(() => {
+              expect(Toast._queue.map(item => item.el)).to.deep.equal([second]);
+              expect(second.classList.contains('is-open')).to.be.false;
+              done();
+            });
+
+            handle.dismiss();
+          });
+        });
+      });
+    });
   });
 
   describe('Markup', function () {
@@ -310,6 +514,46 @@ describe('Toast', function () {
         });
       });
     });
+
+    describe('#autoDismiss', function () {
+      let el;
+
+      beforeEach(function () {
+        el = helpers.build(new Toast());
+        el._autoDismiss = REDUCED_DURATION;
+        el._overlayAnimationTime = REDUCED_DURATION;
+      });
+
+      it('should pause while hovered', function (done) {
+        el.open = true;
+        helpers.event('mouseenter', el);
+
+        window.setTimeout(() => {
+          expect(el.open).to.be.true;
+
+          helpers.event('mouseleave', el);
+          window.setTimeout(() => {
+            expect(el.open).to.be.false;
+            done();
+          }, REDUCED_DURATION * 4);
+        }, REDUCED_DURATION * 4);
+      });
+
+      it('should pause while focused', function (done) {
+        el._autoDismiss = REDUCED_DURATION * 3;
+
+        el.on('coral-overlay:open', function () {
+          el.querySelector('[coral-close]').focus();
+
+          window.setTimeout(() => {
+            expect(el.open).to.be.true;
+            done();
+          }, REDUCED_DURATION * 4);
+        });
+
+        el.open = true;
+      });
+    });
   });
 
   describe('Accessibility', function () {
@@ -13,15 +13,70 @@
 import {BaseComponent} from '../../../coral-base-component';
 import {SelectableCollection} from '../../../coral-collection';
 import TreeItem from './TreeItem';
-import {transform} from '../../../coral-utils';
+import {DragAction} from '../../../coral-dragaction';
+import {transform, commons} from '../../../coral-utils';
 
 const CLASSNAME = '_coral-TreeView';
 
+// Classes indicating where the dragged item will be dropped
+const DROP_POSITION_CLASSES = {
+  before: 'is-dropBefore',
+  after: 'is-dropAfter',
+  inside: 'is-dropInside'
+};
+
+// Delay before a collapsed item hovered while dragging is expanded
+const AUTO_EXPAND_DELAY = 1000;
+
+const HIGHLIGHT_CLASS = '_coral-TreeView-highlight';
+
+/**
+ Wraps the occurrences of the given lower case text in the text content of the element in highlighting marks.
+
+ @ignore
+ */
+const highlightText = (element, text) => {
+  const content = element.textContent.toLowerCase();
+  const ranges = [];
+
+  let index = content.indexOf(text);
+  while (index !== -1) {
+    ranges.push([index, index + text.length]);
+    index = content.indexOf(text, index + text.length);
+  }
+
+  commons.highlightRanges(element, ranges, HIGHLIGHT_CLASS);
+};
+
+/**
+ Unwraps the highlighting marks of the element.
+
+ @ignore
+ */
+const removeHighlight = (element) => {
+  const marks = element.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`);
+
+  for (let i = 0 ; i < marks.length ; i++) {
+    const mark = marks[i];
+    const parent = mark.parentNode;
+
+    while (mark.firstChild) {
+      parent.insertBefore(mark.firstChild, mark);
+    }
+
+    parent.removeChild(mark);
+    parent.normalize();
+  }
+};
+
 /**
  @class Coral.Tree
  @classdesc A Tree component is a container component to display collapsible content.
  Tree items don't expand by default. It's the developer's responsibility to handle it by listening to the
- {@link coral-collection:add} and {@link coral-collection:remove} events.
+ {@link coral-collection:add} and {@link coral-collection:remove} events. Children of {@link TreeItem#lazy} items can be
+ loaded on demand by handling the {@link coral-tree:loaditems} event. {@link Tree#orderable} trees allow to rearrange
+ items by drag and drop or with the <code>ctrl</code> + arrow keys. {@link Tree#tristate} trees cascade the selection
+ of items to their descendants and ancestors. Large trees can be searched with {@link Tree#filter}.
  @htmltag coral-tree
  @extends {HTMLElement}
  @extends {BaseComponent}
@@ -50,12 +105,26 @@ class Tree extends BaseComponent(HTMLElement) {
       'key:home ._coral-TreeView-itemLink, ._coral-TreeView-indicator': '_onFocusFirstItem',
       'key:end ._coral-TreeView-itemLink, ._coral-TreeView-indicator': '_onFocusLastItem',
       'capture:blur ._coral-TreeView-itemLink[tabindex="0"]': '_onItemBlur',
+      // orderable
+      'capture:mousedown ._coral-TreeView-itemLink': '_onItemOrder',
+      'capture:touchstart ._coral-TreeView-itemLink': '_onItemOrder',
+      'coral-dragaction:drag coral-tree-item': '_onItemDrag',
+      'coral-dragaction:dragend coral-tree-item': '_onItemDragEnd',
+      'key:ctrl+up ._coral-TreeView-itemLink': '_onMoveItemUp',
+      'key:meta+up ._coral-TreeView-itemLink': '_onMoveItemUp',
+      'key:ctrl+down ._coral-TreeView-itemLink': '_onMoveItemDown',
+      'key:meta+down ._coral-TreeView-itemLink': '_onMoveItemDown',
+      'key:ctrl+right ._coral-TreeView-itemLink': '_onMoveItemIn',
+      'key:meta+right ._coral-TreeView-itemLink': '_onMoveItemIn',
+      'key:ctrl+left ._coral-TreeView-itemLink': '_onMoveItemOut',
+      'key:meta+left ._coral-TreeView-itemLink': '_onMoveItemOut',
       // private
       'coral-tree-item:_selectedchanged': '_onItemSelectedChanged',
       'coral-tree-item:_disabledchanged': '_onFocusableChanged',
       'coral-tree-item:_expandedchanged': '_onFocusableChanged',
       'coral-tree-item:_afterexpandedchanged': '_onExpandedChanged',
-      'coral-tree-item:_hiddenchanged': '_onFocusableChanged'
+      'coral-tree-item:_hiddenchanged': '_onFocusableChanged',
+      'coral-tree-item:_loaditems': '_onItemLoadItems'
     });
 
     // Used for eventing
@@ -96,7 +165,8 @@ class Tree extends BaseComponent(HTMLElement) {
     if (!this._items) {
       this._items = new SelectableCollection({
         host: this,
-        itemTagName: 'coral-tree-item'
+        itemTagName: 'coral-tree-item',
+        onItemAdded: this._onItemAdded
       });
     }
     return this._items;
@@ -117,18 +187,99 @@ class Tree extends BaseComponent(HTMLElement) {
     this._multiple = transform.booleanAttr(value);
     this._reflectAttribute('multiple', this._multiple);
 
-    this.setAttribute('aria-multiselectable', this._multiple);
+    this.setAttribute('aria-multiselectable', this._multiple || this.tristate);
 
     this._validateSelection();
   }
 
   /**
-   Returns an Array containing the set selected items.
+   Whether the items are selected with tri-state checkboxes. Selecting an item selects all of its descendants and the
+   items whose descendants are only partially selected are {@link TreeItem#indeterminate}. Multiple items can be
+   selected regardless of {@link Tree#multiple}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute tristate
+   @htmlattributereflected
+   */
+  get tristate() {
+    return this._tristate || false;
+  }
+
+  set tristate(value) {
+    this._tristate = transform.booleanAttr(value);
+    this._reflectAttribute('tristate', this._tristate);
+
+    this.setAttribute('aria-multiselectable', this.multiple || this._tristate);
+
+    // Items render their checkbox once they are upgraded
+    this.items.getAll().forEach((item) => {
+      item[this._tristate ? 'setAttribute' : 'removeAttribute']('_checkable', '');
+    });
+
+    // Items might not be upgraded yet. The selection is synced once rendered.
+    if (this._tristate && this._rendered) {
+      this._cascadeSelection(() => {
+        this._syncTristateSelection();
+      });
+    }
+  }
+
+  /**
+   Whether {@link Tree#selectedItems} only returns the top-most selected items, leaving out the selected items nested
+   in a selected parent. Combined with {@link Tree#tristate}, every fully selected subtree is represented by its root
+   item.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute compactselection
+   @htmlattributereflected
+   */
+  get compactSelection() {
+    return this._compactSelection || false;
+  }
+
+  set compactSelection(value) {
+    this._compactSelection = transform.booleanAttr(value);
+    this._reflectAttribute('compactselection', this._compactSelection);
+
+    // The selection didn't change, only its representation
+    this._oldSelection = this.selectedItems;
+  }
+
+  /**
+   Whether the items can be rearranged. Items can be dragged to reorder them among their siblings or to move them into
+   another parent. Focused items can also be moved with <code>ctrl</code> + <code>up</code>/<code>down</code> among
+   their siblings, <code>ctrl</code> + <code>right</code> into their previous sibling and <code>ctrl</code> +
+   <code>left</code> out of their parent.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute orderable
+   @htmlattributereflected
+   */
+  get orderable() {
+    return this._orderable || false;
+  }
+
+  set orderable(value) {
+    this._orderable = transform.booleanAttr(value);
+    this._reflectAttribute('orderable', this._orderable);
+  }
+
+  /**
+   Returns an Array containing the set selected items. See {@link Tree#compactSelection}.
    @type {Array.<HTMLElement>}
    @readonly
    */
   get selectedItems() {
-    return this.items._getAllSelected();
+    const selectedItems = this.items._getAllSelected();
+
+    if (this.compactSelection) {
+      return selectedItems.filter((item) => !item.parentNode.closest('coral-tree-item[selected]'));
+    }
+
+    return selectedItems;
   }
 
   /**
@@ -145,14 +296,86 @@ class Tree extends BaseComponent(HTMLElement) {
   _onItemSelectedChanged(event) {
     event.stopImmediatePropagation();
 
-    this._validateSelection(event.target);
+    const item = event.target;
+
+    if (this.tristate) {
+      // Selection changes caused by the cascade are handled at once
+      if (!this._cascadingSelection) {
+        this._cascadeSelection(() => {
+          this._setItemSelection(item, item.selected);
+          this._updateAncestors(item.parent);
+        });
+      }
+    } else {
+      this._validateSelection(item);
+    }
+  }
+
+  /** @private */
+  _cascadeSelection(cascade) {
+    this._cascadingSelection = true;
+    cascade();
+    this._cascadingSelection = false;
+
+    this._triggerChangeEvent();
+  }
+
+  /**
+   Selects or deselects the item and all of its descendants.
+
+   @private
+   */
+  _setItemSelection(item, selected) {
+    const items = [item].concat(Array.prototype.slice.call(item.querySelectorAll('coral-tree-item')));
+
+    items.forEach((descendant) => {
+      descendant.selected = selected;
+      descendant._setIndeterminate(false);
+    });
+  }
+
+  /**
+   Derives the selection of the item from its children.
+
+   @private
+   */
+  _updateItemSelection(item) {
+    const children = item.items.getAll();
+
+    if (children.length) {
+      const selected = children.every((child) => child.selected);
+
+      item.selected = selected;
+      item._setIndeterminate(!selected && children.some((child) => child.selected || child.indeterminate));
+    }
+  }
+
+  /** @private */
+  _updateAncestors(item) {
+    while (item) {
+      this._updateItemSelection(item);
+      item = item.parent;
+    }
+  }
+
+  /** @private */
+  _syncTristateSelection() {
+    // Selected items select their descendants
+    this.items._getAllSelected().forEach((item) => {
+      this._setItemSelection(item, true);
+    });
+
+    // Then the selection of the parents is derived from their children, deepest first
+    this.items.getAll().reverse().forEach((item) => {
+      this._updateItemSelection(item);
+    });
   }
 
   /** @private */
   _validateSelection(item) {
     const selectedItems = this.selectedItems;
 
-    if (!this.multiple) {
+    if (!this.multiple && !this.tristate) {
       // Last selected item wins if multiple selection while not allowed
       item = item || selectedItems[selectedItems.length - 1];
 
@@ -180,7 +403,7 @@ class Tree extends BaseComponent(HTMLElement) {
 
     if (!this._preventTriggeringEvents && this._arraysAreDifferent(selectedItems, oldSelection)) {
       // We differentiate whether multiple is on or off and return an array or HTMLElement respectively
-      if (this.multiple) {
+      if (this.multiple || this.tristate) {
         this.trigger('coral-tree:change', {
           oldSelection: oldSelection,
           selection: selectedItems
@@ -220,10 +443,39 @@ class Tree extends BaseComponent(HTMLElement) {
   _onCollectionChange(event) {
     // Prevent triggering collection event twice. Only coral-tree collection events are propagated.
     event.stopImmediatePropagation();
+
+    if (this.tristate) {
+      const parent = event.target;
+
+      this._cascadeSelection(() => {
+        // Items added to a selected parent are selected too
+        if (event.type === 'coral-collection:add' && parent.selected) {
+          this._setItemSelection(event.detail.item, true);
+        }
+
+        this._updateAncestors(parent);
+      });
+    }
+  }
+
+  /** @private */
+  _onItemAdded(item) {
+    if (this.tristate) {
+      // Nested items aren't reported separately
+      const items = [item].concat(Array.prototype.slice.call(item.querySelectorAll('coral-tree-item')));
+      items.forEach((addedItem) => {
+        addedItem.setAttribute('_checkable', '');
+      });
+    }
   }
 
   /** @private */
   _onItemClick(event) {
+    // The click following a drop shouldn't change the selection
+    if (this._preventItemClick) {
+      return;
+    }
+
     // Clickable item inside Tree Item should not trigger selection of item
     if (event.target.hasAttribute('coral-interactive') || event.target.closest('[coral-interactive]')) {
       return;
@@ -425,6 +677,11 @@ class Tree extends BaseComponent(HTMLElement) {
     event.preventDefault();
     event.stopPropagation();
 
+    // The focusable item is reset once filtered
+    if (this._filtering) {
+      return;
+    }
+
     if (event.target.contains(this._getFocusable())) {
       this._resetFocusableItem();
     }
@@ -439,6 +696,318 @@ class Tree extends BaseComponent(HTMLElement) {
     this.trigger(`coral-tree:${item.expanded ? 'expand' : 'collapse'}`, {item});
   }
 
+  /**
+   Requests the children of a lazy item.
+
+   @emits {coral-tree:loaditems}
+
+   @private
+   */
+  _onItemLoadItems(event) {
+    event.stopImmediatePropagation();
+
+    const item = event.target;
+    const loadEvent = this.trigger('coral-tree:loaditems', {item});
+
+    // if the default is prevented, we show the loading indicator
+    item.loading = loadEvent.defaultPrevented;
+  }
+
+  /** @private */
+  _getOrderableItem(event) {
+    const item = event.target.closest('coral-tree-item');
+    if (this.orderable && item && !item.closest('coral-tree-item[disabled]') && item.closest('coral-tree') === this) {
+      return item;
+    }
+
+    return null;
+  }
+
+  /** @private */
+  _getSiblingItem(item, next) {
+    let sibling = next ? item.nextElementSibling : item.previousElementSibling;
+
+    // Skip any non item and hidden items
+    while (sibling && (sibling.tagName !== 'CORAL-TREE-ITEM' || sibling.hasAttribute('hidden'))) {
+      sibling = next ? sibling.nextElementSibling : sibling.previousElementSibling;
+    }
+
+    return sibling;
+  }
+
+  /**
+   Moves the item into the given parent before the given sibling.
+
+   @param {TreeItem} item
+   @param {?TreeItem} parent
+   The new parent or <code>null</code> to move the item to the root.
+   @param {?TreeItem} before
+   The new next sibling or <code>null</code> to move the item at the end.
+
+   @emits {coral-tree:beforeitemmove}
+   @emits {coral-tree:itemmove}
+
+   @returns {Boolean} whether the item was moved.
+
+   @private
+   */
+  _moveItem(item, parent, before) {
+    const oldParent = item.parent;
+    const oldBefore = this._getSiblingItem(item, true);
+
+    // The position doesn't change
+    if (parent === oldParent && (before === oldBefore || before === item)) {
+      return false;
+    }
+
+    const beforeEvent = this.trigger('coral-tree:beforeitemmove', {
+      item,
+      oldParent,
+      oldBefore,
+      parent,
+      before
+    });
+
+    if (beforeEvent.defaultPrevented) {
+      return false;
+    }
+
+    // The item loses the focus once detached
+    const focused = item._elements.header === document.activeElement;
+
+    (parent ? parent._elements.subTreeContainer : this).insertBefore(item, before);
+
+    // Since the collections handle mutations asynchronously, the old parent won't recognize the item as its own anymore
+    item._parent = parent || undefined;
+    if (oldParent && oldParent !== parent && !oldParent.items.length) {
+      oldParent._elements.header.removeAttribute('aria-owns');
+    }
+
+    if (this.tristate) {
+      this._cascadeSelection(() => {
+        // The moved item inherits the selection of a selected parent
+        if (parent && parent.selected) {
+          this._setItemSelection(item, true);
+        }
+
+        this._updateAncestors(oldParent);
+        this._updateAncestors(parent);
+      });
+    }
+
+    // Reveal the moved item
+    if (parent && !parent.expanded) {
+      parent.expanded = true;
+    }
+
+    if (focused) {
+      item._elements.header.focus();
+    }
+
+    this.trigger('coral-tree:itemmove', {
+      item,
+      oldParent,
+      oldBefore,
+      parent,
+      before
+    });
+
+    return true;
+  }
+
+  /** @private */
+  _onMoveItemUp(event) {
+    const item = this._getOrderableItem(event);
+    if (item) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const previous = this._getSiblingItem(item, false);
+      if (previous) {
+        this._moveItem(item, item.parent, previous);
+      }
+    }
+  }
+
+  /** @private */
+  _onMoveItemDown(event) {
+    const item = this._getOrderableItem(event);
+    if (item) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const next = this._getSiblingItem(item, true);
+      if (next) {
+        this._moveItem(item, item.parent, this._getSiblingItem(next, true));
+      }
+    }
+  }
+
+  /** @private */
+  _onMoveItemIn(event) {
+    const item = this._getOrderableItem(event);
+    if (item) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      // The item becomes the last child of its previous sibling
+      const previous = this._getSiblingItem(item, false);
+      if (previous && !previous.disabled && previous.variant === TreeItem.variant.DRILLDOWN) {
+        this._moveItem(item, previous, null);
+      }
+    }
+  }
+
+  /** @private */
+  _onMoveItemOut(event) {
+    const item = this._getOrderableItem(event);
+    if (item) {
+      event.preventDefault();
+      event.stopPropagation();
+
+      // The item becomes the next sibling of its parent
+      const parent = item.parent;
+      if (parent) {
+        this._moveItem(item, parent.parent, this._getSiblingItem(parent, true));
+      }
+    }
+  }
+
+  /** @private */
+  _onItemOrder(event) {
+    // Only the main button starts dragging. The indicator and interactive elements keep their behavior
+    if (event.button > 0 || event.target.closest('._coral-TreeView-indicator, [coral-interactive]')) {
+      return;
+    }
+
+    const item = this._getOrderableItem(event);
+    if (item) {
+      // Backup the styles to restore them once dropped
+      const style = item.getAttribute('style');
+
+      const dragAction = new DragAction(item);
+      dragAction.axis = 'vertical';
+      dragAction.handle = item._elements.header;
+
+      dragAction._dragData = {
+        style: style,
+        target: null,
+        position: null
+      };
+    }
+  }
+
+  /** @private */
+  _onItemDrag(event) {
+    const item = event.detail.dragElement;
+    const dragData = item.dragAction && item.dragAction._dragData;
+
+    if (!dragData) {
+      return;
+    }
+
+    // @polyfill ie11
+    const scrollingElement = document.scrollingElement || document.documentElement;
+    const y = event.detail.pageY - scrollingElement.scrollTop;
+    let target = null;
+    let position = null;
+
+    // Find the visible item under the pointer. The dragged item can't be dropped into itself.
+    this._getFocusableItems().some((candidate) => {
+      if (item.contains(candidate) || candidate.parentNode.closest('coral-tree-item.is-collapsed')) {
+        return false;
+      }
+
+      const headerBoundingClientRect = candidate._elements.header.getBoundingClientRect();
+      if (y < headerBoundingClientRect.top || y >= headerBoundingClientRect.bottom) {
+        return false;
+      }
+
+      const offset = (y - headerBoundingClientRect.top) / headerBoundingClientRect.height;
+      target = candidate;
+
+      // Leaf items don't accept children
+      if (candidate.variant === TreeItem.variant.LEAF) {
+        position = offset < 0.5 ? 'before' : 'after';
+      } else if (offset < 0.25) {
+        position = 'before';
+      } else if (offset > 0.75) {
+        position = 'after';
+      } else {
+        position = 'inside';
+      }
+
+      return true;
+    });
+
+    this._setDropTarget(dragData, target, position);
+  }
+
+  /** @private */
+  _setDropTarget(dragData, target, position) {
+    if (dragData.target === target && dragData.position === position) {
+      return;
+    }
+
+    if (dragData.target) {
+      dragData.target.classList.remove(DROP_POSITION_CLASSES[dragData.position]);
+    }
+
+    window.clearTimeout(dragData.expandTimeout);
+
+    dragData.target = target;
+    dragData.position = position;
+
+    if (target) {
+      target.classList.add(DROP_POSITION_CLASSES[position]);
+
+      // Expand the hovered item to allow dropping the item among its children
+      if (position === 'inside' && !target.expanded) {
+        dragData.expandTimeout = window.setTimeout(() => {
+          target.expanded = true;
+        }, AUTO_EXPAND_DELAY);
+      }
+    }
+  }
+
+  /** @private */
+  _onItemDragEnd(event) {
+    const item = event.detail.dragElement;
+    const dragData = item.dragAction && item.dragAction._dragData;
+
+    if (!dragData) {
+      return;
+    }
+
+    const target = dragData.target;
+    const position = dragData.position;
+
+    // Clean up
+    this._setDropTarget(dragData, null, null);
+    item.dragAction.destroy();
+
+    // Restore specific styling
+    if (dragData.style) {
+      item.setAttribute('style', dragData.style);
+    } else {
+      item.removeAttribute('style');
+    }
+
+    if (target) {
+      // The click following the drop shouldn't toggle the selection
+      this._preventItemClick = true;
+      window.requestAnimationFrame(() => {
+        this._preventItemClick = false;
+      });
+
+      if (position === 'inside') {
+        this._moveItem(item, target, null);
+      } else {
+        this._moveItem(item, target.parent, position === 'before' ? target : this._getSiblingItem(target, true));
+      }
+    }
+  }
+
   /** @private */
   _getFocusable() {
     return this.querySelector('coral-tree-item > ._coral-TreeView-itemLink[tabindex="0"]');
@@ -490,6 +1059,115 @@ class Tree extends BaseComponent(HTMLElement) {
     }
   }
 
+  /**
+   Filters the items. Items that don't match are hidden while the ancestors of the matching items stay visible and are
+   expanded. If a text is given, the matching part of the item content is highlighted. The hidden and expanded items
+   are restored once the filter is cleared.
+
+   @param {?(String|TreeFilterPredicate)} predicateOrString
+   The text to look for in the content of the items or a function that tells whether an item matches. The text is case
+   insensitive. The filter is cleared if <code>null</code> or an empty string is given.
+
+   @returns {Array.<TreeItem>} the matching items.
+   */
+  filter(predicateOrString) {
+    this._clearFilter();
+
+    let predicate = predicateOrString;
+    let text = null;
+
+    if (typeof predicate === 'string') {
+      text = predicate.trim().toLowerCase();
+      predicate = (item) => item.content.textContent.toLowerCase().indexOf(text) !== -1;
+    }
+
+    if (typeof predicate !== 'function' || text === '') {
+      return [];
+    }
+
+    const items = this.items.getAll();
+    const visible = new Map();
+    const matches = [];
+    const hidden = [];
+    const expanded = [];
+
+    // Children are handled first so that ancestors know whether they lead to a match
+    items.reverse().forEach((item) => {
+      const match = !item.hidden && !!predicate(item);
+      const ancestor = !item.hidden && item.items.getAll().some((child) => visible.get(child));
+
+      visible.set(item, match || ancestor);
+
+      if (match) {
+        matches.unshift(item);
+      }
+
+      if (ancestor && !item.expanded) {
+        expanded.push(item);
+      } else if (!match && !ancestor && !item.hidden) {
+        hidden.push(item);
+      }
+    });
+
+    this._filtering = true;
+    hidden.forEach((item) => {
+      item.hidden = true;
+    });
+    expanded.forEach((item) => {
+      item.expanded = true;
+    });
+    this._filtering = false;
+
+    if (text) {
+      matches.forEach((item) => {
+        highlightText(item.content, text);
+      });
+    }
+
+    // Remember what has to be restored
+    this._filter = {
+      hidden,
+      expanded,
+      highlighted: text ? matches : []
+    };
+
+    this._resetFilteredFocusableItem();
+
+    return matches;
+  }
+
+  /** @private */
+  _clearFilter() {
+    const filter = this._filter;
+
+    if (filter) {
+      this._filtering = true;
+      filter.hidden.forEach((item) => {
+        item.hidden = false;
+      });
+      filter.expanded.forEach((item) => {
+        item.expanded = false;
+      });
+      this._filtering = false;
+
+      filter.highlighted.forEach((item) => {
+        removeHighlight(item.content);
+      });
+
+      this._filter = null;
+
+      this._resetFilteredFocusableItem();
+    }
+  }
+
+  /** @private */
+  _resetFilteredFocusableItem() {
+    const focusable = this._getFocusable();
+    if (!focusable || focusable.parentNode.closest('coral-tree-item[hidden]')) {
+      this._resetFocusableItem();
+    }
+  }
+
   /**
    Expand all the Tree Items
    */
@@ -506,7 +1184,14 @@ class Tree extends BaseComponent(HTMLElement) {
 
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['multiple']);
+    return super.observedAttributes.concat(['multiple', 'orderable', 'tristate', 'compactselection']);
+  }
+
+  /** @ignore */
+  static get _attributePropertyMap() {
+    return commons.extend(super._attributePropertyMap, {
+      compactselection: 'compactSelection'
+    });
   }
 
   /** @ignore */
@@ -517,11 +1202,20 @@ class Tree extends BaseComponent(HTMLElement) {
 
     // a11y
     this.setAttribute('role', 'tree');
-    this.setAttribute('aria-multiselectable', this.multiple);
+    this.setAttribute('aria-multiselectable', this.multiple || this.tristate);
 
     // Enable keyboard interaction
     requestAnimationFrame(() => {
       this._resetFocusableItem();
+
+      // Sync the initial selection once the items are upgraded
+      if (this.tristate) {
+        this._cascadingSelection = true;
+        this._syncTristateSelection();
+        this._cascadingSelection = false;
+
+        this._oldSelection = this.selectedItems;
+      }
     });
 
     // Don't trigger events once connected
@@ -532,6 +1226,17 @@ class Tree extends BaseComponent(HTMLElement) {
     this._oldSelection = this.selectedItems;
   }
 
+  /**
+   Signature of the function used by {@link Tree#filter} to tell whether an item matches.
+
+   @typedef {function} TreeFilterPredicate
+
+   @param {TreeItem} item
+   The item to check.
+
+   @returns {Boolean} whether the item matches.
+   */
+
   /**
    Triggered when the {@link Tree} selection changed.
 
@@ -552,6 +1257,52 @@ class Tree extends BaseComponent(HTMLElement) {
    The expanded item.
    */
 
+  /**
+   Triggered when a {@link TreeItem#lazy} item without children is expanded. If <code>preventDefault()</code> is
+   called, then a loading indicator will be shown. The children should be added with {@link TreeItem#items} and
+   {@link TreeItem#loading} should be set to <code>false</code> once they are loaded.
+
+   @typedef {CustomEvent} coral-tree:loaditems
+
+   @property {TreeItem} detail.item
+   The item whose children should be loaded.
+   */
+
+  /**
+   Triggered before a {@link Tree} item is moved by the user. The move can be cancelled by calling
+   <code>preventDefault()</code>.
+
+   @typedef {CustomEvent} coral-tree:beforeitemmove
+
+   @property {TreeItem} detail.item
+   The item to be moved.
+   @property {?TreeItem} detail.oldParent
+   The current parent of the item. If <code>null</code>, the item is a root item.
+   @property {?TreeItem} detail.oldBefore
+   The current next sibling of the item. If <code>null</code>, the item is the last item.
+   @property {?TreeItem} detail.parent
+   The item will be moved into this parent. If <code>null</code>, the item is moved to the root.
+   @property {?TreeItem} detail.before
+   The item will be inserted before this sibling item. If <code>null</code>, the item is inserted at the end.
+   */
+
+  /**
+   Triggered when a {@link Tree} item was moved by the user.
+
+   @typedef {CustomEvent} coral-tree:itemmove
+
+   @property {TreeItem} detail.item
+   The moved item.
+   @property {?TreeItem} detail.oldParent
+   The previous parent of the item. If <code>null</code>, the item was a root item.
+   @property {?TreeItem} detail.oldBefore
+   The previous next sibling of the item. If <code>null</code>, the item was the last item.
+   @property {?TreeItem} detail.parent
+   The new parent of the item. If <code>null</code>, the item was moved to the root.
+   @property {?TreeItem} detail.before
+   The item was inserted before this sibling item. If <code>null</code>, the item was inserted at the end.
+   */
+
   /**
    Triggered when a {@link Tree} item collapsed.
 
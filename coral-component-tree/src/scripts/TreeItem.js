@@ -13,6 +13,8 @@
 import {BaseComponent} from '../../../coral-base-component';
 import {Collection} from '../../../coral-collection';
 import {Icon} from '../../../coral-component-icon';
+import {Checkbox} from '../../../coral-component-checkbox';
+import '../../../coral-component-wait';
 import treeItem from '../templates/treeItem';
 import {transform, commons, i18n, validate} from '../../../coral-utils';
 
@@ -66,6 +68,9 @@ class TreeItem extends BaseComponent(HTMLElement) {
       this._elements.icon = this._elements.header.querySelector('._coral-TreeView-indicator');
     }
 
+    // The load indicator is only shown while loading
+    this._elements.loadIndicator.remove();
+
     // Tells the collection to automatically detect the items and handle the events
     this.items._startHandlingItems();
   }
@@ -151,7 +156,7 @@ class TreeItem extends BaseComponent(HTMLElement) {
     if (this.variant !== variant.DRILLDOWN) {
       header.removeAttribute('aria-expanded');
       header.removeAttribute('aria-owns');
-    } else if (this.items.length > 0) {
+    } else if (this.items.length > 0 || this.lazy) {
       header.setAttribute('aria-expanded', this._expanded);
       header.setAttribute('aria-owns', subTreeContainer.id);
     }
@@ -169,6 +174,11 @@ class TreeItem extends BaseComponent(HTMLElement) {
 
     this.trigger('coral-tree-item:_expandedchanged');
 
+    // Request the children of lazy items the first time they are expanded
+    if (triggerEvent && this._expanded && this.lazy && !this.loading && !this.items.length) {
+      this.trigger('coral-tree-item:_loaditems');
+    }
+
     // Do animation in next frame to avoid a forced reflow
     window.requestAnimationFrame(() => {
       // Don't animate on initialization
@@ -213,6 +223,55 @@ class TreeItem extends BaseComponent(HTMLElement) {
     });
   }
 
+  /**
+   Whether the children of the item are loaded on demand. Expanding a lazy item without children triggers
+   {@link coral-tree:loaditems}.
+
+   @type {Boolean}
+   @default false
+   @htmlattribute lazy
+   @htmlattributereflected
+   */
+  get lazy() {
+    return this._lazy || false;
+  }
+
+  set lazy(value) {
+    this._lazy = transform.booleanAttr(value);
+    this._reflectAttribute('lazy', this._lazy);
+
+    if (this._lazy && this.variant === variant.DRILLDOWN) {
+      this._elements.header.setAttribute('aria-expanded', this.expanded);
+    }
+  }
+
+  /**
+   Whether the children of the item are being loaded. A loading indicator is shown in the meantime. It is set to
+   <code>true</code> when {@link coral-tree:loaditems} is prevented and should be set back to <code>false</code> once
+   the items were added.
+
+   @type {Boolean}
+   @default false
+   */
+  get loading() {
+    return this._loading || false;
+  }
+
+  set loading(value) {
+    this._loading = transform.booleanAttr(value);
+
+    const header = this._elements.header;
+    const loadIndicator = this._elements.loadIndicator;
+
+    if (this._loading) {
+      header.appendChild(loadIndicator);
+    } else {
+      loadIndicator.remove();
+    }
+
+    header.setAttribute('aria-busy', this._loading);
+  }
+
   /**
    The item's variant. See {@link TreeItemVariantEnum}.
 
@@ -260,9 +319,44 @@ class TreeItem extends BaseComponent(HTMLElement) {
       selectedState.setAttribute('aria-pressed', this._selected);
     }
 
+    this._syncCheckbox();
+
     this.trigger('coral-tree-item:_selectedchanged');
   }
 
+  /**
+   Whether only some of the descendants are selected. Only applies to items of a {@link Tree#tristate} tree.
+
+   @type {Boolean}
+   @default false
+   @readonly
+   */
+  get indeterminate() {
+    return this._indeterminate || false;
+  }
+
+  /** @private */
+  _setIndeterminate(value) {
+    this._indeterminate = value;
+    this._syncCheckbox();
+  }
+
+  /** @private */
+  _syncCheckbox() {
+    const header = this._elements.header;
+    const checkbox = this._elements.checkbox;
+
+    if (checkbox && this.hasAttribute('_checkable')) {
+      const indeterminate = this.indeterminate && !this.selected;
+
+      checkbox.checked = this.selected;
+      checkbox.indeterminate = indeterminate;
+      header.setAttribute('aria-checked', indeterminate ? 'mixed' : this.selected);
+    } else {
+      header.removeAttribute('aria-checked');
+    }
+  }
+
   /**
    Whether this item is disabled.
 
@@ -353,7 +447,37 @@ class TreeItem extends BaseComponent(HTMLElement) {
 
   /** @ignore */
   static get observedAttributes() {
-    return super.observedAttributes.concat(['selected', 'disabled', 'variant', 'expanded', 'hidden']);
+    return super.observedAttributes.concat(['selected', 'disabled', 'variant', 'expanded', 'hidden', 'lazy', '_checkable']);
+  }
+
+  /** @ignore */
+  attributeChangedCallback(name, oldValue, value) {
+    if (name === '_checkable') {
+      let checkbox = this._elements.checkbox;
+
+      if (value === null) {
+        if (checkbox) {
+          checkbox.remove();
+        }
+      } else {
+        // Render checkbox on demand
+        if (!checkbox) {
+          checkbox = new Checkbox();
+          checkbox.classList.add('_coral-TreeView-itemCheckbox');
+          checkbox.setAttribute('aria-hidden', 'true');
+          checkbox._elements.input.tabIndex = -1;
+
+          this._elements.checkbox = checkbox;
+        }
+
+        // The checkbox is displayed between the indicator and the content
+        this._elements.header.insertBefore(checkbox, this._elements.selectedState);
+      }
+
+      this._syncCheckbox();
+    } else {
+      super.attributeChangedCallback(name, oldValue, value);
+    }
   }
 
   /** @ignore */
@@ -403,7 +527,7 @@ class TreeItem extends BaseComponent(HTMLElement) {
     // Render the template and set element references
     const frag = document.createDocumentFragment();
 
-    const templateHandleNames = ['header', 'icon', 'subTreeContainer'];
+    const templateHandleNames = ['header', 'icon', 'subTreeContainer', 'loadIndicator'];
 
     const subTree = this.querySelector('._coral-TreeView');
     if (subTree) {
@@ -462,6 +586,14 @@ class TreeItem extends BaseComponent(HTMLElement) {
    @private
    */
 
+  /**
+   Triggered when a lazy {@link TreeItem} without children is expanded.
+
+   @typedef {CustomEvent} coral-tree-item:_loaditems
+
+   @private
+   */
+
   /**
    Triggered when {@link TreeItem#hidden} changed.
 
@@ -24,6 +24,28 @@ const onIndicatorClick = (el, item) => {
   });
 };
 
+// Mock for dragging
+const dragItemTo = (item, target, offset) => {
+  var header = item._elements.header;
+  var targetBoundingClientRect = target._elements.header.getBoundingClientRect();
+  var y = targetBoundingClientRect.top + targetBoundingClientRect.height * offset;
+
+  // Initiates the dragAction
+  header.dispatchEvent(new MouseEvent('mousedown', {
+    bubbles: true,
+    clientY: header.getBoundingClientRect().top + 1
+  }));
+  header.dispatchEvent(new MouseEvent('mousemove', {
+    bubbles: true,
+    clientY: y
+  }));
+  // Drops the item
+  header.dispatchEvent(new MouseEvent('mouseup', {
+    bubbles: true,
+    clientY: y
+  }));
+};
+
 describe('Tree', function () {
   // Assert whether an item is properly active or inactive.
   var assertActiveness = function (item, isSelected, isExpanded) {
@@ -106,6 +128,39 @@ describe('Tree', function () {
       });
     });
 
+    describe('#lazy', function () {
+      it('should default to false', function () {
+        expect(new Tree.Item().lazy).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        var item = new Tree.Item();
+        item.lazy = true;
+
+        expect(item.hasAttribute('lazy')).to.be.true;
+        expect(item._elements.header.getAttribute('aria-expanded')).to.equal('false');
+      });
+    });
+
+    describe('#loading', function () {
+      it('should default to false', function () {
+        expect(new Tree.Item().loading).to.be.false;
+      });
+
+      it('should show a loading indicator', function () {
+        var item = new Tree.Item();
+        item.loading = true;
+
+        expect(item._elements.header.contains(item._elements.loadIndicator)).to.be.true;
+        expect(item._elements.header.getAttribute('aria-busy')).to.equal('true');
+
+        item.loading = false;
+
+        expect(item._elements.loadIndicator.parentNode).to.equal(null);
+        expect(item._elements.header.getAttribute('aria-busy')).to.equal('false');
+      });
+    });
+
     describe('#parent', function () {
       it('should be readonly', function () {
         const el = helpers.build(window.__html__['Tree.base.html']);
@@ -239,6 +294,234 @@ describe('Tree', function () {
       });
     });
 
+    describe('#tristate', function () {
+      var el;
+      var items;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Tree.tristate.html']);
+        items = el.items.getAll();
+      });
+
+      it('should default to false', function () {
+        expect(new Tree().tristate).to.be.false;
+      });
+
+      it('should render a checkbox for every item', function () {
+        items.forEach(function (item) {
+          expect(item._elements.header.contains(item._elements.checkbox)).to.be.true;
+          expect(item._elements.header.getAttribute('aria-checked')).to.equal('false');
+        });
+        expect(el.getAttribute('aria-multiselectable')).to.equal('true');
+      });
+
+      it('should remove the checkboxes', function () {
+        el.tristate = false;
+
+        items.forEach(function (item) {
+          expect(item._elements.checkbox.parentNode).to.equal(null);
+          expect(item._elements.header.hasAttribute('aria-checked')).to.be.false;
+        });
+      });
+
+      it('should select all the descendants of a selected item', function () {
+        items[0].selected = true;
+
+        expect(el.selectedItems).to.deep.equal(items.slice(0, 5));
+        expect(items[0]._elements.checkbox.checked).to.be.true;
+      });
+
+      it('should mark the ancestors of a partially selected subtree as indeterminate', function () {
+        items[3].selected = true;
+
+        expect(items[2].selected).to.be.false;
+        expect(items[2].indeterminate).to.be.true;
+        expect(items[0].indeterminate).to.be.true;
+        expect(items[0]._elements.checkbox.indeterminate).to.be.true;
+        expect(items[0]._elements.header.getAttribute('aria-checked')).to.equal('mixed');
+      });
+
+      it('should select the parent once all children are selected', function () {
+        items[3].selected = true;
+        items[4].selected = true;
+
+        expect(items[2].selected).to.be.true;
+        expect(items[2].indeterminate).to.be.false;
+        expect(items[0].indeterminate).to.be.true;
+
+        items[1].selected = true;
+
+        expect(items[0].selected).to.be.true;
+        expect(items[0].indeterminate).to.be.false;
+      });
+
+      it('should deselect the ancestors of a deselected item', function () {
+        items[0].selected = true;
+        items[4].selected = false;
+
+        expect(items[2].selected).to.be.false;
+        expect(items[2].indeterminate).to.be.true;
+        expect(items[0].selected).to.be.false;
+        expect(items[0].indeterminate).to.be.true;
+        expect(el.selectedItems).to.deep.equal([items[1], items[3]]);
+      });
+
+      it('should trigger a single change event', function () {
+        var spy = sinon.spy();
+        el.on('coral-tree:change', spy);
+
+        items[0].selected = true;
+
+        expect(spy.callCount).to.equal(1);
+        expect(spy.getCall(0).args[0].detail.selection).to.deep.equal(items.slice(0, 5));
+      });
+
+      it('should select added items of a selected parent', function (done) {
+        items[5].selected = true;
+        var item = items[5].items.add(new Tree.Item());
+
+        // Collection events are asynchronous
+        helpers.next(() => {
+          expect(item.selected).to.be.true;
+          expect(item.hasAttribute('_checkable')).to.be.true;
+          expect(items[5].selected).to.be.true;
+          done();
+        });
+      });
+
+      it('should sync the initial selection', function (done) {
+        const tree = helpers.build('<coral-tree tristate><coral-tree-item selected><coral-tree-item-content>Item 1</coral-tree-item-content><coral-tree-item><coral-tree-item-content>Item 1.1</coral-tree-item-content></coral-tree-item></coral-tree-item></coral-tree>');
+
+        helpers.next(() => {
+          expect(tree.selectedItems.length).to.equal(2);
+          done();
+        });
+      });
+    });
+
+    describe('#compactSelection', function () {
+      it('should default to false', function () {
+        expect(new Tree().compactSelection).to.be.false;
+      });
+
+      it('should only return the top-most selected items', function () {
+        const el = helpers.build(window.__html__['Tree.tristate.html']);
+        var items = el.items.getAll();
+        el.compactSelection = true;
+
+        items[2].selected = true;
+        items[5].selected = true;
+
+        expect(el.hasAttribute('compactselection')).to.be.true;
+        expect(el.selectedItems).to.deep.equal([items[2], items[5]]);
+
+        items[1].selected = true;
+
+        expect(el.selectedItems).to.deep.equal([items[0], items[5]]);
+        expect(el.selectedItem).to.equal(items[0]);
+      });
+    });
+
+    describe('#filter', function () {
+      var el;
+      var items;
+
+      var getVisibleItems = function () {
+        return items.filter(function (item) {
+          return !item.closest('coral-tree-item[hidden]');
+        });
+      };
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Tree.filter.html']);
+        items = el.items.getAll();
+      });
+
+      it('should hide the items that do not match and keep their ancestors visible', function () {
+        var matches = el.filter('berry');
+
+        expect(matches).to.deep.equal([items[4], items[5]]);
+        expect(getVisibleItems()).to.deep.equal([items[0], items[3], items[4], items[5]]);
+      });
+
+      it('should expand the ancestors of the matching items', function () {
+        el.filter('berry');
+
+        expect(items[0].expanded).to.be.true;
+        expect(items[3].expanded).to.be.true;
+        expect(items[6].expanded).to.be.false;
+      });
+
+      it('should be case insensitive', function () {
+        expect(el.filter('APPLE')).to.deep.equal([items[1]]);
+      });
+
+      it('should highlight the matching text', function () {
+        el.filter('berry');
+
+        var marks = items[4].content.querySelectorAll('mark._coral-TreeView-highlight');
+        expect(marks.length).to.equal(1);
+        expect(marks[0].textContent).to.equal('berry');
+
+        // Ancestors aren't highlighted
+        expect(items[3].content.querySelector('mark')).to.equal(null);
+      });
+
+      it('should accept a predicate', function () {
+        var matches = el.filter(function (item) {
+          return item.content.textContent === 'Carrot';
+        });
+
+        expect(matches).to.deep.equal([items[7]]);
+        expect(getVisibleItems()).to.deep.equal([items[6], items[7]]);
+        expect(items[7].content.querySelector('mark')).to.equal(null);
+      });
+
+      it('should restore the items once the filter is cleared', function () {
+        items[0].expanded = true;
+        el.filter('berry');
+        el.filter('');
+
+        expect(getVisibleItems()).to.deep.equal(items);
+        expect(items[0].expanded).to.be.true;
+        expect(items[3].expanded).to.be.false;
+        expect(el.querySelector('mark')).to.equal(null);
+        expect(items[4].content.innerHTML).to.equal('Strawberry');
+      });
+
+      it('should replace the previous filter', function () {
+        el.filter('berry');
+        el.filter('carrot');
+
+        expect(getVisibleItems()).to.deep.equal([items[6], items[7]]);
+        expect(items[0].expanded).to.be.false;
+        expect(items[4].content.querySelector('mark')).to.equal(null);
+      });
+
+      it('should not show hidden items', function () {
+        items[8].hidden = true;
+
+        expect(el.filter('nuts')).to.deep.equal([]);
+
+        el.filter(null);
+
+        expect(items[8].hidden).to.be.true;
+      });
+    });
+
+    describe('#orderable', function () {
+      it('should default to false', function () {
+        expect(new Tree().orderable).to.be.false;
+      });
+
+      it('should be reflected', function () {
+        const el = new Tree();
+        el.orderable = true;
+
+        expect(el.hasAttribute('orderable')).to.be.true;
+      });
+    });
+
     describe('#items', function () {
       it('should be readOnly', function () {
         const el = new Tree();
@@ -517,6 +800,144 @@ describe('Tree', function () {
 
       expect(firstItem.selected).to.be.true;
     });
+
+    describe('Ordering', function () {
+      var el;
+      var items;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Tree.orderable.html']);
+        items = el.items.getAll();
+      });
+
+      it('should move the item up with key:ctrl+up', function () {
+        helpers.keypress('up', items[3]._elements.header, [17]);
+
+        expect(items[3].nextElementSibling).to.equal(items[0]);
+        expect(document.activeElement).to.equal(items[3]._elements.header);
+      });
+
+      it('should move the item down with key:ctrl+down', function () {
+        helpers.keypress('down', items[3]._elements.header, [17]);
+
+        expect(items[4].nextElementSibling).to.equal(items[3]);
+      });
+
+      it('should move the item into its previous sibling with key:ctrl+right', function () {
+        helpers.keypress('right', items[3]._elements.header, [17]);
+
+        expect(items[3].parent).to.equal(items[0]);
+        expect(items[0].items.last()).to.equal(items[3]);
+      });
+
+      it('should not move the item into a leaf item with key:ctrl+right', function () {
+        helpers.keypress('down', items[3]._elements.header, [17]);
+        helpers.keypress('right', items[3]._elements.header, [17]);
+
+        expect(items[3].parent).to.equal(null);
+        expect(items[4].nextElementSibling).to.equal(items[3]);
+      });
+
+      it('should move the item out of its parent with key:ctrl+left', function () {
+        helpers.keypress('left', items[1]._elements.header, [17]);
+
+        expect(items[1].parent).to.equal(null);
+        expect(items[0].nextElementSibling).to.equal(items[1]);
+        expect(items[0].items.getAll()).to.deep.equal([items[2]]);
+      });
+
+      it('should not move items if the tree is not orderable', function () {
+        el.orderable = false;
+        helpers.keypress('up', items[3]._elements.header, [17]);
+
+        expect(items[0].nextElementSibling).to.equal(items[3]);
+      });
+
+      it('should not move disabled items', function () {
+        items[3].disabled = true;
+        helpers.keypress('up', items[3]._elements.header, [17]);
+
+        expect(items[0].nextElementSibling).to.equal(items[3]);
+      });
+
+      it('should drop the item before the hovered item', function () {
+        dragItemTo(items[4], items[1], 0.1);
+
+        expect(items[4].parent).to.equal(items[0]);
+        expect(items[4].nextElementSibling).to.equal(items[1]);
+      });
+
+      it('should drop the item after the hovered item', function () {
+        dragItemTo(items[3], items[4], 0.9);
+
+        expect(items[4].nextElementSibling).to.equal(items[3]);
+      });
+
+      it('should drop the item into the hovered item and expand it', function () {
+        dragItemTo(items[4], items[3], 0.5);
+
+        expect(items[4].parent).to.equal(items[3]);
+        expect(items[3].expanded).to.be.true;
+      });
+
+      it('should not drop the item into itself', function () {
+        var spy = sinon.spy();
+        el.on('coral-tree:itemmove', spy);
+
+        dragItemTo(items[0], items[1], 0.5);
+
+        expect(spy.callCount).to.equal(0);
+        expect(items[1].parent).to.equal(items[0]);
+      });
+
+      it('should indicate the drop position and clean up once dropped', function () {
+        var header = items[4]._elements.header;
+        var targetBoundingClientRect = items[3]._elements.header.getBoundingClientRect();
+
+        header.dispatchEvent(new MouseEvent('mousedown', {
+          bubbles: true
+        }));
+        header.dispatchEvent(new MouseEvent('mousemove', {
+          bubbles: true,
+          clientY: targetBoundingClientRect.top + 1
+        }));
+
+        expect(items[3].classList.contains('is-dropBefore')).to.be.true;
+
+        header.dispatchEvent(new MouseEvent('mouseup', {
+          bubbles: true
+        }));
+
+        expect(items[3].classList.contains('is-dropBefore')).to.be.false;
+        expect(items[4].dragAction).to.be.undefined;
+      });
+
+      it('should expand a collapsed item hovered while dragging', function () {
+        var clock = sinon.useFakeTimers();
+        var header = items[4]._elements.header;
+        var targetBoundingClientRect = items[3]._elements.header.getBoundingClientRect();
+
+        header.dispatchEvent(new MouseEvent('mousedown', {
+          bubbles: true
+        }));
+        header.dispatchEvent(new MouseEvent('mousemove', {
+          bubbles: true,
+          clientY: targetBoundingClientRect.top + targetBoundingClientRect.height / 2
+        }));
+
+        expect(items[3].classList.contains('is-dropInside')).to.be.true;
+        expect(items[3].expanded).to.be.false;
+
+        clock.tick(1000);
+
+        expect(items[3].expanded).to.be.true;
+
+        header.dispatchEvent(new MouseEvent('mouseup', {
+          bubbles: true
+        }));
+        clock.restore();
+      });
+    });
   });
 
   describe('Events', function () {
@@ -682,6 +1103,65 @@ describe('Tree', function () {
       });
     });
 
+    describe('#coral-tree:loaditems', function () {
+      var el;
+      var spy;
+
+      beforeEach(function () {
+        el = helpers.build(window.__html__['Tree.lazy.html']);
+        spy = sinon.spy();
+        el.on('coral-tree:loaditems', spy);
+      });
+
+      it('should trigger when a lazy item without children is expanded', function () {
+        var item = el.items.first();
+        item.expanded = true;
+
+        expect(spy.callCount).to.equal(1);
+        expect(spy.getCall(0).args[0].detail.item).to.equal(item);
+        expect(item.loading).to.be.false;
+      });
+
+      it('should not trigger for lazy items with children or eager items', function () {
+        el.items.getAll()[1].expanded = true;
+        el.items.getAll()[3].expanded = true;
+
+        expect(spy.callCount).to.equal(0);
+      });
+
+      it('should show the loading indicator until the items are loaded if prevented', function () {
+        var item = el.items.first();
+        el.on('coral-tree:loaditems', function (event) {
+          event.preventDefault();
+        });
+
+        item.expanded = true;
+        expect(item.loading).to.be.true;
+
+        // Expanding again while loading doesn't request the items twice
+        item.expanded = false;
+        item.expanded = true;
+        expect(spy.callCount).to.equal(1);
+
+        item.items.add(new Tree.Item());
+        item.loading = false;
+
+        expect(item.items.length).to.equal(1);
+        expect(item._elements.loadIndicator.parentNode).to.equal(null);
+
+        // Items are only requested once they are loaded
+        item.expanded = false;
+        item.expanded = true;
+        expect(spy.callCount).to.equal(1);
+      });
+
+      it('should trigger for lazy items without children on expandAll()', function () {
+        el.expandAll();
+
+        expect(spy.callCount).to.equal(1);
+      });
+    });
+
     describe('#coral-tree:collapse', function () {
       it('should trigger the event if an item is collapsed', function (done) {
         const el = helpers.build(window.__html__['Tree.items.html']);
@@ -694,6 +1174,74 @@ describe('Tree', function () {
         item.expanded = false;
       });
     });
+
+    describe('#coral-tree:beforeitemmove', function () {
+      it('should trigger before the item is moved', function () {
+        const el = helpers.build(window.__html__['Tree.orderable.html']);
+        var items = el.items.getAll();
+        var spy = sinon.spy();
+        el.on('coral-tree:beforeitemmove', spy);
+
+        helpers.keypress('left', items[2]._elements.header, [17]);
+
+        expect(spy.callCount).to.equal(1);
+        var detail = spy.getCall(0).args[0].detail;
+        expect(detail.item).to.equal(items[2]);
+        expect(detail.oldParent).to.equal(items[0]);
+        expect(detail.oldBefore).to.equal(null);
+        expect(detail.parent).to.equal(null);
+        expect(detail.before).to.equal(items[3]);
+      });
+
+      it('should be possible to cancel the move', function () {
+        const el = helpers.build(window.__html__['Tree.orderable.html']);
+        var items = el.items.getAll();
+        var spy = sinon.spy();
+        el.on('coral-tree:beforeitemmove', function (event) {
+          event.preventDefault();
+        });
+        el.on('coral-tree:itemmove', spy);
+
+        dragItemTo(items[4], items[3], 0.5);
+
+        expect(spy.callCount).to.equal(0);
+        expect(items[4].parent).to.equal(null);
+      });
+    });
+
+    describe('#coral-tree:itemmove', function () {
+      it('should trigger once the item is moved', function () {
+        const el = helpers.build(window.__html__['Tree.orderable.html']);
+        var items = el.items.getAll();
+        var spy = sinon.spy();
+        el.on('coral-tree:itemmove', function (event) {
+          spy(event.detail, event.detail.item.parent);
+        });
+
+        helpers.keypress('right', items[3]._elements.header, [17]);
+
+        expect(spy.callCount).to.equal(1);
+        var detail = spy.getCall(0).args[0];
+        expect(detail.item).to.equal(items[3]);
+        expect(detail.oldParent).to.equal(null);
+        expect(detail.oldBefore).to.equal(items[4]);
+        expect(detail.parent).to.equal(items[0]);
+        expect(detail.before).to.equal(null);
+        expect(spy.getCall(0).args[1]).to.equal(items[0]);
+      });
+
+      it('should not trigger if the position does not change', function () {
+        const el = helpers.build(window.__html__['Tree.orderable.html']);
+        var items = el.items.getAll();
+        var spy = sinon.spy();
+        el.on('coral-tree:itemmove', spy);
+
+        helpers.keypress('up', items[0]._elements.header, [17]);
+        helpers.keypress('left', items[0]._elements.header, [17]);
+
+        expect(spy.callCount).to.equal(0);
+      });
+    });
   });
 
   describe('Implementation Details', function () {
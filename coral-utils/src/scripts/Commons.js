@@ -660,6 +660,48 @@ class Commons {
     }
   }
 
+  /**
+   Wraps the given ranges of the text content of the element in <code>mark</code> elements. The markup of the element
+   is kept, a range spanning several text nodes is wrapped in a mark per text node.
+
+   @param {HTMLElement} element
+   The element to highlight.
+   @param {Array.<Array.<Number>>} ranges
+   The start and end offsets of the ranges of the text content to highlight, ordered and not overlapping.
+   @param {String} className
+   The class added to the marks.
+   */
+  highlightRanges(element, ranges, className) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    let offset = 0;
+    textNodes.forEach((textNode) => {
+      const nodeStart = offset;
+      const nodeEnd = offset + textNode.data.length;
+      offset = nodeEnd;
+
+      // Wrap from the end so that the offsets of the remaining text stay valid
+      ranges.slice().reverse().forEach((range) => {
+        const start = Math.max(range[0], nodeStart) - nodeStart;
+        const end = Math.min(range[1], nodeEnd) - nodeStart;
+
+        if (start < end) {
+          const domRange = document.createRange();
+          domRange.setStart(textNode, start);
+          domRange.setEnd(textNode, end);
+
+          const mark = document.createElement('mark');
+          mark.className = className;
+          domRange.surroundContents(mark);
+        }
+      });
+    });
+  }
+
   /**
    Caution: the selector doesn't verify if elements are visible.
 
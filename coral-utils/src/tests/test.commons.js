@@ -672,6 +672,26 @@ describe('commons', function () {
     });
   });
 
+  describe('#highlightRanges', function () {
+    it('should wrap the ranges in marks', function () {
+      var div = document.createElement('div');
+      div.textContent = 'Google Chrome';
+
+      commons.highlightRanges(div, [[0, 1], [7, 10]], 'highlight');
+
+      expect(div.innerHTML).to.equal('<mark class="highlight">G</mark>oogle <mark class="highlight">Chr</mark>ome');
+    });
+
+    it('should wrap ranges spanning several text nodes', function () {
+      var div = document.createElement('div');
+      div.innerHTML = 'Goo<b>gle</b>';
+
+      commons.highlightRanges(div, [[2, 5]], 'highlight');
+
+      expect(div.innerHTML).to.equal('Go<mark class="highlight">o</mark><b><mark class="highlight">gl</mark>e</b>');
+    });
+  });
+
   describe('#TABBABLE_ELEMENT_SELECTOR', function () {
     it('should not select items with tabIndex=-1', function () {
       var div = document.createElement('div');
@@ -39,7 +39,7 @@ export {CharacterCount} from './coral-component-charactercount';
 export {Checkbox} from './coral-component-checkbox';
 export {CheckboxGroup} from './coral-component-checkboxgroup';
 export {Clock} from './coral-component-clock';
-export {CoachMark} from './coral-component-coachmark';
+export {CoachMark, CoachMarkTour} from './coral-component-coachmark';
 export {Color, ColorInput} from './coral-component-colorinput';
 export {ColumnView} from './coral-component-columnview';
 export {CycleButton} from './coral-component-cyclebutton';